@@ -6,6 +6,7 @@ import LiveShowAttendance from '../models/LiveShowAttendance.js';
 import Review from '../models/Review.js';
 import User from '../models/User.js';
 import Transaction from '../models/Transaction.js';
+import { getDedicationSlaMetrics } from '../services/dedicationSlaService.js';
 
 export const getStarAnalytics = async (req, res) => {
   try {
@@ -48,6 +49,12 @@ export const getStarAnalytics = async (req, res) => {
     
     // Combine starId filter with date filter
     const baseFilter = { starId, ...dateFilter };
+
+    // Attach the platform commission recorded on the linked transaction
+    const commissionLookup = [
+      { $lookup: { from: 'transactions', localField: 'transactionId', foreignField: '_id', as: 'transaction' } },
+      { $addFields: { commission: { $ifNull: [{ $arrayElemAt: ['$transaction.commissionAmount', 0] }, 0] } } }
+    ];
     const [
       videoCallsData,
       dedicationsData,
@@ -57,7 +64,8 @@ export const getStarAnalytics = async (req, res) => {
       profileImpressionsData,
       videoImpressionsData,
       revenueData,
-      countryData
+      countryData,
+      dedicationSla
     ] = await Promise.all([
       // Video Calls Analytics
       Promise.all([
@@ -97,22 +105,25 @@ export const getStarAnalytics = async (req, res) => {
       // Video Impressions (simulated - you might want to track this separately)
       Appointment.countDocuments({ ...baseFilter, status: 'completed' }).then(count => count * 2), // Placeholder calculation
       
-      // Revenue Analytics
+      // Revenue Analytics (gross price plus the platform commission taken on escrow release)
       Promise.all([
         // Video Calls Revenue
         Appointment.aggregate([
           { $match: { starId: new mongoose.Types.ObjectId(starId), status: 'completed', ...dateFilter } },
-          { $group: { _id: null, totalRevenue: { $sum: '$price' } } }
+          ...commissionLookup,
+          { $group: { _id: null, totalRevenue: { $sum: '$price' }, totalCommission: { $sum: '$commission' } } }
         ]),
         // Dedications Revenue
         DedicationRequest.aggregate([
           { $match: { starId: new mongoose.Types.ObjectId(starId), status: 'completed', ...dateFilter } },
-          { $group: { _id: null, totalRevenue: { $sum: '$price' } } }
+          ...commissionLookup,
+          { $group: { _id: null, totalRevenue: { $sum: '$price' }, totalCommission: { $sum: '$commission' } } }
         ]),
         // Live Shows Revenue
         LiveShowAttendance.aggregate([
           { $match: { starId: new mongoose.Types.ObjectId(starId), status: 'completed', ...dateFilter } },
-          { $group: { _id: null, totalRevenue: { $sum: '$attendanceFee' } } }
+          ...commissionLookup,
+          { $group: { _id: null, totalRevenue: { $sum: '$attendanceFee' }, totalCommission: { $sum: '$commission' } } }
         ])
       ]),
       
@@ -124,7 +135,10 @@ export const getStarAnalytics = async (req, res) => {
         { $group: { _id: '$fan.country', fanCount: { $sum: 1 } } },
         { $sort: { fanCount: -1 } },
         { $limit: 4 }
-      ])
+      ]),
+
+      // Dedication delivery SLA
+      getDedicationSlaMetrics(starId, dateFilter)
     ]);
 
     // Process video calls data
@@ -155,6 +169,10 @@ export const getStarAnalytics = async (req, res) => {
     const dedicationsRevenueTotal = dedicationsRevenue.length > 0 ? dedicationsRevenue[0].totalRevenue : 0;
     const liveShowsRevenueTotal = liveShowsRevenue.length > 0 ? liveShowsRevenue[0].totalRevenue : 0;
     const totalRevenue = videoCallsRevenueTotal + dedicationsRevenueTotal + liveShowsRevenueTotal;
+    const videoCallsCommission = videoCallsRevenue.length > 0 ? videoCallsRevenue[0].totalCommission : 0;
+    const dedicationsCommission = dedicationsRevenue.length > 0 ? dedicationsRevenue[0].totalCommission : 0;
+    const liveShowsCommission = liveShowsRevenue.length > 0 ? liveShowsRevenue[0].totalCommission : 0;
+    const totalCommission = videoCallsCommission + dedicationsCommission + liveShowsCommission;
 
     // Process country data
     const topCountries = countryData.map(country => ({
@@ -182,7 +200,8 @@ export const getStarAnalytics = async (req, res) => {
         dedications: {
           total: totalDedications,
           pending: pendingDedications,
-          cancelled: cancelledDedications
+          cancelled: cancelledDedications,
+          sla: dedicationSla
         },
         liveShows: {
           total: totalLiveShows,
@@ -204,6 +223,22 @@ export const getStarAnalytics = async (req, res) => {
           videoCalls: formatRevenue(videoCallsRevenueTotal),
           dedications: formatRevenue(dedicationsRevenueTotal),
           liveShows: formatRevenue(liveShowsRevenueTotal)
+        },
+        platformCommission: {
+          total: formatRevenue(totalCommission),
+          breakdown: {
+            videoCalls: formatRevenue(videoCallsCommission),
+            dedications: formatRevenue(dedicationsCommission),
+            liveShows: formatRevenue(liveShowsCommission)
+          }
+        },
+        net: {
+          total: formatRevenue(totalRevenue - totalCommission),
+          breakdown: {
+            videoCalls: formatRevenue(videoCallsRevenueTotal - videoCallsCommission),
+            dedications: formatRevenue(dedicationsRevenueTotal - dedicationsCommission),
+            liveShows: formatRevenue(liveShowsRevenueTotal - liveShowsCommission)
+          }
         }
       },
       topCountries: topCountries
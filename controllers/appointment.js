@@ -2,12 +2,22 @@ import { validationResult } from 'express-validator';
 import { getFirstValidationError } from '../utils/validationHelper.js';
 import Availability from '../models/Availability.js';
 import Appointment from '../models/Appointment.js';
+import User from '../models/User.js';
 import { createTransaction, createHybridTransaction, completeTransaction, cancelTransaction } from '../services/transactionService.js';
-import { TRANSACTION_TYPES, TRANSACTION_DESCRIPTIONS, createTransactionDescription } from '../utils/transactionConstants.js';
+import { TRANSACTION_TYPES, TRANSACTION_DESCRIPTIONS, DISPUTE_ENTITY_TYPES, createTransactionDescription } from '../utils/transactionConstants.js';
 import Transaction from '../models/Transaction.js'; // Added missing import for Transaction
 import NotificationHelper from '../utils/notificationHelper.js';
 import { deleteConversationBetweenUsers } from '../services/messagingCleanup.js';
+import { getDisputeForEntity } from '../services/disputeService.js';
 import { sanitizeUserData } from '../utils/userDataHelper.js';
+import { materializeRuleSlot } from '../services/availabilityRuleService.js';
+import { findCallType, getCallSettings, sliceWindow } from '../services/callSlotService.js';
+import { holdSlot, confirmSlotHold, releaseSlotHold, freeAppointmentSlot } from '../services/slotReservationService.js';
+import { findBlockingAppointmentOffer, markWaitlistClaimed } from '../services/waitlistService.js';
+import { appointmentEvent } from '../services/calendarFeedService.js';
+import { findBlackoutCovering, findActiveBlackout, sendBlackoutAutoReply } from '../services/blackoutService.js';
+import { buildCalendar, sendCalendar } from '../utils/ics.js';
+import { DEFAULT_TIMEZONE, resolveSlotInstants, resolveViewerTimezone, timezoneOf, todayInTimezone, toLocalSlot } from '../utils/timezone.js';
 
 const toUser = (u) => u ? sanitizeUserData(u) : null;
 
@@ -15,28 +25,64 @@ const toAvailability = (a) => (
   a && a._id ? {
     id: a._id,
     date: a.date,
-    timeSlots: Array.isArray(a.timeSlots) ? a.timeSlots.map((t) => ({ id: t._id, slot: t.slot, status: t.status })) : [],
+    timezone: a.timezone,
+    timeSlots: Array.isArray(a.timeSlots) ? a.timeSlots.map((t) => ({ id: t._id, slot: t.slot, status: t.status, startAt: t.startAt, endAt: t.endAt })) : [],
   } : a
 );
 
-const sanitize = (doc) => ({
-  id: doc._id,
-  star: toUser(doc.starId),
-  fan: toUser(doc.fanId),
-  availability: toAvailability(doc.availabilityId),
-  timeSlotId: doc.timeSlotId,
-  date: doc.date,
-  time: doc.time,
-  price: doc.price,
-  status: doc.status,
-  ...(doc.paymentStatus ? { paymentStatus: doc.paymentStatus } : {}),
-  transactionId: doc.transactionId,
-  // Keep transaction status light; paymentStatus covers domain payment lifecycle
-  completedAt: doc.completedAt,
-  callDuration: typeof doc.callDuration === 'number' ? doc.callDuration : undefined,
-  createdAt: doc.createdAt,
-  updatedAt: doc.updatedAt,
-});
+// Absolute instants of a slot; older documents without stored instants are resolved on the fly
+const getSlotInstants = (date, slot, timezone, stored = {}) => (
+  stored.startAt && stored.endAt
+    ? { startAt: new Date(stored.startAt), endAt: new Date(stored.endAt) }
+    : resolveSlotInstants(date, slot, timezone || DEFAULT_TIMEZONE)
+);
+
+const toRescheduleProposal = (p, viewerTimezone) => (
+  p && p.status ? {
+    proposedBy: p.proposedBy,
+    proposedByRole: p.proposedByRole,
+    availabilityId: p.availabilityId,
+    timeSlotId: p.timeSlotId,
+    date: p.date,
+    time: p.time,
+    startAt: p.startAt,
+    endAt: p.endAt,
+    ...(viewerTimezone && p.startAt && p.endAt ? { local: toLocalSlot(p.startAt, p.endAt, viewerTimezone) } : {}),
+    status: p.status,
+    expiresAt: p.expiresAt,
+    proposedAt: p.proposedAt,
+    respondedAt: p.respondedAt,
+  } : undefined
+);
+
+// viewerTimezone (optional) adds the date and slot expressed in the viewer's wall-clock time
+const sanitize = (doc, viewerTimezone) => {
+  const instants = getSlotInstants(doc.date, doc.time, doc.timezone, doc);
+  return {
+    id: doc._id,
+    star: toUser(doc.starId),
+    fan: toUser(doc.fanId),
+    availability: toAvailability(doc.availabilityId),
+    timeSlotId: doc.timeSlotId,
+    date: doc.date,
+    time: doc.time,
+    timezone: doc.timezone || DEFAULT_TIMEZONE,
+    ...(instants ? { startAt: instants.startAt.toISOString(), endAt: instants.endAt.toISOString() } : {}),
+    ...(instants && viewerTimezone ? { local: toLocalSlot(instants.startAt, instants.endAt, viewerTimezone) } : {}),
+    serviceId: doc.serviceId,
+    durationMinutes: doc.durationMinutes,
+    price: doc.price,
+    status: doc.status,
+    ...(doc.paymentStatus ? { paymentStatus: doc.paymentStatus } : {}),
+    transactionId: doc.transactionId,
+    // Keep transaction status light; paymentStatus covers domain payment lifecycle
+    completedAt: doc.completedAt,
+    callDuration: typeof doc.callDuration === 'number' ? doc.callDuration : undefined,
+    rescheduleProposal: toRescheduleProposal(doc.rescheduleProposal, viewerTimezone),
+    createdAt: doc.createdAt,
+    updatedAt: doc.updatedAt,
+  };
+};
 
 // Get single appointment details
 export const getAppointmentDetails = async (req, res) => {
@@ -75,24 +121,12 @@ export const getAppointmentDetails = async (req, res) => {
       });
     }
 
-    // Add computed fields similar to listAppointments
-    const parseStartDate = (dateStr, timeStr) => {
-      const [year, month, day] = (dateStr || '').split('-').map((v) => parseInt(v, 10));
-      let hours = 0;
-      let minutes = 0;
-      if (typeof timeStr === 'string') {
-        const m = timeStr.match(/^(\d{1,2}):(\d{2})\s*(AM|PM)$/i);
-        if (m) {
-          hours = parseInt(m[1], 10);
-          minutes = parseInt(m[2], 10);
-          const ampm = m[3].toUpperCase();
-          if (ampm === 'PM' && hours !== 12) hours += 12;
-          if (ampm === 'AM' && hours === 12) hours = 0;
-        }
-      }
-      const d = new Date(year || 0, (month || 1) - 1, day || 1, hours, minutes, 0, 0);
-      return d;
-    };
+    // ?format=ics downloads the appointment as a calendar event
+    if (req.query.format === 'ics') {
+      const event = appointmentEvent(appointment, req.user);
+      if (!event) return res.status(400).json({ success: false, message: 'Appointment time cannot be resolved' });
+      return sendCalendar(res, buildCalendar([event], { timezone: timezoneOf(req.user) }), `appointment-${appointment._id}.ics`);
+    }
 
     let timeSlotObj = undefined;
     if (appointment.availabilityId && appointment.availabilityId.timeSlots) {
@@ -100,14 +134,14 @@ export const getAppointmentDetails = async (req, res) => {
       if (found) timeSlotObj = { id: found._id, slot: found.slot, status: found.status };
     }
 
-    const startAt = parseStartDate(appointment.date, appointment.time);
-    const timeToNowMs = startAt.getTime() - Date.now();
+    const base = sanitize(appointment, resolveViewerTimezone(req));
+    const timeToNowMs = base.startAt ? new Date(base.startAt).getTime() - Date.now() : undefined;
 
     const appointmentData = {
-      ...sanitize(appointment),
+      ...base,
       timeSlot: timeSlotObj,
-      startAt: isNaN(startAt.getTime()) ? undefined : startAt.toISOString(),
-      timeToNowMs
+      timeToNowMs,
+      dispute: await getDisputeForEntity(DISPUTE_ENTITY_TYPES.APPOINTMENT, appointment._id)
     };
 
     return res.status(200).json({
@@ -128,6 +162,72 @@ export const getAppointmentDetails = async (req, res) => {
   }
 };
 
+// Locate the slot being booked: a persisted slot (availabilityId + timeSlotId), or an
+// occurrence of a recurring rule (ruleId + date + slot) which is persisted first
+const resolveBookingSlot = async (starId, { availabilityId, timeSlotId, ruleId, date, slot }) => {
+  if (ruleId) {
+    const normalized = String(slot || '').trim().replace(/\s*-\s*/, ' - ');
+    try {
+      const { availability, timeSlot } = await materializeRuleSlot(starId, ruleId, String(date || '').trim(), normalized);
+      return { availability, slot: timeSlot };
+    } catch (e) {
+      if (e.message === 'Availability rule not found' || e.message === 'Time slot not found') {
+        return { availability: null, slot: null };
+      }
+      throw e;
+    }
+  }
+  const availability = await Availability.findOne({ _id: availabilityId, userId: starId });
+  const found = availability ? availability.timeSlots.find((s) => String(s._id) === String(timeSlotId)) : null;
+  return { availability, slot: found };
+};
+
+// Appointments without a call type hold their whole availability slot
+const holdsWholeSlot = (appt) => !appt.serviceId;
+
+// Pick the call to book inside a window. With a call type the window is sliced by the
+// call length and the star's buffer, and startTime ("HH:MM") selects a slice (default:
+// the first upcoming one); without one the whole window is booked.
+const resolveCallInterval = (availability, slot, timezone, star, service, startTime) => {
+  if (!service) {
+    const instants = getSlotInstants(availability.date, slot.slot, timezone, slot);
+    return instants ? { ...instants, time: slot.slot } : null;
+  }
+  const slices = sliceWindow(availability.date, slot.slot, timezone, service.durationMinutes, getCallSettings(star).bufferMinutes, slot);
+  if (startTime) return slices.find((s) => s.time.startsWith(`${String(startTime).trim()} `)) || null;
+  return slices.find((s) => s.startAt.getTime() > Date.now()) || null;
+};
+
+// Map slot reservation errors to their status code
+const callConflictResponse = (res, error) => {
+  if (['Time slot unavailable', 'Time slot overlaps another booking', 'Daily call limit reached'].includes(error.message)) {
+    return res.status(409).json({ success: false, message: error.message });
+  }
+  throw error;
+};
+
+// Appointments a participant (or any admin) may act on
+const participantFilter = (req) => {
+  const filter = { _id: req.params.id };
+  if (req.user.role !== 'admin') filter.$or = [{ fanId: req.user._id }, { starId: req.user._id }];
+  return filter;
+};
+
+// Close a pending reschedule proposal and release the slot it held
+const closeRescheduleProposal = async (appt, status) => {
+  const proposal = appt.rescheduleProposal;
+  if (!proposal || proposal.status !== 'pending') return;
+  proposal.status = status;
+  proposal.respondedAt = new Date();
+  if (proposal.reservationId) {
+    try {
+      await releaseSlotHold(proposal.reservationId);
+    } catch (releaseError) {
+      console.error('Failed to release reschedule proposal hold:', releaseError);
+    }
+  }
+};
+
 export const createAppointment = async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -135,7 +235,7 @@ export const createAppointment = async (req, res) => {
       const errorMessage = getFirstValidationError(errors);
       return res.status(400).json({ success: false, message: errorMessage || 'Validation failed' });
     }
-    let { starId, starBaroniId, baroniId, availabilityId, timeSlotId, price, starName } = req.body;
+    let { starId, starBaroniId, baroniId, availabilityId, timeSlotId, price, starName, serviceId, startTime } = req.body;
 
     // Allow passing star by Baroni ID
     if (!starId && (starBaroniId || baroniId)) {
@@ -144,53 +244,77 @@ export const createAppointment = async (req, res) => {
       starId = starByBaroni._id;
     }
 
-    const availability = await Availability.findOne({ _id: availabilityId, userId: starId });
+    const { availability, slot } = await resolveBookingSlot(starId, req.body);
     if (!availability) return res.status(404).json({ success: false, message: 'Availability not found' });
+    availabilityId = availability._id;
 
-    // Validate that the appointment date is not in the past
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    const appointmentDate = new Date(availability.date);
-
-    if (appointmentDate < today) {
+    // Validate that the appointment date is not in the past (in the star's timezone)
+    const timezone = availability.timezone || DEFAULT_TIMEZONE;
+    if (availability.date < todayInTimezone(timezone)) {
       return res.status(400).json({
         success: false,
         message: 'Cannot book appointments for past dates'
       });
     }
-
-    // If the appointment is for today, validate that the time slot is not in the past
-    const isToday = appointmentDate.getTime() === today.getTime();
-    if (isToday) {
-      const slot = availability.timeSlots.find((s) => String(s._id) === String(timeSlotId));
-      if (slot) {
-        const now = new Date();
-        const currentTime = now.getHours() * 60 + now.getMinutes();
-
-        const timeMatch = slot.slot.match(/^(\d{1,2}):(\d{2})\s*(AM|PM)/i);
-        if (timeMatch) {
-          let hour = parseInt(timeMatch[1], 10);
-          const minute = parseInt(timeMatch[2], 10);
-          const ampm = timeMatch[3].toUpperCase();
-
-          if (ampm === 'PM' && hour !== 12) hour += 12;
-          if (ampm === 'AM' && hour === 12) hour = 0;
-
-          const slotTime = hour * 60 + minute;
-          if (slotTime <= currentTime) {
-            return res.status(400).json({
-              success: false,
-              message: `Cannot book appointments for past time slots. Time slot "${slot.slot}" is in the past.`
-            });
-          }
-        }
-      }
+    // No bookings while the star is away
+    if (await findBlackoutCovering(starId, availability.date)) {
+      return res.status(409).json({ success: false, message: 'Star is unavailable on this date' });
     }
 
-    const slot = availability.timeSlots.find((s) => String(s._id) === String(timeSlotId));
     if (!slot) return res.status(404).json({ success: false, message: 'Time slot unavailable' });
+    timeSlotId = slot._id;
+
+    const star = await User.findOne({ _id: starId, role: 'star' }).select('name pseudo timezone callBufferMinutes maxCallsPerDay');
+    if (!star) return res.status(404).json({ success: false, message: 'Star not found' });
+
+    // A call type sets the call length and the price
+    let service = null;
+    if (serviceId) {
+      service = await findCallType(starId, serviceId);
+      if (!service) return res.status(404).json({ success: false, message: 'Call type not found' });
+      price = service.price;
+    }
+
+    // Validate that the call has not started yet
+    const instants = resolveCallInterval(availability, slot, timezone, star, service, startTime);
+    if (!instants) {
+      return res.status(400).json({
+        success: false,
+        message: service ? 'startTime does not match a call slot of this availability' : 'Invalid time slot'
+      });
+    }
+    if (instants.startAt.getTime() <= Date.now()) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot book appointments for past time slots. Time slot "${instants.time}" is in the past.`
+      });
+    }
+
     if (slot.status === 'unavailable') return res.status(409).json({ success: false, message: 'Time slot unavailable' });
 
+    // A slot offered to a waitlisted fan stays theirs until the claim window ends
+    if (await findBlockingAppointmentOffer(starId, instants.startAt, instants.endAt, req.user._id)) {
+      return res.status(409).json({ success: false, message: 'Time slot is held for a waitlisted fan' });
+    }
+
+    // Atomically claim the time before payment; overlapping bookings (buffer included)
+    // and days at the star's call limit are rejected
+    let reservation;
+    try {
+      reservation = await holdSlot({
+        star,
+        fanId: req.user._id,
+        availabilityId,
+        timeSlotId,
+        date: availability.date,
+        startAt: instants.startAt,
+        endAt: instants.endAt,
+        holdsWholeSlot: !service
+      });
+    } catch (holdError) {
+      return callConflictResponse(res, holdError);
+    }
+
     // Create hybrid transaction before creating appointment
     let transactionResult;
     try {
@@ -198,6 +322,7 @@ export const createAppointment = async (req, res) => {
       const { normalizeContact } = await import('../utils/normalizeContact.js');
       const normalizedPhone = normalizeContact(payloadContact || '');
       if (!normalizedPhone) {
+        await releaseSlotHold(reservation._id);
         return res.status(400).json({ success: false, message: 'User phone number is required' });
       }
       transactionResult = await createHybridTransaction({
@@ -213,53 +338,66 @@ export const createAppointment = async (req, res) => {
           availabilityId,
           timeSlotId,
           date: availability.date,
-          time: slot.slot,
+          time: instants.time,
           payerName: req.user.name || req.user.pseudo || ''
         }
       });
     } catch (transactionError) {
+      await releaseSlotHold(reservation._id);
       return res.status(400).json({
         success: false,
         message: 'Transaction failed: ' + transactionError.message
       });
     }
 
-    // Get the created transaction ID
-    const transaction = await Transaction.findOne({
-      payerId: req.user._id,
-      receiverId: starId,
-      type: TRANSACTION_TYPES.APPOINTMENT_PAYMENT,
-      status: { $in: ['pending', 'initiated'] }
-    }).sort({ createdAt: -1 });
+    // Get the created transaction
+    const transaction = await Transaction.findById(transactionResult.transactionId);
 
     if (!transaction) {
+      await releaseSlotHold(reservation._id);
       return res.status(500).json({
         success: false,
         message: 'Failed to retrieve transaction'
       });
     }
 
-    const created = await Appointment.create({
-      starId,
-      fanId: req.user._id,
-      availabilityId,
-      timeSlotId,
-      date: availability.date,
-      time: slot.slot,
-      price,
-      status: 'pending',
-      paymentStatus: transaction.status === 'initiated' ? 'initiated' : 'pending',
+    let created;
+    try {
+      created = await Appointment.create({
+        starId,
+        fanId: req.user._id,
+        availabilityId,
+        timeSlotId,
+        date: availability.date,
+        time: instants.time,
+        startAt: instants.startAt,
+        endAt: instants.endAt,
+        timezone,
+        serviceId: service ? service._id : undefined,
+        durationMinutes: service ? service.durationMinutes : undefined,
+        price,
+        status: 'pending',
+        paymentStatus: transaction.status === 'initiated' ? 'initiated' : 'pending',
+        transactionId: transaction._id,
+      });
+    } catch (createError) {
+      await releaseSlotHold(reservation._id);
+      throw createError;
+    }
+
+    // The appointment now blocks the time; a hybrid hold expires with the payment refundTimer
+    await confirmSlotHold(reservation._id, {
+      appointmentId: created._id,
       transactionId: transaction._id,
+      refundTimer: transaction.refundTimer
     });
 
-    // Reserve the slot immediately for all bookings (hybrid or coin-only)
+    // Booking closes the fan's waitlist entry for this star
     try {
-      // Atomic update to avoid race conditions
-      await Availability.updateOne(
-        { _id: availabilityId, userId: starId, 'timeSlots._id': timeSlotId, 'timeSlots.status': 'available' },
-        { $set: { 'timeSlots.$.status': 'unavailable' } }
-      );
-    } catch (_e) {}
+      await markWaitlistClaimed({ kind: 'appointment', starId, fanId: req.user._id });
+    } catch (waitlistError) {
+      console.error('Error closing waitlist entry:', waitlistError);
+    }
 
     // Send notification to star about new appointment request
     try {
@@ -268,11 +406,15 @@ export const createAppointment = async (req, res) => {
       console.error('Error sending appointment notification:', notificationError);
     }
 
+    // Let the fan know when the star is away right now
+    const activeBlackout = await findActiveBlackout(starId, timezoneOf(star));
+    if (activeBlackout) await sendBlackoutAutoReply(star, activeBlackout, req.user._id);
+
     const responseBody = { 
       success: true, 
       message: 'Appointment created successfully',
       data: {
-        appointment: sanitize(created)
+        appointment: sanitize(created, resolveViewerTimezone(req))
       }
     };
     if (transactionResult && transactionResult.paymentMode === 'hybrid' || transactionResult?.externalAmount > 0) {
@@ -306,34 +448,17 @@ export const listAppointments = async (req, res) => {
       .populate('availabilityId')
       .sort({ createdAt: -1 });
 
-    const parseStartDate = (dateStr, timeStr) => {
-      const [year, month, day] = (dateStr || '').split('-').map((v) => parseInt(v, 10));
-      let hours = 0;
-      let minutes = 0;
-      if (typeof timeStr === 'string') {
-        const m = timeStr.match(/^(\d{1,2}):(\d{2})\s*(AM|PM)$/i);
-        if (m) {
-          hours = parseInt(m[1], 10);
-          minutes = parseInt(m[2], 10);
-          const ampm = m[3].toUpperCase();
-          if (ampm === 'PM' && hours !== 12) hours += 12;
-          if (ampm === 'AM' && hours === 12) hours = 0;
-        }
-      }
-      const d = new Date(year || 0, (month || 1) - 1, day || 1, hours, minutes, 0, 0);
-      return d;
-    };
+    const viewerTimezone = resolveViewerTimezone(req);
 
     const withComputed = items.map((doc) => {
-      const base = sanitize(doc);
+      const base = sanitize(doc, viewerTimezone);
       let timeSlotObj = undefined;
       if (doc.availabilityId && doc.availabilityId.timeSlots) {
         const found = doc.availabilityId.timeSlots.find((s) => String(s._id) === String(doc.timeSlotId));
         if (found) timeSlotObj = { id: found._id, slot: found.slot, status: found.status };
       }
-      const startAt = parseStartDate(base.date, base.time);
-      const timeToNowMs = startAt.getTime() - Date.now();
-      return { ...base, timeSlot: timeSlotObj, startAt: isNaN(startAt.getTime()) ? undefined : startAt.toISOString(), timeToNowMs };
+      const timeToNowMs = base.startAt ? new Date(base.startAt).getTime() - Date.now() : undefined;
+      return { ...base, timeSlot: timeSlotObj, timeToNowMs };
     });
 
     const future = [];
@@ -379,7 +504,7 @@ export const approveAppointment = async (req, res) => {
     appt.status = 'approved';
     const updated = await appt.save();
 
-    const availability = await Availability.findOne({ _id: appt.availabilityId, userId: appt.starId });
+    const availability = holdsWholeSlot(appt) ? await Availability.findOne({ _id: appt.availabilityId, userId: appt.starId }) : null;
     if (availability) {
       const slot = availability.timeSlots.find((s) => String(s._id) === String(appt.timeSlotId));
       if (slot) {
@@ -419,6 +544,7 @@ export const rejectAppointment = async (req, res) => {
     if (!appt) return res.status(404).json({ success: false, message: 'Appointment not found' });
     if (appt.status !== 'pending') return res.status(400).json({ success: false, message: 'Only pending can be rejected' });
     appt.status = 'rejected';
+    await closeRescheduleProposal(appt, 'declined');
     // Cancel and refund the pending transaction, if any
     if (appt.transactionId) {
       try {
@@ -430,13 +556,8 @@ export const rejectAppointment = async (req, res) => {
     }
     const updated = await appt.save();
 
-    // Free the reserved slot if it was marked unavailable (pending hybrid reservation)
-    try {
-      await Availability.updateOne(
-        { _id: appt.availabilityId, userId: appt.starId, 'timeSlots._id': appt.timeSlotId },
-        { $set: { 'timeSlots.$.status': 'available' } }
-      );
-    } catch (_e) {}
+    // Free the reserved time and pass it to the star's waitlist
+    await freeAppointmentSlot(updated);
 
     // Send notification to fan about appointment rejection
     try {
@@ -470,6 +591,7 @@ export const cancelAppointment = async (req, res) => {
     const appt = await Appointment.findOne(filter);
     if (!appt) return res.status(404).json({ success: false, message: 'Appointment not found' });
     if (appt.status === 'cancelled') return res.status(400).json({ success: false, message: 'Already cancelled' });
+    const heldTime = ['pending', 'approved'].includes(appt.status);
 
     // Cancel the transaction and refund coins if it's pending
     if (appt.transactionId && appt.status === 'pending') {
@@ -481,17 +603,13 @@ export const cancelAppointment = async (req, res) => {
       }
     }
 
-    // Free the reserved slot (for approved or pending hybrid-reserved)
-    try {
-      await Availability.updateOne(
-        { _id: appt.availabilityId, userId: appt.starId, 'timeSlots._id': appt.timeSlotId },
-        { $set: { 'timeSlots.$.status': 'available' } }
-      );
-    } catch (_e) {}
-
     appt.status = 'cancelled';
+    await closeRescheduleProposal(appt, 'withdrawn');
     const updated = await appt.save();
 
+    // Free the reserved time and pass it to the next fan on the star's waitlist
+    if (heldTime) await freeAppointmentSlot(updated);
+
     // Notify counterpart only: if star cancelled, notify fan; if fan cancelled, notify star
     try {
       await NotificationHelper.sendAppointmentNotification('APPOINTMENT_CANCELLED', updated, { currentUserId: req.user._id });
@@ -510,6 +628,29 @@ export const cancelAppointment = async (req, res) => {
   }
 };
 
+// Move an appointment to an agreed slot. The slot's hold becomes the booking, the old
+// time is freed and offered to the waitlist; the appointment keeps its status.
+const moveAppointment = async (appt, target) => {
+  const confirmed = await confirmSlotHold(target.reservationId, { appointmentId: appt._id, transactionId: appt.transactionId });
+  if (!confirmed) {
+    throw new Error('Reschedule proposal expired');
+  }
+
+  const previous = appt.toObject();
+  appt.availabilityId = target.availabilityId;
+  appt.timeSlotId = target.timeSlotId;
+  appt.date = target.date;
+  appt.time = target.time;
+  appt.startAt = target.startAt;
+  appt.endAt = target.endAt;
+  appt.timezone = target.timezone;
+  const updated = await appt.save();
+
+  await freeAppointmentSlot(previous);
+  return updated;
+};
+
+// Fan or star proposes a new time for the other party to accept; admins move the appointment directly
 export const rescheduleAppointment = async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -517,84 +658,245 @@ export const rescheduleAppointment = async (req, res) => {
       const errorMessage = getFirstValidationError(errors);
       return res.status(400).json({ success: false, message: errorMessage || 'Validation failed' });
     }
-    const { id } = req.params;
-    const { availabilityId, timeSlotId } = req.body;
-
-    const filter = { _id: id };
-    if (req.user.role !== 'admin') filter.fanId = req.user._id;
-    const appt = await Appointment.findOne(filter);
+    const appt = await Appointment.findOne(participantFilter(req));
     if (!appt) return res.status(404).json({ success: false, message: 'Appointment not found' });
-    if (appt.status === 'cancelled') return res.status(400).json({ success: false, message: 'Cannot reschedule a cancelled appointment' });
+    if (!['pending', 'approved'].includes(appt.status)) {
+      return res.status(400).json({ success: false, message: 'Only pending or approved appointments can be rescheduled' });
+    }
+    if (appt.rescheduleProposal?.status === 'pending') {
+      return res.status(409).json({ success: false, message: 'A reschedule proposal is already pending' });
+    }
+
+    // An agreement must be reached before the current time; the proposal expires then
+    const current = getSlotInstants(appt.date, appt.time, appt.timezone, appt);
+    if (current && current.startAt.getTime() <= Date.now()) {
+      return res.status(400).json({ success: false, message: 'Cannot reschedule an appointment that has already started' });
+    }
 
     // Verify new availability belongs to the same star and slot is available
-    const availability = await Availability.findOne({ _id: availabilityId, userId: appt.starId });
+    const { availability, slot: newSlot } = await resolveBookingSlot(appt.starId, req.body);
     if (!availability) return res.status(404).json({ success: false, message: 'Availability not found for this star' });
 
-    // Validate that the rescheduled date is not in the past
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    const rescheduleDate = new Date(availability.date);
-
-    if (rescheduleDate < today) {
+    // Validate that the rescheduled date is not in the past (in the star's timezone)
+    const timezone = availability.timezone || DEFAULT_TIMEZONE;
+    if (availability.date < todayInTimezone(timezone)) {
       return res.status(400).json({
         success: false,
         message: 'Cannot reschedule appointments to past dates'
       });
     }
+    // No bookings while the star is away
+    if (await findBlackoutCovering(appt.starId, availability.date)) {
+      return res.status(409).json({ success: false, message: 'Star is unavailable on this date' });
+    }
+
+    if (!newSlot) return res.status(404).json({ success: false, message: 'Time slot not found' });
+
+    const star = await User.findById(appt.starId).select('callBufferMinutes maxCallsPerDay');
+    if (!star) return res.status(404).json({ success: false, message: 'Star not found' });
+
+    // The booked call type keeps its length; the price already paid is unchanged
+    let service = null;
+    if (appt.serviceId) {
+      service = await findCallType(appt.starId, appt.serviceId);
+      if (!service) return res.status(404).json({ success: false, message: 'Call type not found' });
+      service = { _id: service._id, durationMinutes: appt.durationMinutes || service.durationMinutes };
+    }
 
-    // If rescheduling to today, validate that the time slot is not in the past
-    const isToday = rescheduleDate.getTime() === today.getTime();
-    if (isToday) {
-      const now = new Date();
-      const currentTime = now.getHours() * 60 + now.getMinutes();
+    // Validate that the new call has not started yet
+    const instants = resolveCallInterval(availability, newSlot, timezone, star, service, req.body.startTime);
+    if (!instants) {
+      return res.status(400).json({
+        success: false,
+        message: service ? 'startTime does not match a call slot of this availability' : 'Invalid time slot'
+      });
+    }
+    if (instants.startAt.getTime() <= Date.now()) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot reschedule appointments to past time slots. Time slot is in the past.`
+      });
+    }
+    if (newSlot.status === 'unavailable') return res.status(409).json({ success: false, message: 'Time slot unavailable' });
+    if (await findBlockingAppointmentOffer(appt.starId, instants.startAt, instants.endAt, appt.fanId)) {
+      return res.status(409).json({ success: false, message: 'Time slot is held for a waitlisted fan' });
+    }
 
-      const timeMatch = availability.timeSlots.find(s => String(s._id) === String(timeSlotId))?.slot?.match(/^(\d{1,2}):(\d{2})\s*(AM|PM)/i);
-      if (timeMatch) {
-        let hour = parseInt(timeMatch[1], 10);
-        const minute = parseInt(timeMatch[2], 10);
-        const ampm = timeMatch[3].toUpperCase();
+    // A proposal holds the new slot until it is answered or the current time arrives
+    const isAdmin = req.user.role === 'admin';
+    let reservation;
+    try {
+      reservation = await holdSlot({
+        star,
+        fanId: appt.fanId,
+        availabilityId: availability._id,
+        timeSlotId: newSlot._id,
+        date: availability.date,
+        startAt: instants.startAt,
+        endAt: instants.endAt,
+        holdsWholeSlot: holdsWholeSlot(appt),
+        excludeAppointmentId: appt._id,
+        expiresAt: isAdmin || !current ? null : current.startAt
+      });
+    } catch (holdError) {
+      return callConflictResponse(res, holdError);
+    }
 
-        if (ampm === 'PM' && hour !== 12) hour += 12;
-        if (ampm === 'AM' && hour === 12) hour = 0;
+    const target = {
+      availabilityId: availability._id,
+      timeSlotId: newSlot._id,
+      date: availability.date,
+      time: instants.time,
+      startAt: instants.startAt,
+      endAt: instants.endAt,
+      timezone,
+      reservationId: reservation._id
+    };
 
-        const slotTime = hour * 60 + minute;
-        if (slotTime <= currentTime) {
-          return res.status(400).json({
-            success: false,
-            message: `Cannot reschedule appointments to past time slots. Time slot is in the past.`
-          });
+    if (isAdmin) {
+      let updated;
+      try {
+        updated = await moveAppointment(appt, target);
+      } catch (moveError) {
+        await releaseSlotHold(reservation._id);
+        throw moveError;
+      }
+      try {
+        await NotificationHelper.sendAppointmentNotification('APPOINTMENT_RESCHEDULED', updated, { currentUserId: req.user._id });
+      } catch (notificationError) {
+        console.error('Error sending appointment reschedule notification:', notificationError);
+      }
+      return res.json({
+        success: true,
+        message: 'Appointment rescheduled successfully',
+        data: {
+          appointment: sanitize(updated, resolveViewerTimezone(req))
         }
+      });
+    }
+
+    appt.rescheduleProposal = {
+      ...target,
+      proposedBy: req.user._id,
+      proposedByRole: String(appt.starId) === String(req.user._id) ? 'star' : 'fan',
+      status: 'pending',
+      // Without stored instants the hold falls back to the payment window, and so does the proposal
+      expiresAt: current ? current.startAt : reservation.expiresAt
+    };
+    let updated;
+    try {
+      updated = await appt.save();
+    } catch (saveError) {
+      await releaseSlotHold(reservation._id);
+      throw saveError;
+    }
+
+    try {
+      await NotificationHelper.sendAppointmentNotification('APPOINTMENT_RESCHEDULE_PROPOSED', updated, { currentUserId: req.user._id });
+    } catch (notificationError) {
+      console.error('Error sending reschedule proposal notification:', notificationError);
+    }
+
+    return res.status(201).json({
+      success: true,
+      message: 'Reschedule proposal sent',
+      data: {
+        appointment: sanitize(updated, resolveViewerTimezone(req))
+      }
+    });
+  } catch (err) {
+    return res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+// The other party accepts the proposed time
+export const acceptReschedule = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const errorMessage = getFirstValidationError(errors);
+      return res.status(400).json({ success: false, message: errorMessage || 'Validation failed' });
+    }
+    const appt = await Appointment.findOne(participantFilter(req));
+    if (!appt) return res.status(404).json({ success: false, message: 'Appointment not found' });
+    const proposal = appt.rescheduleProposal;
+    if (!proposal || proposal.status !== 'pending') {
+      return res.status(404).json({ success: false, message: 'No pending reschedule proposal' });
+    }
+    if (req.user.role !== 'admin' && String(proposal.proposedBy) === String(req.user._id)) {
+      return res.status(403).json({ success: false, message: 'Only the other party can accept this proposal' });
+    }
+    if (!['pending', 'approved'].includes(appt.status)) {
+      return res.status(400).json({ success: false, message: 'Only pending or approved appointments can be rescheduled' });
+    }
+    if (proposal.expiresAt.getTime() <= Date.now()) {
+      return res.status(409).json({ success: false, message: 'Reschedule proposal expired' });
+    }
+
+    proposal.status = 'accepted';
+    proposal.respondedAt = new Date();
+    let updated;
+    try {
+      updated = await moveAppointment(appt, proposal);
+    } catch (moveError) {
+      if (moveError.message === 'Reschedule proposal expired') {
+        return res.status(409).json({ success: false, message: moveError.message });
       }
+      throw moveError;
     }
 
-    const newSlot = availability.timeSlots.find((s) => String(s._id) === String(timeSlotId));
-    if (!newSlot) return res.status(404).json({ success: false, message: 'Time slot not found' });
-    if (newSlot.status === 'unavailable') return res.status(409).json({ success: false, message: 'Time slot unavailable' });
+    try {
+      await NotificationHelper.sendAppointmentNotification('APPOINTMENT_RESCHEDULE_ACCEPTED', updated, { currentUserId: req.user._id });
+    } catch (notificationError) {
+      console.error('Error sending reschedule acceptance notification:', notificationError);
+    }
 
-    // If previously approved, free the old slot
-    if (appt.status === 'approved') {
-      const oldAvailability = await Availability.findOne({ _id: appt.availabilityId, userId: appt.starId });
-      if (oldAvailability) {
-        const oldSlot = oldAvailability.timeSlots.find((s) => String(s._id) === String(appt.timeSlotId));
-        if (oldSlot && oldSlot.status === 'unavailable') {
-          oldSlot.status = 'available';
-          await oldAvailability.save();
-        }
+    return res.json({
+      success: true,
+      message: 'Appointment rescheduled successfully',
+      data: {
+        appointment: sanitize(updated, resolveViewerTimezone(req))
       }
+    });
+  } catch (err) {
+    return res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+// The other party declines the proposed time, or the proposer withdraws it; the appointment keeps its time
+export const declineReschedule = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const errorMessage = getFirstValidationError(errors);
+      return res.status(400).json({ success: false, message: errorMessage || 'Validation failed' });
+    }
+    const appt = await Appointment.findOne(participantFilter(req));
+    if (!appt) return res.status(404).json({ success: false, message: 'Appointment not found' });
+    const proposal = appt.rescheduleProposal;
+    if (!proposal || proposal.status !== 'pending') {
+      return res.status(404).json({ success: false, message: 'No pending reschedule proposal' });
     }
 
-    // Update appointment to new slot and reset status to pending for re-approval
-    appt.availabilityId = availabilityId;
-    appt.timeSlotId = timeSlotId;
-    appt.date = availability.date;
-    appt.time = newSlot.slot;
-    appt.status = 'pending';
+    const withdrawn = String(proposal.proposedBy) === String(req.user._id);
+    await closeRescheduleProposal(appt, withdrawn ? 'withdrawn' : 'declined');
     const updated = await appt.save();
-    return res.json({ 
-      success: true, 
-      message: 'Appointment rescheduled successfully',
+
+    try {
+      await NotificationHelper.sendAppointmentNotification(
+        withdrawn ? 'APPOINTMENT_RESCHEDULE_WITHDRAWN' : 'APPOINTMENT_RESCHEDULE_DECLINED',
+        updated,
+        { currentUserId: req.user._id }
+      );
+    } catch (notificationError) {
+      console.error('Error sending reschedule decline notification:', notificationError);
+    }
+
+    return res.json({
+      success: true,
+      message: withdrawn ? 'Reschedule proposal withdrawn' : 'Reschedule proposal declined',
       data: {
-        appointment: sanitize(updated)
+        appointment: sanitize(updated, resolveViewerTimezone(req))
       }
     });
   } catch (err) {
@@ -630,7 +932,8 @@ export const completeAppointment = async (req, res) => {
     appt.status = 'completed';
     appt.paymentStatus = 'completed';
     appt.completedAt = new Date();
-    appt.callDuration = callDuration;
+    // The recorded duration cannot exceed the call length that was booked
+    appt.callDuration = appt.durationMinutes ? Math.min(Number(callDuration), appt.durationMinutes) : callDuration;
     const updated = await appt.save();
 
     // Cleanup messages between fan and star after completion
@@ -7,9 +7,12 @@ import Dedication from '../models/Dedication.js';
 import Service from '../models/Service.js';
 import DedicationSample from '../models/DedicationSample.js';
 import {createAccessToken, createRefreshToken, verifyRefreshToken} from '../utils/token.js';
-import {uploadFile} from '../utils/uploadFile.js';
-import {uploadVideo} from '../utils/uploadFile.js';
+import {uploadFileWithKey} from '../utils/uploadFile.js';
+import { discardUploadedFiles } from '../middlewares/upload.js';
+import { processSampleVideo, sanitizeVideoProcessing } from '../services/videoProcessingService.js';
+import { consumeVideoUpload } from '../services/videoUploadService.js';
 import {generateUniqueBaroniId} from '../utils/baroniIdGenerator.js';
+import { deleteReplacedFile } from '../services/storageService.js';
 import {initializeUserCoins} from '../services/transactionService.js';
 import DedicationRequest from '../models/DedicationRequest.js';
 import Availability from '../models/Availability.js';
@@ -363,11 +366,13 @@ export const login = async (req, res) => {
 
 
 export const completeProfile = async (req, res) => {
+  // Temporary video files handed over to sample processing; the others are deleted at the end
+  const processedFiles = new Set();
   try {
     const user = req.user;
     if (!user?._id) return res.status(401).json({ success: false, message: 'Unauthorized' });
 
-    const { name, pseudo, preferredLanguage, preferredCurrency, country, email, contact, about, location, profession, profilePic, availableForBookings, appNotification, hidden } = req.body;
+    const { name, pseudo, preferredLanguage, preferredCurrency, country, timezone, email, contact, about, location, profession, profilePic, availableForBookings, appNotification, hidden, callBufferMinutes, maxCallsPerDay, dedicationTurnaroundDays } = req.body;
     let { dedications, services, dedicationSamples } = req.body;
 
 
@@ -383,6 +388,7 @@ export const completeProfile = async (req, res) => {
     if (preferredLanguage) user.preferredLanguage = preferredLanguage;
     if (preferredCurrency) user.preferredCurrency = preferredCurrency;
     if (country) user.country = country;
+    if (timezone) user.timezone = timezone;
     if (about) user.about = about;
     if (location) user.location = location;
     if (profession) {
@@ -433,15 +439,30 @@ export const completeProfile = async (req, res) => {
       user.hidden = toBoolean(hidden);
     }
 
+    // Video call scheduling settings (null clears the daily cap)
+    if (typeof callBufferMinutes !== 'undefined') user.callBufferMinutes = Number(callBufferMinutes) || 0;
+    if (typeof maxCallsPerDay !== 'undefined') {
+      user.maxCallsPerDay = maxCallsPerDay === null || maxCallsPerDay === '' ? undefined : Number(maxCallsPerDay);
+    }
+    // Dedication turnaround (null falls back to the platform default)
+    if (typeof dedicationTurnaroundDays !== 'undefined') {
+      user.dedicationTurnaroundDays = dedicationTurnaroundDays === null || dedicationTurnaroundDays === '' ? undefined : Number(dedicationTurnaroundDays);
+    }
+
     // Handle profile picture update
+    const { profilePicKey } = await User.findById(user._id).select('+profilePicKey').lean();
+    const previousProfilePic = { url: user.profilePic, key: profilePicKey };
     if (req.files && req.files.length > 0) {
       const profilePicFile = req.files.find(file => file.fieldname === 'profilePic');
       if (profilePicFile && profilePicFile.buffer) {
-        user.profilePic = await uploadFile(profilePicFile.buffer);
+        const uploaded = await uploadFileWithKey(profilePicFile.buffer, { contentType: profilePicFile.mimetype });
+        user.profilePic = uploaded.url;
+        user.profilePicKey = uploaded.key;
       }
-    } else if (profilePic && typeof profilePic === 'string') {
-      // If profilePic is provided as a URL string, use it directly
+    } else if (profilePic && typeof profilePic === 'string' && profilePic !== user.profilePic) {
+      // If profilePic is provided as a URL string, use it directly; it is not ours to delete later
       user.profilePic = profilePic;
+      user.profilePicKey = undefined;
     }
 
     // Normalize dedications/services if provided as JSON strings
@@ -473,46 +494,92 @@ export const completeProfile = async (req, res) => {
         if (Array.isArray(dedications)) {
           const payload = dedications
             .filter((d) => d && typeof d.type === 'string' && d.type.trim())
-            .map((d) => ({ type: d.type.trim(), price: Number(d.price) || 0, userId: user._id }));
+            .map((d) => ({
+              id: d.id || d._id,
+              type: d.type.trim(),
+              price: Number(d.price) || 0,
+              rushPrice: d.rushPrice == null ? null : Number(d.rushPrice) || 0,
+              extraLengthPrice: d.extraLengthPrice == null ? null : Number(d.extraLengthPrice) || 0
+            }));
           if (payload.length) {
-            await Dedication.deleteMany({ userId: user._id });
-            await Dedication.insertMany(payload);
+            // Update items in place (matched by id, else by type) so their price history
+            // and the requests pointing at them survive; only items left out are deleted
+            const existing = await Dedication.find({ userId: user._id });
+            const keptIds = new Set();
+            for (const { id, ...fields } of payload) {
+              const match = existing.find((d) => !keptIds.has(String(d._id))
+                && (id ? String(d._id) === String(id) : d.type === fields.type));
+              const item = match || new Dedication({ userId: user._id });
+              item.set(fields);
+              await item.save();
+              keptIds.add(String(item._id));
+            }
+            const removedIds = existing.filter((d) => !keptIds.has(String(d._id))).map((d) => d._id);
+            if (removedIds.length) {
+              await Dedication.deleteMany({ _id: { $in: removedIds } });
+            }
           }
         }
         if (Array.isArray(services)) {
           const payload = services
             .filter((s) => s && typeof s.type === 'string' && s.type.trim())
-            .map((s) => ({ type: s.type.trim(), price: Number(s.price) || 0, userId: user._id }));
+            .map((s) => ({
+              type: s.type.trim(),
+              price: Number(s.price) || 0,
+              durationMinutes: Number(s.durationMinutes) || undefined,
+              userId: user._id
+            }));
           if (payload.length) {
             await Service.deleteMany({ userId: user._id });
             await Service.insertMany(payload);
           }
         }
         if (Array.isArray(dedicationSamples)) {
-          const uploaded = [];
-          // Map provided files by index via fields dedicationSampleVideo[0], dedicationSampleVideo[1], ...
+          const previousSamples = await DedicationSample.find({ userId: user._id }).select('video +videoKey').lean();
+          const previousVideoKeys = new Map(previousSamples.filter((x) => x.videoKey).map((x) => [x.video, x.videoKey]));
+          const samples = [];
+          // A sample's video is a URL, the uploadId of a finished resumable upload, or the file
+          // sent as dedicationSampleVideo[index]; uploaded videos go through sample processing
           const sampleFiles = Array.isArray(req.files) ? req.files : [];
           for (let i = 0; i < dedicationSamples.length; i += 1) {
             const x = dedicationSamples[i];
             if (!x || typeof x.type !== 'string' || !x.type.trim()) continue;
-            let videoUrl = typeof x.video === 'string' && x.video.trim() ? x.video.trim() : '';
-            if (!videoUrl) {
-              const fieldName = `dedicationSampleVideo[${i}]`;
-              const fileAtSameIndex = sampleFiles.find((f) => f.fieldname === fieldName);
-              if (fileAtSameIndex && fileAtSameIndex.buffer) videoUrl = await uploadVideo(fileAtSameIndex.buffer);
+            const videoUrl = typeof x.video === 'string' && x.video.trim() ? x.video.trim() : '';
+            let source = null;
+            if (!videoUrl && x.uploadId) {
+              source = { asset: await consumeVideoUpload({ uploadId: x.uploadId, userId: user._id, purpose: 'dedication_sample' }) };
+            } else if (!videoUrl) {
+              const fileAtSameIndex = sampleFiles.find((f) => f.fieldname === `dedicationSampleVideo[${i}]`);
+              if (fileAtSameIndex?.path) source = { filePath: fileAtSameIndex.path };
             }
-            if (videoUrl) {
-              uploaded.push({
+            if (!videoUrl && !source) continue;
+            samples.push({
+              source,
+              fields: {
                 type: x.type.trim(),
-                video: videoUrl,
+                // A sample keeps the key of its own video, never of a linked one
+                ...(videoUrl
+                  ? { video: videoUrl, videoKey: previousVideoKeys.get(videoUrl) }
+                  : { videoProcessing: { status: 'processing', startedAt: new Date() } }),
                 description: x.description ? x.description.trim() : undefined,
                 userId: user._id
-              });
-            }
+              }
+            });
           }
-          if (uploaded.length) {
+          if (samples.length) {
             await DedicationSample.deleteMany({ userId: user._id });
-            await DedicationSample.insertMany(uploaded);
+            const created = await DedicationSample.insertMany(samples.map((x) => x.fields));
+            // Drop the replaced videos the new samples do not reuse
+            const keptVideos = new Set(samples.map((x) => x.fields.video).filter(Boolean));
+            for (const sample of previousSamples) {
+              if (!keptVideos.has(sample.video)) await deleteReplacedFile({ url: sample.video, key: sample.videoKey });
+            }
+            created.forEach((sample, i) => {
+              const { source } = samples[i];
+              if (!source) return;
+              if (source.filePath) processedFiles.add(source.filePath);
+              processSampleVideo(sample, source).catch((error) => console.error('Error processing dedication sample video:', error));
+            });
           }
         }
       } catch (e) {
@@ -521,6 +588,7 @@ export const completeProfile = async (req, res) => {
     }
 
     const updated = await user.save();
+    await deleteReplacedFile(previousProfilePic, updated.profilePic);
     const updatedUser = await User.findById(updated._id).populate('profession');
 
     let extra = {};
@@ -533,7 +601,7 @@ export const completeProfile = async (req, res) => {
       extra = {
         dedications: dedicationsRes.map((d) => ({ id: d._id, type: d.type, price: d.price, userId: d.userId, createdAt: d.createdAt, updatedAt: d.updatedAt })),
         services: servicesRes.map((s) => ({ id: s._id, type: s.type, price: s.price, userId: s.userId, createdAt: s.createdAt, updatedAt: s.updatedAt })),
-        dedicationSamples: samplesRes.map((x) => ({ id: x._id, type: x.type, video: x.video, description: x.description, userId: x.userId, createdAt: x.createdAt, updatedAt: x.updatedAt })),
+        dedicationSamples: samplesRes.map((x) => ({ id: x._id, type: x.type, video: x.video, videoProcessing: sanitizeVideoProcessing(x.videoProcessing), description: x.description, userId: x.userId, createdAt: x.createdAt, updatedAt: x.updatedAt })),
       };
     }
     return res.json({
@@ -546,6 +614,8 @@ export const completeProfile = async (req, res) => {
     });
   } catch (err) {
     return res.status(500).json({ success: false, message: err.message });
+  } finally {
+    await discardUploadedFiles(req, processedFiles);
   }
 };
 
@@ -867,7 +937,7 @@ export const permanentlyDeleteUser = async (req, res) => {
     }
 
     // Get user to check if they are soft deleted
-    const user = await User.findById(userId);
+    const user = await User.findById(userId).select('+profilePicKey');
     if (!user) {
       return res.status(404).json({ success: false, message: 'User not found' });
     }
@@ -894,8 +964,12 @@ export const permanentlyDeleteUser = async (req, res) => {
         // Delete services
         await Service.deleteMany({ userId });
 
-        // Delete dedication samples
+        // Delete dedication samples and their videos
+        const samples = await DedicationSample.find({ userId }).select('video +videoKey').lean();
         await DedicationSample.deleteMany({ userId });
+        for (const sample of samples) {
+          await deleteReplacedFile({ url: sample.video, key: sample.videoKey });
+        }
 
         // Delete availabilities
         await Availability.deleteMany({ userId });
@@ -929,6 +1003,7 @@ export const permanentlyDeleteUser = async (req, res) => {
 
     // Permanently delete the user
     await User.findByIdAndDelete(userId);
+    await deleteReplacedFile({ url: user.profilePic, key: user.profilePicKey });
 
     return res.json({
       success: true,
@@ -2,8 +2,21 @@ import { validationResult } from 'express-validator';
 import { getFirstValidationError } from '../utils/validationHelper.js';
 import Availability from '../models/Availability.js';
 import Appointment from '../models/Appointment.js'; // Added import for Appointment
-import { cleanupWeeklyAvailabilities, deleteTimeSlotFromWeeklyAvailabilities, deleteTimeSlotByIdFromWeeklyAvailabilities } from '../services/weeklyAvailabilityService.js';
-import { deleteTimeSlotFromDailyAvailabilities, deleteTimeSlotByIdFromDailyAvailabilities } from '../services/dailyAvailabilityService.js';
+import AvailabilityRule from '../models/AvailabilityRule.js';
+import BlackoutPeriod from '../models/BlackoutPeriod.js';
+import {
+    RULE_HORIZON_DAYS,
+    addDays,
+    getMergedAvailabilities,
+    getUpcomingAvailabilities,
+    materializeRuleSlot,
+    upsertRecurringRule,
+    deleteRecurringRules,
+    removeSlotFromRules,
+    findRulesProducing
+} from '../services/availabilityRuleService.js';
+import { getBlackoutPeriods, notifyPendingRequests } from '../services/blackoutService.js';
+import { resolveSlotInstants, resolveViewerTimezone, timezoneOf, todayInTimezone, toLocalSlot } from '../utils/timezone.js';
 
 // Enhanced availability mode switching handler
 const handleAvailabilityModeSwitching = async (userId, isWeekly, isDaily) => {
@@ -17,10 +30,6 @@ const handleAvailabilityModeSwitching = async (userId, isWeekly, isDaily) => {
         date: { $gte: todayStr }
     });
 
-    if (futureAvailabilities.length === 0) {
-        return; // No existing availabilities, no cleanup needed
-    }
-
     // Check for active appointments in all future availabilities
     const availabilityIds = futureAvailabilities.map(a => a._id);
     const activeAppointments = await Appointment.find({
@@ -42,66 +51,41 @@ const handleAvailabilityModeSwitching = async (userId, isWeekly, isDaily) => {
 
     // No active appointments, proceed with cleanup based on new mode
     if (isWeekly) {
-        // Switching to weekly mode - cleanup daily and specific date availabilities
-        await cleanupNonWeeklyAvailabilities(userId);
+        // Switching to weekly mode - cleanup daily rules and specific date availabilities
+        await deleteRecurringRules(userId, ['daily']);
+        await cleanupSpecificDateAvailabilities(userId);
     } else if (isDaily) {
-        // Switching to daily mode - cleanup weekly and specific date availabilities
-        await cleanupWeeklyAvailabilities(userId);
+        // Switching to daily mode - cleanup weekly rules and specific date availabilities
+        await deleteRecurringRules(userId, ['weekly']);
         await cleanupSpecificDateAvailabilities(userId);
     } else {
-        // Switching to specific date mode - cleanup weekly and daily availabilities
-        await cleanupWeeklyAvailabilities(userId);
-        await cleanupDailyAvailabilities(userId);
-    }
-};
-
-// Cleanup non-weekly availabilities (daily and specific date)
-const cleanupNonWeeklyAvailabilities = async (userId) => {
-    try {
-        const today = new Date();
-        today.setHours(0, 0, 0, 0);
-        const todayStr = formatLocalYMD(today);
-
-        const nonWeeklyAvailabilities = await Availability.find({
-            userId: userId,
-            date: { $gte: todayStr },
-            $or: [
-                { isWeekly: false },
-                { isWeekly: { $exists: false } }
-            ]
-        });
-
-        let removedCount = 0;
-        for (const availability of nonWeeklyAvailabilities) {
-            await availability.deleteOne();
-            removedCount++;
-        }
-
-        console.log(`[AvailabilitySwitch] Cleaned up ${removedCount} non-weekly availabilities for user ${userId}`);
-        return { removed: removedCount };
-    } catch (error) {
-        console.error('[AvailabilitySwitch] Error cleaning up non-weekly availabilities:', error);
-        throw error;
+        // Switching to specific date mode - cleanup weekly and daily rules
+        await deleteRecurringRules(userId, ['weekly', 'daily']);
     }
 };
 
-// Cleanup specific date availabilities (neither weekly nor daily)
+// Cleanup specific date availabilities: slots not produced by a recurring rule
 const cleanupSpecificDateAvailabilities = async (userId) => {
     try {
         const today = new Date();
         today.setHours(0, 0, 0, 0);
         const todayStr = formatLocalYMD(today);
 
-        const specificDateAvailabilities = await Availability.find({
+        const upcomingAvailabilities = await Availability.find({
             userId: userId,
-            date: { $gte: todayStr },
-            isWeekly: false,
-            isDaily: false
+            date: { $gte: todayStr }
         });
 
         let removedCount = 0;
-        for (const availability of specificDateAvailabilities) {
-            await availability.deleteOne();
+        for (const availability of upcomingAvailabilities) {
+            const ruleSlots = availability.timeSlots.filter((t) => t.ruleId);
+            if (ruleSlots.length === availability.timeSlots.length) continue;
+            if (ruleSlots.length === 0) {
+                await availability.deleteOne();
+            } else {
+                availability.timeSlots = ruleSlots;
+                await availability.save();
+            }
             removedCount++;
         }
 
@@ -113,41 +97,25 @@ const cleanupSpecificDateAvailabilities = async (userId) => {
     }
 };
 
-// Cleanup daily availabilities
-const cleanupDailyAvailabilities = async (userId) => {
-    try {
-        const today = new Date();
-        today.setHours(0, 0, 0, 0);
-        const todayStr = formatLocalYMD(today);
-
-        const dailyAvailabilities = await Availability.find({
-            userId: userId,
-            date: { $gte: todayStr },
-            isDaily: true
-        });
-
-        let removedCount = 0;
-        for (const availability of dailyAvailabilities) {
-            await availability.deleteOne();
-            removedCount++;
-        }
-
-        console.log(`[AvailabilitySwitch] Cleaned up ${removedCount} daily availabilities for user ${userId}`);
-        return { removed: removedCount };
-    } catch (error) {
-        console.error('[AvailabilitySwitch] Error cleaning up daily availabilities:', error);
-        throw error;
-    }
-};
-
-const sanitize = (doc) => ({
+// viewerTimezone (optional) adds each slot expressed in the viewer's wall-clock time.
+// Also used for merged availabilities, where slots computed from a rule have a null id.
+const sanitize = (doc, viewerTimezone) => ({
     id: doc._id,
     userId: doc.userId,
     date: doc.date,
+    timezone: doc.timezone,
     isDaily: !!doc.isDaily,
     isWeekly: !!doc.isWeekly,
     timeSlots: Array.isArray(doc.timeSlots)
-        ? doc.timeSlots.map((t) => ({ id: t._id, slot: t.slot, status: t.status }))
+        ? doc.timeSlots.map((t) => ({
+            id: t._id,
+            slot: t.slot,
+            status: t.status,
+            ...(t.ruleId ? { ruleId: t.ruleId } : {}),
+            startAt: t.startAt,
+            endAt: t.endAt,
+            ...(viewerTimezone && t.startAt && t.endAt ? { local: toLocalSlot(t.startAt, t.endAt, viewerTimezone) } : {}),
+        }))
         : [],
     createdAt: doc.createdAt,
     updatedAt: doc.updatedAt,
@@ -215,6 +183,23 @@ const formatLocalYMD = (d) => {
     return `${y}-${m}-${day}`;
 };
 
+// Return the first slot of a date that has already started in the given timezone
+const findPastTimeSlot = (date, timeSlots, timezone) => {
+    const now = Date.now();
+    for (const timeSlot of timeSlots || []) {
+        const slotString = typeof timeSlot === 'string' ? timeSlot : timeSlot?.slot;
+        let normalized;
+        try {
+            normalized = normalizeTimeSlotString(String(slotString || ''));
+        } catch (_e) {
+            continue; // Reported by normalization
+        }
+        const instants = resolveSlotInstants(date, normalized, timezone);
+        if (instants && instants.startAt.getTime() <= now) return slotString;
+    }
+    return null;
+};
+
 export const createAvailability = async (req, res) => {
     try {
         const errors = validationResult(req);
@@ -236,6 +221,9 @@ export const createAvailability = async (req, res) => {
         // Enhanced availability mode switching logic
         await handleAvailabilityModeSwitching(req.user._id, isWeekly, isDaily);
 
+        // Dates and slots are wall-clock values in the star's timezone
+        const timezone = timezoneOf(req.user);
+
         // Helper function to normalize time slots
         const normalizeTimeSlots = (timeSlots) => {
             return Array.isArray(timeSlots)
@@ -254,31 +242,13 @@ export const createAvailability = async (req, res) => {
         };
 
         // Helper function to validate time slots for today
-        const validateTimeSlotsForToday = (timeSlots) => {
-            const now = new Date();
-            const currentTime = now.getHours() * 60 + now.getMinutes(); // Current time in minutes
-
-            for (const timeSlot of timeSlots) {
-                const slotString = typeof timeSlot === 'string' ? timeSlot : timeSlot.slot;
-                const parts = slotString.split(' - ');
-                if (parts.length === 2) {
-                    const startTime = parts[0].trim();
-                    const timeMatch = startTime.match(/^(\d{1,2}):(\d{2})$/);
-                    if (timeMatch) {
-                        const hour = parseInt(timeMatch[1], 10);
-                        const minute = parseInt(timeMatch[2], 10);
-
-                        if (hour >= 0 && hour <= 23 && minute >= 0 && minute <= 59) {
-                            const slotTime = hour * 60 + minute;
-                            if (slotTime <= currentTime) {
-                                return {
-                                    isValid: false,
-                                    message: `Cannot create availability for past time slots. Time slot "${slotString}" is in the past.`
-                                };
-                            }
-                        }
-                    }
-                }
+        const validateTimeSlotsForToday = (date, timeSlots) => {
+            const pastSlot = findPastTimeSlot(date, timeSlots, timezone);
+            if (pastSlot) {
+                return {
+                    isValid: false,
+                    message: `Cannot create availability for past time slots. Time slot "${pastSlot}" is in the past.`
+                };
             }
             return { isValid: true };
         };
@@ -291,6 +261,7 @@ export const createAvailability = async (req, res) => {
             });
 
             if (existingAvailability) {
+                if (!existingAvailability.timezone) existingAvailability.timezone = timezone;
                 const existingSlots = existingAvailability.timeSlots || [];
                 const newSlots = normalizedTimeSlots;
                 const existingSlotsMap = new Map();
@@ -308,14 +279,6 @@ export const createAvailability = async (req, res) => {
                     }
                 });
                 existingAvailability.timeSlots = existingSlots;
-                if (isWeekly) {
-                    existingAvailability.isWeekly = true;
-                    existingAvailability.isDaily = false;
-                }
-                if (isDaily) {
-                    existingAvailability.isDaily = true;
-                    existingAvailability.isWeekly = false;
-                }
                 const saved = await existingAvailability.save();
                 return { action: 'updated', doc: saved };
             }
@@ -323,28 +286,48 @@ export const createAvailability = async (req, res) => {
             const created = await Availability.create({
                 userId: req.user._id,
                 date: String(isoDateStr).trim(),
-                isWeekly: isWeekly && !isDaily,
-                isDaily: isDaily,
+                timezone,
                 timeSlots: normalizedTimeSlots,
             });
             return { action: 'created', doc: created };
         };
 
+        // Helper function to create or extend the weekly/daily recurring rule starting at a date.
+        // Open slots are computed on read; returns the rule's occurrences over the horizon.
+        const upsertRule = async (isoDateStr, normalizedTimeSlots) => {
+            const start = String(isoDateStr).trim();
+            const openSlots = normalizedTimeSlots.filter((t) => t.status === 'available').map((t) => t.slot);
+            if (openSlots.length === 0) {
+                throw new Error('At least one available time slot is required for recurring availability');
+            }
+
+            const rule = await upsertRecurringRule(req.user, {
+                kind: isDaily ? 'daily' : 'weekly',
+                date: start,
+                timeSlots: openSlots,
+                timezone,
+            });
+            const occurrences = await getMergedAvailabilities(req.user._id, { from: start, to: addDays(start, RULE_HORIZON_DAYS - 1) });
+            return occurrences
+                .filter((item) => item.timeSlots.some((t) => String(t.ruleId) === String(rule._id)))
+                .map((item) => sanitize(item));
+        };
+
         // Helper function to process a single date
         const processSingleDate = async (date, timeSlots) => {
-            // Validate that the date is not in the past
-            const today = new Date();
-            today.setHours(0, 0, 0, 0); // Set to start of today
+            // Validate that the date is not in the past (in the star's timezone)
             const inputDate = parseLocalYMD(date);
+            const todayStr = todayInTimezone(timezone);
+            const dateStr = String(date).trim();
 
-            if (inputDate < today) {
+            if (dateStr < todayStr) {
                 throw new Error(`Cannot create availability for past date: ${date}`);
             }
 
             // If the date is today, validate that time slots are not in the past
-            const isToday = inputDate.getTime() === today.getTime();
+            const isToday = dateStr === todayStr;
             if (isToday) {
-                const validation = validateTimeSlotsForToday(timeSlots);
+                const validation = validateTimeSlotsForToday(dateStr, timeSlots);
                 if (!validation.isValid) {
                     throw new Error(validation.message);
                 }
@@ -379,47 +362,12 @@ export const createAvailability = async (req, res) => {
                             action,
                             data: sanitize(doc)
                         });
-                    } else if (isWeekly) {
-                        // Weekly processing for this date
-                        const dates = [];
-                        const start = parseLocalYMD(dateObj.date);
-                        for (let i = 0; i < 6; i++) {
-                            const d = new Date(start);
-                            d.setDate(start.getDate() + i * 7);
-                            const iso = formatLocalYMD(d);
-                            dates.push(iso);
-                        }
-
-                        const weeklyResults = [];
-                        for (const d of dates) {
-                            const r = await upsertOne(d, normalized);
-                            weeklyResults.push(sanitize(r.doc));
-                        }
-                        results.push({
-                            date: dateObj.date,
-                            action: 'weekly',
-                            data: weeklyResults
-                        });
-                    } else if (isDaily) {
-                        // Daily processing for this date: create this date + next 6 consecutive days (7 total)
-                        const dates = [];
-                        const start = parseLocalYMD(dateObj.date);
-                        for (let i = 0; i < 7; i++) {
-                            const d = new Date(start);
-                            d.setDate(start.getDate() + i);
-                            const iso = formatLocalYMD(d);
-                            dates.push(iso);
-                        }
-
-                        const dailyResults = [];
-                        for (const d of dates) {
-                            const r = await upsertOne(d, normalized);
-                            dailyResults.push(sanitize(r.doc));
-                        }
+                    } else {
+                        // Weekly or daily processing for this date
                         results.push({
                             date: dateObj.date,
-                            action: 'daily',
-                            data: dailyResults
+                            action: isWeekly ? 'weekly' : 'daily',
+                            data: await upsertRule(dateObj.date, normalized)
                         });
                     }
                 } catch (error) {
@@ -462,44 +410,13 @@ export const createAvailability = async (req, res) => {
                 return res.status(statusCode).json({ success: true, data: sanitize(doc), message });
             }
 
-            if (isWeekly) {
-                // isWeekly: create for the given date and next 5 same weekdays (6 total)
-                const dates = [];
-                const start = parseLocalYMD(date);
-                for (let i = 0; i < 6; i++) {
-                    const d = new Date(start);
-                    d.setDate(start.getDate() + i * 7);
-                    const iso = formatLocalYMD(d);
-                    dates.push(iso);
-                }
-
-                const results = [];
-                for (const d of dates) {
-                    // All generated dates are >= start, which we've already validated is not in the past
-                    const r = await upsertOne(d, normalized);
-                    results.push(sanitize(r.doc));
-                }
-                return res.status(201).json({ success: true, data: results, message: 'Weekly availabilities created/updated successfully' });
-            }
-
-            if (isDaily) {
-                // isDaily: create for the given date and next 6 days (7 total)
-                const dates = [];
-                const start = parseLocalYMD(date);
-                for (let i = 0; i < 7; i++) {
-                    const d = new Date(start);
-                    d.setDate(start.getDate() + i);
-                    const iso = formatLocalYMD(d);
-                    dates.push(iso);
-                }
-
-                const results = [];
-                for (const d of dates) {
-                    const r = await upsertOne(d, normalized);
-                    results.push(sanitize(r.doc));
-                }
-                return res.status(201).json({ success: true, data: results, message: 'Daily availabilities created/updated successfully' });
-            }
+            // isWeekly repeats on the weekday of the given date, isDaily on every day, both from the given date
+            const results = await upsertRule(date, normalized);
+            return res.status(201).json({
+                success: true,
+                data: results,
+                message: isWeekly ? 'Weekly availabilities created/updated successfully' : 'Daily availabilities created/updated successfully'
+            });
         }
     } catch (err) {
         return res.status(500).json({ success: false, message: err.message });
@@ -508,21 +425,16 @@ export const createAvailability = async (req, res) => {
 
 export const listMyAvailabilities = async (req, res) => {
     try {
-        // Filter out past availabilities
-        const today = new Date();
-        today.setHours(0, 0, 0, 0); // Set to start of today
-        const todayStr = formatLocalYMD(today); // Availability.date is stored as YYYY-MM-DD string
-
-        const items = await Availability.find({
-            userId: req.user._id,
-            date: { $gte: todayStr } // Compare strings in YYYY-MM-DD format
-        }).sort({ date: 1, createdAt: -1 });
+        // Persisted availabilities from today merged with the open slots of recurring rules
+        const viewerTimezone = resolveViewerTimezone(req);
+        const items = await getUpcomingAvailabilities(req.user._id, timezoneOf(req.user));
 
         return res.status(200).json({
             success: true,
             message: 'Availabilities retrieved successfully',
             data: {
-                availabilities: items.map(sanitize)
+                timezone: viewerTimezone,
+                availabilities: items.map((item) => sanitize(item, viewerTimezone))
             }
         });
     } catch (error) {
@@ -543,7 +455,7 @@ export const getAvailability = async (req, res) => {
             success: true,
             message: 'Availability retrieved successfully',
             data: {
-                availability: sanitize(item)
+                availability: sanitize(item, resolveViewerTimezone(req))
             }
         });
     } catch (err) {
@@ -561,6 +473,7 @@ export const updateAvailability = async (req, res) => {
         const { date, timeSlots, status, isWeekly, isDaily } = req.body;
         const item = await Availability.findOne({ _id: req.params.id, userId: req.user._id });
         if (!item) return res.status(404).json({ success: false, message: 'Not found' });
+        if (!item.timezone) item.timezone = timezoneOf(req.user);
 
         // Handle mode switching in update
         if (req.body.hasOwnProperty('isWeekly') || req.body.hasOwnProperty('isDaily')) {
@@ -593,13 +506,13 @@ export const updateAvailability = async (req, res) => {
             }
         }
 
+        // Dates and slots are checked in the availability's own timezone
+        const timezone = item.timezone || timezoneOf(req.user);
+        const todayStr = todayInTimezone(timezone);
+
         // Validate date if provided
         if (date) {
-            const today = new Date();
-            today.setHours(0, 0, 0, 0);
-            const inputDate = new Date(date);
-
-            if (inputDate < today) {
+            if (String(date).trim() < todayStr) {
                 return res.status(400).json({
                     success: false,
                     message: 'Cannot update availability to past dates'
@@ -610,38 +523,16 @@ export const updateAvailability = async (req, res) => {
         if (Array.isArray(timeSlots)) {
             try {
                 // If updating time slots for today, validate they're not in the past
-                const today = new Date();
-                today.setHours(0, 0, 0, 0);
-                const itemDate = new Date(item.date);
-                const isToday = itemDate.getTime() === today.getTime();
+                const isToday = item.date === todayStr;
 
                 if (isToday) {
-                    const now = new Date();
-                    const currentTime = now.getHours() * 60 + now.getMinutes();
-
-                    for (const timeSlot of timeSlots) {
-                        const slotString = typeof timeSlot === 'string' ? timeSlot : timeSlot.slot;
-                        const parts = slotString.split(' - ');
-                        if (parts.length === 2) {
-                            const startTime = parts[0].trim();
-
-                            // Only check the start time, not the end time
-                            const timeMatch = startTime.match(/^(\d{1,2}):(\d{2})$/);
-                            if (timeMatch) {
-                                const hour = parseInt(timeMatch[1], 10);
-                                const minute = parseInt(timeMatch[2], 10);
-
-                                if (hour >= 0 && hour <= 23 && minute >= 0 && minute <= 59) {
-                                    const slotTime = hour * 60 + minute;
-                                    if (slotTime <= currentTime) {
-                                        return res.status(400).json({
-                                            success: false,
-                                            message: `Cannot update availability with past time slots. Time slot "${slotString}" is in the past.`
-                                        });
-                                    }
-                                }
-                            }
-                        }
+                    // Only check the start time, not the end time
+                    const pastSlot = findPastTimeSlot(item.date, timeSlots, timezone);
+                    if (pastSlot) {
+                        return res.status(400).json({
+                            success: false,
+                            message: `Cannot update availability with past time slots. Time slot "${pastSlot}" is in the past.`
+                        });
                     }
                 }
 
@@ -694,6 +585,24 @@ export const deleteAvailability = async (req, res) => {
     }
 };
 
+// Find an active appointment booked on a persisted slot
+const findActiveAppointment = (starId, availabilityId, timeSlotId) => Appointment.findOne({
+    starId,
+    availabilityId,
+    timeSlotId,
+    status: { $in: ['pending', 'approved'] }
+});
+
+const activeAppointmentResponse = (res, appointment) => res.status(400).json({
+    success: false,
+    message: 'Cannot delete this time slot. It has an active appointment. Please complete or reject the appointment first.',
+    data: {
+        appointmentId: appointment._id,
+        appointmentStatus: appointment.status,
+        fanId: appointment.fanId
+    }
+});
+
 export const deleteTimeSlotByDate = async (req, res) => {
     try {
         const errors = validationResult(req);
@@ -710,76 +619,51 @@ export const deleteTimeSlotByDate = async (req, res) => {
             return res.status(400).json({ success: false, message: 'Invalid slot format' });
         }
 
-        const availability = await Availability.findOne({ userId: req.user._id, date });
-        if (!availability) return res.status(404).json({ success: false, message: 'Availability for this date not found' });
+        const [availability, rules] = await Promise.all([
+            Availability.findOne({ userId: req.user._id, date }),
+            findRulesProducing(req.user._id, date, slotToDelete)
+        ]);
+        if (!availability && rules.length === 0) {
+            return res.status(404).json({ success: false, message: 'Availability for this date not found' });
+        }
 
         // Find the specific time slot to check its status
-        const timeSlot = availability.timeSlots.find((t) => t.slot === slotToDelete);
-        if (!timeSlot) {
+        const timeSlot = availability ? availability.timeSlots.find((t) => t.slot === slotToDelete) : null;
+        if (!timeSlot && rules.length === 0) {
             return res.status(404).json({ success: false, message: 'Time slot not found' });
         }
 
-        // Check if the time slot is booked (unavailable status)
-        if (timeSlot.status === 'unavailable') {
-            // Check if there are any pending or approved appointments for this slot
-            const appointment = await Appointment.findOne({
-                starId: req.user._id,
-                availabilityId: availability._id,
-                timeSlotId: timeSlot._id,
-                status: { $in: ['pending', 'approved'] }
-            });
-
-            if (appointment) {
-                return res.status(400).json({
-                    success: false,
-                    message: 'Cannot delete this time slot. It has an active appointment. Please complete or reject the appointment first.',
-                    data: {
-                        appointmentId: appointment._id,
-                        appointmentStatus: appointment.status,
-                        fanId: appointment.fanId
-                    }
-                });
-            }
+        // Check for active appointments on the slot (calls of a call type leave their window available)
+        if (timeSlot) {
+            const appointment = await findActiveAppointment(req.user._id, availability._id, timeSlot._id);
+            if (appointment) return activeAppointmentResponse(res, appointment);
         }
 
-        // If this is a weekly availability, delete the time slot from all weekly availabilities
-        if (availability.isWeekly) {
-            try {
-                const weeklyResult = await deleteTimeSlotFromWeeklyAvailabilities(req.user._id, slotToDelete);
-                return res.json({
-                    success: true,
-                    message: `Time slot deleted from ${weeklyResult.processed} weekly availabilities (${weeklyResult.updated} updated, ${weeklyResult.removed} removed)`,
-                    data: { weeklyResult }
-                });
-            } catch (error) {
-                console.error('Error deleting from weekly availabilities:', error);
-                return res.status(500).json({ success: false, message: 'Error deleting from weekly availabilities' });
+        // A slot produced by a recurring rule (or an explicit daily cascade) is removed from the rule itself,
+        // which removes it from every date the rule covers
+        const cascadeDaily = Boolean(req.body.isDaily);
+        if (rules.length > 0 || cascadeDaily) {
+            const ruleFilter = cascadeDaily ? { kind: 'daily' } : { _id: { $in: rules.map((r) => r._id) } };
+            const ruleResult = await removeSlotFromRules(req.user._id, slotToDelete, ruleFilter);
+
+            if (timeSlot) {
+                availability.timeSlots = availability.timeSlots.filter((t) => t.slot !== slotToDelete);
+                if (availability.timeSlots.length === 0) {
+                    await availability.deleteOne();
+                } else {
+                    await availability.save();
+                }
             }
-        }
 
-        // If this is a daily availability OR client requests cascading daily deletion, delete across all daily availabilities
-        const cascadeDaily = availability.isDaily || Boolean(req.body.isDaily);
-        if (cascadeDaily) {
-            try {
-                const dailyResult = await deleteTimeSlotFromDailyAvailabilities(req.user._id, slotToDelete);
-                return res.json({
-                    success: true,
-                    message: `Time slot deleted from ${dailyResult.processed} daily availabilities (${dailyResult.updated} updated, ${dailyResult.removed} removed)`,
-                    data: { dailyResult }
-                });
-            } catch (error) {
-                console.error('Error deleting from daily availabilities:', error);
-                return res.status(500).json({ success: false, message: 'Error deleting from daily availabilities' });
-            }
+            return res.json({
+                success: true,
+                message: `Time slot deleted from ${ruleResult.processed} recurring availabilities (${ruleResult.updated} updated, ${ruleResult.removed} removed)`,
+                data: { ruleResult }
+            });
         }
 
-        // Handle non-weekly availability
-        const beforeCount = availability.timeSlots.length;
-        const remaining = (availability.timeSlots || []).filter((t) => t.slot !== slotToDelete);
-
-        if (remaining.length === beforeCount) {
-            return res.status(404).json({ success: false, message: 'Time slot not found' });
-        }
+        // Handle a one-off availability
+        const remaining = availability.timeSlots.filter((t) => t.slot !== slotToDelete);
 
         if (remaining.length === 0) {
             await availability.deleteOne();
@@ -823,83 +707,228 @@ export const deleteTimeSlotById = async (req, res) => {
             return res.status(404).json({ success: false, message: 'Time slot not found' });
         }
 
-        // Check if the time slot is booked (unavailable status)
-        if (timeSlot.status === 'unavailable') {
-            // Check if there are any pending or approved appointments for this slot
-            const appointment = await Appointment.findOne({
-                starId: req.user._id,
-                availabilityId: availability._id,
-                timeSlotId: timeSlot._id,
-                status: { $in: ['pending', 'approved'] }
+        // Check for active appointments on the slot (calls of a call type leave their window available)
+        const appointment = await findActiveAppointment(req.user._id, availability._id, timeSlot._id);
+        if (appointment) return activeAppointmentResponse(res, appointment);
+
+        // Only the persisted slot is removed; slots of recurring rules are managed through /rules
+        availability.timeSlots = availability.timeSlots.filter((t) => String(t._id) !== String(slotId));
+
+        if (availability.timeSlots.length === 0) {
+            await availability.deleteOne();
+            return res.json({
+                success: true,
+                data: {
+                    message: 'Time slot deleted and availability removed (no remaining slots)'
+                }
             });
+        }
 
-            if (appointment) {
-                return res.status(400).json({
-                    success: false,
-                    message: 'Cannot delete this time slot. It has an active appointment. Please complete or reject the appointment first.',
-                    data: {
-                        appointmentId: appointment._id,
-                        appointmentStatus: appointment.status,
-                        fanId: appointment.fanId
-                    }
-                });
+        const saved = await availability.save();
+        return res.json({
+            success: true,
+            data: {
+                message: 'Time slot deleted successfully',
+                availability: sanitize(saved)
+            }
+        });
+    } catch (err) {
+        return res.status(500).json({ success: false, message: err.message });
+    }
+};
+
+const sanitizeRule = (rule) => ({
+    id: rule._id,
+    kind: rule.kind,
+    weekdays: rule.weekdays,
+    timeSlots: rule.timeSlots,
+    timezone: rule.timezone,
+    startDate: rule.startDate,
+    endDate: rule.endDate || null,
+    exceptions: rule.exceptions || [],
+    createdAt: rule.createdAt,
+    updatedAt: rule.updatedAt,
+});
+
+// Normalize rule slots, rejecting invalid entries
+const normalizeRuleSlots = (timeSlots) => [...new Set(timeSlots.map((t) => normalizeTimeSlotString(String(t))))];
+
+export const listAvailabilityRules = async (req, res) => {
+    try {
+        const rules = await AvailabilityRule.find({ userId: req.user._id }).sort({ createdAt: -1 });
+        return res.json({
+            success: true,
+            message: 'Availability rules retrieved successfully',
+            data: {
+                rules: rules.map(sanitizeRule)
             }
+        });
+    } catch (err) {
+        return res.status(500).json({ success: false, message: err.message });
+    }
+};
+
+export const createAvailabilityRule = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            const errorMessage = getFirstValidationError(errors);
+            return res.status(400).json({ success: false, message: errorMessage || 'Validation failed' });
         }
 
-        // If this is a weekly availability, delete the time slot from all weekly availabilities
-        if (availability.isWeekly) {
-            try {
-                const weeklyResult = await deleteTimeSlotByIdFromWeeklyAvailabilities(req.user._id, slotId);
-                return res.json({
-                    success: true,
-                    message: `Time slot deleted from ${weeklyResult.processed} weekly availabilities (${weeklyResult.updated} updated, ${weeklyResult.removed} removed)`,
-                    data: { weeklyResult }
-                });
-            } catch (error) {
-                console.error('Error deleting from weekly availabilities:', error);
-                return res.status(500).json({ success: false, message: 'Error deleting from weekly availabilities' });
+        const { weekdays, timeSlots, startDate, endDate, exceptions } = req.body;
+        const timezone = timezoneOf(req.user);
+
+        if (startDate < todayInTimezone(timezone)) {
+            return res.status(400).json({ success: false, message: `Cannot create availability for past date: ${startDate}` });
+        }
+        if (endDate && endDate < startDate) {
+            return res.status(400).json({ success: false, message: 'End date must be on or after start date' });
+        }
+
+        let slots;
+        try {
+            slots = normalizeRuleSlots(timeSlots);
+        } catch (e) {
+            return res.status(400).json({ success: false, message: 'Invalid timeSlots: provide strings in "HH:MM - HH:MM" format' });
+        }
+
+        const uniqueWeekdays = [...new Set(weekdays.map(Number))].sort();
+        const rule = await AvailabilityRule.create({
+            userId: req.user._id,
+            kind: uniqueWeekdays.length === 7 ? 'daily' : 'weekly',
+            weekdays: uniqueWeekdays,
+            timeSlots: slots,
+            timezone,
+            startDate,
+            endDate,
+            exceptions: exceptions || []
+        });
+
+        return res.status(201).json({
+            success: true,
+            message: 'Availability rule created successfully',
+            data: {
+                rule: sanitizeRule(rule)
             }
+        });
+    } catch (err) {
+        return res.status(500).json({ success: false, message: err.message });
+    }
+};
+
+export const updateAvailabilityRule = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            const errorMessage = getFirstValidationError(errors);
+            return res.status(400).json({ success: false, message: errorMessage || 'Validation failed' });
         }
 
-        // If this is a daily availability OR client requests cascading daily deletion via query, delete across all daily availabilities
-        const cascadeDaily = availability.isDaily || String(req.query.isDaily || '').toLowerCase() === 'true';
-        if (cascadeDaily) {
+        const rule = await AvailabilityRule.findOne({ _id: req.params.ruleId, userId: req.user._id });
+        if (!rule) return res.status(404).json({ success: false, message: 'Availability rule not found' });
+
+        const { weekdays, timeSlots, startDate, endDate, exceptions } = req.body;
+        if (Array.isArray(weekdays)) {
+            rule.weekdays = [...new Set(weekdays.map(Number))].sort();
+            rule.kind = rule.weekdays.length === 7 ? 'daily' : 'weekly';
+        }
+        if (Array.isArray(timeSlots)) {
             try {
-                const dailyResult = await deleteTimeSlotByIdFromDailyAvailabilities(req.user._id, slotId);
-                return res.json({
-                    success: true,
-                    message: `Time slot deleted from ${dailyResult.processed} daily availabilities (${dailyResult.updated} updated, ${dailyResult.removed} removed)`,
-                    data: { dailyResult }
-                });
-            } catch (error) {
-                console.error('Error deleting from daily availabilities:', error);
-                return res.status(500).json({ success: false, message: 'Error deleting from daily availabilities' });
+                rule.timeSlots = normalizeRuleSlots(timeSlots);
+            } catch (e) {
+                return res.status(400).json({ success: false, message: 'Invalid timeSlots: provide strings in "HH:MM - HH:MM" format' });
             }
         }
+        if (startDate) rule.startDate = startDate;
+        // null clears the end date (open-ended rule)
+        if (endDate !== undefined) rule.endDate = endDate || undefined;
+        if (Array.isArray(exceptions)) rule.exceptions = [...new Set(exceptions)];
 
-        // Handle non-weekly availability
-        const beforeCount = availability.timeSlots.length;
-        availability.timeSlots = (availability.timeSlots || []).filter((t) => String(t._id) !== String(slotId));
+        if (rule.endDate && rule.endDate < rule.startDate) {
+            return res.status(400).json({ success: false, message: 'End date must be on or after start date' });
+        }
 
-        if (availability.timeSlots.length === beforeCount) {
-            return res.status(404).json({ success: false, message: 'Time slot not found' });
+        const updated = await rule.save();
+        return res.json({
+            success: true,
+            message: 'Availability rule updated successfully',
+            data: {
+                rule: sanitizeRule(updated)
+            }
+        });
+    } catch (err) {
+        return res.status(500).json({ success: false, message: err.message });
+    }
+};
+
+export const deleteAvailabilityRule = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            const errorMessage = getFirstValidationError(errors);
+            return res.status(400).json({ success: false, message: errorMessage || 'Validation failed' });
         }
 
-        if (availability.timeSlots.length === 0) {
-            await availability.deleteOne();
+        // Booked occurrences are persisted on their Availability and are not affected
+        const deleted = await AvailabilityRule.findOneAndDelete({ _id: req.params.ruleId, userId: req.user._id });
+        if (!deleted) return res.status(404).json({ success: false, message: 'Availability rule not found' });
+        return res.json({
+            success: true,
+            message: 'Availability rule deleted successfully'
+        });
+    } catch (err) {
+        return res.status(500).json({ success: false, message: err.message });
+    }
+};
+
+// Skip a whole date of a rule, or block a single slot on that date
+export const addAvailabilityRuleException = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            const errorMessage = getFirstValidationError(errors);
+            return res.status(400).json({ success: false, message: errorMessage || 'Validation failed' });
+        }
+
+        const { date } = req.body;
+        const rule = await AvailabilityRule.findOne({ _id: req.params.ruleId, userId: req.user._id });
+        if (!rule) return res.status(404).json({ success: false, message: 'Availability rule not found' });
+
+        if (!req.body.slot) {
+            if (!rule.exceptions.includes(date)) rule.exceptions.push(date);
+            const updated = await rule.save();
             return res.json({
                 success: true,
+                message: 'Date excluded from availability rule',
                 data: {
-                    message: 'Time slot deleted and availability removed (no remaining slots)'
+                    rule: sanitizeRule(updated)
                 }
             });
         }
 
+        let slot;
+        try {
+            slot = normalizeTimeSlotString(String(req.body.slot));
+        } catch (e) {
+            return res.status(400).json({ success: false, message: 'Invalid slot format' });
+        }
+
+        // Blocked occurrences are persisted as unavailable slots
+        let materialized;
+        try {
+            materialized = await materializeRuleSlot(req.user._id, rule._id, date, slot);
+        } catch (e) {
+            return res.status(404).json({ success: false, message: e.message });
+        }
+        const { availability, timeSlot } = materialized;
+        timeSlot.status = 'unavailable';
         const saved = await availability.save();
+
         return res.json({
             success: true,
+            message: 'Time slot blocked successfully',
             data: {
-                message: 'Time slot deleted successfully',
                 availability: sanitize(saved)
             }
         });
@@ -908,4 +937,78 @@ export const deleteTimeSlotById = async (req, res) => {
     }
 };
 
+const sanitizeBlackout = (period) => ({
+    id: period._id,
+    startDate: period.startDate,
+    endDate: period.endDate,
+    reason: period.reason,
+    autoReplyMessage: period.autoReplyMessage,
+    createdAt: period.createdAt,
+    updatedAt: period.updatedAt,
+});
 
+// Current and upcoming blackout periods
+export const listBlackoutPeriods = async (req, res) => {
+    try {
+        const periods = await getBlackoutPeriods(req.user._id, { from: todayInTimezone(timezoneOf(req.user)) });
+        return res.json({
+            success: true,
+            message: 'Blackout periods retrieved successfully',
+            data: {
+                blackouts: periods.map(sanitizeBlackout)
+            }
+        });
+    } catch (err) {
+        return res.status(500).json({ success: false, message: err.message });
+    }
+};
+
+// Declare a date range without bookings; fans with pending requests in it get the auto-reply
+export const createBlackoutPeriod = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            const errorMessage = getFirstValidationError(errors);
+            return res.status(400).json({ success: false, message: errorMessage || 'Validation failed' });
+        }
+
+        const { startDate, endDate, reason, autoReplyMessage } = req.body;
+        const timezone = timezoneOf(req.user);
+        if (endDate < startDate) {
+            return res.status(400).json({ success: false, message: 'End date must be on or after start date' });
+        }
+        if (endDate < todayInTimezone(timezone)) {
+            return res.status(400).json({ success: false, message: `Cannot create a blackout period in the past: ${endDate}` });
+        }
+
+        const period = await BlackoutPeriod.create({ userId: req.user._id, startDate, endDate, reason, autoReplyMessage });
+        const notifiedFans = await notifyPendingRequests(req.user, period, timezone);
+
+        return res.status(201).json({
+            success: true,
+            message: 'Blackout period created successfully',
+            data: {
+                blackout: sanitizeBlackout(period),
+                notifiedFans
+            }
+        });
+    } catch (err) {
+        return res.status(500).json({ success: false, message: err.message });
+    }
+};
+
+export const deleteBlackoutPeriod = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            const errorMessage = getFirstValidationError(errors);
+            return res.status(400).json({ success: false, message: errorMessage || 'Validation failed' });
+        }
+
+        const deleted = await BlackoutPeriod.findOneAndDelete({ _id: req.params.blackoutId, userId: req.user._id });
+        if (!deleted) return res.status(404).json({ success: false, message: 'Blackout period not found' });
+        return res.json({ success: true, message: 'Blackout period deleted successfully' });
+    } catch (err) {
+        return res.status(500).json({ success: false, message: err.message });
+    }
+};
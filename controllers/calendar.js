@@ -0,0 +1,66 @@
+import {
+  getCalendarFeedEvents,
+  ensureCalendarFeedToken,
+  rotateCalendarFeedToken,
+  findUserByFeedToken
+} from '../services/calendarFeedService.js';
+import { buildCalendar, sendCalendar } from '../utils/ics.js';
+import { timezoneOf } from '../utils/timezone.js';
+
+// Public feed URL for a token
+const feedUrl = (req, token) => {
+  const base = process.env.API_BASE_URL || `${req.protocol}://${req.get('host')}`;
+  return `${base}/api/calendar/feed/${token}.ics`;
+};
+
+// Current user's secret feed URL (created on first request)
+export const getCalendarFeedUrl = async (req, res) => {
+  try {
+    const token = await ensureCalendarFeedToken(req.user._id);
+    return res.json({
+      success: true,
+      message: 'Calendar feed URL retrieved successfully',
+      data: {
+        url: feedUrl(req, token)
+      }
+    });
+  } catch (err) {
+    return res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+// Replace the feed URL; calendars subscribed to the old one stop updating
+export const rotateCalendarFeedUrl = async (req, res) => {
+  try {
+    const token = await rotateCalendarFeedToken(req.user._id);
+    return res.json({
+      success: true,
+      message: 'Calendar feed URL regenerated successfully',
+      data: {
+        url: feedUrl(req, token)
+      }
+    });
+  } catch (err) {
+    return res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+// ICS feed served to calendar clients; the token in the URL is the only credential
+export const getCalendarFeed = async (req, res) => {
+  try {
+    const token = String(req.params.file || '').replace(/\.ics$/i, '');
+    if (!/^[a-f0-9]{48}$/.test(token)) {
+      return res.status(404).json({ success: false, message: 'Calendar feed not found' });
+    }
+    const user = await findUserByFeedToken(token);
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'Calendar feed not found' });
+    }
+
+    const events = await getCalendarFeedEvents(user);
+    res.set('Cache-Control', 'private, max-age=900');
+    return sendCalendar(res, buildCalendar(events, { name: 'Baroni', timezone: timezoneOf(user) }));
+  } catch (err) {
+    return res.status(500).json({ success: false, message: err.message });
+  }
+};
@@ -1,7 +1,8 @@
 import {validationResult} from 'express-validator';
 import { getFirstValidationError } from '../utils/validationHelper.js';
 import Category from '../models/Category.js';
-import {uploadFile} from '../utils/uploadFile.js';
+import {uploadFileWithKey} from '../utils/uploadFile.js';
+import { deleteReplacedFile } from '../services/storageService.js';
 
 const sanitizeCategory = (category) => ({
   id: category._id,
@@ -26,15 +27,15 @@ export const createCategory = async (req, res) => {
       return res.status(409).json({ success: false, message: 'Category name already exists' });
     }
 
-    let imageUrl = req.body.image;
-    if (!imageUrl) {
+    let image = { url: req.body.image };
+    if (!image.url) {
       if (!req.file || !req.file.buffer) {
         return res.status(400).json({ success: false, message: 'Image is required' });
       }
-      imageUrl = await uploadFile(req.file.buffer);
+      image = await uploadFileWithKey(req.file.buffer, { contentType: req.file.mimetype });
     }
 
-    const created = await Category.create({ name: name.trim(), image: imageUrl });
+    const created = await Category.create({ name: name.trim(), image: image.url, imageKey: image.key });
     return res.status(201).json({ 
       success: true, 
       message: 'Category created successfully',
@@ -68,7 +69,7 @@ export const getCategoryById = async (req, res) => {
       return res.status(400).json({ success: false, message: errorMessage || 'Validation failed' });
     }
     const { id } = req.params;
-    const category = await Category.findById(id);
+    const category = await Category.findById(id).select('+imageKey');
     if (!category) {
       return res.status(404).json({ success: false, message: 'Category not found' });
     }
@@ -107,13 +108,19 @@ export const updateCategory = async (req, res) => {
       category.name = name.trim();
     }
 
+    const previousImage = { url: category.image, key: category.imageKey };
     if (req.file && req.file.buffer) {
-      category.image = await uploadFile(req.file.buffer);
-    } else if (req.body.image) {
+      const image = await uploadFileWithKey(req.file.buffer, { contentType: req.file.mimetype });
+      category.image = image.url;
+      category.imageKey = image.key;
+    } else if (req.body.image && req.body.image !== category.image) {
+      // A linked image is not ours to delete later
       category.image = req.body.image;
+      category.imageKey = undefined;
     }
 
     const updated = await category.save();
+    await deleteReplacedFile(previousImage, updated.image);
     return res.json({ 
       success: true, 
       message: 'Category updated successfully',
@@ -134,10 +141,11 @@ export const deleteCategory = async (req, res) => {
       return res.status(400).json({ success: false, message: errorMessage || 'Validation failed' });
     }
     const { id } = req.params;
-    const deleted = await Category.findByIdAndDelete(id);
+    const deleted = await Category.findByIdAndDelete(id).select('+imageKey');
     if (!deleted) {
       return res.status(404).json({ success: false, message: 'Category not found' });
     }
+    await deleteReplacedFile({ url: deleted.image, key: deleted.imageKey });
     return res.json({ 
       success: true, 
       message: 'Category deleted successfully'
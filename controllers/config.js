@@ -8,6 +8,27 @@ const sanitizeConfig = (cfg) => ({
   videoCallPriceHide: cfg.videoCallPriceHide,
   becomeBaronistarPriceHide: cfg.becomeBaronistarPriceHide,
   isTestUser: cfg.isTestUser,
+  coinPacks: cfg.coinPacks,
+  bonusTiers: cfg.bonusTiers,
+  commissionPercent: cfg.commissionPercent,
+  commissionPercentByType: cfg.commissionPercentByType,
+  disputeWindowDays: cfg.disputeWindowDays,
+  dedicationAutoCompleteDays: cfg.dedicationAutoCompleteDays,
+  appointmentNoShowGraceHours: cfg.appointmentNoShowGraceHours,
+  approvalDeadlineHours: cfg.approvalDeadlineHours,
+  dedicationTurnaroundDays: cfg.dedicationTurnaroundDays,
+  rushTurnaroundDays: cfg.rushTurnaroundDays,
+  dedicationDeadlineWarningHours: cfg.dedicationDeadlineWarningHours,
+  dedicationMaxRevisions: cfg.dedicationMaxRevisions,
+  dedicationVideoMaxSeconds: cfg.dedicationVideoMaxSeconds,
+  sampleVideoMaxSeconds: cfg.sampleVideoMaxSeconds,
+  videoMinSeconds: cfg.videoMinSeconds,
+  allowedVideoCodecs: cfg.allowedVideoCodecs,
+  videoPreviewSeconds: cfg.videoPreviewSeconds,
+  watermarkDedicationPreviews: cfg.watermarkDedicationPreviews,
+  waitlistClaimMinutes: cfg.waitlistClaimMinutes,
+  blackoutAutoReplyMessage: cfg.blackoutAutoReplyMessage,
+  reminderOffsetsMinutes: cfg.reminderOffsetsMinutes,
   createdAt: cfg.createdAt,
   updatedAt: cfg.updatedAt,
 });
@@ -42,6 +63,27 @@ export const upsertConfig = async (req, res) => {
       videoCallPriceHide,
       becomeBaronistarPriceHide,
       isTestUser,
+      coinPacks,
+      bonusTiers,
+      commissionPercent,
+      commissionPercentByType,
+      disputeWindowDays,
+      dedicationAutoCompleteDays,
+      appointmentNoShowGraceHours,
+      approvalDeadlineHours,
+      dedicationTurnaroundDays,
+      rushTurnaroundDays,
+      dedicationDeadlineWarningHours,
+      dedicationMaxRevisions,
+      dedicationVideoMaxSeconds,
+      sampleVideoMaxSeconds,
+      videoMinSeconds,
+      allowedVideoCodecs,
+      videoPreviewSeconds,
+      watermarkDedicationPreviews,
+      waitlistClaimMinutes,
+      blackoutAutoReplyMessage,
+      reminderOffsetsMinutes,
     } = req.body;
 
     const normalize = (val) => {
@@ -58,11 +100,60 @@ export const upsertConfig = async (req, res) => {
     const nVideoCall = normalize(videoCallPriceHide);
     const nBecome = normalize(becomeBaronistarPriceHide);
     const nTestUser = normalize(isTestUser);
+    const nWatermark = normalize(watermarkDedicationPreviews);
 
     if (typeof nLiveShow === 'boolean') cfg.liveShowPriceHide = nLiveShow;
     if (typeof nVideoCall === 'boolean') cfg.videoCallPriceHide = nVideoCall;
     if (typeof nBecome === 'boolean') cfg.becomeBaronistarPriceHide = nBecome;
     if (typeof nTestUser === 'boolean') cfg.isTestUser = nTestUser;
+    if (typeof nWatermark === 'boolean') cfg.watermarkDedicationPreviews = nWatermark;
+
+    // Packs and tiers are replaced as a whole; packs keep their _id when sent back
+    if (Array.isArray(coinPacks)) {
+      cfg.coinPacks = coinPacks.map((pack) => ({
+        ...(pack._id ? { _id: pack._id } : {}),
+        label: pack.label,
+        coins: Number(pack.coins),
+        price: Number(pack.price),
+        bonusCoins: Number(pack.bonusCoins || 0),
+        active: normalize(pack.active) !== false
+      }));
+    }
+    if (commissionPercent !== undefined) cfg.commissionPercent = Number(commissionPercent);
+    if (disputeWindowDays !== undefined) cfg.disputeWindowDays = Number(disputeWindowDays);
+    if (dedicationAutoCompleteDays !== undefined) cfg.dedicationAutoCompleteDays = Number(dedicationAutoCompleteDays);
+    if (appointmentNoShowGraceHours !== undefined) cfg.appointmentNoShowGraceHours = Number(appointmentNoShowGraceHours);
+    if (approvalDeadlineHours !== undefined) cfg.approvalDeadlineHours = Number(approvalDeadlineHours);
+    if (dedicationTurnaroundDays !== undefined) cfg.dedicationTurnaroundDays = Number(dedicationTurnaroundDays);
+    if (rushTurnaroundDays !== undefined) cfg.rushTurnaroundDays = Number(rushTurnaroundDays);
+    if (dedicationDeadlineWarningHours !== undefined) cfg.dedicationDeadlineWarningHours = Number(dedicationDeadlineWarningHours);
+    if (dedicationMaxRevisions !== undefined) cfg.dedicationMaxRevisions = Number(dedicationMaxRevisions);
+    if (dedicationVideoMaxSeconds !== undefined) cfg.dedicationVideoMaxSeconds = Number(dedicationVideoMaxSeconds);
+    if (sampleVideoMaxSeconds !== undefined) cfg.sampleVideoMaxSeconds = Number(sampleVideoMaxSeconds);
+    if (videoMinSeconds !== undefined) cfg.videoMinSeconds = Number(videoMinSeconds);
+    if (Array.isArray(allowedVideoCodecs)) {
+      cfg.allowedVideoCodecs = [...new Set(allowedVideoCodecs.map((codec) => String(codec).trim().toLowerCase()))];
+    }
+    if (videoPreviewSeconds !== undefined) cfg.videoPreviewSeconds = Number(videoPreviewSeconds);
+    if (waitlistClaimMinutes !== undefined) cfg.waitlistClaimMinutes = Number(waitlistClaimMinutes);
+    if (blackoutAutoReplyMessage !== undefined) cfg.blackoutAutoReplyMessage = String(blackoutAutoReplyMessage).trim();
+    // Offsets are replaced as a whole, deduplicated and sorted longest first
+    if (Array.isArray(reminderOffsetsMinutes)) {
+      cfg.reminderOffsetsMinutes = [...new Set(reminderOffsetsMinutes.map(Number))].sort((a, b) => b - a);
+    }
+    // Type overrides are replaced as a whole; a null value removes the override
+    if (commissionPercentByType && typeof commissionPercentByType === 'object') {
+      cfg.commissionPercentByType = Object.fromEntries(
+        Object.entries(commissionPercentByType)
+          .filter(([, percent]) => percent !== null)
+          .map(([type, percent]) => [type, Number(percent)])
+      );
+    }
+    if (Array.isArray(bonusTiers)) {
+      cfg.bonusTiers = bonusTiers
+        .map((tier) => ({ minCoins: Number(tier.minCoins), bonusPercent: Number(tier.bonusPercent) }))
+        .sort((a, b) => a.minCoins - b.minCoins);
+    }
 
     const saved = await cfg.save();
     return res.json({ 
@@ -2,6 +2,14 @@ import { validationResult } from 'express-validator';
 import { getFirstValidationError } from '../utils/validationHelper.js';
 import ContactSupport from '../models/ContactSupport.js';
 import { uploadFile } from '../utils/uploadFile.js';
+import { getSignedFileUrl } from '../services/storageService.js';
+
+// Attachments are stored privately; responses carry a time-limited URL instead
+const withSignedImage = (ticket) => {
+  const data = ticket.toObject();
+  if (data.image) data.image = getSignedFileUrl(data.image);
+  return data;
+};
 
 // Create a new support ticket
 export const createSupportTicket = async (req, res) => {
@@ -21,7 +29,7 @@ export const createSupportTicket = async (req, res) => {
       const imageFile = req.files.find(file => file.fieldname === 'image');
       if (imageFile) {
         try {
-          imageUrl = await uploadFile(imageFile.buffer);
+          imageUrl = await uploadFile(imageFile.buffer, { contentType: imageFile.mimetype, private: true });
         } catch (uploadError) {
           return res.status(400).json({
             success: false,
@@ -44,7 +52,7 @@ export const createSupportTicket = async (req, res) => {
     return res.status(201).json({
       success: true,
       message: 'Support ticket created successfully',
-      data: supportTicket
+      data: withSignedImage(supportTicket)
     });
   } catch (err) {
     console.error('Error creating support ticket:', err);
@@ -67,7 +75,7 @@ export const getUserSupportTickets = async (req, res) => {
 
     return res.status(200).json({
       success: true,
-      data: tickets
+      data: tickets.map(withSignedImage)
     });
   } catch (err) {
     console.error('Error fetching user support tickets:', err);
@@ -105,7 +113,7 @@ export const getSupportTicketById = async (req, res) => {
 
     return res.status(200).json({
       success: true,
-      data: ticket
+      data: withSignedImage(ticket)
     });
   } catch (err) {
     console.error('Error fetching support ticket:', err);
@@ -153,7 +161,7 @@ export const updateSupportTicket = async (req, res) => {
       const imageFile = req.files.find(file => file.fieldname === 'image');
       if (imageFile) {
         try {
-          imageUrl = await uploadFile(imageFile.buffer);
+          imageUrl = await uploadFile(imageFile.buffer, { contentType: imageFile.mimetype, private: true });
         } catch (uploadError) {
           return res.status(400).json({
             success: false,
@@ -176,7 +184,7 @@ export const updateSupportTicket = async (req, res) => {
     return res.status(200).json({
       success: true,
       message: 'Support ticket updated successfully',
-      data: updatedTicket
+      data: withSignedImage(updatedTicket)
     });
   } catch (err) {
     console.error('Error updating support ticket:', err);
@@ -240,7 +248,7 @@ export const getAllSupportTickets = async (req, res) => {
 
     return res.status(200).json({
       success: true,
-      data: tickets
+      data: tickets.map(withSignedImage)
     });
   } catch (err) {
     console.error('Error fetching all support tickets:', err);
@@ -2,7 +2,17 @@ import { validationResult } from 'express-validator';
 import { getFirstValidationError } from '../utils/validationHelper.js';
 import Dedication from '../models/Dedication.js';
 
-const sanitize = (doc) => ({ id: doc._id, type: doc.type, price: doc.price, userId: doc.userId, createdAt: doc.createdAt, updatedAt: doc.updatedAt });
+const sanitize = (doc) => ({
+  id: doc._id,
+  type: doc.type,
+  price: doc.price,
+  rushPrice: doc.rushPrice ?? null,
+  extraLengthPrice: doc.extraLengthPrice ?? null,
+  priceHistory: doc.priceHistory || [],
+  userId: doc.userId,
+  createdAt: doc.createdAt,
+  updatedAt: doc.updatedAt
+});
 
 export const createDedication = async (req, res) => {
   try {
@@ -11,8 +21,14 @@ export const createDedication = async (req, res) => {
       const errorMessage = getFirstValidationError(errors);
       return res.status(400).json({ success: false, message: errorMessage || 'Validation failed' });
     }
-    const { type, price } = req.body;
-    const created = await Dedication.create({ type: type.trim(), price, userId: req.user._id });
+    const { type, price, rushPrice, extraLengthPrice } = req.body;
+    const created = await Dedication.create({
+      type: type.trim(),
+      price,
+      rushPrice: rushPrice ?? null,
+      extraLengthPrice: extraLengthPrice ?? null,
+      userId: req.user._id
+    });
     return res.status(201).json({ success: true, data: sanitize(created) });
   } catch (err) {
     return res.status(500).json({ success: false, message: err.message });
@@ -60,11 +76,14 @@ export const updateDedication = async (req, res) => {
       const errorMessage = getFirstValidationError(errors);
       return res.status(400).json({ success: false, message: errorMessage || 'Validation failed' });
     }
-    const { type, price } = req.body;
+    const { type, price, rushPrice, extraLengthPrice } = req.body;
     const item = await Dedication.findOne({ _id: req.params.id, userId: req.user._id });
     if (!item) return res.status(404).json({ success: false, message: 'Not found' });
     if (type) item.type = type.trim();
     if (price !== undefined) item.price = price;
+    // null withdraws an add-on
+    if (rushPrice !== undefined) item.rushPrice = rushPrice;
+    if (extraLengthPrice !== undefined) item.extraLengthPrice = extraLengthPrice;
     const updated = await item.save();
     return res.json({ 
       success: true, 
@@ -2,14 +2,26 @@ import {validationResult} from 'express-validator';
 import { getFirstValidationError } from '../utils/validationHelper.js';
 import DedicationRequest from '../models/DedicationRequest.js';
 import {generateUniqueTrackingId} from '../utils/trackingIdGenerator.js';
-import {uploadVideo} from '../utils/uploadFile.js';
 import { createTransaction, createHybridTransaction, completeTransaction, cancelTransaction } from '../services/transactionService.js';
-import { TRANSACTION_TYPES, TRANSACTION_DESCRIPTIONS, createTransactionDescription } from '../utils/transactionConstants.js';
+import { TRANSACTION_TYPES, TRANSACTION_DESCRIPTIONS, DISPUTE_ENTITY_TYPES, createTransactionDescription } from '../utils/transactionConstants.js';
 import Transaction from '../models/Transaction.js';
 import NotificationHelper from '../utils/notificationHelper.js';
 const { normalizeContact } = await import('../utils/normalizeContact.js');
 import { deleteConversationBetweenUsers } from '../services/messagingCleanup.js';
+import { getDisputeForEntity } from '../services/disputeService.js';
 import { sanitizeUserData } from '../utils/userDataHelper.js';
+import User from '../models/User.js';
+import { findBlackoutCovering, findActiveBlackout, sendBlackoutAutoReply } from '../services/blackoutService.js';
+import { formatInTimezone, timezoneOf } from '../utils/timezone.js';
+import { quoteDedicationRequest } from '../services/dedicationPricingService.js';
+import { computeDeliveryDeadline, getTurnaroundDays } from '../services/dedicationSlaService.js';
+import Config from '../models/Config.js';
+import { beginVideoProcessing, processDedicationVideo, sanitizeVideoProcessing } from '../services/videoProcessingService.js';
+import { consumeVideoUpload } from '../services/videoUploadService.js';
+import { discardUploadedFile } from '../middlewares/upload.js';
+
+// Until the fan confirms completion they only get the watermarked copy, when there is one
+const isPreviewOnly = (doc) => doc.status !== 'completed';
 
 const sanitize = (doc) => ({
   id: doc._id,
@@ -21,10 +33,23 @@ const sanitize = (doc) => ({
   eventName: doc.eventName,
   eventDate: doc.eventDate,
   description: doc.description,
+  dedicationId: doc.dedicationId,
   price: doc.price,
+  pricing: doc.pricing?.lockedAt ? doc.pricing : undefined,
   status: doc.status,
   ...(doc.paymentStatus ? { paymentStatus: doc.paymentStatus } : {}),
-  videoUrl: doc.videoUrl,
+  videoUrl: isPreviewOnly(doc) && doc.videoProcessing?.watermarkedUrl ? doc.videoProcessing.watermarkedUrl : doc.videoUrl,
+  videoProcessing: sanitizeVideoProcessing(doc.videoProcessing),
+  revisions: (doc.revisions || []).map((revision) => ({
+    round: revision.round,
+    reason: revision.reason,
+    requestedAt: revision.requestedAt,
+    previousVideoUrl: isPreviewOnly(doc) && revision.previousWatermarkedUrl ? revision.previousWatermarkedUrl : revision.previousVideoUrl,
+    previousVideoUploadedAt: revision.previousVideoUploadedAt,
+    redeliveredAt: revision.redeliveredAt
+  })),
+  deliveryDeadline: doc.deliveryDeadline,
+  ...(doc.deadlineMissedAt ? { deadlineMissedAt: doc.deadlineMissedAt } : {}),
   transactionId: doc.transactionId,
   // Domain payment lifecycle is tracked in paymentStatus
   approvedAt: doc.approvedAt,
@@ -45,7 +70,7 @@ export const createDedicationRequest = async (req, res) => {
       return res.status(400).json({ success: false, message: errorMessage || 'Validation failed' });
     }
 
-    let { starId, starBaroniId, baroniId, occasion, eventName, eventDate, description, price, starName } = req.body;
+    let { starId, starBaroniId, baroniId, dedicationId, rush, extraLength, occasion, eventName, eventDate, description, price: expectedPrice } = req.body;
 
     // Allow passing star by Baroni ID
     if (!starId && (starBaroniId || baroniId)) {
@@ -54,6 +79,44 @@ export const createDedicationRequest = async (req, res) => {
       starId = starByBaroni._id;
     }
 
+    // The price comes from the star's catalog item and add-ons, never from the client
+    let pricing;
+    try {
+      const quote = await quoteDedicationRequest({ dedicationId, starId, rush, extraLength });
+      pricing = quote.pricing;
+      starId = starId || quote.dedication.userId;
+    } catch (quoteError) {
+      return res.status(quoteError.message === 'Dedication not found' ? 404 : 400).json({ success: false, message: quoteError.message });
+    }
+    // The fan confirmed a price that is no longer current
+    if (expectedPrice !== undefined && Number(expectedPrice) !== pricing.total) {
+      return res.status(409).json({
+        success: false,
+        message: 'Dedication price has changed. Please review the new price.',
+        data: { pricing }
+      });
+    }
+
+    // The event date must not fall in one of the star's blackout periods (star's timezone)
+    const star = await User.findOne({ _id: starId, role: 'star' }).select('name pseudo timezone dedicationTurnaroundDays');
+    if (!star) return res.status(404).json({ success: false, message: 'Star not found' });
+    const starName = star.name || star.pseudo || '';
+    const starTimezone = timezoneOf(star);
+    const blackout = await findBlackoutCovering(star._id, formatInTimezone(new Date(eventDate), starTimezone).date);
+    if (blackout) {
+      return res.status(400).json({
+        success: false,
+        message: `Star is unavailable from ${blackout.startDate} to ${blackout.endDate}. Please choose another event date.`
+      });
+    }
+
+    // The star must deliver within their turnaround (shorter for rush) and before the event
+    const config = await Config.getSingleton();
+    const deliveryDeadline = computeDeliveryDeadline(new Date(eventDate), new Date(), getTurnaroundDays(star, config, pricing.rush));
+    if (deliveryDeadline <= new Date()) {
+      return res.status(400).json({ success: false, message: 'Event date must be in the future' });
+    }
+
     // Create hybrid transaction before creating dedication request
     let txnResult;
     try {
@@ -66,11 +129,13 @@ export const createDedicationRequest = async (req, res) => {
         type: TRANSACTION_TYPES.DEDICATION_REQUEST_PAYMENT,
         payerId: req.user._id,
         receiverId: starId,
-        amount: price,
-        description: createTransactionDescription(TRANSACTION_TYPES.DEDICATION_REQUEST_PAYMENT, req.user.name || req.user.pseudo || '', starName || '', req.user.role || 'fan', 'star'),
+        amount: pricing.total,
+        description: createTransactionDescription(TRANSACTION_TYPES.DEDICATION_REQUEST_PAYMENT, req.user.name || req.user.pseudo || '', starName, req.user.role || 'fan', 'star'),
         userPhone: payloadContact,
-        starName: starName || '',
+        starName,
         metadata: {
+          dedicationId: String(dedicationId),
+          pricing,
           occasion,
           eventName,
           eventDate: new Date(eventDate),
@@ -108,8 +173,11 @@ export const createDedicationRequest = async (req, res) => {
       occasion,
       eventName,
       eventDate: new Date(eventDate),
+      deliveryDeadline,
       description,
-      price,
+      dedicationId,
+      price: pricing.total,
+      pricing,
       status: 'pending',
       paymentStatus: transaction.status === 'initiated' ? 'initiated' : 'pending',
       transactionId: transaction._id
@@ -122,6 +190,10 @@ export const createDedicationRequest = async (req, res) => {
       console.error('Error sending dedication notification:', notificationError);
     }
 
+    // Let the fan know when the star is away right now
+    const activeBlackout = await findActiveBlackout(star._id, starTimezone);
+    if (activeBlackout) await sendBlackoutAutoReply(star, activeBlackout, req.user._id);
+
     const responseBody = { 
       success: true, 
       message: 'Dedication request created successfully',
@@ -229,7 +301,10 @@ export const getDedicationRequest = async (req, res) => {
       success: true, 
       message: 'Dedication request retrieved successfully',
       data: {
-        dedicationRequest: sanitize(item)
+        dedicationRequest: {
+          ...sanitize(item),
+          dispute: await getDisputeForEntity(DISPUTE_ENTITY_TYPES.DEDICATION_REQUEST, item._id)
+        }
       }
     });
   } catch (err) {
@@ -335,16 +410,20 @@ export const rejectDedicationRequest = async (req, res) => {
   }
 };
 
-// Star uploads the dedication video (keeps status approved, fan will complete)
+// Star uploads the dedication video (keeps status approved, fan will complete).
+// The video is a multipart file or the uploadId of a finished resumable upload; it is
+// delivered to the fan once processing succeeds.
 export const uploadDedicationVideo = async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
+      await discardUploadedFile(req);
       const errorMessage = getFirstValidationError(errors);
       return res.status(400).json({ success: false, message: errorMessage || 'Validation failed' });
     }
 
-    if (!req.file) {
+    const { uploadId } = req.body || {};
+    if (!req.file && !uploadId) {
       return res.status(400).json({ success: false, message: 'Video file is required' });
     }
 
@@ -357,24 +436,44 @@ export const uploadDedicationVideo = async (req, res) => {
 
     const item = await DedicationRequest.findOne(filter);
 
-    if (!item) return res.status(404).json({ success: false, message: 'Approved request not found' });
+    if (!item) {
+      await discardUploadedFile(req);
+      return res.status(404).json({ success: false, message: 'Approved request not found' });
+    }
+    // A delivered video is replaced through the fan's revision requests
+    if (item.videoUrl) {
+      await discardUploadedFile(req);
+      return res.status(409).json({ success: false, message: 'Video already delivered' });
+    }
 
-    // Upload video to storage
-    item.videoUrl = await uploadVideo(req.file.buffer);
-    const updated = await item.save();
+    const processing = await beginVideoProcessing(DedicationRequest, { _id: item._id, status: 'approved' });
+    if (!processing) {
+      await discardUploadedFile(req);
+      return res.status(409).json({ success: false, message: 'A video is already being processed' });
+    }
 
-    // Notify fan about video upload
-    try {
-      await NotificationHelper.sendDedicationNotification('DEDICATION_VIDEO_UPLOADED', updated, { currentUserId: req.user._id });
-    } catch (notificationError) {
-      console.error('Error sending dedication video upload notification:', notificationError);
+    let source = { filePath: req.file?.path };
+    if (uploadId) {
+      await discardUploadedFile(req);
+      try {
+        source = { asset: await consumeVideoUpload({ uploadId, userId: req.user._id, purpose: 'dedication_request' }) };
+      } catch (uploadError) {
+        await DedicationRequest.updateOne(
+          { _id: item._id, 'videoProcessing.startedAt': processing.videoProcessing.startedAt },
+          { $set: { 'videoProcessing.status': 'failed', 'videoProcessing.error': uploadError.message, 'videoProcessing.processedAt': new Date() } }
+        );
+        return res.status(400).json({ success: false, message: uploadError.message });
+      }
     }
 
-    return res.json({ 
+    // Validate, derive previews and notify the fan in the background
+    processDedicationVideo(processing, source).catch((error) => console.error('Error processing dedication video:', error));
+
+    return res.status(202).json({ 
       success: true, 
-      message: 'Dedication video uploaded successfully',
+      message: 'Dedication video received and is being processed',
       data: {
-        dedicationRequest: sanitize(updated)
+        dedicationRequest: sanitize(processing)
       }
     });
   } catch (err) {
@@ -439,6 +538,75 @@ export const completeDedicationByFan = async (req, res) => {
   }
 };
 
+// Fan sends a delivered video back to the star with requested changes
+export const requestDedicationRevision = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const errorMessage = getFirstValidationError(errors);
+      return res.status(400).json({ success: false, message: errorMessage || 'Validation failed' });
+    }
+
+    let filter = { _id: req.params.id, status: 'approved' };
+
+    // If not admin, ensure user is the fan
+    if (req.user.role !== 'admin') {
+      filter.fanId = req.user._id;
+    }
+
+    const item = await DedicationRequest.findOne(filter);
+    if (!item) return res.status(404).json({ success: false, message: 'Approved request not found' });
+
+    if (!item.videoUrl) {
+      return res.status(400).json({ success: false, message: 'Video not uploaded yet' });
+    }
+
+    const config = await Config.getSingleton();
+    const revisions = item.revisions || [];
+    if (revisions.length >= config.dedicationMaxRevisions) {
+      return res.status(400).json({
+        success: false,
+        message: `You can request changes at most ${config.dedicationMaxRevisions} time${config.dedicationMaxRevisions === 1 ? '' : 's'}`
+      });
+    }
+
+    const star = await User.findById(item.starId).select('dedicationTurnaroundDays');
+    const now = new Date();
+    item.revisions.push({
+      round: revisions.length + 1,
+      reason: req.body.reason,
+      requestedBy: req.user._id,
+      requestedAt: now,
+      previousVideoUrl: item.videoUrl,
+      previousVideoUploadedAt: item.videoUploadedAt,
+      previousWatermarkedUrl: item.videoProcessing?.watermarkedUrl
+    });
+    // Back with the star: no video to auto-complete, and a fresh turnaround (rush if paid for) to redeliver
+    item.videoUrl = undefined;
+    item.videoUploadedAt = undefined;
+    item.deliveryDeadline = computeDeliveryDeadline(null, now, getTurnaroundDays(star, config, item.pricing?.rush));
+    item.deadlineWarningSentAt = undefined;
+    const updated = await item.save();
+
+    try {
+      await NotificationHelper.sendDedicationNotification('DEDICATION_REVISION_REQUESTED', updated, { currentUserId: req.user._id });
+    } catch (notificationError) {
+      console.error('Error sending dedication revision notification:', notificationError);
+    }
+
+    return res.json({
+      success: true,
+      message: 'Changes requested successfully',
+      data: {
+        dedicationRequest: sanitize(updated),
+        revisionsRemaining: config.dedicationMaxRevisions - updated.revisions.length
+      }
+    });
+  } catch (err) {
+    return res.status(500).json({ success: false, message: err.message });
+  }
+};
+
 // Fan cancels their own dedication request (only if pending)
 export const cancelDedicationRequest = async (req, res) => {
   try {
@@ -508,11 +676,17 @@ export const getDedicationRequestByTrackingId = async (req, res) => {
 
     if (!item) return res.status(404).json({ success: false, message: 'Request not found' });
 
+    const config = await Config.getSingleton();
+
     return res.json({ 
       success: true, 
       message: 'Dedication request retrieved successfully',
       data: {
-        dedicationRequest: sanitize(item)
+        dedicationRequest: {
+          ...sanitize(item),
+          revisionsRemaining: Math.max(0, config.dedicationMaxRevisions - (item.revisions || []).length),
+          dispute: await getDisputeForEntity(DISPUTE_ENTITY_TYPES.DEDICATION_REQUEST, item._id)
+        }
       }
     });
   } catch (err) {
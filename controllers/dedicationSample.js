@@ -1,31 +1,70 @@
 import { validationResult } from 'express-validator';
 import { getFirstValidationError } from '../utils/validationHelper.js';
 import DedicationSample from '../models/DedicationSample.js';
-import { uploadVideo } from '../utils/uploadFile.js';
+import { discardUploadedFile } from '../middlewares/upload.js';
+import { beginVideoProcessing, processSampleVideo, sanitizeVideoProcessing } from '../services/videoProcessingService.js';
+import { consumeVideoUpload } from '../services/videoUploadService.js';
+import { deleteReplacedFile } from '../services/storageService.js';
 
-const sanitize = (doc) => ({ id: doc._id, type: doc.type, video: doc.video, description: doc.description, userId: doc.userId, createdAt: doc.createdAt, updatedAt: doc.updatedAt });
+const sanitize = (doc) => ({
+  id: doc._id,
+  type: doc.type,
+  video: doc.video,
+  videoProcessing: sanitizeVideoProcessing(doc.videoProcessing),
+  description: doc.description,
+  userId: doc.userId,
+  createdAt: doc.createdAt,
+  updatedAt: doc.updatedAt
+});
+
+// Video of a create/update request: a finished resumable upload, a received file, or none
+const resolveVideoSource = async (req) => {
+  const { uploadId } = req.body;
+  if (uploadId) {
+    await discardUploadedFile(req);
+    return { asset: await consumeVideoUpload({ uploadId, userId: req.user._id, purpose: 'dedication_sample' }) };
+  }
+  return req.file ? { filePath: req.file.path } : null;
+};
+
+// Process the sample's new video in the background; the sample is returned as processing
+const startSampleProcessing = async (sample, source) => {
+  const processing = await beginVideoProcessing(DedicationSample, { _id: sample._id });
+  if (!processing) return sample;
+  processSampleVideo(processing, source).catch((error) => console.error('Error processing dedication sample video:', error));
+  return processing;
+};
 
 export const createDedicationSample = async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
+      await discardUploadedFile(req);
       const errorMessage = getFirstValidationError(errors);
       return res.status(400).json({ success: false, message: errorMessage || 'Validation failed' });
     }
-    const { type, description } = req.body;
-    let { video } = req.body;
+    const { type, description, video } = req.body;
+    let source = null;
     if (!video) {
-      if (!req.file || !req.file.buffer) return res.status(400).json({ success: false, message: 'Video is required' });
-      video = await uploadVideo(req.file.buffer);
+      try {
+        source = await resolveVideoSource(req);
+      } catch (uploadError) {
+        return res.status(400).json({ success: false, message: uploadError.message });
+      }
+      if (!source) return res.status(400).json({ success: false, message: 'Video is required' });
     }
     const created = await DedicationSample.create({ 
       type: type.trim(), 
-      video: String(video).trim(), 
+      ...(video ? { video: String(video).trim() } : { videoProcessing: { status: 'processing', startedAt: new Date() } }),
       description: description ? description.trim() : undefined,
       userId: req.user._id 
     });
-    return res.status(201).json({ success: true, data: sanitize(created) });
+    if (source) {
+      processSampleVideo(created, source).catch((error) => console.error('Error processing dedication sample video:', error));
+    }
+    return res.status(source ? 202 : 201).json({ success: true, data: sanitize(created) });
   } catch (err) {
+    await discardUploadedFile(req);
     return res.status(500).json({ success: false, message: err.message });
   }
 };
@@ -68,29 +107,52 @@ export const updateDedicationSample = async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
+      await discardUploadedFile(req);
       const errorMessage = getFirstValidationError(errors);
       return res.status(400).json({ success: false, message: errorMessage || 'Validation failed' });
     }
-    const { type, description } = req.body;
-    let { video } = req.body;
-    const item = await DedicationSample.findOne({ _id: req.params.id, userId: req.user._id });
-    if (!item) return res.status(404).json({ success: false, message: 'Not found' });
+    const { type, description, video } = req.body;
+    const item = await DedicationSample.findOne({ _id: req.params.id, userId: req.user._id }).select('+videoKey');
+    if (!item) {
+      await discardUploadedFile(req);
+      return res.status(404).json({ success: false, message: 'Not found' });
+    }
+    if (!video && (req.file || req.body.uploadId) && item.videoProcessing?.status === 'processing') {
+      await discardUploadedFile(req);
+      return res.status(409).json({ success: false, message: 'A video is already being processed' });
+    }
+
+    let source = null;
+    if (!video) {
+      try {
+        source = await resolveVideoSource(req);
+      } catch (uploadError) {
+        return res.status(400).json({ success: false, message: uploadError.message });
+      }
+    }
+
+    const previousVideo = { url: item.video, key: item.videoKey };
     if (type) item.type = type.trim();
     if (description !== undefined) item.description = description ? description.trim() : undefined;
     if (video) {
+      // A linked video is not ours to delete later
+      if (String(video).trim() !== item.video) item.videoKey = undefined;
       item.video = String(video).trim();
-    } else if (req.file && req.file.buffer) {
-      item.video = await uploadVideo(req.file.buffer);
+      item.videoProcessing = undefined;
     }
-    const updated = await item.save();
-    return res.json({ 
+    let updated = await item.save();
+    await deleteReplacedFile(previousVideo, updated.video);
+    // The current video stays published until the new one is ready
+    if (source) updated = await startSampleProcessing(updated, source);
+    return res.status(source ? 202 : 200).json({ 
       success: true, 
-      message: 'Dedication sample updated successfully',
+      message: source ? 'Dedication sample updated; the new video is being processed' : 'Dedication sample updated successfully',
       data: {
         dedicationSample: sanitize(updated)
       }
     });
   } catch (err) {
+    await discardUploadedFile(req);
     return res.status(500).json({ success: false, message: err.message });
   }
 };
@@ -102,8 +164,9 @@ export const deleteDedicationSample = async (req, res) => {
       const errorMessage = getFirstValidationError(errors);
       return res.status(400).json({ success: false, message: errorMessage || 'Validation failed' });
     }
-    const deleted = await DedicationSample.findOneAndDelete({ _id: req.params.id, userId: req.user._id });
+    const deleted = await DedicationSample.findOneAndDelete({ _id: req.params.id, userId: req.user._id }).select('+videoKey');
     if (!deleted) return res.status(404).json({ success: false, message: 'Not found' });
+    await deleteReplacedFile({ url: deleted.video, key: deleted.videoKey });
     return res.json({ 
       success: true, 
       message: 'Dedication sample deleted successfully'
@@ -0,0 +1,224 @@
+import { validationResult } from 'express-validator';
+import { getFirstValidationError } from '../utils/validationHelper.js';
+import Dispute from '../models/Dispute.js';
+import NotificationHelper from '../utils/notificationHelper.js';
+import {
+  openDispute,
+  respondToDispute,
+  resolveDispute,
+  listDisputes
+} from '../services/disputeService.js';
+import { DISPUTE_OUTCOMES } from '../utils/transactionConstants.js';
+
+// Map known service errors to HTTP statuses
+const errorStatus = (message) => {
+  if (['Dispute not found', 'Booking not found', 'Transaction not found'].includes(message)) return 404;
+  if (message === 'This booking has already been disputed' || message === 'Dispute is already resolved') return 409;
+  if (
+    message.startsWith('Disputes must be opened within')
+    || message.startsWith('Refund amount')
+    || [
+      'Only completed bookings can be disputed',
+      'Booking has no payment to dispute',
+      'Dispute is not awaiting a response',
+      'Transaction is not in completed status'
+    ].includes(message)
+  ) return 400;
+  return 500;
+};
+
+// Notify without failing the request
+const notify = async (userId, title, body, dispute) => {
+  try {
+    await NotificationHelper.sendCustomNotification(userId, title, body, {
+      type: 'dispute',
+      disputeId: dispute._id.toString(),
+      status: dispute.status
+    });
+  } catch (notificationError) {
+    console.error('Error sending dispute notification:', notificationError);
+  }
+};
+
+// Fan opens a dispute on a completed booking
+export const createDispute = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const errorMessage = getFirstValidationError(errors);
+      return res.status(400).json({ success: false, message: errorMessage || 'Validation failed' });
+    }
+
+    const { entityType, entityId, reason, description } = req.body;
+    const dispute = await openDispute({ fanId: req.user._id, entityType, entityId, reason, description });
+
+    await notify(dispute.starId, 'New dispute', 'A fan opened a dispute on one of your bookings. Please respond.', dispute);
+
+    return res.status(201).json({
+      success: true,
+      message: 'Dispute opened successfully',
+      data: {
+        dispute
+      }
+    });
+  } catch (err) {
+    const status = errorStatus(err.message);
+    if (status === 500) console.error('Error opening dispute:', err);
+    return res.status(status).json({ 
+      success: false, 
+      message: status === 500 ? 'Error opening dispute' : err.message,
+      error: err.message 
+    });
+  }
+};
+
+// List disputes visible to the current user (admins see all)
+export const getDisputes = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const errorMessage = getFirstValidationError(errors);
+      return res.status(400).json({ success: false, message: errorMessage || 'Validation failed' });
+    }
+
+    const filter = {};
+    if (req.user.role !== 'admin') {
+      filter.$or = [{ fanId: req.user._id }, { starId: req.user._id }];
+    }
+    if (req.query.status) filter.status = req.query.status;
+
+    const disputes = await listDisputes(filter);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Disputes retrieved successfully',
+      data: {
+        disputes
+      }
+    });
+  } catch (err) {
+    console.error('Error fetching disputes:', err);
+    return res.status(500).json({ 
+      success: false, 
+      message: 'Error fetching disputes',
+      error: err.message 
+    });
+  }
+};
+
+// Get a single dispute (parties or admin)
+export const getDispute = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const errorMessage = getFirstValidationError(errors);
+      return res.status(400).json({ success: false, message: errorMessage || 'Validation failed' });
+    }
+
+    const dispute = await Dispute.findById(req.params.id)
+      .populate('fanId', 'name pseudo profilePic baroniId')
+      .populate('starId', 'name pseudo profilePic baroniId')
+      .populate('resolution.refundTransactionId', 'amount status type createdAt');
+
+    const isParty = dispute && [String(dispute.fanId?._id), String(dispute.starId?._id)].includes(req.user.id);
+    if (!dispute || (!isParty && req.user.role !== 'admin')) {
+      return res.status(404).json({ success: false, message: 'Dispute not found' });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Dispute retrieved successfully',
+      data: {
+        dispute
+      }
+    });
+  } catch (err) {
+    console.error('Error fetching dispute:', err);
+    return res.status(500).json({ 
+      success: false, 
+      message: 'Error fetching dispute',
+      error: err.message 
+    });
+  }
+};
+
+// Star responds to a dispute
+export const respondDispute = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const errorMessage = getFirstValidationError(errors);
+      return res.status(400).json({ success: false, message: errorMessage || 'Validation failed' });
+    }
+
+    const dispute = await respondToDispute({
+      disputeId: req.params.id,
+      starId: req.user._id,
+      message: req.body.message.trim()
+    });
+
+    await notify(dispute.fanId, 'Dispute update', 'The star responded to your dispute.', dispute);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Response recorded successfully',
+      data: {
+        dispute
+      }
+    });
+  } catch (err) {
+    const status = errorStatus(err.message);
+    if (status === 500) console.error('Error responding to dispute:', err);
+    return res.status(status).json({ 
+      success: false, 
+      message: status === 500 ? 'Error responding to dispute' : err.message,
+      error: err.message 
+    });
+  }
+};
+
+// Admin settles a dispute with a full, partial or no refund
+export const settleDispute = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const errorMessage = getFirstValidationError(errors);
+      return res.status(400).json({ success: false, message: errorMessage || 'Validation failed' });
+    }
+
+    const { outcome, refundAmount, note } = req.body;
+    const dispute = await resolveDispute({
+      disputeId: req.params.id,
+      adminId: req.user._id,
+      outcome,
+      refundAmount: refundAmount !== undefined ? Number(refundAmount) : undefined,
+      note: note?.trim()
+    });
+
+    const refunded = dispute.resolution.refundAmount;
+    const fanBody = outcome === DISPUTE_OUTCOMES.NO_REFUND
+      ? 'Your dispute has been resolved without a refund.'
+      : `Your dispute has been resolved. ${refunded} coins were refunded to your wallet.`;
+    const starBody = outcome === DISPUTE_OUTCOMES.NO_REFUND
+      ? 'A dispute on your booking was resolved without a refund.'
+      : `A dispute on your booking was resolved with a refund of ${refunded} coins.`;
+    await notify(dispute.fanId, 'Dispute resolved', fanBody, dispute);
+    await notify(dispute.starId, 'Dispute resolved', starBody, dispute);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Dispute resolved successfully',
+      data: {
+        dispute
+      }
+    });
+  } catch (err) {
+    const status = errorStatus(err.message);
+    if (status === 500) console.error('Error resolving dispute:', err);
+    return res.status(status).json({ 
+      success: false, 
+      message: status === 500 ? 'Error resolving dispute' : err.message,
+      error: err.message 
+    });
+  }
+};
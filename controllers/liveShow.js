@@ -12,6 +12,10 @@ import Transaction from '../models/Transaction.js';
 import NotificationHelper from '../utils/notificationHelper.js';
 import { deleteConversationBetweenUsers } from '../services/messagingCleanup.js';
 import { sanitizeUserData } from '../utils/userDataHelper.js';
+import { countHeldLiveShowSeats, markWaitlistClaimed } from '../services/waitlistService.js';
+import { liveShowEvent } from '../services/calendarFeedService.js';
+import { buildCalendar, sendCalendar } from '../utils/ics.js';
+import { timezoneOf } from '../utils/timezone.js';
 
 // Get single live show details for fan
 export const getLiveShowDetails = async (req, res) => {
@@ -37,6 +41,11 @@ export const getLiveShowDetails = async (req, res) => {
       });
     }
 
+    // ?format=ics downloads the show as a calendar event (cancelled shows included, so calendars can drop them)
+    if (req.query.format === 'ics') {
+      return sendCalendar(res, buildCalendar([liveShowEvent(liveShow)], { timezone: timezoneOf(req.user) }), `live-show-${liveShow.showCode || liveShow._id}.ics`);
+    }
+
     // Check if live show is still live (not completed or cancelled)
     if (liveShow.status === 'completed' || liveShow.status === 'cancelled') {
       return res.status(400).json({
@@ -266,7 +275,7 @@ export const createLiveShow = async (req, res) => {
     if (req.body && typeof req.body.thumbnail === 'string' && req.body.thumbnail.trim()) {
       thumbnailUrl = req.body.thumbnail.trim();
     } else if (req.file && req.file.buffer) {
-      thumbnailUrl = await uploadFile(req.file.buffer);
+      thumbnailUrl = await uploadFile(req.file.buffer, { contentType: req.file.mimetype });
     }
 
     if (!thumbnailUrl) {
@@ -443,7 +452,7 @@ export const updateLiveShow = async (req, res) => {
 
     if (updateData.maxCapacity === 'unlimited') updateData.maxCapacity = -1;
 
-    if (req.file && req.file.buffer) updateData.thumbnail = await uploadFile(req.file.buffer);
+    if (req.file && req.file.buffer) updateData.thumbnail = await uploadFile(req.file.buffer, { contentType: req.file.mimetype });
 
     const updatedShow = await LiveShow.findByIdAndUpdate(id, updateData, { new: true, runValidators: true })
       .populate({ path: 'starId', select: '-password -passwordResetToken -passwordResetExpires' });
@@ -508,8 +517,8 @@ export const joinLiveShow = async (req, res) => {
       });
     }
 
-    // Capacity check
-    if (show.maxCapacity !== -1 && show.currentAttendees >= show.maxCapacity) {
+    // Capacity check; seats offered to waitlisted fans stay held for them
+    if (show.maxCapacity !== -1 && show.currentAttendees + await countHeldLiveShowSeats(show._id, req.user._id) >= show.maxCapacity) {
       return res.status(400).json({ success: false, message: 'Show is at capacity' });
     }
 
@@ -604,6 +613,13 @@ export const joinLiveShow = async (req, res) => {
 
     const data = setPerUserFlags(sanitizeLiveShow(updated), updated, req);
 
+    // Joining closes the fan's waitlist entry for this show
+    try {
+      await markWaitlistClaimed({ kind: 'live_show', liveShowId: show._id, fanId: req.user._id });
+    } catch (waitlistError) {
+      console.error('Error closing waitlist entry:', waitlistError);
+    }
+
     // Send notification to star about new attendee (general notification, not VoIP)
     try {
       await NotificationHelper.sendCustomNotification(
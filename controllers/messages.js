@@ -110,7 +110,7 @@ export const storeMessage = async (req, res) => {
     // Handle image upload if file is provided
     if (file && file.mimetype.startsWith('image/')) {
         try {
-            const imageUrl = await uploadFile(file.buffer);
+            const imageUrl = await uploadFile(file.buffer, { contentType: file.mimetype });
             messageData.imageUrl = imageUrl;
             messageData.type = 'image';
             // If no message text provided, set a default message for image
@@ -5,15 +5,36 @@ import {
   handlePaymentTimeout as processPaymentTimeout
 } from '../services/paymentCallbackService.js';
 
+// Record the processing outcome on the callback audit log
+const updateCallbackLog = async (log, update) => {
+  if (!log) return;
+  try {
+    await log.updateOne({ $set: update });
+  } catch (logError) {
+    console.error('Error updating payment callback log:', logError);
+  }
+};
+
+// Known callback errors and the HTTP status returned to the provider
+const CALLBACK_ERROR_STATUS = {
+  'Missing required callback data': 400,
+  'Invalid payment status': 400,
+  'Transaction not found': 404,
+  'Transaction already processed with a different status': 409
+};
+
 /**
- * Handle Orange Money payment callback
- * POST /api/payment/callback
+ * Handle payment provider callback
+ * POST /api/payment/callback (Orange Money)
+ * POST /api/payment/callback/:provider
  */
 export const handlePaymentCallback = async (req, res) => {
+  const log = req.paymentCallbackLog;
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       const errorMessage = getFirstValidationError(errors);
+      await updateCallbackLog(log, { outcome: 'invalid', error: errorMessage });
       return res.status(400).json({ 
         success: false, 
         message: errorMessage || 'Invalid callback data'
@@ -21,19 +42,31 @@ export const handlePaymentCallback = async (req, res) => {
     }
 
     const callbackData = req.body;
-    const result = await processPaymentCallback(callbackData);
+    const result = await processPaymentCallback(callbackData, req.paymentProvider, {
+      confirmWithProvider: Boolean(req.paymentCallbackUnverified)
+    });
+
+    await updateCallbackLog(log, {
+      outcome: result.pending ? 'pending' : result.duplicate ? 'duplicate' : 'processed',
+      transactionId: result.transactionId
+    });
 
     return res.status(200).json({
       success: true,
-      message: 'Payment callback processed successfully',
+      message: result.message,
       data: result
     });
 
   } catch (err) {
+    const status = CALLBACK_ERROR_STATUS[err.message] || 500;
+    await updateCallbackLog(log, {
+      outcome: status === 409 ? 'conflict' : status === 400 ? 'invalid' : 'failed',
+      error: err.message
+    });
     console.error('Error processing payment callback:', err);
-    return res.status(500).json({ 
+    return res.status(status).json({ 
       success: false, 
-      message: 'Error processing payment callback',
+      message: status === 500 ? 'Error processing payment callback' : err.message,
       error: err.message 
     });
   }
@@ -41,7 +74,7 @@ export const handlePaymentCallback = async (req, res) => {
 
 /**
  * Handle payment timeout and refund
- * This endpoint can be called by a cron job or scheduler
+ * Admin-only manual run of the check refundScheduler runs on its own
  * POST /api/payment/timeout
  */
 export const handlePaymentTimeout = async (req, res) => {
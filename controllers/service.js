@@ -2,7 +2,7 @@ import { validationResult } from 'express-validator';
 import { getFirstValidationError } from '../utils/validationHelper.js';
 import Service from '../models/Service.js';
 
-const sanitize = (doc) => ({ id: doc._id, type: doc.type, price: doc.price, userId: doc.userId, createdAt: doc.createdAt, updatedAt: doc.updatedAt });
+const sanitize = (doc) => ({ id: doc._id, type: doc.type, price: doc.price, durationMinutes: doc.durationMinutes ?? null, userId: doc.userId, createdAt: doc.createdAt, updatedAt: doc.updatedAt });
 
 export const createService = async (req, res) => {
   try {
@@ -11,8 +11,8 @@ export const createService = async (req, res) => {
       const errorMessage = getFirstValidationError(errors);
       return res.status(400).json({ success: false, message: errorMessage || 'Validation failed' });
     }
-    const { type, price } = req.body;
-    const created = await Service.create({ type: type.trim(), price, userId: req.user._id });
+    const { type, price, durationMinutes } = req.body;
+    const created = await Service.create({ type: type.trim(), price, durationMinutes: durationMinutes || undefined, userId: req.user._id });
     return res.status(201).json({ 
       success: true, 
       message: 'Service created successfully',
@@ -66,11 +66,13 @@ export const updateService = async (req, res) => {
       const errorMessage = getFirstValidationError(errors);
       return res.status(400).json({ success: false, message: errorMessage || 'Validation failed' });
     }
-    const { type, price } = req.body;
+    const { type, price, durationMinutes } = req.body;
     const item = await Service.findOne({ _id: req.params.id, userId: req.user._id });
     if (!item) return res.status(404).json({ success: false, message: 'Not found' });
     if (type) item.type = type.trim();
     if (price !== undefined) item.price = price;
+    // null turns a call type back into a plain service
+    if (durationMinutes !== undefined) item.durationMinutes = durationMinutes || undefined;
     const updated = await item.save();
     return res.json({ 
       success: true, 
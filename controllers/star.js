@@ -3,7 +3,9 @@ import mongoose from "mongoose";
 import Dedication from "../models/Dedication.js";
 import DedicationSample from "../models/DedicationSample.js";
 import Service from "../models/Service.js";
-import Availability from "../models/Availability.js";
+import { RULE_HORIZON_DAYS, addDays, getMergedAvailabilities, getUpcomingAvailabilities } from "../services/availabilityRuleService.js";
+import { getBlackoutPeriods } from "../services/blackoutService.js";
+import { getOpenCallSlices } from "../services/callSlotService.js";
 import LiveShow from "../models/LiveShow.js";
 import LiveShowAttendance from "../models/LiveShowAttendance.js";
 import Appointment from "../models/Appointment.js";
@@ -16,6 +18,7 @@ import { generateUniqueGoldBaroniId, generateUniqueBaroniId } from "../utils/bar
 import Review from "../models/Review.js";
 import { sanitizeUserData, sanitizeUserDataArray } from "../utils/userDataHelper.js";
 import NotificationHelper from "../utils/notificationHelper.js";
+import { resolveSlotInstants, resolveViewerTimezone, timezoneOf, todayInTimezone, toLocalSlot } from "../utils/timezone.js";
 
 /**
  * Get available baroni ID patterns for becoming a star
@@ -452,39 +455,18 @@ export const getStarById = async (req, res) => {
             }).populate("participants", "name profilePic role");
         }
 
-        // Helper function to get current date in IST timezone (YYYY-MM-DD format)
-        function getCurrentDateString() {
-            // Get current time in IST (UTC + 5:30)
-            const now = new Date();
-            const istOffset = 5.5 * 60 * 60 * 1000; // 5.5 hours in milliseconds
-            const istTime = new Date(now.getTime() + istOffset);
-
-            const year = istTime.getUTCFullYear();
-            const month = String(istTime.getUTCMonth() + 1).padStart(2, '0');
-            const day = String(istTime.getUTCDate()).padStart(2, '0');
-
-            return `${year}-${month}-${day}`;
-        }
-
-        // Helper function to get current IST time as Date object
-        function getCurrentISTTime() {
-            const now = new Date();
-            const istOffset = 5.5 * 60 * 60 * 1000; // 5.5 hours in milliseconds
-            const istTime = new Date(now.getTime() + istOffset);
-
-            console.log(`Current IST time: ${istTime.toISOString()} (equivalent IST)`);
-            return istTime;
-        }
+        // Availability dates are wall-clock dates in the star's timezone
+        const starTimezone = timezoneOf(star);
+        const viewerTimezone = resolveViewerTimezone(req);
 
         // fetch related data including upcoming live shows
         const [dedications, services, dedicationSamples, availability, upcomingShows] = await Promise.all([
             Dedication.find({ userId: id }),
             Service.find({ userId: id }),
-            DedicationSample.find({ userId: id }),
-            Availability.find({
-                userId: id,
-                date: { $gte: getCurrentDateString() } // Only current and future availabilities (YYYY-MM-DD format)
-            }).sort({ date: 1 }),
+            // Samples whose first video is still processing (or failed) have nothing to show yet
+            DedicationSample.find({ userId: id, video: { $exists: true, $ne: "" } }),
+            // Current and future availabilities, including open slots of recurring rules
+            getUpcomingAvailabilities(id, starTimezone),
             LiveShow.find({
                 starId: id,
                 date: { $gt: new Date() },
@@ -530,115 +512,39 @@ export const getStarById = async (req, res) => {
             return showData;
         });
 
-        // Helper function to parse time slot and convert to IST Date object for comparison
-        function parseTimeSlotToISTDate(dateStr, slot) {
-            if (!slot || typeof slot !== 'string' || !dateStr) return null;
-
-            const parts = slot.split(' - ');
-            if (parts.length !== 2) return null;
-
-            const startTime = parts[0].trim();
-            let hour, minute;
-
-            // Parse time logic
-            const h24Match = startTime.match(/^([01]?\d|2[0-3]):([0-5]\d)$/);
-            if (h24Match) {
-                hour = parseInt(h24Match[1], 10);
-                minute = parseInt(h24Match[2], 10);
-            } else {
-                const ampmMatch = startTime.match(/^(\d{1,2}):(\d{2})\s*(AM|PM)/i);
-                if (!ampmMatch) return null;
-
-                hour = parseInt(ampmMatch[1], 10);
-                minute = parseInt(ampmMatch[2], 10);
-                const ampm = ampmMatch[3].toUpperCase();
-
-                if (ampm === 'PM' && hour !== 12) hour += 12;
-                if (ampm === 'AM' && hour === 12) hour = 0;
-            }
-
-            // Create date object treating the slot as IST time
-            const [year, month, day] = dateStr.split('-').map(v => parseInt(v, 10));
-            const slotDate = new Date(year, month - 1, day, hour, minute, 0, 0);
-
-            // Convert to equivalent UTC time for comparison (subtract IST offset)
-            const istOffset = 5.5 * 60 * 60 * 1000;
-            const equivalentUTCTime = new Date(slotDate.getTime() + istOffset);
-
-            console.log(`Parsed time slot: ${slot} on ${dateStr} -> IST time: ${slotDate.toISOString()} -> Equivalent UTC: ${equivalentUTCTime.toISOString()}`);
-
-            return equivalentUTCTime;
+        // Slot start instant; older availabilities without stored instants are resolved on the fly
+        function getSlotStart(item, s) {
+            if (s.startAt) return new Date(s.startAt);
+            const instants = resolveSlotInstants(item.date, s.slot, item.timezone || starTimezone);
+            return instants ? instants.startAt : null;
         }
 
-        // Filter out unavailable (booked) time slots from availability and sort by nearest
+        // Filter out unavailable (booked) and already started time slots from availability and sort by nearest
+        const now = Date.now();
         const filteredAvailability = Array.isArray(availability)
             ? availability
                 .map((doc) => {
                     const item = typeof doc.toObject === 'function' ? doc.toObject() : doc;
                     const timeSlots = Array.isArray(item.timeSlots)
                         ? item.timeSlots
-                            .filter((s) => {
-                                if (!s || s.status !== 'available') return false;
-
-                                const currentISTTime = getCurrentISTTime();
-                                const today = getCurrentDateString();
-
-                                console.log(`Checking time slot: ${s.slot} on ${item.date}, today: ${today}, current IST: ${currentISTTime.toISOString()}`);
-
-                                if (item.date === today) {
-                                    const slotStartTime = parseTimeSlotToISTDate(item.date, s.slot);
-                                    if (slotStartTime && slotStartTime <= currentISTTime) {
-                                        console.log(`Filtering out passed time slot: ${s.slot} on ${item.date}`);
-                                        return false;
-                                    }
-                                }
-                                return true;
-                            })
-                            .sort((a, b) => {
-                                const timeA = parseTimeSlot(a.slot);
-                                const timeB = parseTimeSlot(b.slot);
-                                return timeA - timeB;
+                            .map((s) => ({ ...s, startAt: s ? getSlotStart(item, s) : null }))
+                            .filter((s) => s && s.status === 'available' && s.startAt && s.startAt.getTime() > now)
+                            .sort((a, b) => a.startAt - b.startAt)
+                            .map((s) => {
+                                const endAt = s.endAt ? new Date(s.endAt) : resolveSlotInstants(item.date, s.slot, item.timezone || starTimezone)?.endAt;
+                                return {
+                                    ...s,
+                                    endAt,
+                                    ...(endAt ? { local: toLocalSlot(s.startAt, endAt, viewerTimezone) } : {}),
+                                };
                             })
                         : [];
-                    return { ...item, timeSlots };
+                    return { ...item, timezone: item.timezone || starTimezone, timeSlots };
                 })
                 .filter((item) => Array.isArray(item.timeSlots) && item.timeSlots.length > 0)
-                .sort((a, b) => {
-                    return new Date(a.date) - new Date(b.date);
-                })
+                .sort((a, b) => a.timeSlots[0].startAt - b.timeSlots[0].startAt)
             : [];
 
-        // Helper function to parse time slot and convert to minutes for sorting
-        function parseTimeSlot(slot) {
-            if (!slot || typeof slot !== 'string') return 0;
-
-            const parts = slot.split(' - ');
-            if (parts.length !== 2) return 0;
-
-            const startTime = parts[0].trim();
-
-            const h24Match = startTime.match(/^([01]?\d|2[0-3]):([0-5]\d)$/);
-            if (h24Match) {
-                const hour = parseInt(h24Match[1], 10);
-                const minute = parseInt(h24Match[2], 10);
-                return hour * 60 + minute;
-            }
-
-            const ampmMatch = startTime.match(/^(\d{1,2}):(\d{2})\s*(AM|PM)/i);
-            if (ampmMatch) {
-                let hour = parseInt(ampmMatch[1], 10);
-                const minute = parseInt(ampmMatch[2], 10);
-                const ampm = ampmMatch[3].toUpperCase();
-
-                if (ampm === 'PM' && hour !== 12) hour += 12;
-                if (ampm === 'AM' && hour === 12) hour = 0;
-
-                return hour * 60 + minute;
-            }
-
-            return 0;
-        }
-
         res.status(200).json({
             success: true,
             data: {
@@ -666,3 +572,193 @@ export const getStarById = async (req, res) => {
         });
     }
 };
+
+// Longest range the public calendar returns in one request
+const MAX_CALENDAR_DAYS = 62;
+const YMD_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+// Video call price for stars without call types: the service whose type mentions a call, else their only service
+const findVideoCallService = (services) => (
+    services.find((s) => /video|call|appel/i.test(s.type)) || (services.length === 1 ? services[0] : null)
+);
+
+const toCallType = (service) => ({
+    serviceId: service._id,
+    type: service.type,
+    price: service.price,
+    durationMinutes: service.durationMinutes ?? null,
+});
+
+// Public availability calendar: a star's open slots grouped by day, the single source for booking screens
+export const getStarAvailabilityCalendar = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { from: fromParam, to: toParam, serviceId } = req.query;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({
+                success: false,
+                message: "Invalid user ID",
+            });
+        }
+        if (serviceId && !mongoose.Types.ObjectId.isValid(serviceId)) {
+            return res.status(400).json({
+                success: false,
+                message: "Invalid service ID",
+            });
+        }
+        if ((fromParam && !YMD_REGEX.test(fromParam)) || (toParam && !YMD_REGEX.test(toParam))) {
+            return res.status(400).json({
+                success: false,
+                message: "from and to must be dates in YYYY-MM-DD format",
+            });
+        }
+
+        const star = await User.findOne({ _id: id, role: "star" }).select("name pseudo baroniId profilePic timezone availableForBookings hidden callBufferMinutes maxCallsPerDay");
+        const isOwnerOrAdmin = req.user && (String(req.user._id) === String(id) || req.user.role === "admin");
+        // Hidden stars are only reachable by their owner and admins
+        if (!star || (star.hidden && !isOwnerOrAdmin)) {
+            return res.status(404).json({
+                success: false,
+                message: "Star not found",
+            });
+        }
+
+        // Dates are wall-clock dates in the star's timezone; the past is never returned
+        const starTimezone = timezoneOf(star);
+        const viewerTimezone = resolveViewerTimezone(req);
+        const today = todayInTimezone(starTimezone);
+        const from = fromParam && fromParam > today ? fromParam : today;
+        const to = toParam || addDays(from, RULE_HORIZON_DAYS - 1);
+        if (to < from) {
+            return res.status(400).json({
+                success: false,
+                message: "to must be on or after from (and not in the past)",
+            });
+        }
+        if (to > addDays(from, MAX_CALENDAR_DAYS - 1)) {
+            return res.status(400).json({
+                success: false,
+                message: `Date range cannot exceed ${MAX_CALENDAR_DAYS} days`,
+            });
+        }
+
+        // Call types (services with a duration) slice windows into bookable calls; the
+        // requested one is used, else the shortest
+        const services = await Service.find({ userId: id }).sort({ createdAt: -1 });
+        const callTypes = services.filter((s) => s.durationMinutes > 0).sort((a, b) => a.durationMinutes - b.durationMinutes);
+        const callType = serviceId ? callTypes.find((s) => String(s._id) === String(serviceId)) : callTypes[0];
+        if (serviceId && !callType) {
+            return res.status(404).json({
+                success: false,
+                message: "Call type not found",
+            });
+        }
+        const videoCallService = callType || findVideoCallService(services);
+        const blackouts = await getBlackoutPeriods(id, { from, to });
+
+        let days = [];
+        if (star.availableForBookings) {
+            const now = Date.now();
+            const availabilities = await getMergedAvailabilities(id, { from, to });
+            const slices = callType ? await getOpenCallSlices(star, availabilities, callType.durationMinutes, starTimezone) : null;
+            days = availabilities
+                .map((item) => ({
+                    date: item.date,
+                    timezone: item.timezone || starTimezone,
+                    slots: item.timeSlots
+                        .filter((t) => t.status === "available")
+                        .flatMap((t) => {
+                            // Persisted slots are booked by availabilityId + timeSlotId, rule occurrences by ruleId + date + slot
+                            const ref = { availabilityId: item._id, timeSlotId: t._id, ruleId: t.ruleId || null, slot: t.slot };
+                            const calls = slices
+                                ? (slices.get(`${item.date}|${t.slot}`) || []).map((c) => ({ ...ref, startTime: c.time.slice(0, 5), time: c.time, startAt: c.startAt, endAt: c.endAt }))
+                                : [{ ...ref, time: t.slot, startAt: t.startAt, endAt: t.endAt }];
+                            return calls
+                                .filter((c) => c.startAt && new Date(c.startAt).getTime() > now)
+                                .map((c) => ({ ...c, local: toLocalSlot(c.startAt, c.endAt, viewerTimezone) }));
+                        }),
+                }))
+                .filter((day) => day.slots.length > 0);
+        }
+
+        return res.status(200).json({
+            success: true,
+            message: "Star availability retrieved successfully",
+            data: {
+                star: {
+                    id: star._id,
+                    name: star.name,
+                    pseudo: star.pseudo,
+                    baroniId: star.baroniId,
+                    profilePic: star.profilePic,
+                    availableForBookings: Boolean(star.availableForBookings),
+                },
+                timezone: starTimezone,
+                viewerTimezone,
+                from,
+                to,
+                videoCall: videoCallService ? toCallType(videoCallService) : null,
+                callTypes: callTypes.map(toCallType),
+                // Date ranges the star is away (no open slots)
+                blackouts: blackouts.map((b) => ({ startDate: b.startDate, endDate: b.endDate })),
+                days,
+            },
+        });
+    } catch (error) {
+        return res.status(500).json({
+            success: false,
+            message: "Server error while fetching star availability",
+            error: error.message,
+        });
+    }
+};
+
+// Admin: set or clear a star-specific platform commission rate
+export const setStarCommission = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { commissionPercent } = req.body;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({
+                success: false,
+                message: "Invalid user ID",
+            });
+        }
+
+        // null clears the override so the Config rates apply again
+        const percent = commissionPercent === null ? null : Number(commissionPercent);
+        if (percent !== null && (Number.isNaN(percent) || percent < 0 || percent > 100)) {
+            return res.status(400).json({
+                success: false,
+                message: "commissionPercent must be between 0 and 100, or null",
+            });
+        }
+
+        const star = await User.findOneAndUpdate(
+            { _id: id, role: "star" },
+            { $set: { commissionPercent: percent } },
+            { new: true }
+        ).select("_id name pseudo baroniId commissionPercent");
+
+        if (!star) {
+            return res.status(404).json({
+                success: false,
+                message: "Star not found",
+            });
+        }
+
+        return res.json({
+            success: true,
+            message: percent === null ? "Star commission override removed" : "Star commission updated",
+            data: { star },
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: "Server error while updating star commission",
+            error: error.message,
+        });
+    }
+};
@@ -5,8 +5,21 @@ import {
   createHybridTransaction,
   getUserTransactionHistory, 
   getTransactionById, 
-  getUserCoinBalance 
+  getUserCoinBalance,
+  createAdminAdjustment,
+  getAdminAdjustments,
+  getCoinPackOffers,
+  createTopUpTransaction
 } from '../services/transactionService.js';
+import ContactSupport from '../models/ContactSupport.js';
+import Dispute from '../models/Dispute.js';
+import User from '../models/User.js';
+import NotificationHelper from '../utils/notificationHelper.js';
+import { getWalletLedgerEntries, getWalletLedgerBalance, reconcileWalletBalances } from '../services/ledgerService.js';
+import { buildWalletStatement, renderStatementCsv, renderStatementPdf } from '../services/statementService.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_STATEMENT_DAYS = 366;
 
 // Create a new hybrid transaction (coin + external payment)
 export const createNewHybridTransaction = async (req, res) => {
@@ -65,6 +78,70 @@ export const createNewHybridTransaction = async (req, res) => {
   }
 };
 
+// List the coin packs available for purchase
+export const getCoinPacks = async (_req, res) => {
+  try {
+    const packs = await getCoinPackOffers();
+
+    return res.status(200).json({
+      success: true,
+      message: 'Coin packs retrieved successfully',
+      data: {
+        packs
+      }
+    });
+  } catch (err) {
+    console.error('Error fetching coin packs:', err);
+    return res.status(500).json({ 
+      success: false, 
+      message: 'Error fetching coin packs',
+      error: err.message 
+    });
+  }
+};
+
+// Buy a coin pack through the external payment gateway
+export const createCoinTopUp = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const errorMessage = getFirstValidationError(errors);
+      return res.status(400).json({ success: false, message: errorMessage || 'Validation failed' });
+    }
+
+    const { packId, contact } = req.body;
+
+    const { normalizeContact } = await import('../utils/normalizeContact.js');
+    const normalizedPhone = normalizeContact(contact || req.user.contact || '');
+    if (!normalizedPhone) {
+      return res.status(400).json({ success: false, message: 'User phone number is required for top-ups' });
+    }
+
+    const result = await createTopUpTransaction({
+      userId: req.user.id,
+      packId,
+      userPhone: normalizedPhone
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: result.message,
+      data: {
+        ...result
+      }
+    });
+  } catch (err) {
+    if (err.message === 'Coin pack not found') {
+      return res.status(404).json({ success: false, message: err.message });
+    }
+    console.error('Error creating coin top-up:', err);
+    return res.status(500).json({ 
+      success: false, 
+      message: err.message || 'Error creating coin top-up'
+    });
+  }
+};
+
 // Create a new transaction (legacy method)
 export const createNewTransaction = async (req, res) => {
   try {
@@ -116,12 +193,22 @@ export const createNewTransaction = async (req, res) => {
 // Get user's transaction history
 export const getUserTransactions = async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const errorMessage = getFirstValidationError(errors);
+      return res.status(400).json({ success: false, message: errorMessage || 'Validation failed' });
+    }
+
     const userId = req.user.id;
-    const { type, paymentMode } = req.query;
+    const { type, paymentMode, from, to, page, limit } = req.query;
 
     const transactions = await getUserTransactionHistory(userId, {
       type,
-      paymentMode
+      paymentMode,
+      from,
+      to,
+      page,
+      limit
     });
 
     return res.status(200).json({
@@ -197,3 +284,220 @@ export const getUserBalance = async (req, res) => {
     });
   }
 };
+
+// Download a wallet statement for a date range (CSV, PDF or JSON)
+export const getStatement = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const errorMessage = getFirstValidationError(errors);
+      return res.status(400).json({ success: false, message: errorMessage || 'Validation failed' });
+    }
+
+    // Defaults to the current calendar month; both bounds are whole UTC days and `to` is inclusive
+    const now = new Date();
+    const from = req.query.from
+      ? new Date(`${req.query.from.slice(0, 10)}T00:00:00.000Z`)
+      : new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+    const to = req.query.to
+      ? new Date(new Date(`${req.query.to.slice(0, 10)}T00:00:00.000Z`).getTime() + DAY_MS)
+      : new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()) + DAY_MS);
+
+    if (from >= to) {
+      return res.status(400).json({ success: false, message: 'From must be on or before to' });
+    }
+    if (to - from > MAX_STATEMENT_DAYS * DAY_MS) {
+      return res.status(400).json({ success: false, message: `Statement period cannot exceed ${MAX_STATEMENT_DAYS} days` });
+    }
+
+    const statement = await buildWalletStatement(req.user.id, { from, to });
+    const format = req.query.format || 'csv';
+    const filename = `baroni-statement-${from.toISOString().slice(0, 10)}-${new Date(to - DAY_MS).toISOString().slice(0, 10)}`;
+
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}.csv"`);
+      return res.status(200).send(renderStatementCsv(statement));
+    }
+
+    if (format === 'pdf') {
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}.pdf"`);
+      return res.status(200).send(renderStatementPdf(statement));
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Statement retrieved successfully',
+      data: {
+        statement
+      }
+    });
+  } catch (err) {
+    console.error('Error generating statement:', err);
+    return res.status(500).json({ 
+      success: false, 
+      message: 'Error generating statement',
+      error: err.message 
+    });
+  }
+};
+
+// Get user's wallet ledger (explains how the coin balance was reached)
+export const getUserLedger = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const errorMessage = getFirstValidationError(errors);
+      return res.status(400).json({ success: false, message: errorMessage || 'Validation failed' });
+    }
+
+    const userId = req.user.id;
+    const [entries, ledgerBalance, balance] = await Promise.all([
+      getWalletLedgerEntries(userId, { limit: req.query.limit }),
+      getWalletLedgerBalance(userId),
+      getUserCoinBalance(userId)
+    ]);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Ledger retrieved successfully',
+      data: {
+        balance,
+        ledgerBalance,
+        entries
+      }
+    });
+  } catch (err) {
+    console.error('Error fetching user ledger:', err);
+    return res.status(500).json({ 
+      success: false, 
+      message: 'Error fetching ledger',
+      error: err.message 
+    });
+  }
+};
+
+// Recompute all wallet balances from the ledger and flag drift (admin)
+export const reconcileLedger = async (_req, res) => {
+  try {
+    const result = await reconcileWalletBalances();
+
+    return res.status(200).json({
+      success: true,
+      message: 'Ledger reconciliation completed',
+      data: result
+    });
+  } catch (err) {
+    console.error('Error reconciling ledger:', err);
+    return res.status(500).json({ 
+      success: false, 
+      message: 'Error reconciling ledger',
+      error: err.message 
+    });
+  }
+};
+
+// Records an admin adjustment can reference (the validator restricts referenceType to these keys)
+const ADJUSTMENT_REFERENCES = {
+  support_ticket: { model: ContactSupport, label: 'Support ticket' },
+  dispute: { model: Dispute, label: 'Dispute' }
+};
+
+// Shared handler for admin wallet credit/debit adjustments
+const handleAdminAdjustment = async (req, res, direction) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const errorMessage = getFirstValidationError(errors);
+      return res.status(400).json({ success: false, message: errorMessage || 'Validation failed' });
+    }
+
+    const { userId, amount, reason, referenceType, referenceId } = req.body;
+
+    const user = await User.findById(userId).select('_id');
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    const reference = ADJUSTMENT_REFERENCES[referenceType];
+    if (!(await reference.model.exists({ _id: referenceId }))) {
+      return res.status(404).json({ success: false, message: `${reference.label} not found` });
+    }
+
+    let transaction;
+    try {
+      transaction = await createAdminAdjustment({
+        adminId: req.user._id,
+        userId: user._id,
+        direction,
+        amount: Number(amount),
+        reason: reason.trim(),
+        referenceType,
+        referenceId
+      });
+    } catch (adjustmentError) {
+      return res.status(400).json({ success: false, message: adjustmentError.message });
+    }
+
+    // Notify the user about the wallet adjustment
+    try {
+      await NotificationHelper.sendPaymentNotification(
+        'PAYMENT_SUCCESS',
+        { ...transaction.toObject(), userId: user._id },
+        { currentUserId: req.user._id, reason: reason.trim() }
+      );
+    } catch (notificationError) {
+      console.error('Error sending wallet adjustment notification:', notificationError);
+    }
+
+    return res.status(201).json({
+      success: true,
+      message: direction === 'credit' ? 'User credited successfully' : 'User debited successfully',
+      data: {
+        transaction
+      }
+    });
+  } catch (err) {
+    console.error(`Error processing admin ${direction}:`, err);
+    return res.status(500).json({ 
+      success: false, 
+      message: `Error processing admin ${direction}`,
+      error: err.message 
+    });
+  }
+};
+
+// Admin credits coins to a user's wallet
+export const adminCreditUser = (req, res) => handleAdminAdjustment(req, res, 'credit');
+
+// Admin debits coins from a user's wallet
+export const adminDebitUser = (req, res) => handleAdminAdjustment(req, res, 'debit');
+
+// List admin wallet adjustments
+export const listAdminAdjustments = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const errorMessage = getFirstValidationError(errors);
+      return res.status(400).json({ success: false, message: errorMessage || 'Validation failed' });
+    }
+
+    const transactions = await getAdminAdjustments({ userId: req.query.userId });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Admin adjustments retrieved successfully',
+      data: {
+        transactions
+      }
+    });
+  } catch (err) {
+    console.error('Error fetching admin adjustments:', err);
+    return res.status(500).json({ 
+      success: false, 
+      message: 'Error fetching admin adjustments',
+      error: err.message 
+    });
+  }
+};
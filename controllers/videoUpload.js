@@ -0,0 +1,128 @@
+import { validationResult } from 'express-validator';
+import mongoose from 'mongoose';
+import { getFirstValidationError } from '../utils/validationHelper.js';
+import {
+  createVideoUpload,
+  getVideoUpload,
+  appendVideoChunk,
+  cancelVideoUpload
+} from '../services/videoUploadService.js';
+
+const sanitize = (upload) => ({
+  id: upload._id,
+  purpose: upload.purpose,
+  fileName: upload.fileName,
+  status: upload.status,
+  totalSize: upload.totalSize,
+  chunkSize: upload.chunkSize,
+  receivedBytes: upload.receivedBytes,
+  expiresAt: upload.expiresAt,
+  createdAt: upload.createdAt
+});
+
+// Map known service errors to HTTP statuses
+const errorStatus = (message) => {
+  if (message === 'Upload not found') return 404;
+  if (['Chunk out of order', 'Another chunk is being uploaded', 'Upload is not in progress'].includes(message)) return 409;
+  if (message.startsWith('Chunks must be') || message.startsWith('Content-Range') || message.startsWith('Only video') || message.startsWith('Video size')) return 400;
+  if (message.startsWith('Chunk upload failed')) return 502;
+  if (message === 'Video uploads are disabled on this server') return 503;
+  return 500;
+};
+
+// "bytes <start>-<end>/<total>"
+const parseContentRange = (header) => {
+  const match = /^bytes (\d+)-(\d+)\/(\d+)$/.exec(String(header || '').trim());
+  if (!match) return null;
+  const [start, end, total] = match.slice(1).map(Number);
+  return end >= start ? { start, end, total } : null;
+};
+
+// Star starts a resumable video upload
+export const startVideoUpload = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const errorMessage = getFirstValidationError(errors);
+      return res.status(400).json({ success: false, message: errorMessage || 'Validation failed' });
+    }
+
+    const { purpose, fileName, mimeType, totalSize } = req.body;
+    const upload = await createVideoUpload({ userId: req.user._id, purpose, fileName, mimeType, totalSize });
+    return res.status(201).json({
+      success: true,
+      message: 'Upload started',
+      data: {
+        upload: sanitize(upload)
+      }
+    });
+  } catch (err) {
+    const status = errorStatus(err.message);
+    return res.status(status).json({ success: false, message: err.message });
+  }
+};
+
+// Star sends the next chunk (raw body, Content-Range header)
+export const uploadVideoChunkHandler = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid upload ID' });
+    }
+    const range = parseContentRange(req.get('Content-Range'));
+    const chunk = Buffer.isBuffer(req.body) ? req.body : null;
+    if (!range || !chunk || range.end - range.start + 1 !== chunk.length) {
+      return res.status(400).json({ success: false, message: 'A binary chunk with a matching Content-Range header is required' });
+    }
+
+    const upload = await appendVideoChunk({ uploadId: req.params.id, userId: req.user._id, start: range.start, totalSize: range.total, chunk });
+    return res.json({
+      success: true,
+      message: upload.status === 'uploaded' ? 'Upload complete' : 'Chunk received',
+      data: {
+        upload: sanitize(upload)
+      }
+    });
+  } catch (err) {
+    const status = errorStatus(err.message);
+    if (status === 409 || status === 502) {
+      // Tell the client where to resume
+      const upload = await getVideoUpload(req.params.id, req.user._id);
+      return res.status(status).json({ success: false, message: err.message, data: upload ? { upload: sanitize(upload) } : undefined });
+    }
+    return res.status(status).json({ success: false, message: err.message });
+  }
+};
+
+// Progress of an upload, to resume after an interruption
+export const getVideoUploadStatus = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid upload ID' });
+    }
+    const upload = await getVideoUpload(req.params.id, req.user._id);
+    if (!upload) return res.status(404).json({ success: false, message: 'Upload not found' });
+    return res.json({
+      success: true,
+      message: 'Upload retrieved successfully',
+      data: {
+        upload: sanitize(upload)
+      }
+    });
+  } catch (err) {
+    return res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+// Star abandons an upload
+export const cancelVideoUploadHandler = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid upload ID' });
+    }
+    const upload = await cancelVideoUpload(req.params.id, req.user._id);
+    if (!upload) return res.status(404).json({ success: false, message: 'Upload not found' });
+    return res.json({ success: true, message: 'Upload cancelled' });
+  } catch (err) {
+    return res.status(500).json({ success: false, message: err.message });
+  }
+};
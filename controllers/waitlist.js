@@ -0,0 +1,154 @@
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import LiveShow from '../models/LiveShow.js';
+import {
+  joinWaitlist,
+  leaveWaitlist,
+  findWaitlistEntry,
+  getWaitlistPosition,
+  countHeldLiveShowSeats
+} from '../services/waitlistService.js';
+
+const sanitizeEntry = (entry, position) => ({
+  id: entry._id,
+  kind: entry.kind,
+  starId: entry.starId,
+  liveShowId: entry.liveShowId || null,
+  status: entry.status,
+  position,
+  offer: entry.status === 'offered' ? entry.offer : undefined,
+  offerExpiresAt: entry.status === 'offered' ? entry.offerExpiresAt : undefined,
+  createdAt: entry.createdAt
+});
+
+// Waitlist a request addresses, or an error response when the target is invalid
+const resolveStarQueue = async (req, res) => {
+  const { id } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    res.status(400).json({ success: false, message: 'Invalid star ID' });
+    return null;
+  }
+  const star = await User.findOne({ _id: id, role: 'star' }).select('_id');
+  if (!star) {
+    res.status(404).json({ success: false, message: 'Star not found' });
+    return null;
+  }
+  return { kind: 'appointment', starId: star._id, fanId: req.user._id };
+};
+
+const resolveLiveShowQueue = async (req, res) => {
+  const { id } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    res.status(400).json({ success: false, message: 'Invalid live show ID' });
+    return null;
+  }
+  const show = await LiveShow.findById(id);
+  if (!show) {
+    res.status(404).json({ success: false, message: 'Live show not found' });
+    return null;
+  }
+  return { queue: { kind: 'live_show', starId: show.starId, liveShowId: show._id, fanId: req.user._id }, show };
+};
+
+const respondWithEntry = async (res, entry, message, status = 200) => res.status(status).json({
+  success: true,
+  message,
+  data: {
+    entry: entry ? sanitizeEntry(entry, await getWaitlistPosition(entry)) : null
+  }
+});
+
+// Fan joins a star's appointment waitlist
+export const joinStarWaitlist = async (req, res) => {
+  try {
+    const queue = await resolveStarQueue(req, res);
+    if (!queue) return;
+    if (queue.starId.toString() === req.user._id.toString()) {
+      return res.status(400).json({ success: false, message: 'You cannot join your own waitlist' });
+    }
+
+    const { entry } = await joinWaitlist(queue);
+    return respondWithEntry(res, entry, 'Joined waitlist', 201);
+  } catch (err) {
+    return res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+// Fan leaves a star's appointment waitlist
+export const leaveStarWaitlist = async (req, res) => {
+  try {
+    const queue = await resolveStarQueue(req, res);
+    if (!queue) return;
+
+    const entry = await leaveWaitlist(queue);
+    if (!entry) return res.status(404).json({ success: false, message: 'You are not on this waitlist' });
+    return res.json({ success: true, message: 'Left waitlist' });
+  } catch (err) {
+    return res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+// Fan's position on a star's appointment waitlist
+export const getStarWaitlistStatus = async (req, res) => {
+  try {
+    const queue = await resolveStarQueue(req, res);
+    if (!queue) return;
+
+    const entry = await findWaitlistEntry(queue);
+    return respondWithEntry(res, entry, 'Waitlist status retrieved');
+  } catch (err) {
+    return res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+// Fan joins the waitlist of a sold-out live show
+export const joinLiveShowWaitlist = async (req, res) => {
+  try {
+    const resolved = await resolveLiveShowQueue(req, res);
+    if (!resolved) return;
+    const { queue, show } = resolved;
+
+    if (show.status !== 'pending') {
+      return res.status(400).json({ success: false, message: 'Show is not open for joining' });
+    }
+    if ((show.attendees || []).some((u) => u.toString() === req.user._id.toString())) {
+      return res.status(400).json({ success: false, message: 'Already joined' });
+    }
+    const held = await countHeldLiveShowSeats(show._id, req.user._id);
+    if (show.maxCapacity === -1 || show.currentAttendees + held < show.maxCapacity) {
+      return res.status(400).json({ success: false, message: 'Show still has seats available' });
+    }
+
+    const { entry } = await joinWaitlist(queue);
+    return respondWithEntry(res, entry, 'Joined waitlist', 201);
+  } catch (err) {
+    return res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+// Fan leaves a live show waitlist
+export const leaveLiveShowWaitlist = async (req, res) => {
+  try {
+    const resolved = await resolveLiveShowQueue(req, res);
+    if (!resolved) return;
+
+    const entry = await leaveWaitlist(resolved.queue);
+    if (!entry) return res.status(404).json({ success: false, message: 'You are not on this waitlist' });
+    return res.json({ success: true, message: 'Left waitlist' });
+  } catch (err) {
+    return res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+// Fan's position on a live show waitlist
+export const getLiveShowWaitlistStatus = async (req, res) => {
+  try {
+    const resolved = await resolveLiveShowQueue(req, res);
+    if (!resolved) return;
+
+    const entry = await findWaitlistEntry(resolved.queue);
+    return respondWithEntry(res, entry, 'Waitlist status retrieved');
+  } catch (err) {
+    return res.status(500).json({ success: false, message: err.message });
+  }
+};
@@ -0,0 +1,337 @@
+import { validationResult } from 'express-validator';
+import { getFirstValidationError } from '../utils/validationHelper.js';
+import WithdrawalRequest from '../models/WithdrawalRequest.js';
+import NotificationHelper from '../utils/notificationHelper.js';
+import {
+  getStarBalances,
+  createWithdrawalRequest,
+  approveWithdrawalRequest,
+  rejectWithdrawalRequest,
+  resolveStuckWithdrawal,
+  cancelWithdrawalRequest,
+  listWithdrawalRequests
+} from '../services/withdrawalService.js';
+import { WITHDRAWAL_STATUSES } from '../utils/transactionConstants.js';
+
+// Map known service errors to HTTP statuses
+const errorStatus = (message) => {
+  if (message === 'Withdrawal request not found' || message === 'User not found') return 404;
+  if (message.startsWith('Withdrawal request is not') || message.startsWith('Payouts through') || message === 'Insufficient withdrawable balance' || message === 'Amount must be greater than 0') return 400;
+  return 500;
+};
+
+// Notify without failing the request
+const notify = async (type, withdrawal, additionalData) => {
+  try {
+    await NotificationHelper.sendWithdrawalNotification(type, withdrawal, additionalData);
+  } catch (notificationError) {
+    console.error('Error sending withdrawal notification:', notificationError);
+  }
+};
+
+// Get the star's withdrawable, escrowed and locked balances
+export const getWithdrawalBalance = async (req, res) => {
+  try {
+    const balances = await getStarBalances(req.user.id);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Balance retrieved successfully',
+      data: balances
+    });
+  } catch (err) {
+    console.error('Error fetching withdrawal balance:', err);
+    return res.status(500).json({ 
+      success: false, 
+      message: 'Error fetching balance',
+      error: err.message 
+    });
+  }
+};
+
+// Star requests a withdrawal
+export const requestWithdrawal = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const errorMessage = getFirstValidationError(errors);
+      return res.status(400).json({ success: false, message: errorMessage || 'Validation failed' });
+    }
+
+    const { amount, msisdn } = req.body;
+    const withdrawal = await createWithdrawalRequest({
+      starId: req.user._id,
+      amount: Number(amount),
+      msisdn
+    });
+
+    await notify('WITHDRAWAL_REQUESTED', withdrawal);
+
+    return res.status(201).json({
+      success: true,
+      message: 'Withdrawal request created successfully',
+      data: {
+        withdrawal
+      }
+    });
+  } catch (err) {
+    const status = errorStatus(err.message);
+    if (status === 500) console.error('Error creating withdrawal request:', err);
+    return res.status(status).json({ 
+      success: false, 
+      message: status === 500 ? 'Error creating withdrawal request' : err.message,
+      error: err.message 
+    });
+  }
+};
+
+// Star's withdrawal history
+export const getMyWithdrawals = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const errorMessage = getFirstValidationError(errors);
+      return res.status(400).json({ success: false, message: errorMessage || 'Validation failed' });
+    }
+
+    const withdrawals = await listWithdrawalRequests({ starId: req.user._id, status: req.query.status });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Withdrawal history retrieved successfully',
+      data: {
+        withdrawals
+      }
+    });
+  } catch (err) {
+    console.error('Error fetching withdrawal history:', err);
+    return res.status(500).json({ 
+      success: false, 
+      message: 'Error fetching withdrawal history',
+      error: err.message 
+    });
+  }
+};
+
+// Get a single withdrawal request with its status history (owner or admin)
+export const getWithdrawalById = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const errorMessage = getFirstValidationError(errors);
+      return res.status(400).json({ success: false, message: errorMessage || 'Validation failed' });
+    }
+
+    const withdrawal = await WithdrawalRequest.findById(req.params.id)
+      .populate('starId', 'name pseudo profilePic baroniId')
+      .populate('reviewedBy', 'name')
+      .populate('statusHistory.changedBy', 'name pseudo role');
+
+    if (!withdrawal || (req.user.role !== 'admin' && String(withdrawal.starId?._id) !== req.user.id)) {
+      return res.status(404).json({ success: false, message: 'Withdrawal request not found' });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Withdrawal request retrieved successfully',
+      data: {
+        withdrawal
+      }
+    });
+  } catch (err) {
+    console.error('Error fetching withdrawal request:', err);
+    return res.status(500).json({ 
+      success: false, 
+      message: 'Error fetching withdrawal request',
+      error: err.message 
+    });
+  }
+};
+
+// Star cancels a pending withdrawal
+export const cancelWithdrawal = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const errorMessage = getFirstValidationError(errors);
+      return res.status(400).json({ success: false, message: errorMessage || 'Validation failed' });
+    }
+
+    const withdrawal = await cancelWithdrawalRequest({ withdrawalId: req.params.id, starId: req.user._id });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Withdrawal request cancelled successfully',
+      data: {
+        withdrawal
+      }
+    });
+  } catch (err) {
+    const status = errorStatus(err.message);
+    if (status === 500) console.error('Error cancelling withdrawal request:', err);
+    return res.status(status).json({ 
+      success: false, 
+      message: status === 500 ? 'Error cancelling withdrawal request' : err.message,
+      error: err.message 
+    });
+  }
+};
+
+// Admin lists withdrawal requests
+export const listWithdrawals = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const errorMessage = getFirstValidationError(errors);
+      return res.status(400).json({ success: false, message: errorMessage || 'Validation failed' });
+    }
+
+    const { status, starId } = req.query;
+    const withdrawals = await listWithdrawalRequests({ status, starId });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Withdrawal requests retrieved successfully',
+      data: {
+        withdrawals
+      }
+    });
+  } catch (err) {
+    console.error('Error fetching withdrawal requests:', err);
+    return res.status(500).json({ 
+      success: false, 
+      message: 'Error fetching withdrawal requests',
+      error: err.message 
+    });
+  }
+};
+
+// Admin approves a withdrawal and triggers the payout
+export const approveWithdrawal = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const errorMessage = getFirstValidationError(errors);
+      return res.status(400).json({ success: false, message: errorMessage || 'Validation failed' });
+    }
+
+    const withdrawal = await approveWithdrawalRequest({
+      withdrawalId: req.params.id,
+      adminId: req.user._id,
+      payoutReference: req.body.payoutReference
+    });
+
+    if (withdrawal.status === WITHDRAWAL_STATUSES.FAILED) {
+      await notify('WITHDRAWAL_FAILED', withdrawal, { currentUserId: req.user.id });
+      return res.status(502).json({
+        success: false,
+        message: `Payout failed: ${withdrawal.failureReason}`,
+        data: {
+          withdrawal
+        }
+      });
+    }
+
+    // The provider accepted the payout; the scheduler settles it once confirmed
+    if (withdrawal.status === WITHDRAWAL_STATUSES.PROCESSING) {
+      return res.status(202).json({
+        success: true,
+        message: 'Payout sent, awaiting confirmation from the payment provider',
+        data: {
+          withdrawal
+        }
+      });
+    }
+
+    await notify('WITHDRAWAL_PAID', withdrawal, { currentUserId: req.user.id });
+    return res.status(200).json({
+      success: true,
+      message: 'Withdrawal paid out successfully',
+      data: {
+        withdrawal
+      }
+    });
+  } catch (err) {
+    const status = errorStatus(err.message);
+    if (status === 500) console.error('Error approving withdrawal request:', err);
+    return res.status(status).json({ 
+      success: false, 
+      message: status === 500 ? 'Error approving withdrawal request' : err.message,
+      error: err.message 
+    });
+  }
+};
+
+// Admin rejects a withdrawal
+export const rejectWithdrawal = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const errorMessage = getFirstValidationError(errors);
+      return res.status(400).json({ success: false, message: errorMessage || 'Validation failed' });
+    }
+
+    const withdrawal = await rejectWithdrawalRequest({
+      withdrawalId: req.params.id,
+      adminId: req.user._id,
+      reason: req.body.reason.trim()
+    });
+
+    await notify('WITHDRAWAL_REJECTED', withdrawal, { currentUserId: req.user.id });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Withdrawal request rejected',
+      data: {
+        withdrawal
+      }
+    });
+  } catch (err) {
+    const status = errorStatus(err.message);
+    if (status === 500) console.error('Error rejecting withdrawal request:', err);
+    return res.status(status).json({ 
+      success: false, 
+      message: status === 500 ? 'Error rejecting withdrawal request' : err.message,
+      error: err.message 
+    });
+  }
+};
+
+// Admin settles a processing withdrawal that has no provider payout to check
+export const resolveWithdrawal = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const errorMessage = getFirstValidationError(errors);
+      return res.status(400).json({ success: false, message: errorMessage || 'Validation failed' });
+    }
+
+    const { status, payoutReference, reason } = req.body;
+    const withdrawal = await resolveStuckWithdrawal({
+      withdrawalId: req.params.id,
+      adminId: req.user._id,
+      status,
+      payoutReference,
+      reason
+    });
+
+    const paid = withdrawal.status === WITHDRAWAL_STATUSES.PAID;
+    await notify(paid ? 'WITHDRAWAL_PAID' : 'WITHDRAWAL_FAILED', withdrawal, { currentUserId: req.user.id });
+
+    return res.status(200).json({
+      success: true,
+      message: paid ? 'Withdrawal marked as paid' : 'Withdrawal marked as failed; the coins were returned to the star',
+      data: {
+        withdrawal
+      }
+    });
+  } catch (err) {
+    const status = errorStatus(err.message);
+    if (status === 500) console.error('Error resolving withdrawal request:', err);
+    return res.status(status).json({ 
+      success: false, 
+      message: status === 500 ? 'Error resolving withdrawal request' : err.message,
+      error: err.message 
+    });
+  }
+};
@@ -7,24 +7,41 @@ import './config/db.js';
 import './config/passport.js';
 import apiRoutes from './routes/index.js';
 import { notFoundHandler, globalErrorHandler } from './middlewares/errorHandler.js';
+import { serveLocalStorage } from './middlewares/localStorage.js';
+import { LOCAL_STORAGE_ROUTE } from './services/localStorageService.js';
 import notificationScheduler from './services/notificationScheduler.js';
 import { startRefundScheduler } from './services/refundScheduler.js';
-import { startWeeklyAvailabilityScheduler } from './services/weeklyAvailabilityScheduler.js';
+import { startLedgerReconciliationScheduler } from './services/ledgerReconciliationScheduler.js';
+import { startEscrowReleaseScheduler } from './services/escrowReleaseScheduler.js';
+import { startWaitlistScheduler } from './services/waitlistScheduler.js';
+import { startWithdrawalScheduler } from './services/withdrawalScheduler.js';
+import { startVideoProcessingScheduler } from './services/videoProcessingScheduler.js';
+import { assertVideoProcessingConfigured } from './services/videoProcessingService.js';
 import { ensureAllUsersHaveAgoraKeys } from './scripts/ensureAllUsersHaveAgoraKeys.js';
 
 dotenv.config();
 
+// Video processing runs on Cloudinary: refuse to start without it rather than fail every upload
+assertVideoProcessingConfigured();
+
 const app = express();
 
+// Keep the raw body so payment callbacks can be verified against their signature
+const captureRawBody = (req, _res, buf) => {
+  req.rawBody = buf;
+};
+
 // Middlewares
 app.use(cors({ origin: '*', credentials: true }));
-app.use(express.json({ limit: '1mb' }));
-app.use(express.urlencoded({ extended: true }));
+app.use(express.json({ limit: '1mb', verify: captureRawBody }));
+app.use(express.urlencoded({ extended: true, verify: captureRawBody }));
 app.use(cookieParser());
 app.use(passport.initialize());
 
 // Routes
 app.use('/api', apiRoutes);
+// Files stored by the local storage driver
+app.use(LOCAL_STORAGE_ROUTE, serveLocalStorage);
 app.get('/', (_req, res) => {
   res.json({ ok: true, service: 'Baroni API', timestamp: new Date().toISOString() });
 });
@@ -55,8 +72,20 @@ app.listen(PORT, async () => {
   // Start refund scheduler
   startRefundScheduler();
   
-  // Start weekly availability scheduler
-  startWeeklyAvailabilityScheduler();
+  // Start ledger reconciliation scheduler
+  startLedgerReconciliationScheduler();
+
+  // Start escrow auto-release scheduler
+  startEscrowReleaseScheduler();
+
+  // Start waitlist offer expiry scheduler
+  startWaitlistScheduler();
+
+  // Start withdrawal payout confirmation scheduler
+  startWithdrawalScheduler();
+
+  // Start video upload cleanup scheduler
+  startVideoProcessingScheduler();
 });
 
 
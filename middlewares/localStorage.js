@@ -0,0 +1,30 @@
+import localStorageService from '../services/localStorageService.js';
+import { isPrivateStorageKey } from '../utils/storageKeys.js';
+
+/**
+ * Serve files written by the local storage driver. Public files are served as is;
+ * private files need the expires/signature query of a URL from signedUrl.
+ */
+export const serveLocalStorage = (req, res, next) => {
+  if (req.method !== 'GET' && req.method !== 'HEAD') return next();
+
+  let key;
+  try {
+    key = decodeURIComponent(req.path.replace(/^\/+/, ''));
+  } catch (_e) {
+    return res.status(400).json({ success: false, message: 'Invalid file path' });
+  }
+  const filePath = localStorageService.resolvePath(key);
+  if (!filePath) {
+    return res.status(404).json({ success: false, message: 'File not found' });
+  }
+  if (isPrivateStorageKey(key) && !localStorageService.verifySignedUrl(key, req.query)) {
+    return res.status(403).json({ success: false, message: 'Invalid or expired file URL' });
+  }
+
+  return res.sendFile(filePath, { maxAge: isPrivateStorageKey(key) ? 0 : '7d' }, (error) => {
+    if (error && !res.headersSent) {
+      res.status(error.status === 404 ? 404 : 500).json({ success: false, message: error.status === 404 ? 'File not found' : error.message });
+    }
+  });
+};
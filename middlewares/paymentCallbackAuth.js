@@ -0,0 +1,107 @@
+import crypto from 'crypto';
+import PaymentCallbackLog from '../models/PaymentCallbackLog.js';
+import { getPaymentProvider } from '../services/paymentProviderService.js';
+import { PAYMENT_PROVIDERS } from '../utils/transactionConstants.js';
+
+const SIGNATURE_HEADER = 'x-baroni-signature';
+const SECRET_HEADER = 'x-callback-secret';
+
+const safeEqual = (a, b) => {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+/**
+ * Check a callback request against the provider's callback secret.
+ * Accepts either an HMAC-SHA256 hex digest of the raw body in X-Baroni-Signature
+ * (optionally prefixed with "sha256=") or the shared secret itself in X-Callback-Secret.
+ * The secret is never accepted in the URL, where proxies and logs would keep it.
+ * @param {Object} req - Express request (rawBody is captured by express.json)
+ * @param {string} secret - Shared callback secret
+ * @returns {boolean} Whether the request is authentic
+ */
+const isAuthenticCallback = (req, secret) => {
+  const signature = req.get(SIGNATURE_HEADER);
+  if (signature) {
+    const expected = crypto
+      .createHmac('sha256', secret)
+      .update(req.rawBody || '')
+      .digest('hex');
+    return safeEqual(signature.replace(/^sha256=/i, '').toLowerCase(), expected);
+  }
+
+  const providedSecret = req.get(SECRET_HEADER);
+  if (providedSecret) {
+    return safeEqual(providedSecret, secret);
+  }
+
+  return false;
+};
+
+/**
+ * Log every payment callback delivery and reject the ones that are not signed
+ * with the provider's shared secret. Providers that cannot sign their callbacks
+ * (MTN MoMo) get them through unsigned; req.paymentCallbackUnverified then tells
+ * the handler to take the payment status from the provider's status API instead
+ * of the callback body. The provider comes from the :provider route param (Orange
+ * Money when absent). The log document is exposed as req.paymentCallbackLog so
+ * the handler can record the processing outcome.
+ */
+export const verifyPaymentCallback = async (req, res, next) => {
+  try {
+    const providerName = req.params.provider || PAYMENT_PROVIDERS.ORANGE_MONEY;
+    let provider;
+    try {
+      provider = getPaymentProvider(providerName);
+    } catch (providerError) {
+      return res.status(404).json({ success: false, message: providerError.message });
+    }
+
+    const secret = provider.callbackSecret();
+    const signatureValid = Boolean(secret) && isAuthenticCallback(req, secret);
+    const confirmWithProvider = !signatureValid && Boolean(provider.confirmsCallbacksWithStatusApi && provider.supportsStatusCheck);
+    const externalPaymentId = req.body?.transactionId || req.body?.referenceId || req.body?.externalId;
+
+    const log = await PaymentCallbackLog.create({
+      provider: provider.name,
+      externalPaymentId: externalPaymentId ? String(externalPaymentId) : undefined,
+      status: req.body?.status ? String(req.body.status) : undefined,
+      rawBody: req.rawBody ? req.rawBody.toString('utf8') : undefined,
+      payload: req.body,
+      headers: {
+        'user-agent': req.get('user-agent'),
+        'content-type': req.get('content-type'),
+        [SIGNATURE_HEADER]: req.get(SIGNATURE_HEADER) ? 'present' : undefined,
+        [SECRET_HEADER]: req.get(SECRET_HEADER) ? 'present' : undefined
+      },
+      ip: req.ip,
+      signatureValid,
+      outcome: signatureValid || confirmWithProvider ? 'received' : 'rejected',
+      error: secret || confirmWithProvider ? undefined : 'Callback secret not configured'
+    });
+
+    if (confirmWithProvider) {
+      req.paymentCallbackLog = log;
+      req.paymentProvider = provider.name;
+      req.paymentCallbackUnverified = true;
+      return next();
+    }
+
+    if (!secret) {
+      console.error(`Callback secret for ${provider.name} is not set; rejecting payment callback`);
+      return res.status(503).json({ success: false, message: 'Payment callback verification unavailable' });
+    }
+
+    if (!signatureValid) {
+      return res.status(401).json({ success: false, message: 'Invalid callback signature' });
+    }
+
+    req.paymentCallbackLog = log;
+    req.paymentProvider = provider.name;
+    return next();
+  } catch (err) {
+    console.error('Error verifying payment callback:', err);
+    return res.status(500).json({ success: false, message: 'Error verifying payment callback' });
+  }
+};
@@ -1,7 +1,12 @@
+import os from 'os';
+import fs from 'fs/promises';
 import multer from 'multer';
 
 const storage = multer.memoryStorage();
 
+// Videos are written to disk and streamed to the video host instead of being held in memory
+const videoDiskStorage = multer.diskStorage({ destination: os.tmpdir() });
+
 const imageOnlyFilter = (_req, file, cb) => {
   if (file.mimetype.startsWith('image/')) {
     cb(null, true);
@@ -19,7 +24,20 @@ const videoOnlyFilter = (_req, file, cb) => {
 };
 
 export const upload = multer({ storage, fileFilter: imageOnlyFilter, limits: { fileSize: 5 * 1024 * 1024 } });
-export const uploadVideoOnly = multer({ storage, fileFilter: videoOnlyFilter, limits: { fileSize: 100 * 1024 * 1024 } });
+// Delete the temporary file of a video upload the request did not use
+export const discardUploadedFile = async (req) => {
+  if (req.file?.path) await fs.unlink(req.file.path).catch(() => {});
+};
+
+// Delete the temporary video files of a multi-file request, except the ones handed over for processing
+export const discardUploadedFiles = async (req, keptPaths = new Set()) => {
+  const files = Array.isArray(req.files) ? req.files : [];
+  await Promise.all(files
+    .filter((file) => file.path && !keptPaths.has(file.path))
+    .map((file) => fs.unlink(file.path).catch(() => {})));
+};
+
+export const uploadVideoOnly = multer({ storage: videoDiskStorage, fileFilter: videoOnlyFilter, limits: { fileSize: 100 * 1024 * 1024 } });
 
 // Simple image upload for chat messages
 export const uploadChatMessage = multer({ 
@@ -47,6 +65,14 @@ const mixedFileFilter = (_req, file, cb) => {
 
 export const uploadMixed = multer({ storage, fileFilter: mixedFileFilter, limits: { fileSize: 100 * 1024 * 1024 } });
 
+// Profile pictures stay in memory; sample videos go to disk like every other video upload
+const profileMediaStorage = {
+  _handleFile: (req, file, cb) => (file.mimetype.startsWith('video/') ? videoDiskStorage : storage)._handleFile(req, file, cb),
+  _removeFile: (req, file, cb) => (file.path ? videoDiskStorage : storage)._removeFile(req, file, cb)
+};
+
+export const uploadProfileMedia = multer({ storage: profileMediaStorage, fileFilter: mixedFileFilter, limits: { fileSize: 100 * 1024 * 1024 } });
+
 
 
 
@@ -8,6 +8,13 @@ const appointmentSchema = new mongoose.Schema(
     timeSlotId: { type: mongoose.Schema.Types.ObjectId, required: true },
     date: { type: String, required: true, trim: true },
     time: { type: String, required: true, trim: true },
+    // Absolute slot instants and the star timezone date/time are expressed in
+    startAt: { type: Date, index: true },
+    endAt: { type: Date },
+    timezone: { type: String, trim: true },
+    // Call type booked (a Service with a duration); startAt/endAt then cover the call only
+    serviceId: { type: mongoose.Schema.Types.ObjectId, ref: 'Service' },
+    durationMinutes: { type: Number, min: 1 },
     price: { type: Number, required: true, min: 0 },
     status: { type: String, enum: ['pending', 'approved', 'rejected', 'cancelled', 'completed'], default: 'pending', index: true },
     // Tracks the lifecycle of the payment linked to this appointment
@@ -20,13 +27,38 @@ const appointmentSchema = new mongoose.Schema(
     externalPaymentId: { type: String, index: true },
     coinAmountReserved: { type: Number, min: 0, default: 0 },
     completedAt: { type: Date },
+    // Set when the escrow was refunded by the scheduler instead of a user
+    autoResolvedAt: { type: Date },
     callDuration: { type: Number, min: 0 }, // Duration in minutes
+    // New time proposed by the fan or the star; the other party accepts or declines it.
+    // The proposed slot is held until then, and an unanswered proposal expires at the
+    // current start time, cancelling and refunding the appointment.
+    rescheduleProposal: {
+      type: new mongoose.Schema({
+        proposedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+        proposedByRole: { type: String, enum: ['fan', 'star'], required: true },
+        availabilityId: { type: mongoose.Schema.Types.ObjectId, ref: 'Availability', required: true },
+        timeSlotId: { type: mongoose.Schema.Types.ObjectId, required: true },
+        date: { type: String, required: true, trim: true },
+        time: { type: String, required: true, trim: true },
+        startAt: { type: Date, required: true },
+        endAt: { type: Date, required: true },
+        timezone: { type: String, trim: true },
+        reservationId: { type: mongoose.Schema.Types.ObjectId, ref: 'SlotReservation' },
+        status: { type: String, enum: ['pending', 'accepted', 'declined', 'withdrawn', 'expired'], default: 'pending' },
+        expiresAt: { type: Date, required: true },
+        respondedAt: { type: Date },
+      }, { _id: false, timestamps: { createdAt: 'proposedAt', updatedAt: false } }),
+      default: undefined,
+    },
   },
   { timestamps: true }
 );
 
 appointmentSchema.index({ starId: 1, date: 1 });
+appointmentSchema.index({ starId: 1, startAt: 1, endAt: 1 });
 appointmentSchema.index({ transactionId: 1 });
+appointmentSchema.index({ 'rescheduleProposal.status': 1, 'rescheduleProposal.expiresAt': 1 });
 
 const Appointment = mongoose.model('Appointment', appointmentSchema);
 export default Appointment;
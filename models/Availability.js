@@ -1,9 +1,12 @@
 import mongoose from 'mongoose';
+import { DEFAULT_TIMEZONE, resolveSlotInstants } from '../utils/timezone.js';
 
 const availabilitySchema = new mongoose.Schema(
   {
     userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
     date: { type: String, required: true, trim: true }, // ISO date string (YYYY-MM-DD)
+    timezone: { type: String, trim: true }, // IANA timezone the date and slots are expressed in (the star's)
+    // Legacy flags for materialized weekly/daily copies; recurring availability now lives in AvailabilityRule
     isDaily: { type: Boolean, default: false },
     isWeekly: { type: Boolean, default: false },
     timeSlots: {
@@ -12,18 +15,36 @@ const availabilitySchema = new mongoose.Schema(
           {
             slot: { type: String, required: true, trim: true }, // "HH:MM - HH:MM" (24-hour format)
             status: { type: String, enum: ['available', 'unavailable'], default: 'available' },
+            // Set when the slot was materialized from a recurring rule (booked or blocked occurrence)
+            ruleId: { type: mongoose.Schema.Types.ObjectId, ref: 'AvailabilityRule' },
+            // Absolute instants of the slot, derived from date + slot + timezone
+            startAt: { type: Date },
+            endAt: { type: Date },
           }
         ),
       ],
       required: true,
       validate: (v) => Array.isArray(v) && v.length > 0,
     },
+    // Bumped by every slot reservation on this date so concurrent reservations conflict
+    reservationVersion: { type: Number, default: 0 },
   },
   { timestamps: true }
 );
 
 availabilitySchema.index({ userId: 1, date: 1 }, { unique: true });
 
+// Keep slot instants in sync with the wall-clock date, slots and timezone
+availabilitySchema.pre('validate', function (next) {
+  if (!this.timezone) this.timezone = DEFAULT_TIMEZONE;
+  (this.timeSlots || []).forEach((timeSlot) => {
+    const instants = resolveSlotInstants(this.date, timeSlot.slot, this.timezone);
+    timeSlot.startAt = instants ? instants.startAt : undefined;
+    timeSlot.endAt = instants ? instants.endAt : undefined;
+  });
+  next();
+});
+
 const Availability = mongoose.model('Availability', availabilitySchema);
 export default Availability;
 
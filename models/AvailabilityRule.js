@@ -0,0 +1,31 @@
+import mongoose from 'mongoose';
+
+// Recurring availability (RRULE-like). Open slots are computed on read from the
+// rule; only booked or blocked slots are persisted as Availability documents.
+const availabilityRuleSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    // weekly: repeats on the given weekdays; daily: repeats every day (all weekdays)
+    kind: { type: String, enum: ['weekly', 'daily'], required: true },
+    weekdays: {
+      type: [{ type: Number, min: 0, max: 6 }], // 0 = Sunday ... 6 = Saturday
+      required: true,
+      validate: (v) => Array.isArray(v) && v.length > 0,
+    },
+    timeSlots: {
+      type: [{ type: String, trim: true }], // "HH:MM - HH:MM" (24-hour format)
+      required: true,
+      validate: (v) => Array.isArray(v) && v.length > 0,
+    },
+    timezone: { type: String, trim: true, required: true },
+    startDate: { type: String, required: true, trim: true }, // YYYY-MM-DD (inclusive)
+    endDate: { type: String, trim: true }, // YYYY-MM-DD (inclusive); open-ended when absent
+    exceptions: [{ type: String, trim: true }], // Dates (YYYY-MM-DD) on which the rule does not apply
+  },
+  { timestamps: true }
+);
+
+availabilityRuleSchema.index({ userId: 1, kind: 1 });
+
+const AvailabilityRule = mongoose.model('AvailabilityRule', availabilityRuleSchema);
+export default AvailabilityRule;
@@ -0,0 +1,20 @@
+import mongoose from 'mongoose';
+
+// Vacation or other date range during which a star takes no bookings.
+// Dates are wall-clock dates in the star's timezone.
+const blackoutPeriodSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    startDate: { type: String, required: true, trim: true }, // YYYY-MM-DD (inclusive)
+    endDate: { type: String, required: true, trim: true }, // YYYY-MM-DD (inclusive)
+    reason: { type: String, trim: true, maxlength: 200 },
+    // Sent to fans with pending requests; Config.blackoutAutoReplyMessage when absent
+    autoReplyMessage: { type: String, trim: true, maxlength: 500 },
+  },
+  { timestamps: true }
+);
+
+blackoutPeriodSchema.index({ userId: 1, startDate: 1, endDate: 1 });
+
+const BlackoutPeriod = mongoose.model('BlackoutPeriod', blackoutPeriodSchema);
+export default BlackoutPeriod;
@@ -12,6 +12,11 @@ const CategorySchema = new mongoose.Schema(
       required: [true, 'Image is required'],
       trim: true,
       default: 'https://res.cloudinary.com/ddnpvm2yk/image/upload/v1759868390/placeholder_aws6oc.png'
+    },
+    // Storage key of an uploaded image; only such images are deleted when replaced
+    imageKey: {
+      type: String,
+      select: false
     }
   },
   {
@@ -1,11 +1,72 @@
 import mongoose from 'mongoose';
 
+// Coin pack fans can buy through the external payment gateway
+const coinPackSchema = new mongoose.Schema(
+  {
+    label: { type: String, trim: true },
+    coins: { type: Number, required: true, min: 1 },
+    // Price charged by the external gateway
+    price: { type: Number, required: true, min: 0 },
+    // Extra coins granted on top of the pack
+    bonusCoins: { type: Number, default: 0, min: 0 },
+    active: { type: Boolean, default: true }
+  },
+  { _id: true }
+);
+
+// Percentage bonus applied to every pack of at least minCoins coins
+const bonusTierSchema = new mongoose.Schema(
+  {
+    minCoins: { type: Number, required: true, min: 1 },
+    bonusPercent: { type: Number, required: true, min: 0, max: 100 }
+  },
+  { _id: false }
+);
+
 const configSchema = new mongoose.Schema(
   {
     liveShowPriceHide: { type: Boolean, default: false },
     videoCallPriceHide: { type: Boolean, default: false },
     becomeBaronistarPriceHide: { type: Boolean, default: false },
-    isTestUser: { type: Boolean, default: false }
+    isTestUser: { type: Boolean, default: false },
+    coinPacks: { type: [coinPackSchema], default: [] },
+    bonusTiers: { type: [bonusTierSchema], default: [] },
+    // Platform commission (percent) taken when escrow is released
+    commissionPercent: { type: Number, default: 0, min: 0, max: 100 },
+    // Per transaction type overrides of commissionPercent
+    commissionPercentByType: { type: Map, of: Number, default: {} },
+    // Days after completion during which a fan can open a dispute
+    disputeWindowDays: { type: Number, default: 7, min: 0 },
+    // Automatic escrow release thresholds
+    dedicationAutoCompleteDays: { type: Number, default: 7, min: 1 },
+    appointmentNoShowGraceHours: { type: Number, default: 24, min: 1 },
+    approvalDeadlineHours: { type: Number, default: 72, min: 1 },
+    // Dedication delivery: days a star has by default (stars can set their own), days for
+    // requests with the rush add-on, and how long before the deadline they are warned
+    dedicationTurnaroundDays: { type: Number, default: 7, min: 1 },
+    rushTurnaroundDays: { type: Number, default: 2, min: 1 },
+    dedicationDeadlineWarningHours: { type: Number, default: 24, min: 1 },
+    // Rounds of changes a fan can request on a delivered dedication video
+    dedicationMaxRevisions: { type: Number, default: 2, min: 0 },
+    // Video processing: accepted durations (seconds) and codecs, preview clip length, and
+    // whether fans only see a watermarked dedication video until they confirm completion
+    dedicationVideoMaxSeconds: { type: Number, default: 300, min: 1 },
+    sampleVideoMaxSeconds: { type: Number, default: 120, min: 1 },
+    videoMinSeconds: { type: Number, default: 3, min: 0 },
+    allowedVideoCodecs: { type: [String], default: ['h264', 'hevc', 'vp8', 'vp9', 'av1'] },
+    videoPreviewSeconds: { type: Number, default: 10, min: 1 },
+    watermarkDedicationPreviews: { type: Boolean, default: true },
+    // Minutes a waitlisted fan has to claim a freed slot or live show seat
+    waitlistClaimMinutes: { type: Number, default: 30, min: 1 },
+    // How long before an appointment or live show starts reminders are sent (minutes)
+    reminderOffsetsMinutes: { type: [{ type: Number, min: 1 }], default: [1440, 60, 10] },
+    // Auto-reply sent to fans with pending requests when a star declares a blackout period
+    blackoutAutoReplyMessage: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+      default: 'Thanks for your request! I am away until {endDate} and will get back to you when I return.'
+    }
   },
   { timestamps: true }
 );
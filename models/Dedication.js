@@ -1,34 +1,41 @@
 import mongoose from 'mongoose';
 
+// Prices of a catalog item from changedAt onwards
+const priceHistorySchema = new mongoose.Schema(
+  {
+    price: { type: Number, required: true, min: 0 },
+    rushPrice: { type: Number, min: 0, default: null },
+    extraLengthPrice: { type: Number, min: 0, default: null },
+    changedAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
 const dedicationSchema = new mongoose.Schema(
   {
     type: { type: String, required: true, trim: true },
     price: { type: Number, required: true, min: 0 },
+    // Optional add-ons on top of the base price; null when the star does not offer them
+    rushPrice: { type: Number, min: 0, default: null },
+    extraLengthPrice: { type: Number, min: 0, default: null },
+    priceHistory: { type: [priceHistorySchema], default: [] },
     userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
   },
   { timestamps: true }
 );
 
+// Record every price change so requests can be traced back to the prices in effect
+dedicationSchema.pre('validate', function (next) {
+  if (this.isNew || this.isModified('price') || this.isModified('rushPrice') || this.isModified('extraLengthPrice')) {
+    this.priceHistory.push({
+      price: this.price,
+      rushPrice: this.rushPrice,
+      extraLengthPrice: this.extraLengthPrice,
+      changedAt: new Date(),
+    });
+  }
+  next();
+});
+
 const Dedication = mongoose.model('Dedication', dedicationSchema);
 export default Dedication;
-
-
-
-
-
-
-
-
-
-
-
-
-
-
-
-
-
-
-
-
-
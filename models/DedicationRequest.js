@@ -1,4 +1,22 @@
 import mongoose from 'mongoose';
+import videoProcessingSchema from './videoProcessingSchema.js';
+
+// One round of changes requested by the fan, keeping the video it replaced
+const revisionSchema = new mongoose.Schema(
+  {
+    round: { type: Number, required: true, min: 1 },
+    reason: { type: String, required: true, trim: true },
+    requestedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    requestedAt: { type: Date, default: Date.now },
+    previousVideoUrl: { type: String },
+    previousVideoUploadedAt: { type: Date },
+    // Shown instead of previousVideoUrl until the fan confirms completion
+    previousWatermarkedUrl: { type: String },
+    // Set when the star uploads the revised video
+    redeliveredAt: { type: Date }
+  },
+  { _id: false }
+);
 
 const dedicationRequestSchema = new mongoose.Schema(
   {
@@ -39,11 +57,29 @@ const dedicationRequestSchema = new mongoose.Schema(
       required: true,
       trim: true
     },
+    // Catalog item the request was priced from
+    dedicationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Dedication',
+      index: true
+    },
     price: {
       type: Number,
       required: true,
       min: 0
     },
+    // Price breakdown locked when the request was created; price is its total
+    pricing: {
+      dedicationType: { type: String, trim: true },
+      basePrice: { type: Number, min: 0 },
+      rush: { type: Boolean, default: false },
+      rushPrice: { type: Number, min: 0, default: 0 },
+      extraLength: { type: Boolean, default: false },
+      extraLengthPrice: { type: Number, min: 0, default: 0 },
+      total: { type: Number, min: 0 },
+      catalogUpdatedAt: { type: Date },
+      lockedAt: { type: Date }
+    },
     status: {
       type: String,
       enum: ['pending', 'approved', 'cancelled', 'rejected', 'completed'],
@@ -59,6 +95,33 @@ const dedicationRequestSchema = new mongoose.Schema(
     videoUrl: {
       type: String
     },
+    videoUploadedAt: {
+      type: Date
+    },
+    // Processing of the latest uploaded video; videoUrl is only set once it is ready
+    videoProcessing: {
+      type: videoProcessingSchema
+    },
+    revisions: {
+      type: [revisionSchema],
+      default: []
+    },
+    // Latest time the video must be uploaded: the event date, or earlier when the star's turnaround is shorter
+    deliveryDeadline: {
+      type: Date,
+      index: true
+    },
+    deadlineWarningSentAt: {
+      type: Date
+    },
+    // Set when the request was refunded because the deadline passed without a video
+    deadlineMissedAt: {
+      type: Date
+    },
+    // Set when the escrow was released or refunded by the scheduler instead of a user
+    autoResolvedAt: {
+      type: Date
+    },
     transactionId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Transaction',
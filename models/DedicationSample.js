@@ -1,9 +1,14 @@
 import mongoose from 'mongoose';
+import videoProcessingSchema from './videoProcessingSchema.js';
 
 const dedicationSampleSchema = new mongoose.Schema(
   {
     type: { type: String, required: true, trim: true },
-    video: { type: String, required: true, trim: true },
+    // Set once an uploaded video is processed; samples given as a URL have no processing state
+    video: { type: String, required: function () { return !this.videoProcessing?.status; }, trim: true },
+    // Storage key of a video uploaded for this sample; only such videos are deleted when replaced
+    videoKey: { type: String, select: false },
+    videoProcessing: { type: videoProcessingSchema },
     description: { type: String, trim: true },
     userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
   },
@@ -0,0 +1,69 @@
+import mongoose from 'mongoose';
+import { DISPUTE_STATUSES, DISPUTE_OUTCOMES, DISPUTE_ENTITY_TYPES } from '../utils/transactionConstants.js';
+
+// Fan dispute on a completed booking, settled by an admin
+const disputeSchema = new mongoose.Schema(
+  {
+    fanId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true
+    },
+    starId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true
+    },
+    entityType: {
+      type: String,
+      enum: Object.values(DISPUTE_ENTITY_TYPES),
+      required: true
+    },
+    entityId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true
+    },
+    transactionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Transaction',
+      required: true
+    },
+    reason: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    description: {
+      type: String,
+      trim: true
+    },
+    status: {
+      type: String,
+      enum: Object.values(DISPUTE_STATUSES),
+      default: DISPUTE_STATUSES.OPEN,
+      index: true
+    },
+    starResponse: {
+      message: { type: String, trim: true },
+      respondedAt: { type: Date }
+    },
+    resolution: {
+      outcome: { type: String, enum: Object.values(DISPUTE_OUTCOMES) },
+      refundAmount: { type: Number, min: 0 },
+      note: { type: String, trim: true },
+      refundTransactionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Transaction' },
+      resolvedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      resolvedAt: { type: Date }
+    }
+  },
+  { timestamps: true }
+);
+
+// A booking can only be disputed once
+disputeSchema.index({ entityType: 1, entityId: 1 }, { unique: true });
+disputeSchema.index({ status: 1, createdAt: -1 });
+
+const Dispute = mongoose.model('Dispute', disputeSchema);
+export default Dispute;
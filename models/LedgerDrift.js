@@ -0,0 +1,45 @@
+import mongoose from 'mongoose';
+
+// Wallets whose stored coinBalance does not match the balance recomputed from the ledger
+const ledgerDriftSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true
+    },
+    walletBalance: {
+      type: Number,
+      required: true
+    },
+    ledgerBalance: {
+      type: Number,
+      required: true
+    },
+    // walletBalance - ledgerBalance
+    difference: {
+      type: Number,
+      required: true
+    },
+    status: {
+      type: String,
+      enum: ['open', 'resolved'],
+      default: 'open',
+      index: true
+    },
+    detectedAt: {
+      type: Date,
+      default: Date.now
+    },
+    resolvedAt: {
+      type: Date
+    }
+  },
+  { timestamps: true }
+);
+
+ledgerDriftSchema.index({ userId: 1, status: 1 });
+
+const LedgerDrift = mongoose.model('LedgerDrift', ledgerDriftSchema);
+export default LedgerDrift;
@@ -0,0 +1,73 @@
+import mongoose from 'mongoose';
+import { LEDGER_ACCOUNTS, LEDGER_ENTRY_TYPES } from '../utils/transactionConstants.js';
+
+// Append-only double-entry ledger for coin movements.
+// Every movement is written as a debit/credit pair sharing the same journalId.
+const ledgerEntrySchema = new mongoose.Schema(
+  {
+    journalId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      index: true
+    },
+    entryType: {
+      type: String,
+      enum: Object.values(LEDGER_ENTRY_TYPES),
+      required: true,
+      index: true
+    },
+    account: {
+      type: String,
+      enum: Object.values(LEDGER_ACCOUNTS),
+      required: true
+    },
+    // Owner of the wallet account (null for platform-level accounts)
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    direction: {
+      type: String,
+      enum: ['debit', 'credit'],
+      required: true
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    transactionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Transaction',
+      index: true
+    },
+    description: {
+      type: String
+    },
+    metadata: {
+      type: Object
+    }
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+ledgerEntrySchema.index({ account: 1, userId: 1, createdAt: 1 });
+
+// Entries are immutable: corrections must be posted as new movements
+const rejectMutation = function (next) {
+  next(new Error('Ledger entries are append-only'));
+};
+
+ledgerEntrySchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  rejectMutation
+);
+ledgerEntrySchema.pre('deleteOne', { document: true, query: false }, rejectMutation);
+ledgerEntrySchema.pre('save', function (next) {
+  if (!this.isNew) return rejectMutation(next);
+  next();
+});
+
+const LedgerEntry = mongoose.model('LedgerEntry', ledgerEntrySchema);
+export default LedgerEntry;
@@ -0,0 +1,55 @@
+import mongoose from 'mongoose';
+
+// Audit trail of every payment callback delivery, including rejected and duplicate ones
+const paymentCallbackLogSchema = new mongoose.Schema(
+  {
+    provider: {
+      type: String,
+      default: 'orange_money',
+      index: true
+    },
+    externalPaymentId: {
+      type: String,
+      index: true
+    },
+    status: {
+      type: String
+    },
+    // Raw request body exactly as received
+    rawBody: {
+      type: String
+    },
+    payload: {
+      type: Object
+    },
+    headers: {
+      type: Object
+    },
+    ip: {
+      type: String
+    },
+    signatureValid: {
+      type: Boolean,
+      default: false
+    },
+    outcome: {
+      type: String,
+      enum: ['received', 'rejected', 'invalid', 'processed', 'duplicate', 'pending', 'conflict', 'failed'],
+      default: 'received',
+      index: true
+    },
+    transactionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Transaction'
+    },
+    error: {
+      type: String
+    }
+  },
+  { timestamps: true }
+);
+
+paymentCallbackLogSchema.index({ externalPaymentId: 1, status: 1, createdAt: -1 });
+
+const PaymentCallbackLog = mongoose.model('PaymentCallbackLog', paymentCallbackLogSchema);
+export default PaymentCallbackLog;
@@ -0,0 +1,23 @@
+import mongoose from 'mongoose';
+
+// One record per reminder sent (or skipped) for a start instant. The unique index
+// makes the first writer the only sender, across runs and API instances; a
+// rescheduled start gets a fresh set of reminders.
+const sentReminderSchema = new mongoose.Schema(
+  {
+    kind: { type: String, enum: ['appointment', 'live_show'], required: true },
+    entityId: { type: mongoose.Schema.Types.ObjectId, required: true },
+    startAt: { type: Date, required: true },
+    offsetMinutes: { type: Number, required: true, min: 1 },
+    // false when a later (closer) reminder was sent instead, e.g. for a late booking
+    sent: { type: Boolean, default: true },
+    createdAt: { type: Date, default: Date.now },
+  }
+);
+
+sentReminderSchema.index({ kind: 1, entityId: 1, startAt: 1, offsetMinutes: 1 }, { unique: true });
+// Records are only needed until the start has passed
+sentReminderSchema.index({ createdAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+const SentReminder = mongoose.model('SentReminder', sentReminderSchema);
+export default SentReminder;
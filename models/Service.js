@@ -5,6 +5,8 @@ const serviceSchema = new mongoose.Schema(
     type: { type: String, required: true, trim: true },
     price: { type: Number, required: true, min: 0 },
     userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    // Set on video call types: the call length (minutes) this price buys
+    durationMinutes: { type: Number, min: 1, max: 240 },
   },
   { timestamps: true }
 );
@@ -0,0 +1,29 @@
+import mongoose from 'mongoose';
+
+// Claim on a star's time taken before payment, so two fans cannot pay for the same slot.
+// held -> confirmed once the appointment exists (the appointment then blocks the time),
+// or released when the booking fails or the hold expires.
+const slotReservationSchema = new mongoose.Schema(
+  {
+    starId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    fanId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    availabilityId: { type: mongoose.Schema.Types.ObjectId, ref: 'Availability', required: true },
+    timeSlotId: { type: mongoose.Schema.Types.ObjectId, required: true },
+    date: { type: String, required: true, trim: true },
+    startAt: { type: Date, required: true },
+    endAt: { type: Date, required: true },
+    // Whether the whole availability slot was marked unavailable by this reservation
+    holdsWholeSlot: { type: Boolean, default: false },
+    status: { type: String, enum: ['held', 'confirmed', 'released'], default: 'held', index: true },
+    // Held: end of the pre-payment hold. Confirmed: the hybrid payment refundTimer, if any
+    expiresAt: { type: Date, index: true },
+    appointmentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Appointment' },
+    transactionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Transaction' },
+  },
+  { timestamps: true }
+);
+
+slotReservationSchema.index({ starId: 1, status: 1, startAt: 1, endAt: 1 });
+
+const SlotReservation = mongoose.model('SlotReservation', slotReservationSchema);
+export default SlotReservation;
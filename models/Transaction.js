@@ -43,6 +43,10 @@ const transactionSchema = new mongoose.Schema(
       type: String,
       index: true
     },
+    // External payment provider that handled externalAmount (PAYMENT_PROVIDERS)
+    paymentProvider: {
+      type: String
+    },
     coinAmount: {
       type: Number,
       min: 0,
@@ -53,6 +57,22 @@ const transactionSchema = new mongoose.Schema(
       min: 0,
       default: 0
     },
+    // Platform commission taken on escrow release
+    commissionPercent: {
+      type: Number,
+      min: 0
+    },
+    commissionAmount: {
+      type: Number,
+      min: 0,
+      default: 0
+    },
+    // Total refunded so far through REFUND transactions (partial refunds)
+    refundedAmount: {
+      type: Number,
+      min: 0,
+      default: 0
+    },
     refundTimer: {
       type: Date,
       index: true
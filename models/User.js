@@ -6,13 +6,17 @@ const userSchema = new mongoose.Schema(
     contact: { type: String, trim: true, unique: true, sparse: true },
     email: { type: String, trim: true, lowercase: true, unique: true, sparse: true },
     password: { type: String },
-    coinBalance: { type: Number, default: 20, min: 0 },
+    // Negative when a refund took back more than the star held; later earnings pay it off
+    coinBalance: { type: Number, default: 20 },
     name: { type: String, trim: true },
     pseudo: { type: String, trim: true, unique: true, sparse: true },
     profilePic: { type: String,default: 'https://res.cloudinary.com/ddnpvm2yk/image/upload/v1759868390/placeholder_aws6oc.png' },
+    // Storage key of a picture uploaded through the API; only such pictures are deleted when replaced
+    profilePicKey: { type: String, select: false },
     preferredLanguage: { type: String },
     preferredCurrency: { type: String, default: 'F' },
     country: { type: String },
+    timezone: { type: String, trim: true }, // IANA timezone, used to resolve availability slots
     about: { type: String, trim: true},
     location: { type: String, trim: true },
     profession: { type: mongoose.Schema.Types.ObjectId, ref: 'Category' },
@@ -20,6 +24,11 @@ const userSchema = new mongoose.Schema(
     availableForBookings: { type: Boolean, default: false },
     appNotification: { type: Boolean, default: true },
     hidden: { type: Boolean, default: false },
+    // Video call scheduling: gap kept free after each call, and an optional cap on calls per day
+    callBufferMinutes: { type: Number, min: 0, max: 120, default: 0 },
+    maxCallsPerDay: { type: Number, min: 1 },
+    // Days the star needs to deliver a dedication; Config.dedicationTurnaroundDays when unset
+    dedicationTurnaroundDays: { type: Number, min: 1, max: 90 },
     fcmToken: { type: String, sparse: true, index: true },
     apnsToken: { type: String, sparse: true, index: true },
     voipToken: { type: String, sparse: true, index: true },
@@ -38,6 +47,8 @@ const userSchema = new mongoose.Schema(
     },
     passwordResetToken: { type: String },
     passwordResetExpires: { type: Date },
+    // Secret token of the user's ICS calendar feed URL; never returned by default
+    calendarFeedToken: { type: String, unique: true, sparse: true, select: false },
     profileImpressions: { type: Number, default: 0, min: 0 },
     // Incremented on every successful login to invalidate old tokens
     sessionVersion: { type: Number, default: 0 },
@@ -45,6 +56,8 @@ const userSchema = new mongoose.Schema(
     agoraKey: { type: String, unique: true, sparse: true, index: true },
     // Payment status for star promotion (initiated, pending, completed, refunded)
     paymentStatus: { type: String, enum: ['initiated', 'pending', 'completed', 'refunded'], default: null, index: true },
+    // Star-specific platform commission (percent); overrides the Config rates when set
+    commissionPercent: { type: Number, min: 0, max: 100, default: null },
   },
   { timestamps: true }
 );
@@ -0,0 +1,43 @@
+import mongoose from 'mongoose';
+
+// Resumable chunked upload of a video, forwarded chunk by chunk to the video host
+const videoUploadSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    // What the video is for: a dedication request delivery or a dedication sample
+    purpose: { type: String, enum: ['dedication_request', 'dedication_sample'], required: true },
+    fileName: { type: String, trim: true },
+    mimeType: { type: String, required: true },
+    totalSize: { type: Number, required: true, min: 1 },
+    chunkSize: { type: Number, required: true, min: 1 },
+    receivedBytes: { type: Number, default: 0, min: 0 },
+    // Identifies the chunks of one upload on the video host
+    hostUploadId: { type: String, required: true },
+    // Hosted as an authenticated asset (dedication deliveries shown watermarked until completion)
+    privateDelivery: { type: Boolean, default: false },
+    status: {
+      type: String,
+      enum: ['uploading', 'uploaded', 'consumed', 'expired', 'cancelled'],
+      default: 'uploading',
+      index: true
+    },
+    // Held while a chunk is being forwarded so concurrent requests cannot interleave chunks
+    chunkLockExpiresAt: { type: Date, default: null },
+    // Host upload result once the last chunk arrived
+    asset: {
+      publicId: { type: String },
+      deliveryType: { type: String },
+      url: { type: String },
+      durationSeconds: { type: Number },
+      codec: { type: String },
+      width: { type: Number },
+      height: { type: Number },
+      bytes: { type: Number }
+    },
+    expiresAt: { type: Date, required: true, index: true }
+  },
+  { timestamps: true }
+);
+
+const VideoUpload = mongoose.model('VideoUpload', videoUploadSchema);
+export default VideoUpload;
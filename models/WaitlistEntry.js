@@ -0,0 +1,32 @@
+import mongoose from 'mongoose';
+
+// Fan queued for a fully booked star calendar or a sold-out live show.
+// waiting -> offered (a spot freed up and is held for the fan until offerExpiresAt)
+// -> claimed, or expired (the spot passes to the next fan). cancelled when the fan leaves.
+const waitlistEntrySchema = new mongoose.Schema(
+  {
+    kind: { type: String, enum: ['appointment', 'live_show'], required: true },
+    starId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    liveShowId: { type: mongoose.Schema.Types.ObjectId, ref: 'LiveShow', index: true },
+    fanId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    status: { type: String, enum: ['waiting', 'offered', 'claimed', 'expired', 'cancelled'], default: 'waiting', index: true },
+    // Freed appointment slot held for the fan (appointment waitlists only)
+    offer: {
+      availabilityId: { type: mongoose.Schema.Types.ObjectId, ref: 'Availability' },
+      timeSlotId: { type: mongoose.Schema.Types.ObjectId },
+      date: { type: String },
+      time: { type: String },
+      startAt: { type: Date },
+      endAt: { type: Date },
+    },
+    offeredAt: { type: Date },
+    offerExpiresAt: { type: Date, index: true },
+    claimedAt: { type: Date },
+  },
+  { timestamps: true }
+);
+
+waitlistEntrySchema.index({ kind: 1, starId: 1, liveShowId: 1, status: 1, createdAt: 1 });
+
+const WaitlistEntry = mongoose.model('WaitlistEntry', waitlistEntrySchema);
+export default WaitlistEntry;
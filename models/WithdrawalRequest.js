@@ -0,0 +1,91 @@
+import mongoose from 'mongoose';
+import { WITHDRAWAL_STATUSES, PAYMENT_PROVIDERS } from '../utils/transactionConstants.js';
+
+const statusHistorySchema = new mongoose.Schema(
+  {
+    status: {
+      type: String,
+      enum: Object.values(WITHDRAWAL_STATUSES),
+      required: true
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    note: {
+      type: String
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now
+    }
+  },
+  { _id: false }
+);
+
+// Star request to cash out earned coins to a mobile money number
+const withdrawalRequestSchema = new mongoose.Schema(
+  {
+    starId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    msisdn: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    paymentProvider: {
+      type: String,
+      enum: Object.values(PAYMENT_PROVIDERS),
+      required: true
+    },
+    status: {
+      type: String,
+      enum: Object.values(WITHDRAWAL_STATUSES),
+      default: WITHDRAWAL_STATUSES.PENDING,
+      index: true
+    },
+    statusHistory: {
+      type: [statusHistorySchema],
+      default: []
+    },
+    transactionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Transaction'
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reviewedAt: {
+      type: Date
+    },
+    rejectionReason: {
+      type: String
+    },
+    payoutReference: {
+      type: String
+    },
+    failureReason: {
+      type: String
+    },
+    paidAt: {
+      type: Date
+    }
+  },
+  { timestamps: true }
+);
+
+withdrawalRequestSchema.index({ starId: 1, createdAt: -1 });
+withdrawalRequestSchema.index({ status: 1, createdAt: 1 });
+
+const WithdrawalRequest = mongoose.model('WithdrawalRequest', withdrawalRequestSchema);
+export default WithdrawalRequest;
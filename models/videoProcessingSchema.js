@@ -0,0 +1,26 @@
+import mongoose from 'mongoose';
+
+// Processing state of an uploaded video (see services/videoProcessingService.js)
+const videoProcessingSchema = new mongoose.Schema(
+  {
+    status: { type: String, enum: ['processing', 'ready', 'failed'], required: true },
+    // Hosted asset; type is 'authenticated' for videos only reachable through signed URLs
+    publicId: { type: String },
+    deliveryType: { type: String, enum: ['upload', 'authenticated'], default: 'upload' },
+    durationSeconds: { type: Number, min: 0 },
+    codec: { type: String },
+    width: { type: Number },
+    height: { type: Number },
+    bytes: { type: Number },
+    thumbnailUrl: { type: String },
+    previewUrl: { type: String },
+    // Watermarked copy shown instead of the video until the fan confirms completion
+    watermarkedUrl: { type: String },
+    error: { type: String },
+    startedAt: { type: Date },
+    processedAt: { type: Date }
+  },
+  { _id: false }
+);
+
+export default videoProcessingSchema;
@@ -2,17 +2,28 @@
 import { body } from 'express-validator';
 import { requireAuth, requireRole } from '../../middlewares/auth.js';
 import { idParamValidator } from '../../validators/commonValidators.js';
-import { createAppointment, listAppointments, approveAppointment, rejectAppointment, cancelAppointment, rescheduleAppointment, completeAppointment, getAppointmentDetails } from '../../controllers/appointment.js';
+import { createAppointment, listAppointments, approveAppointment, rejectAppointment, cancelAppointment, rescheduleAppointment, acceptReschedule, declineReschedule, completeAppointment, getAppointmentDetails } from '../../controllers/appointment.js';
 
 const router = express.Router();
 
 router.use(requireAuth);
 
+// Either a persisted slot (availabilityId + timeSlotId) or a recurring rule occurrence (ruleId + date + slot)
+const bookingSlotValidator = [
+  body('ruleId').optional().isMongoId(),
+  body('availabilityId').if(body('ruleId').not().exists()).isMongoId(),
+  body('timeSlotId').if(body('ruleId').not().exists()).isMongoId(),
+  body('date').if(body('ruleId').exists()).matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('date must be YYYY-MM-DD'),
+  body('slot').if(body('ruleId').exists()).isString().trim().notEmpty(),
+];
+
 const createAppointmentValidator = [
   body('starId').isMongoId(),
-  body('availabilityId').isMongoId(),
-  body('timeSlotId').isMongoId(),
-  body('price').isNumeric().withMessage('Price must be a number').isFloat({ min: 0 }).withMessage('Price must be greater than or equal to 0'),
+  ...bookingSlotValidator,
+  // With a call type (serviceId) the price comes from the service
+  body('serviceId').optional().isMongoId(),
+  body('startTime').optional().matches(/^([01]\d|2[0-3]):[0-5]\d$/).withMessage('startTime must be HH:MM'),
+  body('price').if(body('serviceId').not().exists()).isNumeric().withMessage('Price must be a number').isFloat({ min: 0 }).withMessage('Price must be greater than or equal to 0'),
 ];
 
 router.post('/', createAppointmentValidator, createAppointment);
@@ -23,9 +34,12 @@ router.post('/:id/reject', requireRole('star', 'admin'), idParamValidator, rejec
 router.post('/:id/cancel', idParamValidator, cancelAppointment);
 router.post('/:id/reschedule', [
   idParamValidator,
-  body('availabilityId').isMongoId(),
-  body('timeSlotId').isMongoId(),
+  ...bookingSlotValidator,
+  body('startTime').optional().matches(/^([01]\d|2[0-3]):[0-5]\d$/).withMessage('startTime must be HH:MM'),
 ], rescheduleAppointment);
+// The other party accepts or declines a proposed time (the proposer declining withdraws it)
+router.post('/:id/reschedule/accept', idParamValidator, acceptReschedule);
+router.post('/:id/reschedule/decline', idParamValidator, declineReschedule);
 router.post('/:id/complete', [
   requireRole('star', 'admin'),
   idParamValidator,
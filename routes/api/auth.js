@@ -22,7 +22,7 @@ import {
 } from '../../controllers/auth.js';
 import { registerValidator, loginValidator, completeProfileValidator, checkUserValidator } from '../../validators/authValidators.js';
 import { requireAuth, requireRole } from '../../middlewares/auth.js';
-import { uploadMixed } from '../../middlewares/upload.js';
+import { uploadProfileMedia } from '../../middlewares/upload.js';
 import { createAccessToken, createRefreshToken } from '../../utils/token.js';
 
 const router = express.Router();
@@ -41,7 +41,7 @@ router.post('/verify-otp',verifyOtpController)
 router.post(
   '/complete-profile',
   requireAuth,
-  uploadMixed.any(),
+  uploadProfileMedia.any(),
   completeProfileValidator,
   completeProfile
 );
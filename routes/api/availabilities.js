@@ -2,7 +2,7 @@ import express from 'express';
 import { body, param } from 'express-validator';
 import { requireAuth, requireRole } from '../../middlewares/auth.js';
 import { idParamValidator } from '../../validators/commonValidators.js';
-import { createAvailability, listMyAvailabilities, getAvailability, updateAvailability, deleteAvailability, deleteTimeSlotByDate, deleteTimeSlotById } from '../../controllers/availability.js';
+import { createAvailability, listMyAvailabilities, getAvailability, updateAvailability, deleteAvailability, deleteTimeSlotByDate, deleteTimeSlotById, listAvailabilityRules, createAvailabilityRule, updateAvailabilityRule, deleteAvailabilityRule, addAvailabilityRuleException, listBlackoutPeriods, createBlackoutPeriod, deleteBlackoutPeriod } from '../../controllers/availability.js';
 
 const router = express.Router();
 
@@ -106,7 +106,63 @@ const deleteSlotByIdValidator = [
   param('slotId').isMongoId(),
 ];
 
+const ymdRegex = /^\d{4}-\d{2}-\d{2}$/;
+
+const ruleIdParamValidator = [
+  param('ruleId').isMongoId(),
+];
+
+const availabilityRuleCreateValidator = [
+  body('weekdays').isArray({ min: 1, max: 7 }).withMessage('weekdays must be a non-empty array'),
+  body('weekdays.*').isInt({ min: 0, max: 6 }).withMessage('Each weekday must be between 0 (Sunday) and 6 (Saturday)'),
+  body('timeSlots').isArray({ min: 1 }).withMessage('At least one time slot must be provided'),
+  body('timeSlots.*').isString().trim().notEmpty().withMessage('Time slot strings cannot be empty'),
+  body('startDate').matches(ymdRegex).withMessage('startDate must be YYYY-MM-DD'),
+  body('endDate').optional({ nullable: true }).matches(ymdRegex).withMessage('endDate must be YYYY-MM-DD'),
+  body('exceptions').optional().isArray(),
+  body('exceptions.*').matches(ymdRegex).withMessage('Each exception must be YYYY-MM-DD'),
+];
+
+const availabilityRuleUpdateValidator = [
+  ...ruleIdParamValidator,
+  body('weekdays').optional().isArray({ min: 1, max: 7 }).withMessage('weekdays must be a non-empty array'),
+  body('weekdays.*').optional().isInt({ min: 0, max: 6 }).withMessage('Each weekday must be between 0 (Sunday) and 6 (Saturday)'),
+  body('timeSlots').optional().isArray({ min: 1 }).withMessage('At least one time slot must be provided'),
+  body('timeSlots.*').optional().isString().trim().notEmpty().withMessage('Time slot strings cannot be empty'),
+  body('startDate').optional().matches(ymdRegex).withMessage('startDate must be YYYY-MM-DD'),
+  body('endDate').optional({ nullable: true }).matches(ymdRegex).withMessage('endDate must be YYYY-MM-DD'),
+  body('exceptions').optional().isArray(),
+  body('exceptions.*').optional().matches(ymdRegex).withMessage('Each exception must be YYYY-MM-DD'),
+];
+
+const availabilityRuleExceptionValidator = [
+  ...ruleIdParamValidator,
+  body('date').matches(ymdRegex).withMessage('date must be YYYY-MM-DD'),
+  body('slot').optional().isString().trim().notEmpty(),
+];
+
+const blackoutCreateValidator = [
+  body('startDate').matches(ymdRegex).withMessage('startDate must be YYYY-MM-DD'),
+  body('endDate').matches(ymdRegex).withMessage('endDate must be YYYY-MM-DD'),
+  body('reason').optional().isString().trim().isLength({ max: 200 }).withMessage('Reason must not exceed 200 characters'),
+  body('autoReplyMessage').optional().isString().trim().isLength({ min: 1, max: 500 }).withMessage('Auto-reply message must be between 1 and 500 characters'),
+];
+
+const blackoutIdParamValidator = [
+  param('blackoutId').isMongoId(),
+];
+
 router.get('/', listMyAvailabilities);
+// Recurring availability rules
+router.get('/rules', listAvailabilityRules);
+router.post('/rules', availabilityRuleCreateValidator, createAvailabilityRule);
+router.put('/rules/:ruleId', availabilityRuleUpdateValidator, updateAvailabilityRule);
+router.delete('/rules/:ruleId', ruleIdParamValidator, deleteAvailabilityRule);
+router.post('/rules/:ruleId/exceptions', availabilityRuleExceptionValidator, addAvailabilityRuleException);
+// Blackout (vacation) periods
+router.get('/blackouts', listBlackoutPeriods);
+router.post('/blackouts', blackoutCreateValidator, createBlackoutPeriod);
+router.delete('/blackouts/:blackoutId', blackoutIdParamValidator, deleteBlackoutPeriod);
 router.get('/:id', idParamValidator, getAvailability);
 // POST / - Create new availability or update existing one for the same date
 router.post('/', availabilityCreateValidator, createAvailability);
@@ -0,0 +1,16 @@
+import express from 'express';
+import { getCalendarFeedUrl, rotateCalendarFeedUrl, getCalendarFeed } from '../../controllers/calendar.js';
+import { requireAuth } from '../../middlewares/auth.js';
+
+const router = express.Router();
+
+// Calendar clients cannot authenticate; the feed is addressed by its secret token
+router.get('/feed/:file', getCalendarFeed);
+
+router.use(requireAuth);
+
+// Current user's feed URL, and rotation when it leaked
+router.get('/feed', getCalendarFeedUrl);
+router.post('/feed/rotate', rotateCalendarFeedUrl);
+
+export default router;
@@ -9,11 +9,12 @@ import {
   rejectDedicationRequest,
   uploadDedicationVideo,
   completeDedicationByFan,
+  requestDedicationRevision,
   cancelDedicationRequest,
   getDedicationRequestByTrackingId
 } from '../../controllers/dedicationRequest.js';
 import { idParamValidator, trackingIdParamValidator } from '../../validators/commonValidators.js';
-import { createDedicationRequestValidator } from '../../validators/dedicationRequestValidators.js';
+import { createDedicationRequestValidator, uploadDedicationVideoValidator, requestDedicationRevisionValidator } from '../../validators/dedicationRequestValidators.js';
 
 const router = express.Router();
 router.use(requireAuth);
@@ -30,9 +31,11 @@ router.put('/:id/cancel', requireRole('fan', 'admin'), idParamValidator, cancelD
 router.put('/:id/approve', requireRole('star', 'admin'), idParamValidator, approveDedicationRequest);
 router.put('/:id/reject', requireRole('star', 'admin'), idParamValidator, rejectDedicationRequest);
 // Star uploads the dedication video
-router.put('/:id/upload-video', requireRole('star', 'admin'), idParamValidator, uploadVideoOnly.single('video'), uploadDedicationVideo);
+router.put('/:id/upload-video', requireRole('star', 'admin'), idParamValidator, uploadVideoOnly.single('video'), uploadDedicationVideoValidator, uploadDedicationVideo);
 
 // Fan confirms completion after viewing the video
 router.put('/:id/complete', requireRole('fan', 'admin'), idParamValidator, completeDedicationByFan);
+// Fan sends the video back to the star with the changes they want
+router.put('/:id/request-changes', requireRole('fan', 'admin'), idParamValidator, requestDedicationRevisionValidator, requestDedicationRevision);
 
 export default router;
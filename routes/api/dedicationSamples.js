@@ -12,8 +12,9 @@ router.use(requireAuth, requireRole('star', 'admin'));
 const sampleCreateValidator = [
   body('type').isString().trim().notEmpty(),
   body('description').optional().isString().trim(),
+  body('uploadId').optional().isMongoId().withMessage('Valid upload ID is required'),
   body('video').custom((val, { req }) => {
-    const hasFile = !!(req.file && req.file.buffer);
+    const hasFile = !!req.file || !!req.body.uploadId;
     const hasUrl = typeof val === 'string' && val.trim().length > 0;
     if (!hasFile && !hasUrl) {
       throw new Error('Video is required');
@@ -25,9 +26,10 @@ const sampleCreateValidator = [
 const sampleUpdateValidator = [
   body('type').optional().isString().trim().notEmpty(),
   body('description').optional().isString().trim(),
+  body('uploadId').optional().isMongoId().withMessage('Valid upload ID is required'),
   body('video').optional().custom((val, { req }) => {
-    if (val === undefined && !(req.file && req.file.buffer)) return true;
-    const hasFile = !!(req.file && req.file.buffer);
+    if (val === undefined && !req.file) return true;
+    const hasFile = !!req.file;
     const hasUrl = typeof val === 'string' && val.trim().length > 0;
     if (!hasFile && !hasUrl) {
       throw new Error('Provide a non-empty video URL or upload a file');
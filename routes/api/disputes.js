@@ -0,0 +1,34 @@
+import express from 'express';
+import {
+  createDispute,
+  getDisputes,
+  getDispute,
+  respondDispute,
+  settleDispute
+} from '../../controllers/dispute.js';
+import {
+  openDisputeValidator,
+  disputeIdValidator,
+  listDisputesValidator,
+  respondDisputeValidator,
+  resolveDisputeValidator
+} from '../../validators/disputeValidators.js';
+import { requireAuth, requireRole } from '../../middlewares/auth.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(requireAuth);
+
+// Fan opens a dispute on a completed booking (must be the booking's fan)
+router.post('/', openDisputeValidator, createDispute);
+
+// Fan: own disputes, star: disputes against them, admin: all
+router.get('/', listDisputesValidator, getDisputes);
+router.get('/:id', disputeIdValidator, getDispute);
+
+// Star responds, admin settles
+router.post('/:id/respond', requireRole('star'), respondDisputeValidator, respondDispute);
+router.post('/:id/resolve', requireRole('admin'), resolveDisputeValidator, settleDispute);
+
+export default router;
@@ -16,6 +16,11 @@ import {
   getMyShows,
   getLiveShowDetails
 } from '../../controllers/liveShow.js';
+import {
+  joinLiveShowWaitlist,
+  leaveLiveShowWaitlist,
+  getLiveShowWaitlistStatus
+} from '../../controllers/waitlist.js';
 import {
   createLiveShowValidator,
   updateLiveShowValidator,
@@ -48,6 +53,10 @@ router.post('/:id/like', toggleLikeLiveShow);
 
 // Fan joins a live show (requires successful transaction)
 router.post('/:id/join', requireRole('fan', 'admin'), joinLiveShow);
+// Waitlist for sold-out shows
+router.get('/:id/waitlist', getLiveShowWaitlistStatus);
+router.post('/:id/waitlist', requireRole('fan', 'admin'), joinLiveShowWaitlist);
+router.delete('/:id/waitlist', leaveLiveShowWaitlist);
 // Star cancels a show
 router.patch('/:id/cancel', requireRole('star', 'admin'), cancelLiveShow);
 // Star reschedules a show (date/time)
@@ -4,6 +4,8 @@ import {
   handlePaymentCallback,
   handlePaymentTimeout
 } from '../../controllers/paymentCallback.js';
+import { verifyPaymentCallback } from '../../middlewares/paymentCallbackAuth.js';
+import { requireAuth, requireRole } from '../../middlewares/auth.js';
 
 const router = express.Router();
 
@@ -24,11 +26,15 @@ const validatePaymentCallback = [
     .withMessage('Motif must be a string')
 ];
 
-// Payment callback endpoint (no auth required - called by Orange Money)
-router.post('/callback', validatePaymentCallback, handlePaymentCallback);
+// Payment callback endpoint (called by Orange Money, signed with ORANGE_MONEY_CALLBACK_SECRET)
+router.post('/callback', verifyPaymentCallback, validatePaymentCallback, handlePaymentCallback);
 
-// Payment timeout handler (for cron jobs)
-router.post('/timeout', handlePaymentTimeout);
+// Callback endpoint for other providers (mtn_momo, mock); payload is validated by the provider.
+// MTN MoMo cannot sign callbacks, so its payment status is re-read from the MoMo API
+router.post('/callback/:provider', verifyPaymentCallback, handlePaymentCallback);
+
+// Run the payment timeout check by hand (refundScheduler runs it every 5 minutes)
+router.post('/timeout', requireAuth, requireRole('admin'), handlePaymentTimeout);
 
 export default router;
 
@@ -1,16 +1,22 @@
 import express from 'express';
 import { requireAuth, requireRole } from '../../middlewares/auth.js';
 import { createService, listMyServices, getService, updateService, deleteService } from '../../controllers/service.js';
+import { body } from 'express-validator';
 import { idParamValidator, typePriceBodyValidator } from '../../validators/commonValidators.js';
 
 const router = express.Router();
 
+const serviceBodyValidator = [
+  ...typePriceBodyValidator,
+  body('durationMinutes').optional({ nullable: true }).isInt({ min: 1, max: 240 }).withMessage('durationMinutes must be between 1 and 240'),
+];
+
 router.use(requireAuth, requireRole('star', 'admin'));
 
 router.get('/', listMyServices);
 router.get('/:id', idParamValidator, getService);
-router.post('/', typePriceBodyValidator, createService);
-router.put('/:id', idParamValidator, typePriceBodyValidator, updateService);
+router.post('/', serviceBodyValidator, createService);
+router.put('/:id', idParamValidator, serviceBodyValidator, updateService);
 router.delete('/:id', idParamValidator, deleteService);
 
 export default router;
@@ -1,6 +1,7 @@
-import {getAllStars, getStarById, becomeStar, getBaroniIdPatterns} from "../../controllers/star.js";
+import {getAllStars, getStarById, getStarAvailabilityCalendar, becomeStar, getBaroniIdPatterns, setStarCommission} from "../../controllers/star.js";
 import express from "express";
-import {requireAuth} from "../../middlewares/auth.js";
+import {joinStarWaitlist, leaveStarWaitlist, getStarWaitlistStatus} from "../../controllers/waitlist.js";
+import {requireAuth, requireRole} from "../../middlewares/auth.js";
 
 const router = express.Router();
 
@@ -9,6 +10,11 @@ router.use(requireAuth);
 router.get("/", getAllStars);
 router.get("/patterns", getBaroniIdPatterns);
 router.get("/:id", getStarById);
+router.get("/:id/availability", getStarAvailabilityCalendar);
+router.get("/:id/waitlist", getStarWaitlistStatus);
+router.post("/:id/waitlist", requireRole("fan", "admin"), joinStarWaitlist);
+router.delete("/:id/waitlist", leaveStarWaitlist);
 router.post("/become", becomeStar);
+router.patch("/:id/commission", requireRole("admin"), setStarCommission);
 
 export default router;
\ No newline at end of file
@@ -4,14 +4,27 @@ import {
   createNewHybridTransaction,
   getUserTransactions,
   getTransaction,
-  getUserBalance
+  getUserBalance,
+  getUserLedger,
+  getStatement,
+  reconcileLedger,
+  adminCreditUser,
+  adminDebitUser,
+  listAdminAdjustments,
+  getCoinPacks,
+  createCoinTopUp
 } from '../../controllers/transaction.js';
 import {
   createTransactionValidator,
   getTransactionValidator,
-  getUserTransactionsValidator
+  getUserTransactionsValidator,
+  getUserLedgerValidator,
+  getStatementValidator,
+  adminAdjustmentValidator,
+  listAdminAdjustmentsValidator,
+  createTopUpValidator
 } from '../../validators/transactionValidators.js';
-import { requireAuth } from '../../middlewares/auth.js';
+import { requireAuth, requireRole } from '../../middlewares/auth.js';
 
 const router = express.Router();
 
@@ -25,6 +38,14 @@ router.post(
   createNewHybridTransaction
 );
 
+// Coin top-ups: list packs and buy one through the external gateway
+router.get('/top-up/packs', getCoinPacks);
+router.post(
+  '/top-up',
+  createTopUpValidator,
+  createCoinTopUp
+);
+
 // Create a new transaction (legacy method)
 router.post(
   '/',
@@ -39,6 +60,49 @@ router.get(
   getUserTransactions
 );
 
+// Download a wallet statement (?from=YYYY-MM-DD&to=YYYY-MM-DD&format=csv|pdf|json)
+router.get(
+  '/statement',
+  getStatementValidator,
+  getStatement
+);
+
+// Get user's wallet ledger entries
+router.get(
+  '/ledger',
+  getUserLedgerValidator,
+  getUserLedger
+);
+
+// Recompute wallet balances from the ledger and flag drift (admin only)
+router.post(
+  '/ledger/reconcile',
+  requireRole('admin'),
+  reconcileLedger
+);
+
+// Admin wallet adjustments (credit/debit with mandatory reason and reference)
+router.post(
+  '/admin/credit',
+  requireRole('admin'),
+  adminAdjustmentValidator,
+  adminCreditUser
+);
+
+router.post(
+  '/admin/debit',
+  requireRole('admin'),
+  adminAdjustmentValidator,
+  adminDebitUser
+);
+
+router.get(
+  '/admin/adjustments',
+  requireRole('admin'),
+  listAdminAdjustmentsValidator,
+  listAdminAdjustments
+);
+
 // Get specific transaction by ID
 router.get(
   '/:id',
@@ -0,0 +1,24 @@
+import express from 'express';
+import { requireAuth, requireRole } from '../../middlewares/auth.js';
+import {
+  startVideoUpload,
+  uploadVideoChunkHandler,
+  getVideoUploadStatus,
+  cancelVideoUploadHandler
+} from '../../controllers/videoUpload.js';
+import { createVideoUploadValidator } from '../../validators/videoUploadValidators.js';
+import { VIDEO_CHUNK_SIZE } from '../../utils/uploadFile.js';
+
+const router = express.Router();
+
+router.use(requireAuth, requireRole('star', 'admin'));
+
+// Resumable uploads: start, send chunks in order, resume from receivedBytes after a failure.
+// A finished upload is used by passing its id as uploadId when delivering a dedication or saving a sample.
+// Uploads go to Cloudinary, which processes them; with VIDEO_PROCESSING_ENABLED=false they are refused (503).
+router.post('/', createVideoUploadValidator, startVideoUpload);
+router.get('/:id', getVideoUploadStatus);
+router.put('/:id', express.raw({ type: () => true, limit: VIDEO_CHUNK_SIZE }), uploadVideoChunkHandler);
+router.delete('/:id', cancelVideoUploadHandler);
+
+export default router;
@@ -0,0 +1,47 @@
+import express from 'express';
+import {
+  getWithdrawalBalance,
+  requestWithdrawal,
+  getMyWithdrawals,
+  getWithdrawalById,
+  cancelWithdrawal,
+  listWithdrawals,
+  approveWithdrawal,
+  rejectWithdrawal,
+  resolveWithdrawal
+} from '../../controllers/withdrawal.js';
+import {
+  createWithdrawalValidator,
+  withdrawalIdValidator,
+  listWithdrawalsValidator,
+  approveWithdrawalValidator,
+  rejectWithdrawalValidator,
+  resolveWithdrawalValidator
+} from '../../validators/withdrawalValidators.js';
+import { requireAuth, requireRole } from '../../middlewares/auth.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(requireAuth);
+
+// Star: withdrawable balance vs balance still in escrow
+router.get('/balance', requireRole('star'), getWithdrawalBalance);
+
+// Star: request a withdrawal and view history
+router.post('/', requireRole('star'), createWithdrawalValidator, requestWithdrawal);
+router.get('/', requireRole('star'), listWithdrawalsValidator, getMyWithdrawals);
+
+// Admin: review withdrawal requests
+router.get('/admin', requireRole('admin'), listWithdrawalsValidator, listWithdrawals);
+router.post('/:id/approve', requireRole('admin'), approveWithdrawalValidator, approveWithdrawal);
+router.post('/:id/reject', requireRole('admin'), rejectWithdrawalValidator, rejectWithdrawal);
+router.post('/:id/resolve', requireRole('admin'), resolveWithdrawalValidator, resolveWithdrawal);
+
+// Star: cancel a pending withdrawal
+router.post('/:id/cancel', requireRole('star'), withdrawalIdValidator, cancelWithdrawal);
+
+// Owner or admin: withdrawal details with status history
+router.get('/:id', withdrawalIdValidator, getWithdrawalById);
+
+export default router;
@@ -12,6 +12,8 @@ import dashboardRouter from './api/dashboard.js';
 import contactSupportRouter from './api/contactSupport.js';
 import transactionRouter from './api/transactions.js';
 import paymentCallbackRouter from './api/paymentCallback.js';
+import withdrawalsRouter from './api/withdrawals.js';
+import disputesRouter from './api/disputes.js';
 import favoritesRouter from './api/favorites.js';
 import liveShowsRouter from './api/liveShows.js';
 import reportUsersRouter from './api/reportUsers.js';
@@ -21,6 +23,8 @@ import notificationsRouter from './api/notifications.js';
 import ratingsRouter from './api/ratings.js';
 import analyticsRouter from './api/analytics.js';
 import configRouter from './api/config.js';
+import calendarRouter from './api/calendar.js';
+import videoUploadsRouter from './api/videoUploads.js';
 
 const router = express.Router();
 
@@ -36,6 +40,8 @@ router.use('/dashboard', dashboardRouter);
 router.use('/contact-support', contactSupportRouter);
 router.use('/transactions', transactionRouter);
 router.use('/payment', paymentCallbackRouter);
+router.use('/withdrawals', withdrawalsRouter);
+router.use('/disputes', disputesRouter);
 router.use('/star',starRouter);
 router.use('/favorites', favoritesRouter);
 router.use('/live-shows', liveShowsRouter);
@@ -46,6 +52,8 @@ router.use('/notifications', notificationsRouter);
 router.use('/ratings', ratingsRouter);
 router.use('/analytics', analyticsRouter);
 router.use('/config', configRouter);
+router.use('/calendar', calendarRouter);
+router.use('/video-uploads', videoUploadsRouter);
 
 export default router;
 
@@ -0,0 +1,65 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import User from '../models/User.js';
+import Config from '../models/Config.js';
+import DedicationRequest from '../models/DedicationRequest.js';
+import { computeDeliveryDeadline, getTurnaroundDays } from '../services/dedicationSlaService.js';
+
+dotenv.config();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Assign a delivery deadline to open dedication requests created before deadlines
+ * were tracked. Stars get at least a full turnaround from now so the scheduler does
+ * not refund requests they could never have known were due.
+ * Safe to re-run: only requests without a deadline are touched.
+ */
+const backfillDedicationDeadlines = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/baroni');
+    console.log('Connected to MongoDB');
+
+    const config = await Config.getSingleton();
+    const turnarounds = new Map();
+    const getStarTurnaround = async (starId) => {
+      const key = String(starId);
+      if (!turnarounds.has(key)) {
+        const star = await User.findById(starId).select('dedicationTurnaroundDays').lean();
+        turnarounds.set(key, getTurnaroundDays(star, config));
+      }
+      return turnarounds.get(key);
+    };
+
+    let updated = 0;
+    const cursor = DedicationRequest.find({
+      status: { $in: ['pending', 'approved'] },
+      deliveryDeadline: { $exists: false }
+    }).cursor();
+    for await (const request of cursor) {
+      const turnaroundDays = await getStarTurnaround(request.starId);
+      const fromRequest = computeDeliveryDeadline(request.eventDate, request.createdAt, turnaroundDays);
+      const fromNow = new Date(Date.now() + (turnaroundDays * DAY_MS));
+      await DedicationRequest.updateOne(
+        { _id: request._id },
+        { $set: { deliveryDeadline: fromRequest > fromNow ? fromRequest : fromNow } }
+      );
+      updated++;
+    }
+
+    console.log(`Backfilled ${updated} dedication requests`);
+    console.log('Migration completed successfully');
+  } catch (error) {
+    console.error('Migration failed:', error);
+  } finally {
+    await mongoose.disconnect();
+    console.log('Disconnected from MongoDB');
+  }
+};
+
+// Run migration if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  backfillDedicationDeadlines();
+}
+
+export default backfillDedicationDeadlines;
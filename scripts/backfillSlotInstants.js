@@ -0,0 +1,67 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import User from '../models/User.js';
+import Availability from '../models/Availability.js';
+import Appointment from '../models/Appointment.js';
+import { resolveSlotInstants, timezoneOf } from '../utils/timezone.js';
+
+dotenv.config();
+
+/**
+ * Assign a timezone and absolute slot instants to availabilities and appointments
+ * created before scheduling became timezone-aware. Existing wall-clock values are
+ * interpreted in the star's timezone (or DEFAULT_TIMEZONE when the star has none).
+ * Safe to re-run: only documents without a timezone are touched.
+ */
+const backfillSlotInstants = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/baroni');
+    console.log('Connected to MongoDB');
+
+    const starTimezones = new Map();
+    const getStarTimezone = async (starId) => {
+      const key = String(starId);
+      if (!starTimezones.has(key)) {
+        const star = await User.findById(starId).select('timezone').lean();
+        starTimezones.set(key, timezoneOf(star));
+      }
+      return starTimezones.get(key);
+    };
+
+    let availabilities = 0;
+    const availabilityCursor = Availability.find({ timezone: { $exists: false } }).cursor();
+    for await (const availability of availabilityCursor) {
+      // The pre-validate hook derives slot instants from the timezone
+      availability.timezone = await getStarTimezone(availability.userId);
+      await availability.save();
+      availabilities++;
+    }
+
+    let appointments = 0;
+    const appointmentCursor = Appointment.find({ timezone: { $exists: false } }).cursor();
+    for await (const appointment of appointmentCursor) {
+      const timezone = await getStarTimezone(appointment.starId);
+      const instants = resolveSlotInstants(appointment.date, appointment.time, timezone);
+      await Appointment.updateOne(
+        { _id: appointment._id },
+        { $set: { timezone, ...(instants ? { startAt: instants.startAt, endAt: instants.endAt } : {}) } }
+      );
+      appointments++;
+    }
+
+    console.log(`Backfilled ${availabilities} availabilities and ${appointments} appointments`);
+    console.log('Migration completed successfully');
+  } catch (error) {
+    console.error('Migration failed:', error);
+  } finally {
+    await mongoose.disconnect();
+    console.log('Disconnected from MongoDB');
+  }
+};
+
+// Run migration if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  backfillSlotInstants();
+}
+
+export default backfillSlotInstants;
@@ -0,0 +1,109 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import User from '../models/User.js';
+import Availability from '../models/Availability.js';
+import AvailabilityRule from '../models/AvailabilityRule.js';
+import { weekdayOf } from '../services/availabilityRuleService.js';
+import { timezoneOf, todayInTimezone } from '../utils/timezone.js';
+
+dotenv.config();
+
+/**
+ * Convert materialized weekly/daily availability copies into recurring rules.
+ * Upcoming isWeekly availabilities become one weekly rule per star and weekday,
+ * upcoming isDaily availabilities one daily rule per star ending on the last
+ * copied date. Open copies are then deleted; booked slots stay persisted and
+ * reference their rule. Safe to re-run: converted availabilities lose their flags.
+ */
+const migrateAvailabilityRules = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/baroni');
+    console.log('Connected to MongoDB');
+
+    const userIds = await Availability.distinct('userId', { $or: [{ isWeekly: true }, { isDaily: true }] });
+    let rulesCreated = 0;
+    let availabilitiesRemoved = 0;
+
+    for (const userId of userIds) {
+      const star = await User.findById(userId).select('timezone').lean();
+      const timezone = timezoneOf(star);
+      const today = todayInTimezone(timezone);
+
+      const copies = await Availability.find({
+        userId,
+        date: { $gte: today },
+        $or: [{ isWeekly: true }, { isDaily: true }]
+      }).sort({ date: 1 });
+
+      // Group the copies into rules: weekly by weekday, daily as one rule
+      const groups = new Map();
+      copies.forEach((availability) => {
+        const kind = availability.isDaily ? 'daily' : 'weekly';
+        const key = kind === 'daily' ? 'daily' : `weekly:${weekdayOf(availability.date)}`;
+        if (!groups.has(key)) {
+          groups.set(key, {
+            kind,
+            weekdays: kind === 'daily' ? [0, 1, 2, 3, 4, 5, 6] : [weekdayOf(availability.date)],
+            timeSlots: new Set(),
+            startDate: availability.date,
+            endDate: availability.date,
+            availabilities: []
+          });
+        }
+        const group = groups.get(key);
+        availability.timeSlots.forEach((t) => group.timeSlots.add(t.slot));
+        group.endDate = availability.date;
+        group.availabilities.push(availability);
+      });
+
+      for (const group of groups.values()) {
+        const rule = await AvailabilityRule.create({
+          userId,
+          kind: group.kind,
+          weekdays: group.weekdays,
+          timeSlots: [...group.timeSlots],
+          timezone: copies[0].timezone || timezone,
+          startDate: group.startDate,
+          // Daily copies were created for a fixed range; weekly copies repeated indefinitely
+          endDate: group.kind === 'daily' ? group.endDate : undefined
+        });
+        rulesCreated++;
+
+        for (const availability of group.availabilities) {
+          const booked = availability.timeSlots.filter((t) => t.status === 'unavailable');
+          if (booked.length === 0) {
+            await availability.deleteOne();
+            availabilitiesRemoved++;
+            continue;
+          }
+          booked.forEach((t) => { t.ruleId = rule._id; });
+          availability.timeSlots = booked;
+          availability.isWeekly = false;
+          availability.isDaily = false;
+          await availability.save();
+        }
+      }
+    }
+
+    // Past copies are kept as history without the legacy flags
+    await Availability.updateMany(
+      { $or: [{ isWeekly: true }, { isDaily: true }] },
+      { $set: { isWeekly: false, isDaily: false } }
+    );
+
+    console.log(`Created ${rulesCreated} availability rules for ${userIds.length} stars, removed ${availabilitiesRemoved} open copies`);
+    console.log('Migration completed successfully');
+  } catch (error) {
+    console.error('Migration failed:', error);
+  } finally {
+    await mongoose.disconnect();
+    console.log('Disconnected from MongoDB');
+  }
+};
+
+// Run migration if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  migrateAvailabilityRules();
+}
+
+export default migrateAvailabilityRules;
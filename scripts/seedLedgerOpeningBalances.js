@@ -0,0 +1,64 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import User from '../models/User.js';
+import { recordMovement, walletOf, getWalletLedgerBalance } from '../services/ledgerService.js';
+import { LEDGER_ACCOUNTS, LEDGER_ENTRY_TYPES } from '../utils/transactionConstants.js';
+
+dotenv.config();
+
+/**
+ * Post an opening balance entry for every wallet whose coinBalance predates the ledger.
+ * Safe to re-run: only the unexplained difference is posted, and the wallet
+ * balance itself is left unchanged.
+ */
+const seedLedgerOpeningBalances = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/baroni');
+    console.log('Connected to MongoDB');
+
+    let processed = 0;
+    let seeded = 0;
+
+    const cursor = User.find({}).select('_id coinBalance').lean().cursor();
+    for await (const user of cursor) {
+      processed++;
+      const walletBalance = user.coinBalance || 0;
+      const ledgerBalance = await getWalletLedgerBalance(user._id);
+      const difference = walletBalance - ledgerBalance;
+      if (difference === 0) continue;
+
+      const session = await mongoose.startSession();
+      try {
+        await session.withTransaction(async () => {
+          // recordMovement applies the amount to coinBalance, so undo it first to keep the wallet unchanged
+          await User.findByIdAndUpdate(user._id, { $inc: { coinBalance: -difference } }, { session });
+          await recordMovement({
+            entryType: LEDGER_ENTRY_TYPES.OPENING_BALANCE,
+            from: difference > 0 ? LEDGER_ACCOUNTS.PLATFORM : walletOf(user._id),
+            to: difference > 0 ? walletOf(user._id) : LEDGER_ACCOUNTS.PLATFORM,
+            amount: Math.abs(difference),
+            description: 'Opening balance'
+          }, session);
+        });
+        seeded++;
+      } finally {
+        await session.endSession();
+      }
+    }
+
+    console.log(`Processed ${processed} users, seeded ${seeded} opening balances`);
+    console.log('Migration completed successfully');
+  } catch (error) {
+    console.error('Migration failed:', error);
+  } finally {
+    await mongoose.disconnect();
+    console.log('Disconnected from MongoDB');
+  }
+};
+
+// Run migration if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  seedLedgerOpeningBalances();
+}
+
+export default seedLedgerOpeningBalances;
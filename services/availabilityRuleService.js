@@ -0,0 +1,278 @@
+import Availability from '../models/Availability.js';
+import AvailabilityRule from '../models/AvailabilityRule.js';
+import { getBlackoutPeriods, isBlackedOut } from './blackoutService.js';
+import { resolveSlotInstants, todayInTimezone } from '../utils/timezone.js';
+
+// How far ahead open slots are computed from recurring rules (six weeks, like the old weekly copies)
+export const RULE_HORIZON_DAYS = 42;
+
+const ALL_WEEKDAYS = [0, 1, 2, 3, 4, 5, 6];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Calendar arithmetic on YYYY-MM-DD strings, independent of the server timezone
+const ymdToUtc = (ymd) => {
+  const [year, month, day] = String(ymd).split('-').map((v) => parseInt(v, 10));
+  return Date.UTC(year, month - 1, day);
+};
+const utcToYmd = (ms) => new Date(ms).toISOString().slice(0, 10);
+
+/**
+ * Add days to a YYYY-MM-DD date
+ * @param {string} ymd - Date
+ * @param {number} days - Days to add (may be negative)
+ * @returns {string} Resulting date
+ */
+export const addDays = (ymd, days) => utcToYmd(ymdToUtc(ymd) + (days * DAY_MS));
+
+/**
+ * Weekday of a YYYY-MM-DD date (0 = Sunday)
+ * @param {string} ymd - Date
+ * @returns {number} Weekday
+ */
+export const weekdayOf = (ymd) => new Date(ymdToUtc(ymd)).getUTCDay();
+
+/**
+ * Whether a rule produces slots on a date
+ * @param {Object} rule - AvailabilityRule
+ * @param {string} ymd - Date (YYYY-MM-DD)
+ * @returns {boolean} True when the rule applies
+ */
+export const ruleOccursOn = (rule, ymd) => (
+  ymd >= rule.startDate
+  && (!rule.endDate || ymd <= rule.endDate)
+  && rule.weekdays.includes(weekdayOf(ymd))
+  && !(rule.exceptions || []).includes(ymd)
+);
+
+// Merged availabilities mirror lean Availability documents; computed entries have a null _id
+const toOpenSlot = (date, slot, timezone, ruleId) => {
+  const instants = resolveSlotInstants(date, slot, timezone);
+  return {
+    _id: null,
+    slot,
+    status: 'available',
+    ruleId,
+    startAt: instants ? instants.startAt : undefined,
+    endAt: instants ? instants.endAt : undefined,
+  };
+};
+
+/**
+ * Availabilities of a user over a date range: persisted documents merged with
+ * the open slots computed from the user's recurring rules. Computed slots have
+ * a null _id; they are booked by ruleId + date + slot and persisted on booking.
+ * Open slots on the user's blackout dates are left out.
+ * @param {string} userId - Star ID
+ * @param {Object} options - Range options
+ * @param {string} options.from - First date (YYYY-MM-DD, inclusive)
+ * @param {string} options.to - Last date (YYYY-MM-DD, inclusive)
+ * @returns {Promise<Array>} Lean availability objects sorted by date
+ */
+export const getMergedAvailabilities = async (userId, { from, to }) => {
+  const [documents, rules, blackouts] = await Promise.all([
+    Availability.find({ userId, date: { $gte: from, $lte: to } }).lean(),
+    AvailabilityRule.find({
+      userId,
+      startDate: { $lte: to },
+      $or: [{ endDate: { $exists: false } }, { endDate: null }, { endDate: { $gte: from } }],
+    }).lean(),
+    getBlackoutPeriods(userId, { from, to }),
+  ]);
+
+  const byDate = new Map();
+  documents.forEach((doc) => {
+    byDate.set(doc.date, { ...doc, timeSlots: [...(doc.timeSlots || [])] });
+  });
+
+  for (let date = from; date <= to; date = addDays(date, 1)) {
+    const entry = byDate.get(date);
+    if (isBlackedOut(blackouts, date)) {
+      // Booked slots stay visible; nothing is open while the star is away
+      if (entry) entry.timeSlots = entry.timeSlots.filter((t) => t.status !== 'available');
+      continue;
+    }
+
+    const occurring = rules.filter((rule) => ruleOccursOn(rule, date));
+
+    if (entry) {
+      // A materialized slot that is open again only counts while a rule still produces it
+      const produced = new Set(occurring.flatMap((rule) => rule.timeSlots));
+      entry.timeSlots = entry.timeSlots.filter((t) => !(t.ruleId && t.status === 'available' && !produced.has(t.slot)));
+    }
+    if (occurring.length === 0) continue;
+
+    const target = entry || {
+      _id: null,
+      userId,
+      date,
+      timezone: occurring[0].timezone,
+      isDaily: occurring.some((rule) => rule.kind === 'daily'),
+      isWeekly: occurring.some((rule) => rule.kind === 'weekly'),
+      timeSlots: [],
+    };
+    const existing = new Set(target.timeSlots.map((t) => t.slot));
+    occurring.forEach((rule) => {
+      rule.timeSlots.forEach((slot) => {
+        if (existing.has(slot)) return;
+        existing.add(slot);
+        target.timeSlots.push(toOpenSlot(date, slot, target.timezone || rule.timezone, rule._id));
+      });
+    });
+    byDate.set(date, target);
+  }
+
+  return [...byDate.values()]
+    .filter((item) => item.timeSlots.length > 0)
+    .map((item) => ({ ...item, timeSlots: item.timeSlots.sort((a, b) => a.slot.localeCompare(b.slot)) }))
+    .sort((a, b) => a.date.localeCompare(b.date));
+};
+
+/**
+ * Availabilities from today (in the given timezone): rule occurrences over the
+ * horizon, plus persisted availabilities beyond it
+ * @param {string} userId - Star ID
+ * @param {string} timezone - Timezone used to determine today
+ * @returns {Promise<Array>} Lean availability objects sorted by date
+ */
+export const getUpcomingAvailabilities = async (userId, timezone) => {
+  const from = todayInTimezone(timezone);
+  const to = addDays(from, RULE_HORIZON_DAYS - 1);
+  const [merged, later, blackouts] = await Promise.all([
+    getMergedAvailabilities(userId, { from, to }),
+    Availability.find({ userId, date: { $gt: to } }).sort({ date: 1 }).lean(),
+    getBlackoutPeriods(userId, { from: addDays(to, 1) }),
+  ]);
+  const visibleLater = later.flatMap((item) => {
+    if (!isBlackedOut(blackouts, item.date)) return [item];
+    const timeSlots = (item.timeSlots || []).filter((t) => t.status !== 'available');
+    return timeSlots.length > 0 ? [{ ...item, timeSlots }] : [];
+  });
+  return [...merged, ...visibleLater];
+};
+
+/**
+ * Persist a rule occurrence so it can be booked or blocked. The slot is added to
+ * the Availability document of that date (created when missing) and keeps a
+ * reference to the rule.
+ * @param {string} userId - Star ID
+ * @param {string} ruleId - AvailabilityRule ID
+ * @param {string} date - Occurrence date (YYYY-MM-DD)
+ * @param {string} slot - Slot ("HH:MM - HH:MM")
+ * @returns {Promise<Object>} { availability, timeSlot }
+ */
+export const materializeRuleSlot = async (userId, ruleId, date, slot) => {
+  const rule = await AvailabilityRule.findOne({ _id: ruleId, userId });
+  if (!rule) {
+    throw new Error('Availability rule not found');
+  }
+  if (!ruleOccursOn(rule, date) || !rule.timeSlots.includes(slot)) {
+    throw new Error('Time slot not found');
+  }
+
+  let availability = await Availability.findOne({ userId, date });
+  if (!availability) {
+    try {
+      availability = await Availability.create({
+        userId,
+        date,
+        timezone: rule.timezone,
+        timeSlots: [{ slot, status: 'available', ruleId: rule._id }],
+      });
+    } catch (error) {
+      // Created concurrently for the same date
+      if (error?.code !== 11000) throw error;
+      availability = await Availability.findOne({ userId, date });
+    }
+  }
+
+  if (!availability.timeSlots.some((t) => t.slot === slot)) {
+    // Push only if still missing, so concurrent first bookings add the slot once
+    await Availability.updateOne(
+      { _id: availability._id, 'timeSlots.slot': { $ne: slot } },
+      { $push: { timeSlots: { slot, status: 'available', ruleId: rule._id } } }
+    );
+    availability = await Availability.findById(availability._id);
+  }
+
+  return { availability, timeSlot: availability.timeSlots.find((t) => t.slot === slot) };
+};
+
+/**
+ * Create or extend the weekly/daily rule for the legacy isWeekly/isDaily flags.
+ * Weekly rules are keyed by weekday and daily rules by user, so posting the same
+ * pattern again merges the slots like the old per-date upsert did.
+ * @param {Object} user - Star (needs _id)
+ * @param {Object} params - Rule parameters
+ * @param {string} params.kind - 'weekly' or 'daily'
+ * @param {string} params.date - First date (YYYY-MM-DD)
+ * @param {Array<string>} params.timeSlots - Normalized slots
+ * @param {string} params.timezone - Star's timezone
+ * @returns {Promise<Object>} The saved rule
+ */
+export const upsertRecurringRule = async (user, { kind, date, timeSlots, timezone }) => {
+  const weekdays = kind === 'daily' ? ALL_WEEKDAYS : [weekdayOf(date)];
+  const filter = kind === 'daily'
+    ? { userId: user._id, kind: 'daily' }
+    : { userId: user._id, kind: 'weekly', weekdays: { $size: 1, $all: weekdays } };
+
+  const rule = await AvailabilityRule.findOne(filter);
+  if (!rule) {
+    return AvailabilityRule.create({ userId: user._id, kind, weekdays, timeSlots, timezone, startDate: date });
+  }
+
+  rule.timeSlots = [...new Set([...rule.timeSlots, ...timeSlots])];
+  if (date < rule.startDate) rule.startDate = date;
+  if (rule.endDate && rule.endDate < date) rule.endDate = undefined;
+  rule.exceptions = (rule.exceptions || []).filter((d) => d < date);
+  return rule.save();
+};
+
+/**
+ * Delete a user's recurring rules of the given kinds
+ * @param {string} userId - Star ID
+ * @param {Array<string>} kinds - Rule kinds ('weekly', 'daily')
+ * @returns {Promise<Object>} { removed }
+ */
+export const deleteRecurringRules = async (userId, kinds) => {
+  const result = await AvailabilityRule.deleteMany({ userId, kind: { $in: kinds } });
+  return { removed: result.deletedCount || 0 };
+};
+
+/**
+ * Remove a slot from recurring rules; rules left without slots are deleted.
+ * Occurrences that were already booked stay persisted on their Availability.
+ * @param {string} userId - Star ID
+ * @param {string} slot - Slot ("HH:MM - HH:MM")
+ * @param {Object} filter - Extra rule filter (e.g. { kind: 'daily' } or { _id: { $in: ids } })
+ * @returns {Promise<Object>} { processed, updated, removed }
+ */
+export const removeSlotFromRules = async (userId, slot, filter = {}) => {
+  const rules = await AvailabilityRule.find({ userId, timeSlots: slot, ...filter });
+  let updated = 0;
+  let removed = 0;
+
+  for (const rule of rules) {
+    rule.timeSlots = rule.timeSlots.filter((s) => s !== slot);
+    if (rule.timeSlots.length === 0) {
+      await rule.deleteOne();
+      removed++;
+    } else {
+      await rule.save();
+      updated++;
+    }
+  }
+
+  return { processed: rules.length, updated, removed };
+};
+
+/**
+ * Rules of a user that produce a slot on a date
+ * @param {string} userId - Star ID
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @param {string} slot - Slot ("HH:MM - HH:MM")
+ * @returns {Promise<Array>} Matching rules
+ */
+export const findRulesProducing = async (userId, date, slot) => {
+  const rules = await AvailabilityRule.find({ userId, timeSlots: slot });
+  return rules.filter((rule) => ruleOccursOn(rule, date));
+};
@@ -0,0 +1,107 @@
+import Config from '../models/Config.js';
+import BlackoutPeriod from '../models/BlackoutPeriod.js';
+import Appointment from '../models/Appointment.js';
+import DedicationRequest from '../models/DedicationRequest.js';
+import NotificationHelper from '../utils/notificationHelper.js';
+import { formatInTimezone, todayInTimezone } from '../utils/timezone.js';
+
+/**
+ * A star's blackout periods overlapping a date range
+ * @param {string} userId - Star ID
+ * @param {Object} range - Date range (YYYY-MM-DD, inclusive); open-ended when omitted
+ * @param {string} range.from - First date
+ * @param {string} range.to - Last date
+ * @returns {Promise<Array>} Lean blackout periods sorted by start
+ */
+export const getBlackoutPeriods = (userId, { from, to } = {}) => BlackoutPeriod.find({
+  userId,
+  ...(to ? { startDate: { $lte: to } } : {}),
+  ...(from ? { endDate: { $gte: from } } : {}),
+}).sort({ startDate: 1 }).lean();
+
+/**
+ * Whether a date falls in one of the given blackout periods
+ * @param {Array<Object>} periods - Blackout periods
+ * @param {string} ymd - Date (YYYY-MM-DD)
+ * @returns {boolean} True when blacked out
+ */
+export const isBlackedOut = (periods, ymd) => periods.some((p) => ymd >= p.startDate && ymd <= p.endDate);
+
+/**
+ * The blackout period of a star covering a date
+ * @param {string} userId - Star ID
+ * @param {string} ymd - Date (YYYY-MM-DD, star's timezone)
+ * @returns {Promise<Object|null>} Blackout period
+ */
+export const findBlackoutCovering = (userId, ymd) => BlackoutPeriod.findOne({
+  userId,
+  startDate: { $lte: ymd },
+  endDate: { $gte: ymd },
+});
+
+// Auto-reply text of a period, with {startDate} and {endDate} filled in
+const autoReplyText = (period, config) => (period.autoReplyMessage || config.blackoutAutoReplyMessage || '')
+  .replace(/\{startDate\}/g, period.startDate)
+  .replace(/\{endDate\}/g, period.endDate);
+
+/**
+ * Send a blackout period's auto-reply to one fan
+ * @param {Object} star - Star (needs _id, name)
+ * @param {Object} period - Blackout period
+ * @param {string} fanId - Fan to notify
+ * @returns {Promise<void>}
+ */
+export const sendBlackoutAutoReply = async (star, period, fanId) => {
+  const config = await Config.getSingleton();
+  const body = autoReplyText(period, config);
+  if (!body) return;
+  try {
+    await NotificationHelper.sendCustomNotification(fanId, `${star.name || star.pseudo || 'Your star'} is away`, body, {
+      type: 'blackout_auto_reply',
+      starId: star._id.toString(),
+      startDate: period.startDate,
+      endDate: period.endDate,
+      navigateTo: 'star_profile',
+      eventType: 'STAR_BLACKOUT_AUTO_REPLY'
+    });
+  } catch (notificationError) {
+    console.error('Error sending blackout auto-reply:', notificationError);
+  }
+};
+
+/**
+ * Send the auto-reply to every fan with a pending appointment or dedication request
+ * for a date inside the period (each fan once)
+ * @param {Object} star - Star (needs _id, name, timezone)
+ * @param {Object} period - Blackout period
+ * @param {string} timezone - Star's timezone
+ * @returns {Promise<number>} Number of fans notified
+ */
+export const notifyPendingRequests = async (star, period, timezone) => {
+  const [appointments, dedications] = await Promise.all([
+    Appointment.find({
+      starId: star._id,
+      status: 'pending',
+      date: { $gte: period.startDate, $lte: period.endDate },
+    }).select('fanId').lean(),
+    DedicationRequest.find({ starId: star._id, status: 'pending' }).select('fanId eventDate').lean(),
+  ]);
+
+  const fans = new Set(appointments.map((a) => String(a.fanId)));
+  dedications.forEach((d) => {
+    if (isBlackedOut([period], formatInTimezone(d.eventDate, timezone).date)) fans.add(String(d.fanId));
+  });
+
+  for (const fanId of fans) {
+    await sendBlackoutAutoReply(star, period, fanId);
+  }
+  return fans.size;
+};
+
+/**
+ * The period a star is currently away in, if any
+ * @param {string} userId - Star ID
+ * @param {string} timezone - Star's timezone
+ * @returns {Promise<Object|null>} Active blackout period
+ */
+export const findActiveBlackout = (userId, timezone) => findBlackoutCovering(userId, todayInTimezone(timezone));
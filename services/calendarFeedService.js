@@ -0,0 +1,160 @@
+import crypto from 'crypto';
+import User from '../models/User.js';
+import Appointment from '../models/Appointment.js';
+import LiveShow from '../models/LiveShow.js';
+import DedicationRequest from '../models/DedicationRequest.js';
+import { formatInTimezone, resolveSlotInstants, timezoneOf } from '../utils/timezone.js';
+
+// Live shows only store their start; calendars show them with this length
+export const LIVE_SHOW_DURATION_MINUTES = 60;
+
+// How far back the feed keeps past events
+const FEED_PAST_DAYS = 30;
+
+const MINUTE_MS = 60 * 1000;
+const UID_DOMAIN = 'baroni.app';
+
+const nameOf = (user, fallback) => (user && typeof user === 'object' && (user.name || user.pseudo)) || fallback;
+
+/**
+ * Calendar event for an appointment, titled from the viewer's side
+ * @param {Object} appt - Appointment (starId and fanId may be populated with name/pseudo)
+ * @param {Object} viewer - User the event is rendered for
+ * @returns {Object|null} Event, or null when the slot cannot be resolved
+ */
+export const appointmentEvent = (appt, viewer) => {
+  const instants = appt.startAt && appt.endAt
+    ? { startAt: appt.startAt, endAt: appt.endAt }
+    : resolveSlotInstants(appt.date, appt.time, appt.timezone);
+  if (!instants) return null;
+
+  const starId = appt.starId?._id || appt.starId;
+  const isStar = String(starId) === String(viewer._id);
+  const counterpart = isStar ? nameOf(appt.fanId, 'a fan') : nameOf(appt.starId, 'your star');
+  return {
+    uid: `appointment-${appt._id}@${UID_DOMAIN}`,
+    summary: `Baroni video call with ${counterpart}`,
+    description: appt.durationMinutes ? `${appt.durationMinutes} minute video call` : 'Video call',
+    startAt: instants.startAt,
+    endAt: instants.endAt,
+    status: appt.status === 'approved' ? 'CONFIRMED' : (appt.status === 'pending' ? 'TENTATIVE' : 'CANCELLED'),
+    updatedAt: appt.updatedAt
+  };
+};
+
+/**
+ * Calendar event for a live show
+ * @param {Object} show - LiveShow
+ * @returns {Object} Event
+ */
+export const liveShowEvent = (show) => ({
+  uid: `live-show-${show._id}@${UID_DOMAIN}`,
+  summary: `Baroni live show: ${show.sessionTitle}`,
+  description: [show.description, show.showCode ? `Show code: ${show.showCode}` : null].filter(Boolean).join('\n'),
+  url: show.inviteLink,
+  startAt: show.date,
+  endAt: new Date(new Date(show.date).getTime() + (LIVE_SHOW_DURATION_MINUTES * MINUTE_MS)),
+  status: show.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED',
+  updatedAt: show.updatedAt
+});
+
+/**
+ * All-day calendar event for a dedication's event date, on the day it falls in the viewer's timezone
+ * @param {Object} request - DedicationRequest
+ * @param {string} timezone - Viewer's timezone
+ * @returns {Object} Event
+ */
+export const dedicationEvent = (request, timezone) => ({
+  uid: `dedication-${request._id}@${UID_DOMAIN}`,
+  summary: `Baroni dedication due: ${request.eventName}`,
+  description: request.description,
+  date: formatInTimezone(request.eventDate, timezone).date,
+  status: request.status === 'approved' ? 'CONFIRMED' : 'TENTATIVE',
+  updatedAt: request.updatedAt
+});
+
+/**
+ * Events of a user's calendar feed: approved appointments, hosted or joined live
+ * shows and open dedication event dates, from FEED_PAST_DAYS ago onwards
+ * @param {Object} user - Feed owner
+ * @returns {Promise<Array<Object>>} Events sorted by start
+ */
+export const getCalendarFeedEvents = async (user) => {
+  const timezone = timezoneOf(user);
+  const since = new Date(Date.now() - (FEED_PAST_DAYS * 24 * 60 * MINUTE_MS));
+  const sinceDate = formatInTimezone(since, 'Pacific/Kiritimati').date;
+  const participant = [{ starId: user._id }, { fanId: user._id }];
+
+  const [appointments, shows, dedications] = await Promise.all([
+    Appointment.find({ status: 'approved', date: { $gte: sinceDate }, $or: participant })
+      .populate('starId', 'name pseudo')
+      .populate('fanId', 'name pseudo')
+      .lean(),
+    LiveShow.find({
+      status: { $in: ['pending', 'completed'] },
+      date: { $gte: since },
+      $or: [{ starId: user._id }, { attendees: user._id }]
+    }).lean(),
+    DedicationRequest.find({
+      status: { $in: ['pending', 'approved'] },
+      eventDate: { $gte: since },
+      $or: participant
+    }).lean()
+  ]);
+
+  const events = [
+    ...appointments.map((appt) => appointmentEvent(appt, user)).filter(Boolean),
+    ...shows.map(liveShowEvent),
+    ...dedications.map((request) => dedicationEvent(request, timezone))
+  ];
+  const sortKey = (event) => (event.startAt ? new Date(event.startAt).toISOString() : event.date);
+  return events.sort((a, b) => sortKey(a).localeCompare(sortKey(b)));
+};
+
+const generateToken = () => crypto.randomBytes(24).toString('hex');
+
+/**
+ * A user's secret feed token, created on first use
+ * @param {string} userId - User ID
+ * @returns {Promise<string>} Token
+ */
+export const ensureCalendarFeedToken = async (userId) => {
+  const user = await User.findById(userId).select('+calendarFeedToken');
+  if (!user) {
+    throw new Error('User not found');
+  }
+  if (user.calendarFeedToken) return user.calendarFeedToken;
+
+  const updated = await User.findOneAndUpdate(
+    { _id: userId, calendarFeedToken: null },
+    { $set: { calendarFeedToken: generateToken() } },
+    { new: true }
+  ).select('+calendarFeedToken');
+  // Created concurrently by another request
+  if (!updated) return (await User.findById(userId).select('+calendarFeedToken')).calendarFeedToken;
+  return updated.calendarFeedToken;
+};
+
+/**
+ * Replace a user's feed token, invalidating the previous feed URL
+ * @param {string} userId - User ID
+ * @returns {Promise<string>} New token
+ */
+export const rotateCalendarFeedToken = async (userId) => {
+  const updated = await User.findByIdAndUpdate(
+    userId,
+    { $set: { calendarFeedToken: generateToken() } },
+    { new: true }
+  ).select('+calendarFeedToken');
+  if (!updated) {
+    throw new Error('User not found');
+  }
+  return updated.calendarFeedToken;
+};
+
+/**
+ * Owner of a feed token
+ * @param {string} token - Feed token
+ * @returns {Promise<Object|null>} Active user
+ */
+export const findUserByFeedToken = (token) => User.findOne({ calendarFeedToken: token, isDeleted: { $ne: true } });
@@ -0,0 +1,177 @@
+import Appointment from '../models/Appointment.js';
+import Service from '../models/Service.js';
+import SlotReservation from '../models/SlotReservation.js';
+import { formatInTimezone, resolveSlotInstants } from '../utils/timezone.js';
+
+const MINUTE_MS = 60 * 1000;
+
+// Appointments that hold star time
+const ACTIVE_STATUSES = ['pending', 'approved'];
+
+// Reservations still holding star time before their appointment exists
+const activeHoldFilter = () => ({ status: 'held', expiresAt: { $gt: new Date() } });
+
+/**
+ * A star's video call scheduling settings
+ * @param {Object} star - User document
+ * @returns {Object} { bufferMinutes, maxCallsPerDay } (maxCallsPerDay null when unlimited)
+ */
+export const getCallSettings = (star) => ({
+  bufferMinutes: Math.max(0, Number(star?.callBufferMinutes) || 0),
+  maxCallsPerDay: Number(star?.maxCallsPerDay) > 0 ? Number(star.maxCallsPerDay) : null,
+});
+
+/**
+ * Find one of a star's call types (services with a duration)
+ * @param {string} starId - Star ID
+ * @param {string} serviceId - Service ID
+ * @returns {Promise<Object|null>} The service, or null when it is not a call type of this star
+ */
+export const findCallType = (starId, serviceId) => Service.findOne({
+  _id: serviceId,
+  userId: starId,
+  durationMinutes: { $gte: 1 },
+});
+
+/**
+ * Slice an availability window into call slots of a given length, keeping the
+ * buffer free after each call
+ * @param {string} date - Window date (YYYY-MM-DD, star's timezone)
+ * @param {string} slot - Window ("HH:MM - HH:MM")
+ * @param {string} timezone - Star's timezone
+ * @param {number} durationMinutes - Call length
+ * @param {number} bufferMinutes - Gap after each call
+ * @param {Object} stored - Stored window instants ({ startAt, endAt }), if any
+ * @returns {Array<Object>} [{ startAt, endAt, time }] with time as "HH:MM - HH:MM"
+ */
+export const sliceWindow = (date, slot, timezone, durationMinutes, bufferMinutes = 0, stored = {}) => {
+  const window = stored.startAt && stored.endAt
+    ? { startAt: new Date(stored.startAt), endAt: new Date(stored.endAt) }
+    : resolveSlotInstants(date, slot, timezone);
+  if (!window || !(durationMinutes > 0)) return [];
+
+  const slices = [];
+  const step = (durationMinutes + bufferMinutes) * MINUTE_MS;
+  for (let start = window.startAt.getTime(); start + (durationMinutes * MINUTE_MS) <= window.endAt.getTime(); start += step) {
+    const startAt = new Date(start);
+    const endAt = new Date(start + (durationMinutes * MINUTE_MS));
+    slices.push({
+      startAt,
+      endAt,
+      time: `${formatInTimezone(startAt, timezone).time} - ${formatInTimezone(endAt, timezone).time}`,
+    });
+  }
+  return slices;
+};
+
+/**
+ * Active appointments or slot holds of a star overlapping an interval once the
+ * buffer is applied around each side
+ * @param {string} starId - Star ID
+ * @param {Date} startAt - Interval start
+ * @param {Date} endAt - Interval end
+ * @param {number} bufferMinutes - Required gap between calls
+ * @param {string} excludeId - Appointment to ignore (when rescheduling)
+ * @param {Object} session - MongoDB session (optional)
+ * @returns {Promise<Object|null>} The first conflicting appointment or reservation
+ */
+export const findCallConflict = async (starId, startAt, endAt, bufferMinutes = 0, excludeId = null, session = null) => {
+  const buffer = bufferMinutes * MINUTE_MS;
+  const overlap = {
+    startAt: { $lt: new Date(endAt.getTime() + buffer) },
+    endAt: { $gt: new Date(startAt.getTime() - buffer) },
+  };
+  const appointment = await Appointment.findOne({
+    starId,
+    status: { $in: ACTIVE_STATUSES },
+    ...(excludeId ? { _id: { $ne: excludeId } } : {}),
+    ...overlap,
+  }).session(session);
+  if (appointment) return appointment;
+  return SlotReservation.findOne({ starId, ...activeHoldFilter(), ...overlap }).session(session);
+};
+
+/**
+ * Number of active calls and slot holds a star has on a date
+ * @param {string} starId - Star ID
+ * @param {string} date - Date (YYYY-MM-DD, star's timezone)
+ * @param {string} excludeId - Appointment to ignore (when rescheduling)
+ * @param {Object} session - MongoDB session (optional)
+ * @returns {Promise<number>} Count
+ */
+export const countCallsOnDate = async (starId, date, excludeId = null, session = null) => {
+  // Sequential: operations of one transaction must not run in parallel
+  const appointments = await Appointment.countDocuments({
+    starId,
+    date,
+    status: { $in: ACTIVE_STATUSES },
+    ...(excludeId ? { _id: { $ne: excludeId } } : {}),
+  }).session(session);
+  const holds = await SlotReservation.countDocuments({ starId, date, ...activeHoldFilter() }).session(session);
+  return appointments + holds;
+};
+
+/**
+ * Check that a star can take a call over an interval: no overlap with another
+ * active appointment (buffer included) and the daily cap not reached
+ * @param {Object} star - Star (needs _id, callBufferMinutes, maxCallsPerDay)
+ * @param {string} date - Date the call counts towards (YYYY-MM-DD)
+ * @param {Date} startAt - Call start
+ * @param {Date} endAt - Call end
+ * @param {string} excludeId - Appointment to ignore (when rescheduling)
+ * @param {Object} session - MongoDB session (optional)
+ * @returns {Promise<void>} Throws 'Time slot overlaps another booking' or 'Daily call limit reached'
+ */
+export const assertCallFits = async (star, date, startAt, endAt, excludeId = null, session = null) => {
+  const { bufferMinutes, maxCallsPerDay } = getCallSettings(star);
+  const conflict = await findCallConflict(star._id, startAt, endAt, bufferMinutes, excludeId, session);
+  if (conflict) {
+    throw new Error('Time slot overlaps another booking');
+  }
+  if (maxCallsPerDay && await countCallsOnDate(star._id, date, excludeId, session) >= maxCallsPerDay) {
+    throw new Error('Daily call limit reached');
+  }
+};
+
+/**
+ * Open call slots per availability for a call type: windows are sliced by the
+ * call length and buffer, then slices overlapping active appointments or holds and days
+ * at the daily cap are dropped
+ * @param {Object} star - Star (needs _id, callBufferMinutes, maxCallsPerDay)
+ * @param {Array<Object>} availabilities - Lean availabilities (e.g. from getMergedAvailabilities)
+ * @param {number} durationMinutes - Call length
+ * @param {string} timezone - Star's timezone (fallback for availabilities without one)
+ * @returns {Promise<Map>} Map of `${date}|${slot}` to the open slices of that window
+ */
+export const getOpenCallSlices = async (star, availabilities, durationMinutes, timezone) => {
+  const { bufferMinutes, maxCallsPerDay } = getCallSettings(star);
+  const dates = availabilities.map((a) => a.date);
+  const [appointments, holds] = dates.length === 0 ? [[], []] : await Promise.all([
+    Appointment.find({
+      starId: star._id,
+      status: { $in: ACTIVE_STATUSES },
+      date: { $in: dates },
+    }).select('date startAt endAt').lean(),
+    SlotReservation.find({ starId: star._id, date: { $in: dates }, ...activeHoldFilter() }).select('date startAt endAt').lean(),
+  ]);
+  const booked = [...appointments, ...holds];
+
+  const callsPerDate = new Map();
+  booked.forEach((a) => callsPerDate.set(a.date, (callsPerDate.get(a.date) || 0) + 1));
+  const buffer = bufferMinutes * MINUTE_MS;
+  const overlaps = (slice) => booked.some((a) => a.startAt && a.endAt
+    && new Date(a.startAt).getTime() < slice.endAt.getTime() + buffer
+    && new Date(a.endAt).getTime() > slice.startAt.getTime() - buffer);
+
+  const result = new Map();
+  availabilities.forEach((availability) => {
+    if (maxCallsPerDay && (callsPerDate.get(availability.date) || 0) >= maxCallsPerDay) return;
+    (availability.timeSlots || []).forEach((t) => {
+      if (t.status !== 'available') return;
+      const slices = sliceWindow(availability.date, t.slot, availability.timezone || timezone, durationMinutes, bufferMinutes, t)
+        .filter((slice) => !overlaps(slice));
+      result.set(`${availability.date}|${t.slot}`, slices);
+    });
+  });
+  return result;
+};
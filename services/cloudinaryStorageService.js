@@ -0,0 +1,99 @@
+import cloudinary from '../config/cloudinary.js';
+
+const ROOT_FOLDER = 'baroni';
+
+// Cloudinary resource type of a file; 'auto' lets Cloudinary detect it
+const resourceTypeOf = (contentType = '') => {
+  if (contentType.startsWith('image/')) return 'image';
+  if (contentType.startsWith('video/')) return 'video';
+  return 'auto';
+};
+
+class CloudinaryStorageService {
+  /**
+   * Whether Cloudinary credentials are set
+   * @returns {boolean} True when configured
+   */
+  isConfigured() {
+    const { cloud_name: cloudName, api_key: apiKey, api_secret: apiSecret } = cloudinary.config();
+    return Boolean(cloudName && apiKey && apiSecret);
+  }
+
+  /**
+   * Upload a file
+   * @param {Buffer} buffer - File contents
+   * @param {Object} options - Upload options
+   * @param {string} options.folder - Folder under the root folder (optional)
+   * @param {string} options.contentType - MIME type (optional)
+   * @param {boolean} options.private - Only reachable through signed URLs
+   * @returns {Promise<Object>} { key, url }
+   */
+  put(buffer, { folder, contentType, private: isPrivate = false } = {}) {
+    return new Promise((resolve, reject) => {
+      const uploadOptions = {
+        folder: folder ? `${ROOT_FOLDER}/${folder}` : ROOT_FOLDER,
+        resource_type: resourceTypeOf(contentType),
+        type: isPrivate ? 'authenticated' : 'upload'
+      };
+
+      cloudinary.uploader.upload_stream(uploadOptions, (error, result) => {
+        if (error) {
+          reject(new Error(error.message || 'Cloudinary upload failed'));
+        } else {
+          resolve({ key: result.public_id, url: result.secure_url });
+        }
+      }).end(buffer);
+    });
+  }
+
+  /**
+   * Delete a file
+   * @param {string} key - Public ID
+   * @param {Object} location - From locate (resourceType, private)
+   * @returns {Promise<void>}
+   */
+  async delete(key, { resourceType = 'image', private: isPrivate = false } = {}) {
+    await cloudinary.uploader.destroy(key, {
+      resource_type: resourceType,
+      type: isPrivate ? 'authenticated' : 'upload',
+      invalidate: true
+    });
+  }
+
+  /**
+   * Signed delivery URL of a file. Cloudinary signatures do not expire, so
+   * expiresIn is ignored; private files are still unreachable without one.
+   * @param {string} key - Public ID
+   * @param {Object} location - From locate (resourceType, private)
+   * @returns {string} URL
+   */
+  signedUrl(key, { resourceType = 'image', private: isPrivate = false } = {}) {
+    return cloudinary.url(key, {
+      resource_type: resourceType,
+      type: isPrivate ? 'authenticated' : 'upload',
+      secure: true,
+      sign_url: true
+    });
+  }
+
+  /**
+   * Find the file behind a URL this driver handed out
+   * @param {string} url - Stored URL
+   * @returns {Object|null} { key, resourceType, private }, or null when the URL is not one of ours
+   */
+  locate(url) {
+    const { cloud_name: cloudName } = cloudinary.config();
+    const prefix = `https://res.cloudinary.com/${cloudName}/`;
+    if (!cloudName || typeof url !== 'string' || !url.startsWith(prefix)) return null;
+
+    const match = url.slice(prefix.length).split('?')[0]
+      .match(/^(image|video|raw)\/(upload|authenticated)\/(?:.*\/)?(baroni\/.+)$/);
+    if (!match) return null;
+    const [, resourceType, type, path] = match;
+    // Raw public IDs keep their extension
+    const key = resourceType === 'raw' ? path : path.replace(/\.[^/.]+$/, '');
+    return { key: decodeURIComponent(key), resourceType, private: type === 'authenticated' };
+  }
+}
+
+export default new CloudinaryStorageService();
@@ -0,0 +1,45 @@
+import Dedication from '../models/Dedication.js';
+
+// Round to cents to avoid floating point drift in totals
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Price a dedication request from a star's catalog item
+ * @param {Object} params - Quote parameters
+ * @param {string} params.dedicationId - Catalog item (Dedication) ID
+ * @param {string} params.starId - Star the request is for (optional; must own the item when given)
+ * @param {boolean} params.rush - Rush delivery add-on
+ * @param {boolean} params.extraLength - Extra length add-on
+ * @returns {Promise<Object>} { dedication, pricing } where pricing is the breakdown to lock on the request
+ */
+export const quoteDedicationRequest = async ({ dedicationId, starId = null, rush = false, extraLength = false }) => {
+  const dedication = await Dedication.findById(dedicationId);
+  if (!dedication || (starId && String(dedication.userId) !== String(starId))) {
+    throw new Error('Dedication not found');
+  }
+  if (rush && dedication.rushPrice == null) {
+    throw new Error('Rush delivery is not offered for this dedication');
+  }
+  if (extraLength && dedication.extraLengthPrice == null) {
+    throw new Error('Extra length is not offered for this dedication');
+  }
+
+  const rushPrice = rush ? dedication.rushPrice : 0;
+  const extraLengthPrice = extraLength ? dedication.extraLengthPrice : 0;
+  const latestChange = dedication.priceHistory[dedication.priceHistory.length - 1];
+
+  return {
+    dedication,
+    pricing: {
+      dedicationType: dedication.type,
+      basePrice: dedication.price,
+      rush: Boolean(rush),
+      rushPrice,
+      extraLength: Boolean(extraLength),
+      extraLengthPrice,
+      total: roundAmount(dedication.price + rushPrice + extraLengthPrice),
+      catalogUpdatedAt: latestChange?.changedAt || dedication.updatedAt,
+      lockedAt: new Date()
+    }
+  };
+};
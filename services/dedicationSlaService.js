@@ -0,0 +1,81 @@
+import mongoose from 'mongoose';
+import DedicationRequest from '../models/DedicationRequest.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Days a star has to deliver a dedication; the rush add-on shortens it to the rush turnaround
+ * @param {Object} star - Star (may have dedicationTurnaroundDays)
+ * @param {Object} config - Config document
+ * @param {boolean} rush - Request paid for rush delivery
+ * @returns {number} Turnaround in days
+ */
+export const getTurnaroundDays = (star, config, rush = false) => {
+  const turnaroundDays = Number(star?.dedicationTurnaroundDays) > 0 ? Number(star.dedicationTurnaroundDays) : config.dedicationTurnaroundDays;
+  return rush ? Math.min(config.rushTurnaroundDays, turnaroundDays) : turnaroundDays;
+};
+
+/**
+ * Delivery deadline of a request: the star's turnaround from the request, but never after the event
+ * @param {Date} eventDate - Event the dedication is for (null when only the turnaround applies)
+ * @param {Date} requestedAt - When the request was made
+ * @param {number} turnaroundDays - Star's turnaround
+ * @returns {Date} Deadline
+ */
+export const computeDeliveryDeadline = (eventDate, requestedAt, turnaroundDays) => {
+  const byTurnaround = new Date(new Date(requestedAt).getTime() + (turnaroundDays * DAY_MS));
+  if (!eventDate) return byTurnaround;
+  const event = new Date(eventDate);
+  return event < byTurnaround ? event : byTurnaround;
+};
+
+/**
+ * Delivery SLA of a star's dedication requests
+ * @param {string} starId - Star ID
+ * @param {Object} dateFilter - Extra match on the requests (e.g. a createdAt range)
+ * @returns {Promise<Object>} { delivered, onTime, late, missed, onTimeRate, averageTurnaroundHours }
+ */
+export const getDedicationSlaMetrics = async (starId, dateFilter = {}) => {
+  const hasVideo = { $ifNull: ['$videoUploadedAt', false] };
+  const [stats] = await DedicationRequest.aggregate([
+    {
+      $match: {
+        starId: new mongoose.Types.ObjectId(starId),
+        ...dateFilter,
+        $or: [{ videoUploadedAt: { $exists: true } }, { deadlineMissedAt: { $exists: true } }]
+      }
+    },
+    {
+      $group: {
+        _id: null,
+        delivered: { $sum: { $cond: [hasVideo, 1, 0] } },
+        onTime: {
+          $sum: {
+            $cond: [{ $and: [hasVideo, { $ifNull: ['$deliveryDeadline', false] }, { $lte: ['$videoUploadedAt', '$deliveryDeadline'] }] }, 1, 0]
+          }
+        },
+        late: {
+          $sum: {
+            $cond: [{ $and: [hasVideo, { $ifNull: ['$deliveryDeadline', false] }, { $gt: ['$videoUploadedAt', '$deliveryDeadline'] }] }, 1, 0]
+          }
+        },
+        missed: { $sum: { $cond: [{ $ifNull: ['$deadlineMissedAt', false] }, 1, 0] } },
+        // $avg skips the nulls of requests without a video
+        averageTurnaroundMs: { $avg: { $cond: [hasVideo, { $subtract: ['$videoUploadedAt', '$createdAt'] }, null] } }
+      }
+    }
+  ]);
+
+  const { delivered = 0, onTime = 0, late = 0, missed = 0, averageTurnaroundMs = null } = stats || {};
+  // Requests delivered before deadlines were tracked count as delivered but not towards the rate
+  const measured = onTime + late + missed;
+  return {
+    delivered,
+    onTime,
+    late,
+    missed,
+    onTimeRate: measured > 0 ? Math.round((onTime / measured) * 1000) / 10 : null,
+    averageTurnaroundHours: averageTurnaroundMs === null ? null : Math.round((averageTurnaroundMs / HOUR_MS) * 10) / 10
+  };
+};
@@ -0,0 +1,198 @@
+import mongoose from 'mongoose';
+import Dispute from '../models/Dispute.js';
+import Config from '../models/Config.js';
+import Transaction from '../models/Transaction.js';
+import Appointment from '../models/Appointment.js';
+import DedicationRequest from '../models/DedicationRequest.js';
+import LiveShowAttendance from '../models/LiveShowAttendance.js';
+import { refundTransaction } from './transactionService.js';
+import {
+  DISPUTE_STATUSES,
+  DISPUTE_OUTCOMES,
+  DISPUTE_ENTITY_TYPES,
+  TRANSACTION_STATUSES
+} from '../utils/transactionConstants.js';
+
+const ENTITY_MODELS = {
+  [DISPUTE_ENTITY_TYPES.APPOINTMENT]: Appointment,
+  [DISPUTE_ENTITY_TYPES.DEDICATION_REQUEST]: DedicationRequest,
+  [DISPUTE_ENTITY_TYPES.LIVE_SHOW_ATTENDANCE]: LiveShowAttendance
+};
+
+/**
+ * Open a dispute on a completed booking
+ * @param {Object} disputeData - Dispute data
+ * @param {string} disputeData.fanId - Fan opening the dispute
+ * @param {string} disputeData.entityType - DISPUTE_ENTITY_TYPES value
+ * @param {string} disputeData.entityId - Disputed booking ID
+ * @param {string} disputeData.reason - Short reason
+ * @param {string} disputeData.description - Details (optional)
+ * @returns {Promise<Object>} Created dispute
+ */
+export const openDispute = async ({ fanId, entityType, entityId, reason, description }) => {
+  const Model = ENTITY_MODELS[entityType];
+  if (!Model) {
+    throw new Error('Invalid dispute entity type');
+  }
+
+  const entity = await Model.findById(entityId);
+  if (!entity || String(entity.fanId) !== String(fanId)) {
+    throw new Error('Booking not found');
+  }
+
+  if (entity.status !== 'completed') {
+    throw new Error('Only completed bookings can be disputed');
+  }
+
+  if (!entity.transactionId) {
+    throw new Error('Booking has no payment to dispute');
+  }
+
+  const config = await Config.getSingleton();
+  const completedAt = entity.completedAt || entity.updatedAt;
+  const deadline = new Date(completedAt.getTime() + (config.disputeWindowDays * 24 * 60 * 60 * 1000));
+  if (Date.now() > deadline.getTime()) {
+    throw new Error(`Disputes must be opened within ${config.disputeWindowDays} days of completion`);
+  }
+
+  const existing = await Dispute.exists({ entityType, entityId: entity._id });
+  if (existing) {
+    throw new Error('This booking has already been disputed');
+  }
+
+  return Dispute.create({
+    fanId,
+    starId: entity.starId,
+    entityType,
+    entityId: entity._id,
+    transactionId: entity.transactionId,
+    reason,
+    description
+  });
+};
+
+/**
+ * Record the star's response to an open dispute
+ * @param {Object} responseData - Response data
+ * @param {string} responseData.disputeId - Dispute ID
+ * @param {string} responseData.starId - Responding star
+ * @param {string} responseData.message - Star's response
+ * @returns {Promise<Object>} Updated dispute
+ */
+export const respondToDispute = async ({ disputeId, starId, message }) => {
+  const dispute = await Dispute.findOneAndUpdate(
+    { _id: disputeId, starId, status: DISPUTE_STATUSES.OPEN },
+    {
+      $set: {
+        status: DISPUTE_STATUSES.RESPONDED,
+        starResponse: { message, respondedAt: new Date() }
+      }
+    },
+    { new: true }
+  );
+
+  if (!dispute) {
+    const exists = await Dispute.exists({ _id: disputeId, starId });
+    throw new Error(exists ? 'Dispute is not awaiting a response' : 'Dispute not found');
+  }
+
+  return dispute;
+};
+
+/**
+ * Settle a dispute. A full or partial refund writes a REFUND transaction
+ * from the star back to the fan.
+ * @param {Object} resolutionData - Resolution data
+ * @param {string} resolutionData.disputeId - Dispute ID
+ * @param {string} resolutionData.adminId - Resolving admin
+ * @param {string} resolutionData.outcome - DISPUTE_OUTCOMES value
+ * @param {number} resolutionData.refundAmount - Amount to refund for a partial refund
+ * @param {string} resolutionData.note - Resolution note (optional)
+ * @returns {Promise<Object>} Resolved dispute
+ */
+export const resolveDispute = async ({ disputeId, adminId, outcome, refundAmount, note }) => {
+  const session = await mongoose.startSession();
+
+  try {
+    let resolved = null;
+    await session.withTransaction(async () => {
+      const dispute = await Dispute.findById(disputeId).session(session);
+      if (!dispute) {
+        throw new Error('Dispute not found');
+      }
+      if (dispute.status === DISPUTE_STATUSES.RESOLVED) {
+        throw new Error('Dispute is already resolved');
+      }
+
+      let refund = null;
+      if (outcome === DISPUTE_OUTCOMES.FULL_REFUND || outcome === DISPUTE_OUTCOMES.PARTIAL_REFUND) {
+        refund = await refundTransaction(dispute.transactionId, {
+          amount: outcome === DISPUTE_OUTCOMES.PARTIAL_REFUND ? refundAmount : undefined,
+          reason: note || dispute.reason,
+          metadata: { disputeId: dispute._id }
+        }, session);
+
+        // Reflect a full reversal on the booking's payment status
+        const original = await Transaction.findById(dispute.transactionId).session(session);
+        if (original.status === TRANSACTION_STATUSES.REFUNDED) {
+          await ENTITY_MODELS[dispute.entityType].updateOne(
+            { _id: dispute.entityId },
+            { $set: { paymentStatus: 'refunded' } },
+            { session }
+          );
+        }
+      }
+
+      dispute.status = DISPUTE_STATUSES.RESOLVED;
+      dispute.resolution = {
+        outcome,
+        refundAmount: refund ? refund.amount : 0,
+        note,
+        refundTransactionId: refund ? refund._id : undefined,
+        resolvedBy: adminId,
+        resolvedAt: new Date()
+      };
+      await dispute.save({ session });
+
+      resolved = dispute;
+    });
+
+    return resolved;
+
+  } catch (error) {
+    throw error;
+  } finally {
+    await session.endSession();
+  }
+};
+
+/**
+ * List disputes, most recent first
+ * @param {Object} filter - MongoDB filter (fanId, starId, status)
+ * @returns {Promise<Array>} Disputes
+ */
+export const listDisputes = async (filter = {}) => {
+  return Dispute.find(filter)
+    .populate('fanId', 'name pseudo profilePic baroniId')
+    .populate('starId', 'name pseudo profilePic baroniId')
+    .sort({ createdAt: -1 });
+};
+
+/**
+ * Get the dispute attached to a booking, if any
+ * @param {string} entityType - DISPUTE_ENTITY_TYPES value
+ * @param {string} entityId - Booking ID
+ * @returns {Promise<Object|null>} Dispute summary
+ */
+export const getDisputeForEntity = async (entityType, entityId) => {
+  const dispute = await Dispute.findOne({ entityType, entityId }).lean();
+  if (!dispute) return null;
+  return {
+    id: dispute._id,
+    status: dispute.status,
+    reason: dispute.reason,
+    starResponse: dispute.starResponse,
+    resolution: dispute.resolution,
+    createdAt: dispute.createdAt
+  };
+};
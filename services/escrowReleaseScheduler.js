@@ -0,0 +1,21 @@
+import cron from 'node-cron';
+import { processEscrowAutoRelease } from './escrowReleaseService.js';
+
+/**
+ * Schedule automatic escrow release and refunds
+ * Runs every hour to settle bookings nobody confirmed in time
+ */
+export const startEscrowReleaseScheduler = () => {
+  // Run at minute 15 of every hour
+  cron.schedule('15 * * * *', async () => {
+    try {
+      console.log('Running escrow auto-release...');
+      const result = await processEscrowAutoRelease();
+      console.log('Escrow auto-release completed:', result);
+    } catch (error) {
+      console.error('Error in escrow auto-release:', error);
+    }
+  });
+
+  console.log('Escrow release scheduler started - running every hour');
+};
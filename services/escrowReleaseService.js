@@ -0,0 +1,353 @@
+import Config from '../models/Config.js';
+import Transaction from '../models/Transaction.js';
+import Appointment from '../models/Appointment.js';
+import DedicationRequest from '../models/DedicationRequest.js';
+import NotificationHelper from '../utils/notificationHelper.js';
+import { completeTransaction, cancelTransaction } from './transactionService.js';
+import { releaseSlotHold, freeAppointmentSlot } from './slotReservationService.js';
+import { TRANSACTION_STATUSES } from '../utils/transactionConstants.js';
+import { DEFAULT_TIMEZONE, resolveSlotInstants, todayInTimezone } from '../utils/timezone.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// End of an appointment slot; appointments booked before slot instants were stored are resolved on the fly
+const getSlotEnd = (appt) => {
+  if (appt.endAt) return appt.endAt;
+  const instants = resolveSlotInstants(appt.date, appt.time, appt.timezone || DEFAULT_TIMEZONE);
+  return instants ? instants.endAt : null;
+};
+
+// Notify both parties without failing the run
+const notifyParties = async (doc, title, fanBody, starBody, data) => {
+  try {
+    await NotificationHelper.sendCustomNotification(doc.fanId, title, fanBody, data);
+    await NotificationHelper.sendCustomNotification(doc.starId, title, starBody, data);
+  } catch (notificationError) {
+    console.error('Error sending escrow release notification:', notificationError);
+  }
+};
+
+// Only transactions still held in escrow can be released or refunded
+const isInEscrow = async (transactionId) => {
+  if (!transactionId) return false;
+  const transaction = await Transaction.findById(transactionId).select('status');
+  return transaction?.status === TRANSACTION_STATUSES.PENDING;
+};
+
+// Refund the escrow of a booking that will not happen
+const refundEscrow = async (transactionId) => {
+  if (await isInEscrow(transactionId)) {
+    await cancelTransaction(transactionId);
+  }
+};
+
+/**
+ * Complete approved dedications whose video was uploaded N days ago and never confirmed by the fan
+ * @param {Object} config - Config document
+ * @returns {Promise<number>} Number of dedications completed
+ */
+export const autoCompleteDedications = async (config) => {
+  const cutoff = new Date(Date.now() - (config.dedicationAutoCompleteDays * 24 * HOUR_MS));
+  const items = await DedicationRequest.find({
+    status: 'approved',
+    videoUrl: { $exists: true, $ne: null },
+    $or: [
+      { videoUploadedAt: { $lte: cutoff } },
+      // Videos uploaded before videoUploadedAt was tracked
+      { videoUploadedAt: { $exists: false }, updatedAt: { $lte: cutoff } }
+    ]
+  });
+
+  let completed = 0;
+  for (const item of items) {
+    try {
+      if (await isInEscrow(item.transactionId)) {
+        await completeTransaction(item.transactionId);
+      }
+      item.status = 'completed';
+      item.paymentStatus = 'completed';
+      item.completedAt = new Date();
+      item.autoResolvedAt = new Date();
+      await item.save();
+      completed++;
+
+      await notifyParties(
+        item,
+        'Dedication completed',
+        `Your dedication was marked as completed automatically ${config.dedicationAutoCompleteDays} days after delivery.`,
+        'Your dedication was completed automatically and the payment has been released to your wallet.',
+        { type: 'dedication', dedicationId: item._id.toString(), autoResolved: true }
+      );
+    } catch (error) {
+      console.error(`Failed to auto-complete dedication ${item._id}:`, error);
+    }
+  }
+  return completed;
+};
+
+/**
+ * Refund approved appointments whose slot ended more than the grace period ago without completion
+ * @param {Object} config - Config document
+ * @returns {Promise<number>} Number of appointments refunded
+ */
+export const autoRefundMissedAppointments = async (config) => {
+  const cutoff = Date.now() - (config.appointmentNoShowGraceHours * HOUR_MS);
+  // Only dates up to today can have a slot that already ended; the furthest-ahead timezone (UTC+14) bounds every star's today
+  const appointments = await Appointment.find({ status: 'approved', date: { $lte: todayInTimezone('Pacific/Kiritimati') } });
+
+  let refunded = 0;
+  for (const appt of appointments) {
+    const slotEnd = getSlotEnd(appt);
+    if (!slotEnd || slotEnd.getTime() > cutoff) continue;
+
+    try {
+      // Close the appointment first so a completion or an overlapping run cannot act on it too
+      const closed = await Appointment.findOneAndUpdate(
+        { _id: appt._id, status: 'approved' },
+        { $set: { status: 'cancelled', autoResolvedAt: new Date() } },
+        { new: true }
+      );
+      if (!closed) continue;
+
+      await refundEscrow(closed.transactionId);
+      closed.paymentStatus = 'refunded';
+      await closed.save();
+      refunded++;
+
+      await notifyParties(
+        closed,
+        'Appointment refunded',
+        'Your video call was not completed, so your payment has been refunded.',
+        'A video call was not marked as completed in time and the fan has been refunded.',
+        { type: 'appointment', appointmentId: appt._id.toString(), autoResolved: true }
+      );
+    } catch (error) {
+      console.error(`Failed to auto-refund appointment ${appt._id}:`, error);
+    }
+  }
+  return refunded;
+};
+
+/**
+ * Refund appointment and dedication requests the star never approved or rejected before the deadline
+ * @param {Object} config - Config document
+ * @returns {Promise<number>} Number of requests refunded
+ */
+export const autoRefundIgnoredRequests = async (config) => {
+  const cutoff = new Date(Date.now() - (config.approvalDeadlineHours * HOUR_MS));
+  let refunded = 0;
+
+  const appointments = await Appointment.find({ status: 'pending', createdAt: { $lte: cutoff } });
+  for (const appt of appointments) {
+    try {
+      // Close the request first so an approval or an overlapping run cannot act on it too
+      const closed = await Appointment.findOneAndUpdate(
+        { _id: appt._id, status: 'pending' },
+        { $set: { status: 'cancelled', autoResolvedAt: new Date() } },
+        { new: true }
+      );
+      if (!closed) continue;
+
+      await refundEscrow(closed.transactionId);
+      closed.paymentStatus = 'refunded';
+      await closed.save();
+
+      // Free the reserved time and offer it to the waitlist
+      await freeAppointmentSlot(closed);
+      refunded++;
+
+      await notifyParties(
+        closed,
+        'Appointment request expired',
+        'The star did not answer your appointment request in time, so your payment has been refunded.',
+        `An appointment request expired after ${config.approvalDeadlineHours} hours without an answer and the fan has been refunded.`,
+        { type: 'appointment', appointmentId: appt._id.toString(), autoResolved: true }
+      );
+    } catch (error) {
+      console.error(`Failed to auto-refund pending appointment ${appt._id}:`, error);
+    }
+  }
+
+  const dedications = await DedicationRequest.find({ status: 'pending', createdAt: { $lte: cutoff } });
+  for (const item of dedications) {
+    try {
+      const closed = await DedicationRequest.findOneAndUpdate(
+        { _id: item._id, status: 'pending' },
+        { $set: { status: 'cancelled', cancelledAt: new Date(), autoResolvedAt: new Date() } },
+        { new: true }
+      );
+      if (!closed) continue;
+
+      await refundEscrow(closed.transactionId);
+      closed.paymentStatus = 'refunded';
+      await closed.save();
+      refunded++;
+
+      await notifyParties(
+        closed,
+        'Dedication request expired',
+        'The star did not answer your dedication request in time, so your payment has been refunded.',
+        `A dedication request expired after ${config.approvalDeadlineHours} hours without an answer and the fan has been refunded.`,
+        { type: 'dedication', dedicationId: item._id.toString(), autoResolved: true }
+      );
+    } catch (error) {
+      console.error(`Failed to auto-refund pending dedication ${item._id}:`, error);
+    }
+  }
+
+  return refunded;
+};
+
+/**
+ * Refund appointments whose reschedule proposal was not answered before the appointment's start time
+ * @returns {Promise<number>} Number of appointments refunded
+ */
+export const autoRefundUnansweredReschedules = async () => {
+  const appointments = await Appointment.find({
+    status: { $in: ['pending', 'approved'] },
+    'rescheduleProposal.status': 'pending',
+    'rescheduleProposal.expiresAt': { $lte: new Date() }
+  });
+
+  let refunded = 0;
+  for (const appt of appointments) {
+    try {
+      // Close the proposal first so a late answer or an overlapping run cannot act on it too
+      const closed = await Appointment.findOneAndUpdate(
+        { _id: appt._id, status: { $in: ['pending', 'approved'] }, 'rescheduleProposal.status': 'pending' },
+        {
+          $set: {
+            status: 'cancelled',
+            'rescheduleProposal.status': 'expired',
+            'rescheduleProposal.respondedAt': new Date(),
+            autoResolvedAt: new Date()
+          }
+        },
+        { new: true }
+      );
+      if (!closed) continue;
+
+      if (closed.rescheduleProposal.reservationId) {
+        await releaseSlotHold(closed.rescheduleProposal.reservationId);
+      }
+      await refundEscrow(closed.transactionId);
+      closed.paymentStatus = 'refunded';
+      await closed.save();
+
+      // Free the time held by the original booking
+      await freeAppointmentSlot(closed);
+      refunded++;
+
+      await notifyParties(
+        closed,
+        'Appointment refunded',
+        'No agreement was reached on a new time before your appointment, so it was cancelled and your payment has been refunded.',
+        'No agreement was reached on a new time before the appointment, so it was cancelled and the fan has been refunded.',
+        { type: 'appointment', appointmentId: appt._id.toString(), autoResolved: true }
+      );
+    } catch (error) {
+      console.error(`Failed to auto-refund rescheduled appointment ${appt._id}:`, error);
+    }
+  }
+  return refunded;
+};
+
+// Open dedication requests still waiting for their video (one being processed counts as delivered)
+const undeliveredDedicationFilter = () => ({
+  status: { $in: ['pending', 'approved'] },
+  $or: [{ videoUrl: { $exists: false } }, { videoUrl: null }],
+  'videoProcessing.status': { $ne: 'processing' }
+});
+
+/**
+ * Warn stars about dedications due within the warning window (once per request)
+ * @param {Object} config - Config document
+ * @returns {Promise<number>} Number of stars warned
+ */
+export const warnUpcomingDedicationDeadlines = async (config) => {
+  const now = new Date();
+  const items = await DedicationRequest.find({
+    ...undeliveredDedicationFilter(),
+    deliveryDeadline: { $gt: now, $lte: new Date(now.getTime() + (config.dedicationDeadlineWarningHours * HOUR_MS)) },
+    deadlineWarningSentAt: { $exists: false }
+  });
+
+  let warned = 0;
+  for (const item of items) {
+    // Claim the warning so overlapping runs send it once
+    const claimed = await DedicationRequest.findOneAndUpdate(
+      { _id: item._id, deadlineWarningSentAt: { $exists: false } },
+      { $set: { deadlineWarningSentAt: new Date() } },
+      { new: true }
+    );
+    if (!claimed) continue;
+    try {
+      await NotificationHelper.sendDedicationNotification('DEDICATION_DEADLINE_APPROACHING', claimed);
+      warned++;
+    } catch (notificationError) {
+      console.error(`Error sending deadline warning for dedication ${item._id}:`, notificationError);
+    }
+  }
+  return warned;
+};
+
+/**
+ * Refund dedication requests whose delivery deadline passed without a video
+ * @returns {Promise<number>} Number of requests refunded
+ */
+export const autoRefundOverdueDedications = async () => {
+  const items = await DedicationRequest.find({
+    ...undeliveredDedicationFilter(),
+    deliveryDeadline: { $lte: new Date() }
+  });
+
+  let refunded = 0;
+  for (const item of items) {
+    try {
+      // Close the request first so a video uploaded meanwhile cannot complete it
+      const closed = await DedicationRequest.findOneAndUpdate(
+        { _id: item._id, ...undeliveredDedicationFilter() },
+        {
+          $set: {
+            status: 'cancelled',
+            cancelledAt: new Date(),
+            deadlineMissedAt: new Date(),
+            autoResolvedAt: new Date()
+          }
+        },
+        { new: true }
+      );
+      if (!closed) continue;
+
+      await refundEscrow(closed.transactionId);
+      closed.paymentStatus = 'refunded';
+      await closed.save();
+      refunded++;
+
+      try {
+        await NotificationHelper.sendDedicationNotification('DEDICATION_DEADLINE_MISSED', closed);
+      } catch (notificationError) {
+        console.error('Error sending dedication deadline notification:', notificationError);
+      }
+    } catch (error) {
+      console.error(`Failed to auto-refund overdue dedication ${item._id}:`, error);
+    }
+  }
+  return refunded;
+};
+
+/**
+ * Run every automatic escrow action with the thresholds from Config
+ * @returns {Promise<Object>} Counts per action
+ */
+export const processEscrowAutoRelease = async () => {
+  const config = await Config.getSingleton();
+  return {
+    dedicationsCompleted: await autoCompleteDedications(config),
+    appointmentsRefunded: await autoRefundMissedAppointments(config),
+    requestsRefunded: await autoRefundIgnoredRequests(config),
+    reschedulesRefunded: await autoRefundUnansweredReschedules(),
+    dedicationDeadlineWarnings: await warnUpcomingDedicationDeadlines(config),
+    overdueDedicationsRefunded: await autoRefundOverdueDedications()
+  };
+};
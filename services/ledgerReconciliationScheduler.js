@@ -0,0 +1,21 @@
+import cron from 'node-cron';
+import { reconcileWalletBalances } from './ledgerService.js';
+
+/**
+ * Schedule ledger reconciliation
+ * Runs daily at 3:00 AM to recompute wallet balances from the ledger and flag drift
+ */
+export const startLedgerReconciliationScheduler = () => {
+  // Run daily at 3:00 AM
+  cron.schedule('0 3 * * *', async () => {
+    try {
+      console.log('Running ledger reconciliation...');
+      const result = await reconcileWalletBalances();
+      console.log('Ledger reconciliation completed:', result);
+    } catch (error) {
+      console.error('Error in ledger reconciliation:', error);
+    }
+  });
+
+  console.log('Ledger reconciliation scheduler started - running daily at 3:00 AM');
+};
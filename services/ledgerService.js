@@ -0,0 +1,158 @@
+import mongoose from 'mongoose';
+import LedgerEntry from '../models/LedgerEntry.js';
+import LedgerDrift from '../models/LedgerDrift.js';
+import User from '../models/User.js';
+import { LEDGER_ACCOUNTS } from '../utils/transactionConstants.js';
+
+/**
+ * Build a wallet account reference for a user
+ * @param {string} userId - Wallet owner
+ * @returns {Object} Account reference
+ */
+export const walletOf = (userId) => ({ account: LEDGER_ACCOUNTS.WALLET, userId });
+
+const toAccount = (ref) => (typeof ref === 'string' ? { account: ref, userId: null } : { userId: null, ...ref });
+
+/**
+ * Move coins between two ledger accounts.
+ * Posts a debit entry on `from` and a credit entry on `to`, and applies the
+ * change to User.coinBalance for every wallet account involved. This is the
+ * only place coinBalance should be incremented or decremented.
+ * @param {Object} movement - Movement data
+ * @param {string} movement.entryType - Ledger entry type (LEDGER_ENTRY_TYPES)
+ * @param {Object|string} movement.from - Debited account (walletOf(userId) or a LEDGER_ACCOUNTS value)
+ * @param {Object|string} movement.to - Credited account (walletOf(userId) or a LEDGER_ACCOUNTS value)
+ * @param {number} movement.amount - Amount of coins moved
+ * @param {string} movement.transactionId - Related transaction ID (optional)
+ * @param {string} movement.description - Human readable description (optional)
+ * @param {Object} movement.metadata - Additional metadata (optional)
+ * @param {Object} session - Optional MongoDB session
+ * @returns {Promise<Array|null>} The debit and credit entries, or null for a zero amount
+ */
+export const recordMovement = async (movement, session = null) => {
+  const { entryType, from, to, amount, transactionId, description, metadata } = movement;
+
+  if (!amount || amount <= 0) {
+    return null;
+  }
+
+  const debitAccount = toAccount(from);
+  const creditAccount = toAccount(to);
+
+  if (debitAccount.account === LEDGER_ACCOUNTS.WALLET) {
+    await User.findByIdAndUpdate(
+      debitAccount.userId,
+      { $inc: { coinBalance: -amount } },
+      { session, new: true }
+    );
+  }
+
+  if (creditAccount.account === LEDGER_ACCOUNTS.WALLET) {
+    await User.findByIdAndUpdate(
+      creditAccount.userId,
+      { $inc: { coinBalance: amount } },
+      { session, new: true }
+    );
+  }
+
+  const base = {
+    journalId: new mongoose.Types.ObjectId(),
+    entryType,
+    amount,
+    transactionId,
+    description,
+    metadata
+  };
+
+  return LedgerEntry.create([
+    { ...base, account: debitAccount.account, userId: debitAccount.userId, direction: 'debit' },
+    { ...base, account: creditAccount.account, userId: creditAccount.userId, direction: 'credit' }
+  ], { session, ordered: true });
+};
+
+/**
+ * Recompute a user's wallet balance from the ledger
+ * @param {string} userId - User ID
+ * @param {Object} options - Query options
+ * @param {Date} options.before - Only count entries posted before this date (optional)
+ * @returns {Promise<number>} Ledger balance
+ */
+export const getWalletLedgerBalance = async (userId, options = {}) => {
+  const match = { account: LEDGER_ACCOUNTS.WALLET, userId: new mongoose.Types.ObjectId(userId) };
+  if (options.before) match.createdAt = { $lt: options.before };
+
+  const [result] = await LedgerEntry.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: null,
+        balance: { $sum: { $cond: [{ $eq: ['$direction', 'credit'] }, '$amount', { $multiply: ['$amount', -1] }] } }
+      }
+    }
+  ]);
+  return result ? result.balance : 0;
+};
+
+/**
+ * Get a user's wallet ledger entries, most recent first
+ * @param {string} userId - User ID
+ * @param {Object} options - Query options
+ * @param {number} options.limit - Maximum number of entries (default 100)
+ * @returns {Promise<Array>} Ledger entries
+ */
+export const getWalletLedgerEntries = async (userId, options = {}) => {
+  const limit = Math.min(Number(options.limit) || 100, 500);
+  return LedgerEntry.find({ account: LEDGER_ACCOUNTS.WALLET, userId })
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .lean();
+};
+
+/**
+ * Recompute every wallet balance from the ledger and flag drift.
+ * Opens a LedgerDrift record for each user whose coinBalance differs from the
+ * ledger balance, and resolves previously open drift that has since cleared.
+ * @returns {Promise<Object>} Reconciliation summary
+ */
+export const reconcileWalletBalances = async () => {
+  const ledgerBalances = await LedgerEntry.aggregate([
+    { $match: { account: LEDGER_ACCOUNTS.WALLET } },
+    {
+      $group: {
+        _id: '$userId',
+        balance: { $sum: { $cond: [{ $eq: ['$direction', 'credit'] }, '$amount', { $multiply: ['$amount', -1] }] } }
+      }
+    }
+  ]);
+  const balanceByUser = new Map(ledgerBalances.map((b) => [String(b._id), b.balance]));
+
+  let checked = 0;
+  let drifted = 0;
+  let resolved = 0;
+
+  const cursor = User.find({}).select('_id coinBalance').lean().cursor();
+  for await (const user of cursor) {
+    checked++;
+    const walletBalance = user.coinBalance || 0;
+    const ledgerBalance = balanceByUser.get(String(user._id)) || 0;
+    const difference = walletBalance - ledgerBalance;
+
+    if (difference !== 0) {
+      drifted++;
+      await LedgerDrift.findOneAndUpdate(
+        { userId: user._id, status: 'open' },
+        { $set: { walletBalance, ledgerBalance, difference }, $setOnInsert: { detectedAt: new Date() } },
+        { upsert: true }
+      );
+      console.warn(`[Ledger] Drift for user ${user._id}: wallet=${walletBalance}, ledger=${ledgerBalance}`);
+    } else {
+      const cleared = await LedgerDrift.updateMany(
+        { userId: user._id, status: 'open' },
+        { $set: { status: 'resolved', resolvedAt: new Date() } }
+      );
+      resolved += cleared.modifiedCount || 0;
+    }
+  }
+
+  return { checked, drifted, resolved };
+};
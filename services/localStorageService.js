@@ -0,0 +1,146 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { buildStorageKey, encodeStorageKey, isStorageKey, isPrivateStorageKey } from '../utils/storageKeys.js';
+
+// Route the API serves stored files from (see middlewares/localStorage.js)
+export const LOCAL_STORAGE_ROUTE = '/uploads';
+
+const DEFAULT_SIGNED_URL_SECONDS = 15 * 60;
+
+const safeEqual = (a, b) => {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+/**
+ * Files on the API server's disk, for development and single-server deployments.
+ * Files live under STORAGE_LOCAL_DIR (default ./uploads) and are served by the API at
+ * LOCAL_STORAGE_ROUTE; private files need a URL signed with STORAGE_SIGNING_SECRET.
+ */
+class LocalStorageService {
+  /**
+   * Always available
+   * @returns {boolean} True
+   */
+  isConfigured() {
+    return true;
+  }
+
+  /**
+   * Directory files are stored in
+   * @returns {string} Absolute path
+   */
+  getRootDir() {
+    return path.resolve(process.env.STORAGE_LOCAL_DIR || 'uploads');
+  }
+
+  /**
+   * Base URL files are served from
+   * @returns {string} URL without trailing slash
+   */
+  getBaseUrl() {
+    const apiBaseUrl = process.env.API_BASE_URL || `http://localhost:${process.env.PORT || 4000}`;
+    return (process.env.STORAGE_LOCAL_BASE_URL || `${apiBaseUrl.replace(/\/+$/, '')}${LOCAL_STORAGE_ROUTE}`).replace(/\/+$/, '');
+  }
+
+  /**
+   * Disk path of a key
+   * @param {string} key - Object key
+   * @returns {string|null} Absolute path, or null for an unsafe key
+   */
+  resolvePath(key) {
+    return isStorageKey(key) ? path.join(this.getRootDir(), ...key.split('/')) : null;
+  }
+
+  /**
+   * Signature of a private file URL
+   * @param {string} key - Object key
+   * @param {number} expires - Expiry (Unix seconds)
+   * @returns {string} Hex signature
+   */
+  signature(key, expires) {
+    const secret = process.env.STORAGE_SIGNING_SECRET || process.env.JWT_SECRET;
+    if (!secret) {
+      throw new Error('STORAGE_SIGNING_SECRET is not set');
+    }
+    return crypto.createHmac('sha256', secret).update(`${key}:${expires}`).digest('hex');
+  }
+
+  /**
+   * Check the signature of a private file URL
+   * @param {string} key - Object key
+   * @param {Object} query - URL query (expires, signature)
+   * @returns {boolean} Whether the URL is authentic and not expired
+   */
+  verifySignedUrl(key, { expires, signature } = {}) {
+    const expiresAt = parseInt(expires, 10);
+    if (!signature || !Number.isFinite(expiresAt) || expiresAt * 1000 < Date.now()) return false;
+    return safeEqual(signature, this.signature(key, expiresAt));
+  }
+
+  /**
+   * Write a file
+   * @param {Buffer} buffer - File contents
+   * @param {Object} options - Upload options
+   * @param {string} options.folder - Folder under the root prefix (optional)
+   * @param {string} options.contentType - MIME type, kept as the file extension (optional)
+   * @param {boolean} options.private - Only reachable through signed URLs
+   * @returns {Promise<Object>} { key, url }
+   */
+  async put(buffer, { folder, contentType, private: isPrivate = false } = {}) {
+    const key = buildStorageKey({ folder, contentType, private: isPrivate });
+    const filePath = this.resolvePath(key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, buffer);
+    return { key, url: `${this.getBaseUrl()}/${encodeStorageKey(key)}` };
+  }
+
+  /**
+   * Delete a file (a missing file is not an error)
+   * @param {string} key - Object key
+   * @returns {Promise<void>}
+   */
+  async delete(key) {
+    const filePath = this.resolvePath(key);
+    if (!filePath) return;
+    try {
+      await fs.unlink(filePath);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+
+  /**
+   * Signed URL of a file
+   * @param {string} key - Object key
+   * @param {Object} options - URL options
+   * @param {number} options.expiresIn - Validity in seconds (default 15 minutes)
+   * @returns {string} URL
+   */
+  signedUrl(key, { expiresIn = DEFAULT_SIGNED_URL_SECONDS } = {}) {
+    const expires = Math.floor(Date.now() / 1000) + Math.max(Math.floor(expiresIn), 1);
+    return `${this.getBaseUrl()}/${encodeStorageKey(key)}?expires=${expires}&signature=${this.signature(key, expires)}`;
+  }
+
+  /**
+   * Find the file behind a URL this driver handed out
+   * @param {string} url - Stored URL
+   * @returns {Object|null} { key, private }, or null when the URL is not one of ours
+   */
+  locate(url) {
+    const base = `${this.getBaseUrl()}/`;
+    if (typeof url !== 'string' || !url.startsWith(base)) return null;
+
+    let key;
+    try {
+      key = decodeURIComponent(url.slice(base.length).split('?')[0]);
+    } catch (_e) {
+      return null;
+    }
+    return isStorageKey(key) ? { key, private: isPrivateStorageKey(key) } : null;
+  }
+}
+
+export default new LocalStorageService();
@@ -0,0 +1,157 @@
+import crypto from 'crypto';
+
+/**
+ * Local payment gateway used in development.
+ * Payments are kept in memory and settled by posting a callback to
+ * /api/payment/callback/mock (see buildCallback).
+ * test/mockPaymentFlow.test.js drives a hybrid payment through it.
+ */
+class MockPaymentService {
+  constructor() {
+    this.payments = new Map();
+  }
+
+  /**
+   * Initiate a mock payment
+   * @param {Object} paymentData - Payment data
+   * @param {string} paymentData.msisdn - Phone number
+   * @param {number} paymentData.amount - Payment amount
+   * @returns {Promise<Object>} Payment response
+   */
+  async initiatePayment(paymentData) {
+    const { msisdn, amount } = paymentData;
+    const transactionId = `MOCK-${crypto.randomUUID()}`;
+
+    this.payments.set(transactionId, {
+      transactionId,
+      msisdn,
+      amount,
+      status: 'pending',
+      createdAt: new Date()
+    });
+
+    return {
+      success: true,
+      transactionId,
+      message: 'Mock payment initiated'
+    };
+  }
+
+  /**
+   * Get the status of a mock payment
+   * @param {string} transactionId - Mock payment ID
+   * @returns {Promise<Object>} Payment status
+   */
+  async getPaymentStatus(transactionId) {
+    const payment = this.payments.get(transactionId);
+    if (!payment) {
+      throw new Error('Payment not found');
+    }
+    return { transactionId, status: payment.status, amount: payment.amount };
+  }
+
+  /**
+   * Refund a mock payment
+   * @param {Object} refundData - Refund data
+   * @param {string} refundData.transactionId - Mock payment ID
+   * @param {number} refundData.amount - Amount to refund
+   * @returns {Promise<Object>} Refund response
+   */
+  async refund(refundData) {
+    const payment = this.payments.get(refundData.transactionId);
+    if (!payment) {
+      throw new Error('Payment not found');
+    }
+    payment.status = 'refunded';
+    payment.refundedAmount = (payment.refundedAmount || 0) + refundData.amount;
+    return { success: true, refundId: `MOCK-REFUND-${crypto.randomUUID()}` };
+  }
+
+  /**
+   * New mock payout ID
+   * @returns {string} Payout ID
+   */
+  newPayoutId() {
+    return `MOCK-PAYOUT-${crypto.randomUUID()}`;
+  }
+
+  /**
+   * Send a mock payout
+   * @param {Object} payoutData - Payout data
+   * @param {string} payoutData.payoutId - Payout ID (from newPayoutId)
+   * @param {string} payoutData.msisdn - Recipient phone number
+   * @param {number} payoutData.amount - Amount to send
+   * @returns {Promise<Object>} Payout response
+   */
+  async payout(payoutData) {
+    const { payoutId } = payoutData;
+    this.payments.set(payoutId, {
+      transactionId: payoutId,
+      msisdn: payoutData.msisdn,
+      amount: payoutData.amount,
+      status: 'completed',
+      createdAt: new Date()
+    });
+    return { success: true, payoutId, status: 'completed' };
+  }
+
+  /**
+   * Get the status of a mock payout
+   * @param {string} payoutId - Mock payout ID
+   * @returns {Promise<Object>} Payout status ('missing' for an unknown payout)
+   */
+  async getPayoutStatus(payoutId) {
+    const payout = this.payments.get(payoutId);
+    if (!payout) {
+      return { payoutId, status: 'missing', reason: 'Payout not found' };
+    }
+    return { payoutId, status: payout.status, reason: null };
+  }
+
+  /**
+   * Build a signed callback for a mock payment, as the gateway would send it
+   * @param {string} transactionId - Mock payment ID
+   * @param {boolean} succeeded - Whether the payment succeeded
+   * @param {string} secret - Callback secret (MOCK_PAYMENT_CALLBACK_SECRET)
+   * @returns {Object} Callback body and headers
+   */
+  buildCallback(transactionId, succeeded, secret) {
+    const payment = this.payments.get(transactionId);
+    const body = JSON.stringify({
+      transactionId,
+      status: succeeded ? 'OK' : 'KO',
+      amount: payment ? payment.amount : 0
+    });
+    const signature = crypto.createHmac('sha256', secret).update(body).digest('hex');
+    return {
+      body,
+      headers: { 'Content-Type': 'application/json', 'X-Baroni-Signature': signature }
+    };
+  }
+
+  /**
+   * Validate payment callback data
+   * @param {Object} callbackData - Callback data
+   * @returns {Object} Validated callback data
+   */
+  validateCallbackData(callbackData) {
+    const { transactionId, status, amount } = callbackData;
+
+    if (!transactionId || !status || amount === undefined) {
+      throw new Error('Missing required callback data');
+    }
+
+    if (!['OK', 'KO'].includes(status)) {
+      throw new Error('Invalid payment status');
+    }
+
+    return {
+      transactionId,
+      status: status === 'OK' ? 'completed' : 'failed',
+      motif: 'Mock',
+      amount: parseFloat(amount)
+    };
+  }
+}
+
+export default new MockPaymentService();
@@ -0,0 +1,307 @@
+import axios from 'axios';
+import crypto from 'crypto';
+
+const MTN_MOMO_BASE_URL = process.env.MTN_MOMO_BASE_URL || 'https://sandbox.momodeveloper.mtn.com';
+const TARGET_ENVIRONMENT = process.env.MTN_MOMO_TARGET_ENVIRONMENT || 'sandbox';
+const CURRENCY = process.env.MTN_MOMO_CURRENCY || 'XOF';
+
+class MtnMomoService {
+  constructor() {
+    this.tokens = {};
+  }
+
+  /**
+   * Get access token for a MoMo product (collection or disbursement)
+   * @param {string} product - MoMo product name
+   * @returns {Promise<string>} Access token
+   */
+  async getAccessToken(product = 'collection') {
+    try {
+      const cached = this.tokens[product];
+      if (cached && Date.now() < cached.expiry) {
+        return cached.token;
+      }
+
+      const response = await axios.post(
+        `${MTN_MOMO_BASE_URL}/${product}/token/`,
+        {},
+        {
+          auth: {
+            username: process.env.MTN_MOMO_API_USER,
+            password: process.env.MTN_MOMO_API_KEY
+          },
+          headers: {
+            'Ocp-Apim-Subscription-Key': this.getSubscriptionKey(product)
+          }
+        }
+      );
+
+      if (response.status !== 200 || !response.data?.access_token) {
+        throw new Error('Invalid token response');
+      }
+
+      // Refresh one minute before the token actually expires
+      const expiresIn = Number(response.data.expires_in) || 3600;
+      this.tokens[product] = {
+        token: response.data.access_token,
+        expiry: Date.now() + ((expiresIn - 60) * 1000)
+      };
+      return response.data.access_token;
+    } catch (error) {
+      throw new Error('Failed to get MTN MoMo access token');
+    }
+  }
+
+  /**
+   * Subscription key for a MoMo product
+   * @param {string} product - MoMo product name
+   * @returns {string} Subscription key
+   */
+  getSubscriptionKey(product) {
+    if (product === 'disbursement') {
+      return process.env.MTN_MOMO_DISBURSEMENT_SUBSCRIPTION_KEY || process.env.MTN_MOMO_SUBSCRIPTION_KEY;
+    }
+    return process.env.MTN_MOMO_SUBSCRIPTION_KEY;
+  }
+
+  /**
+   * Build authenticated request headers for a MoMo product
+   * @param {string} product - MoMo product name
+   * @returns {Promise<Object>} Request headers
+   */
+  async getHeaders(product) {
+    const token = await this.getAccessToken(product);
+    return {
+      'Authorization': `Bearer ${token}`,
+      'X-Target-Environment': TARGET_ENVIRONMENT,
+      'Ocp-Apim-Subscription-Key': this.getSubscriptionKey(product),
+      'Content-Type': 'application/json'
+    };
+  }
+
+  /**
+   * Request a payment from the payer's mobile money wallet
+   * @param {Object} paymentData - Payment data
+   * @param {string} paymentData.msisdn - Phone number
+   * @param {number} paymentData.amount - Payment amount
+   * @param {string} paymentData.note - Note shown to the payer
+   * @returns {Promise<Object>} Payment response
+   */
+  async requestToPay(paymentData) {
+    try {
+      const { msisdn, amount, note } = paymentData;
+      const referenceId = crypto.randomUUID();
+      const headers = await this.getHeaders('collection');
+
+      const response = await axios.post(
+        `${MTN_MOMO_BASE_URL}/collection/v1_0/requesttopay`,
+        {
+          amount: String(amount),
+          currency: CURRENCY,
+          externalId: referenceId,
+          payer: { partyIdType: 'MSISDN', partyId: String(msisdn).replace(/^\+/, '') },
+          payerMessage: note,
+          payeeNote: note
+        },
+        {
+          headers: {
+            ...headers,
+            'X-Reference-Id': referenceId,
+            ...(process.env.MTN_MOMO_CALLBACK_URL ? { 'X-Callback-Url': process.env.MTN_MOMO_CALLBACK_URL } : {})
+          }
+        }
+      );
+
+      // MoMo accepts the request asynchronously and answers 202
+      if (response.status !== 202) {
+        throw new Error(`Payment request failed with status ${response.status}`);
+      }
+
+      return {
+        success: true,
+        transactionId: referenceId,
+        message: 'Payment request sent. Approve it on your phone to continue.'
+      };
+    } catch (error) {
+      console.error('Error initiating MTN MoMo payment:', {
+        message: error.message,
+        status: error.response?.status,
+        data: error.response?.data
+      });
+      throw new Error(error.response?.data?.message || error.message || 'Failed to initiate MTN MoMo payment');
+    }
+  }
+
+  /**
+   * Get the status of a payment request
+   * @param {string} referenceId - Payment reference ID
+   * @returns {Promise<Object>} Normalized payment status
+   */
+  async getPaymentStatus(referenceId) {
+    const headers = await this.getHeaders('collection');
+    const response = await axios.get(
+      `${MTN_MOMO_BASE_URL}/collection/v1_0/requesttopay/${referenceId}`,
+      { headers }
+    );
+
+    return {
+      transactionId: referenceId,
+      status: this.normalizeStatus(response.data?.status),
+      amount: parseFloat(response.data?.amount),
+      raw: response.data
+    };
+  }
+
+  /**
+   * Refund a completed payment back to the payer
+   * @param {Object} refundData - Refund data
+   * @param {string} refundData.referenceId - Reference ID of the payment to refund
+   * @param {number} refundData.amount - Amount to refund
+   * @returns {Promise<Object>} Refund response
+   */
+  async refund(refundData) {
+    const { referenceId, amount } = refundData;
+    const refundReferenceId = crypto.randomUUID();
+    const headers = await this.getHeaders('disbursement');
+
+    const response = await axios.post(
+      `${MTN_MOMO_BASE_URL}/disbursement/v2_0/refund`,
+      {
+        amount: String(amount),
+        currency: CURRENCY,
+        externalId: refundReferenceId,
+        referenceIdToRefund: referenceId,
+        payerMessage: 'Baroni refund',
+        payeeNote: 'Baroni refund'
+      },
+      { headers: { ...headers, 'X-Reference-Id': refundReferenceId } }
+    );
+
+    if (response.status !== 202) {
+      throw new Error(`Refund request failed with status ${response.status}`);
+    }
+
+    return { success: true, refundId: refundReferenceId };
+  }
+
+  /**
+   * Send money to a mobile money wallet.
+   * The caller generates and stores referenceId first, so a transfer whose answer is
+   * lost (timeout, network error) can still be looked up with getTransferStatus.
+   * Errors carry rejected: true only when MoMo certainly did not take the transfer.
+   * @param {Object} transferData - Transfer data
+   * @param {string} transferData.referenceId - Transfer reference ID (a UUID)
+   * @param {string} transferData.msisdn - Recipient phone number
+   * @param {number} transferData.amount - Amount to send
+   * @param {string} transferData.note - Note shown to the recipient
+   * @returns {Promise<Object>} Transfer response
+   */
+  async transfer(transferData) {
+    const { referenceId, msisdn, amount, note } = transferData;
+
+    let headers;
+    try {
+      headers = await this.getHeaders('disbursement');
+    } catch (error) {
+      // Nothing was sent
+      throw Object.assign(new Error(error.message), { rejected: true });
+    }
+
+    let response;
+    try {
+      response = await axios.post(
+        `${MTN_MOMO_BASE_URL}/disbursement/v1_0/transfer`,
+        {
+          amount: String(amount),
+          currency: CURRENCY,
+          externalId: referenceId,
+          payee: { partyIdType: 'MSISDN', partyId: String(msisdn).replace(/^\+/, '') },
+          payerMessage: note,
+          payeeNote: note
+        },
+        { headers: { ...headers, 'X-Reference-Id': referenceId } }
+      );
+    } catch (error) {
+      // A 4xx answer refuses the transfer, except 409: the reference already exists
+      const status = error.response?.status;
+      throw Object.assign(
+        new Error(error.response?.data?.message || error.message || 'Transfer request failed'),
+        { rejected: status >= 400 && status < 500 && status !== 409 }
+      );
+    }
+
+    if (response.status !== 202) {
+      throw new Error(`Transfer request failed with status ${response.status}`);
+    }
+
+    // Accepted only: the transfer settles later (see getTransferStatus)
+    return { success: true, payoutId: referenceId, status: 'pending' };
+  }
+
+  /**
+   * Get the status of a transfer
+   * @param {string} referenceId - Transfer reference ID
+   * @returns {Promise<Object>} Normalized transfer status ('missing' when MoMo has no such transfer)
+   */
+  async getTransferStatus(referenceId) {
+    const headers = await this.getHeaders('disbursement');
+    let response;
+    try {
+      response = await axios.get(
+        `${MTN_MOMO_BASE_URL}/disbursement/v1_0/transfer/${referenceId}`,
+        { headers }
+      );
+    } catch (error) {
+      if (error.response?.status === 404) {
+        return { payoutId: referenceId, status: 'missing', reason: 'Transfer not found', raw: error.response.data };
+      }
+      throw error;
+    }
+
+    return {
+      payoutId: referenceId,
+      status: this.normalizeStatus(response.data?.status),
+      reason: response.data?.reason?.message || response.data?.reason || null,
+      raw: response.data
+    };
+  }
+
+  /**
+   * Map a MoMo status to the internal payment status
+   * @param {string} status - MoMo status (SUCCESSFUL, FAILED, PENDING, ...)
+   * @returns {string} 'completed', 'failed' or 'pending'
+   */
+  normalizeStatus(status) {
+    if (status === 'SUCCESSFUL') return 'completed';
+    if (['FAILED', 'REJECTED', 'TIMEOUT', 'EXPIRED'].includes(status)) return 'failed';
+    return 'pending';
+  }
+
+  /**
+   * Validate payment callback data
+   * @param {Object} callbackData - Callback data from MTN MoMo
+   * @returns {Object} Validated callback data
+   */
+  validateCallbackData(callbackData) {
+    const { externalId, referenceId, status, amount, reason } = callbackData;
+    const transactionId = referenceId || externalId;
+
+    if (!transactionId || !status || amount === undefined) {
+      throw new Error('Missing required callback data');
+    }
+
+    const normalizedStatus = this.normalizeStatus(status);
+    if (normalizedStatus === 'pending') {
+      throw new Error('Invalid payment status');
+    }
+
+    return {
+      transactionId,
+      status: normalizedStatus,
+      motif: reason?.message || reason || 'NA',
+      amount: parseFloat(amount)
+    };
+  }
+}
+
+export default new MtnMomoService();
@@ -1,8 +1,12 @@
 import cron from 'node-cron';
 import Appointment from '../models/Appointment.js';
 import LiveShow from '../models/LiveShow.js';
+import Config from '../models/Config.js';
+import SentReminder from '../models/SentReminder.js';
 import NotificationHelper from '../utils/notificationHelper.js';
 
+const MINUTE_MS = 60 * 1000;
+
 class NotificationScheduler {
   constructor() {
     this.jobs = new Map();
@@ -12,10 +16,10 @@ class NotificationScheduler {
    * Initialize all scheduled jobs
    */
   init() {
-    // Appointment reminders - run every 5 minutes
+    // Appointment reminders - run every minute
     this.scheduleAppointmentReminders();
     
-    // Live show reminders - run every 5 minutes
+    // Live show reminders - run every minute
     this.scheduleLiveShowReminders();
     
     console.log('Notification scheduler initialized');
@@ -25,7 +29,7 @@ class NotificationScheduler {
    * Schedule appointment reminders
    */
   scheduleAppointmentReminders() {
-    const job = cron.schedule('*/5 * * * *', async () => {
+    const job = cron.schedule('* * * * *', async () => {
       try {
         await this.sendAppointmentReminders();
       } catch (error) {
@@ -40,7 +44,7 @@ class NotificationScheduler {
    * Schedule live show reminders
    */
   scheduleLiveShowReminders() {
-    const job = cron.schedule('*/5 * * * *', async () => {
+    const job = cron.schedule('* * * * *', async () => {
       try {
         await this.sendLiveShowReminders();
       } catch (error) {
@@ -52,70 +56,130 @@ class NotificationScheduler {
   }
 
   /**
-   * Send appointment reminders for appointments starting within 10 minutes
+   * Reminder offsets from Config, longest first
+   * @returns {Promise<Array<number>>} Offsets in minutes
+   */
+  async getReminderOffsets() {
+    const config = await Config.getSingleton();
+    const offsets = (config.reminderOffsetsMinutes || []).map(Number).filter((o) => o > 0);
+    return [...new Set(offsets)].sort((a, b) => b - a);
+  }
+
+  /**
+   * Record a reminder before sending it. The unique index on SentReminder makes
+   * exactly one caller win, whichever instance or run it comes from.
+   * @param {string} kind - 'appointment' or 'live_show'
+   * @param {Object} item - Appointment or live show
+   * @param {Date} startAt - Start instant the reminder is for
+   * @param {number} offsetMinutes - Reminder offset
+   * @param {boolean} sent - False to record a skipped reminder
+   * @returns {Promise<Object|null>} The record, or null when it already existed
+   */
+  async claimReminder(kind, item, startAt, offsetMinutes, sent = true) {
+    try {
+      return await SentReminder.create({ kind, entityId: item._id, startAt, offsetMinutes, sent });
+    } catch (error) {
+      if (error?.code === 11000) return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Send the due reminder of each item once. When several offsets are due (the run
+   * was late or the booking came in after an offset), only the one closest to the
+   * start is sent and the others are recorded as skipped.
+   * @param {string} kind - 'appointment' or 'live_show'
+   * @param {Array<Object>} items - Items with a start instant
+   * @param {Function} getStartAt - Start instant of an item
+   * @param {Array<number>} offsets - Reminder offsets (minutes)
+   * @param {Function} send - async (item, minutesUntilStart) => void
+   * @returns {Promise<number>} Number of reminders sent
+   */
+  async processReminders(kind, items, getStartAt, offsets, send) {
+    let sent = 0;
+    for (const item of items) {
+      try {
+        const startAt = getStartAt(item);
+        if (!startAt) continue;
+        const msUntilStart = startAt.getTime() - Date.now();
+        if (msUntilStart <= 0) continue;
+
+        const due = offsets.filter((offset) => offset * MINUTE_MS >= msUntilStart).sort((a, b) => a - b);
+        if (due.length === 0) continue;
+
+        const claim = await this.claimReminder(kind, item, startAt, due[0]);
+        if (!claim) continue;
+        for (const skipped of due.slice(1)) {
+          await this.claimReminder(kind, item, startAt, skipped, false);
+        }
+
+        try {
+          await send(item, Math.ceil(msUntilStart / MINUTE_MS));
+        } catch (sendError) {
+          // Let the next run retry
+          await SentReminder.deleteOne({ _id: claim._id });
+          throw sendError;
+        }
+        sent++;
+        console.log(`${kind} reminder (${due[0]} min) sent for ${item._id}`);
+      } catch (error) {
+        console.error(`Error sending ${kind} reminder for ${item._id}:`, error);
+      }
+    }
+    return sent;
+  }
+
+  /**
+   * Send reminders for approved appointments at each configured offset before their start
+   * @returns {Promise<number>} Number of reminders sent
    */
   async sendAppointmentReminders() {
-    const now = new Date();
-    const tenMinutesFromNow = new Date(now.getTime() + 10 * 60 * 1000);
+    const offsets = await this.getReminderOffsets();
+    if (offsets.length === 0) return 0;
 
+    const now = new Date();
     const appointments = await Appointment.find({
       status: 'approved',
-      date: {
-        $gte: now,
-        $lte: tenMinutesFromNow
+      startAt: {
+        $gt: now,
+        $lte: new Date(now.getTime() + (offsets[0] * MINUTE_MS))
       }
     }).populate('starId', 'name pseudo')
       .populate('fanId', 'name pseudo');
 
-    for (const appointment of appointments) {
-      try {
-        // Check if reminder was already sent (you might want to add a field to track this)
-        const timeUntilAppointment = appointment.date.getTime() - now.getTime();
-        const minutesUntilAppointment = Math.floor(timeUntilAppointment / (1000 * 60));
-
-        if (minutesUntilAppointment <= 10 && minutesUntilAppointment > 0) {
-          // Send video call reminder
-          await NotificationHelper.sendVideoCallReminder(appointment);
-          
-          // Mark as reminder sent (optional - you might want to add a field to the appointment model)
-          console.log(`Appointment reminder sent for appointment ${appointment._id}`);
-        }
-      } catch (error) {
-        console.error(`Error sending reminder for appointment ${appointment._id}:`, error);
-      }
-    }
+    return this.processReminders(
+      'appointment',
+      appointments,
+      (appointment) => appointment.startAt,
+      offsets,
+      (appointment, minutesUntilStart) => NotificationHelper.sendVideoCallReminder(appointment, { minutesUntilStart })
+    );
   }
 
   /**
-   * Send live show reminders for shows starting within 30 minutes
+   * Send reminders for upcoming live shows at each configured offset before their start
+   * @returns {Promise<number>} Number of reminders sent
    */
   async sendLiveShowReminders() {
-    const now = new Date();
-    const thirtyMinutesFromNow = new Date(now.getTime() + 30 * 60 * 1000);
+    const offsets = await this.getReminderOffsets();
+    if (offsets.length === 0) return 0;
 
+    const now = new Date();
     const liveShows = await LiveShow.find({
-      status: 'active',
+      status: 'pending',
       date: {
-        $gte: now,
-        $lte: thirtyMinutesFromNow
+        $gt: now,
+        $lte: new Date(now.getTime() + (offsets[0] * MINUTE_MS))
       }
-    }).populate('starId', 'name pseudo');
+    });
 
-    for (const liveShow of liveShows) {
-      try {
-        const timeUntilShow = liveShow.date.getTime() - now.getTime();
-        const minutesUntilShow = Math.floor(timeUntilShow / (1000 * 60));
-
-        if (minutesUntilShow <= 30 && minutesUntilShow > 0) {
-          // Send live show starting notification
-          await NotificationHelper.sendLiveShowNotification('LIVE_SHOW_STARTING', liveShow);
-          
-          console.log(`Live show reminder sent for show ${liveShow._id}`);
-        }
-      } catch (error) {
-        console.error(`Error sending reminder for live show ${liveShow._id}:`, error);
-      }
-    }
+    return this.processReminders(
+      'live_show',
+      liveShows,
+      (liveShow) => liveShow.date,
+      offsets,
+      (liveShow, minutesUntilStart) => NotificationHelper.sendLiveShowNotification('LIVE_SHOW_STARTING', liveShow, { minutesUntilStart })
+    );
   }
 
   /**
@@ -1198,6 +1198,31 @@ class NotificationService {
         body: 'An appointment has been cancelled.',
         type: 'appointment'
       },
+      APPOINTMENT_RESCHEDULED: {
+        title: 'Appointment Rescheduled',
+        body: 'Your appointment has been moved to a new time.',
+        type: 'appointment'
+      },
+      APPOINTMENT_RESCHEDULE_PROPOSED: {
+        title: 'New Time Proposed',
+        body: 'A new time has been proposed for your appointment. Please accept or decline it.',
+        type: 'appointment'
+      },
+      APPOINTMENT_RESCHEDULE_ACCEPTED: {
+        title: 'Reschedule Accepted',
+        body: 'The new time for your appointment has been accepted.',
+        type: 'appointment'
+      },
+      APPOINTMENT_RESCHEDULE_DECLINED: {
+        title: 'Reschedule Declined',
+        body: 'The proposed new time was declined. Your appointment keeps its current time.',
+        type: 'appointment'
+      },
+      APPOINTMENT_RESCHEDULE_WITHDRAWN: {
+        title: 'Reschedule Withdrawn',
+        body: 'The proposed new time was withdrawn. Your appointment keeps its current time.',
+        type: 'appointment'
+      },
       APPOINTMENT_REMINDER: {
         title: 'Appointment Reminder',
         body: 'Your appointment is starting soon. Please be ready!',
@@ -1225,6 +1250,26 @@ class NotificationService {
         body: 'You have received coins from your live show!',
         type: 'payment'
       },
+      WITHDRAWAL_REQUESTED: {
+        title: 'Withdrawal Requested',
+        body: 'Your withdrawal request has been received and is awaiting review.',
+        type: 'payment'
+      },
+      WITHDRAWAL_PAID: {
+        title: 'Withdrawal Paid',
+        body: 'Your withdrawal has been sent to your mobile money account.',
+        type: 'payment'
+      },
+      WITHDRAWAL_REJECTED: {
+        title: 'Withdrawal Rejected',
+        body: 'Your withdrawal request was rejected. The coins are back in your wallet.',
+        type: 'payment'
+      },
+      WITHDRAWAL_FAILED: {
+        title: 'Withdrawal Failed',
+        body: 'Your withdrawal could not be paid out. The coins are back in your wallet.',
+        type: 'payment'
+      },
 
       // Rating notifications
       NEW_RATING: {
@@ -1291,6 +1336,21 @@ class NotificationService {
         body: 'Your dedication video has been uploaded.',
         type: 'dedication'
       },
+      DEDICATION_REVISION_REQUESTED: {
+        title: 'Dedication Changes Requested',
+        body: 'A fan asked for changes to your dedication video.',
+        type: 'dedication'
+      },
+      DEDICATION_DEADLINE_APPROACHING: {
+        title: 'Dedication Due Soon',
+        body: 'A dedication is due soon. Upload the video before the deadline or the fan will be refunded.',
+        type: 'dedication'
+      },
+      DEDICATION_DEADLINE_MISSED: {
+        title: 'Dedication Not Delivered',
+        body: 'A dedication was not delivered before its deadline and has been refunded.',
+        type: 'dedication'
+      },
 
       // Message notifications
       NEW_MESSAGE: {
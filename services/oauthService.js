@@ -1,4 +1,5 @@
 import User from '../models/User.js';
+import { initializeUserCoins } from './transactionService.js';
 
 export const upsertOAuthUser = async (provider, profile) => {
   const providerId = profile.id;
@@ -50,6 +51,9 @@ export const upsertOAuthUser = async (provider, profile) => {
       apple: provider === 'apple' ? { id: providerId } : undefined,
     },
   });
+
+  // Record the signup coins in the ledger
+  await initializeUserCoins(newUser._id);
   return newUser;
 };
 
@@ -45,7 +45,7 @@ class OrangeMoneyService {
    * @param {Object} paymentData - Payment data
    * @param {string} paymentData.msisdn - Phone number
    * @param {number} paymentData.montant - Payment amount
-   * @param {string} paymentData.motif - Payment reason (BeStar, VideoCall, Dedication, LiveshowHost, LiveshowJoin)
+   * @param {string} paymentData.motif - Payment reason (BeStar, VideoCall, Dedication, LiveshowHost, LiveshowJoin, CoinTopUp)
    * @param {string} paymentData.nameStar - Name of the star (optional)
    * @param {string} paymentData.marchand - Merchant identifier (optional)
    * @returns {Promise<Object>} Payment response
@@ -116,6 +116,7 @@ class OrangeMoneyService {
       'live_show_attendance_payment': 'LiveshowJoin',
       'live_show_hosting_payment': 'LiveshowHost',
       'become_star_payment': 'BeStar',
+      'coin_top_up': 'CoinTopUp',
       'service_payment': 'VideoCall' // Default to VideoCall for service payments
     };
 
@@ -5,39 +5,98 @@ import DedicationRequest from '../models/DedicationRequest.js';
 import LiveShow from '../models/LiveShow.js';
 import LiveShowAttendance from '../models/LiveShowAttendance.js';
 import mongoose from 'mongoose';
-import orangeMoneyService from './orangeMoneyService.js';
-import { TRANSACTION_STATUSES } from '../utils/transactionConstants.js';
+import { getPaymentProvider } from './paymentProviderService.js';
+import { completeTransaction } from './transactionService.js';
+import { recordMovement, walletOf } from './ledgerService.js';
+import { offerNextInLine } from './waitlistService.js';
+import { releaseAppointmentSlot, appointmentSpot } from './slotReservationService.js';
+import { TRANSACTION_TYPES, TRANSACTION_STATUSES, PAYMENT_PROVIDERS, LEDGER_ACCOUNTS, LEDGER_ENTRY_TYPES } from '../utils/transactionConstants.js';
 
 /**
- * Process payment callback from Orange Money
- * @param {Object} callbackData - Callback data from Orange Money
+ * Whether a callback for a transaction that left INITIATED counts as already processed.
+ * Once captured (pending or later) the payment has been processed and any later
+ * callback is a repeat; only a success reported after the transaction failed conflicts.
+ * @param {Object} transaction - Transaction object
+ * @param {string} status - Normalized callback status ('completed' or 'failed')
+ * @returns {boolean} True if the callback was already processed
+ */
+const isCallbackAlreadyApplied = (transaction, status) => (
+  transaction.status !== TRANSACTION_STATUSES.FAILED || status === 'failed'
+);
+
+/**
+ * Process payment callback from an external payment provider.
+ * Only an initiated transaction is acted on: a callback for a transaction already
+ * captured (pending or later) or failed returns { duplicate: true } without side
+ * effects. A success reported for a transaction that already failed throws.
+ * An unsigned callback (confirmWithProvider) only names the payment: its status
+ * is read from the provider, and nothing happens while the payment is still pending.
+ * @param {Object} callbackData - Callback data from the provider
+ * @param {string} providerName - Provider that sent the callback (default Orange Money)
+ * @param {Object} options - Processing options
+ * @param {boolean} options.confirmWithProvider - Take the status from provider.verifyPayment
  * @returns {Promise<Object>} Processing result
  */
-export const processPaymentCallback = async (callbackData) => {
+export const processPaymentCallback = async (callbackData, providerName = PAYMENT_PROVIDERS.ORANGE_MONEY, { confirmWithProvider = false } = {}) => {
+  const provider = getPaymentProvider(providerName);
+  let validatedData = provider.parseCallback(callbackData);
+  if (confirmWithProvider) {
+    if (!provider.supportsStatusCheck) {
+      throw new Error('Payment provider cannot confirm unsigned callbacks');
+    }
+    const confirmed = await provider.verifyPayment(validatedData.transactionId);
+    if (confirmed.status === 'pending') {
+      return { success: true, duplicate: false, pending: true, transactionId: null, message: 'Payment is not settled yet' };
+    }
+    validatedData = { ...validatedData, status: confirmed.status };
+  }
+
   const session = await mongoose.startSession();
+  let duplicate = false;
+  let transactionRef = null;
+  let freedSpots = [];
 
   try {
     await session.withTransaction(async () => {
-      // Validate callback data
-      const validatedData = orangeMoneyService.validateCallbackData(callbackData);
-      const { transactionId, status, motif, amount } = validatedData;
+      duplicate = false;
+      freedSpots = [];
+      const { transactionId, status } = validatedData;
 
       // Find transaction by external payment ID
       const transaction = await Transaction.findOne({ 
         externalPaymentId: transactionId 
       }).session(session);
 
-      if (!transaction) {
+      // Transactions created before providers were tracked belong to Orange Money
+      const transactionProvider = transaction?.paymentProvider || PAYMENT_PROVIDERS.ORANGE_MONEY;
+      if (!transaction || transactionProvider !== provider.name) {
         throw new Error('Transaction not found');
       }
+      transactionRef = transaction._id;
 
-      if (![TRANSACTION_STATUSES.INITIATED, TRANSACTION_STATUSES.PENDING].includes(transaction.status)) {
-        throw new Error('Transaction is not in a processable status');
+      if (transaction.status !== TRANSACTION_STATUSES.INITIATED) {
+        if (isCallbackAlreadyApplied(transaction, status)) {
+          duplicate = true;
+          return;
+        }
+        throw new Error('Transaction already processed with a different status');
       }
 
-      if (status === 'completed') {
+      if (status === 'completed' && transaction.type === TRANSACTION_TYPES.COIN_TOP_UP) {
+        await completeTopUpTransaction(transaction, session);
+      } else if (status === 'completed') {
+        // External funds captured into escrow alongside the reserved coins
+        await recordMovement({
+          entryType: LEDGER_ENTRY_TYPES.EXTERNAL_CAPTURE,
+          from: LEDGER_ACCOUNTS.EXTERNAL,
+          to: LEDGER_ACCOUNTS.ESCROW,
+          amount: transaction.externalAmount,
+          transactionId: transaction._id,
+          description: transaction.description
+        }, session);
+
         // Payment successful - move transaction to pending (escrow) and clear refund timer
-        transaction.status = TRANSACTION_STATUSES.COMPLETED;
+        transaction.status = TRANSACTION_STATUSES.PENDING;
         transaction.refundTimer = null;
         await transaction.save({ session });
 
@@ -65,6 +124,9 @@ export const processPaymentCallback = async (callbackData) => {
 
         // Handle star promotion payment status updates
         if (transaction.type.toUpperCase() === 'BECOME_STAR_PAYMENT') {
+          // Nothing left to deliver: release escrow right away, as for coin-only payments
+          await completeTransaction(transaction._id, session);
+
           await User.updateMany(
             { 
               _id: transaction.payerId,
@@ -83,11 +145,18 @@ export const processPaymentCallback = async (callbackData) => {
       } else {
         // Payment failed - refund coins and mark as failed
         await refundHybridTransaction(transaction, session);
-        await cancelLinkedEntitiesForTransaction(transaction, session);
+        freedSpots = await cancelLinkedEntitiesForTransaction(transaction, session);
       }
     });
 
-    return { success: true, message: 'Payment callback processed successfully' };
+    await offerFreedSpots(freedSpots);
+
+    return {
+      success: true,
+      duplicate,
+      transactionId: transactionRef,
+      message: duplicate ? 'Payment callback already processed' : 'Payment callback processed successfully'
+    };
 
   } catch (error) {
     console.error('Error processing payment callback:', error);
@@ -104,13 +173,14 @@ export const processPaymentCallback = async (callbackData) => {
  */
 const completeHybridTransaction = async (transaction, session) => {
   // Add external amount as coins to receiver
-  if (transaction.externalAmount > 0) {
-    await User.findByIdAndUpdate(
-      transaction.receiverId,
-      { $inc: { coinBalance: transaction.externalAmount } },
-      { session, new: true }
-    );
-  }
+  await recordMovement({
+    entryType: LEDGER_ENTRY_TYPES.EXTERNAL_CAPTURE,
+    from: LEDGER_ACCOUNTS.EXTERNAL,
+    to: walletOf(transaction.receiverId),
+    amount: transaction.externalAmount,
+    transactionId: transaction._id,
+    description: transaction.description
+  }, session);
 
   // Update transaction status
   transaction.status = TRANSACTION_STATUSES.COMPLETED;
@@ -118,6 +188,37 @@ const completeHybridTransaction = async (transaction, session) => {
   await transaction.save({ session });
 };
 
+/**
+ * Credit the purchased coins once a top-up payment succeeds
+ * @param {Object} transaction - Top-up transaction
+ * @param {Object} session - MongoDB session
+ */
+const completeTopUpTransaction = async (transaction, session) => {
+  const bonusCoins = transaction.metadata?.bonusCoins || 0;
+
+  // Purchased coins come from the gateway, bonus coins are granted by the platform
+  await recordMovement({
+    entryType: LEDGER_ENTRY_TYPES.TOP_UP,
+    from: LEDGER_ACCOUNTS.EXTERNAL,
+    to: walletOf(transaction.payerId),
+    amount: transaction.amount - bonusCoins,
+    transactionId: transaction._id,
+    description: transaction.description
+  }, session);
+  await recordMovement({
+    entryType: LEDGER_ENTRY_TYPES.TOP_UP,
+    from: LEDGER_ACCOUNTS.PLATFORM,
+    to: walletOf(transaction.payerId),
+    amount: bonusCoins,
+    transactionId: transaction._id,
+    description: 'Top-up bonus'
+  }, session);
+
+  transaction.status = TRANSACTION_STATUSES.COMPLETED;
+  transaction.refundTimer = null;
+  await transaction.save({ session });
+};
+
 /**
  * Refund a hybrid transaction after failed external payment
  * @param {Object} transaction - Transaction object
@@ -125,13 +226,14 @@ const completeHybridTransaction = async (transaction, session) => {
  */
 const refundHybridTransaction = async (transaction, session) => {
   // Refund coin amount to payer
-  if (transaction.coinAmount > 0) {
-    await User.findByIdAndUpdate(
-      transaction.payerId,
-      { $inc: { coinBalance: transaction.coinAmount } },
-      { session, new: true }
-    );
-  }
+  await recordMovement({
+    entryType: LEDGER_ENTRY_TYPES.HYBRID_REFUND,
+    from: LEDGER_ACCOUNTS.ESCROW,
+    to: walletOf(transaction.payerId),
+    amount: transaction.coinAmount,
+    transactionId: transaction._id,
+    description: transaction.description
+  }, session);
 
   // Update transaction status
   transaction.status = TRANSACTION_STATUSES.FAILED;
@@ -157,21 +259,30 @@ const refundHybridTransaction = async (transaction, session) => {
   }
 };
 
-// Cancel domain entities linked to a refunded/failed transaction
+// Offer spots released by cancelled bookings to the next waitlisted fans (after commit)
+const offerFreedSpots = async (spots) => {
+  for (const spot of spots) {
+    try {
+      await offerNextInLine(spot);
+    } catch (waitlistError) {
+      console.error('Error offering freed spot to waitlist:', waitlistError);
+    }
+  }
+};
+
+// Cancel domain entities linked to a refunded/failed transaction.
+// Returns the spots they released, for offerFreedSpots once the transaction commits.
 const cancelLinkedEntitiesForTransaction = async (transaction, session) => {
+  const freedSpots = [];
+
   // Cancel appointment linked to this transaction and free reserved slot
   const affectedAppointments = await Appointment.find({ transactionId: transaction._id, status: { $in: ['pending', 'approved'] } }).session(session);
   for (const appt of affectedAppointments) {
     appt.status = 'cancelled';
     appt.paymentStatus = 'refunded';
     await appt.save({ session });
-    try {
-      const Availability = (await import('../models/Availability.js')).default;
-      await Availability.updateOne(
-        { _id: appt.availabilityId, userId: appt.starId, 'timeSlots._id': appt.timeSlotId },
-        { $set: { 'timeSlots.$.status': 'available' } }
-      ).session(session);
-    } catch (_e) {}
+    await releaseAppointmentSlot(appt, session);
+    freedSpots.push(appointmentSpot(appt));
   }
 
   // Cancel dedication requests linked to this transaction
@@ -205,7 +316,10 @@ const cancelLinkedEntitiesForTransaction = async (transaction, session) => {
       },
       { session }
     );
+    freedSpots.push({ kind: 'live_show', starId: attendance.starId, liveShowId: attendance.liveShowId });
   }
+
+  return freedSpots;
 };
 
 /**
@@ -218,9 +332,11 @@ export const handlePaymentTimeout = async () => {
   const timeoutMinutes = 15;
   const timeoutDate = new Date(Date.now() - (timeoutMinutes * 60 * 1000));
   let timeoutTransactions = [];
+  let freedSpots = [];
 
   try {
     await session.withTransaction(async () => {
+      freedSpots = [];
       // Find transactions that are initiated and past timeout (external not confirmed in time)
       timeoutTransactions = await Transaction.find({
         status: TRANSACTION_STATUSES.INITIATED,
@@ -229,11 +345,13 @@ export const handlePaymentTimeout = async () => {
 
       for (const transaction of timeoutTransactions) {
         await refundHybridTransaction(transaction, session);
-        await cancelLinkedEntitiesForTransaction(transaction, session);
+        freedSpots.push(...await cancelLinkedEntitiesForTransaction(transaction, session));
         console.log(`Refunded transaction ${transaction._id} due to timeout`);
       }
     });
 
+    await offerFreedSpots(freedSpots);
+
     return { 
       success: true, 
       message: `Processed ${timeoutTransactions.length} timeout transactions` 
@@ -0,0 +1,162 @@
+import crypto from 'crypto';
+import orangeMoneyService from './orangeMoneyService.js';
+import mtnMomoService from './mtnMomoService.js';
+import mockPaymentService from './mockPaymentService.js';
+import { PAYMENT_PROVIDERS } from '../utils/transactionConstants.js';
+
+/**
+ * Payment provider interface. Every provider exposes:
+ * - initiatePayment({ msisdn, amount, transactionType, starName }) => { success, transactionId, message }
+ * - supportsStatusCheck => whether verifyPayment can read a payment's status; check it before calling
+ * - verifyPayment(externalPaymentId) => { transactionId, status, amount }
+ * - parseCallback(callbackData) => { transactionId, status: 'completed'|'failed', motif, amount }
+ * - supportsRefund => whether refundPayment can send money back; without it a refund is
+ *   credited to the fan's coin wallet
+ * - refundPayment({ externalPaymentId, amount }) => { success, refundId }
+ * - supportsPayout => whether payout can send money; without it an admin pays the star
+ *   manually and approves the withdrawal with the payoutReference of that transfer
+ * - newPayoutReference() => payout ID to store before calling payout, so a payout whose
+ *   answer is lost can still be looked up
+ * - payout({ payoutId, msisdn, amount, reference }) => { success, payoutId, status: 'completed'|'pending' };
+ *   errors carry rejected: true only when the provider certainly did not take the payout
+ * - getPayoutStatus(payoutId) => { payoutId, status: 'completed'|'failed'|'pending'|'missing', reason }
+ *   ('missing' when the provider has no payout with that ID)
+ * - callbackSecret() => shared secret used to sign callbacks
+ * - confirmsCallbacksWithStatusApi => callbacks cannot be signed; unsigned ones are accepted
+ *   but only act on the status verifyPayment returns (requires supportsStatusCheck)
+ */
+const providers = {
+  [PAYMENT_PROVIDERS.ORANGE_MONEY]: {
+    name: PAYMENT_PROVIDERS.ORANGE_MONEY,
+    initiatePayment: ({ msisdn, amount, transactionType, starName }) => orangeMoneyService.initiatePayment({
+      msisdn,
+      montant: amount,
+      motif: orangeMoneyService.mapTransactionTypeToMotif(transactionType),
+      nameStar: starName
+    }),
+    // The Orange Money gateway only exposes payment initiation and callbacks
+    supportsStatusCheck: false,
+    verifyPayment: async () => {
+      throw new Error('Payment verification is not supported by Orange Money');
+    },
+    parseCallback: (callbackData) => orangeMoneyService.validateCallbackData(callbackData),
+    supportsRefund: false,
+    refundPayment: async () => {
+      throw new Error('Refunds are not supported by Orange Money');
+    },
+    supportsPayout: false,
+    newPayoutReference: () => {
+      throw new Error('Payouts are not supported by Orange Money');
+    },
+    payout: async () => {
+      throw new Error('Payouts are not supported by Orange Money');
+    },
+    getPayoutStatus: async () => {
+      throw new Error('Payouts are not supported by Orange Money');
+    },
+    callbackSecret: () => process.env.ORANGE_MONEY_CALLBACK_SECRET,
+    confirmsCallbacksWithStatusApi: false
+  },
+  [PAYMENT_PROVIDERS.MTN_MOMO]: {
+    name: PAYMENT_PROVIDERS.MTN_MOMO,
+    initiatePayment: ({ msisdn, amount, transactionType }) => mtnMomoService.requestToPay({
+      msisdn,
+      amount,
+      note: `Baroni ${transactionType}`
+    }),
+    supportsStatusCheck: true,
+    verifyPayment: (externalPaymentId) => mtnMomoService.getPaymentStatus(externalPaymentId),
+    parseCallback: (callbackData) => mtnMomoService.validateCallbackData(callbackData),
+    supportsRefund: true,
+    refundPayment: ({ externalPaymentId, amount }) => mtnMomoService.refund({ referenceId: externalPaymentId, amount }),
+    supportsPayout: true,
+    newPayoutReference: () => crypto.randomUUID(),
+    payout: ({ payoutId, msisdn, amount, reference }) => mtnMomoService.transfer({ referenceId: payoutId, msisdn, amount, note: `Baroni payout ${reference}` }),
+    getPayoutStatus: (payoutId) => mtnMomoService.getTransferStatus(payoutId),
+    callbackSecret: () => process.env.MTN_MOMO_CALLBACK_SECRET,
+    confirmsCallbacksWithStatusApi: true
+  },
+  [PAYMENT_PROVIDERS.MOCK]: {
+    name: PAYMENT_PROVIDERS.MOCK,
+    initiatePayment: ({ msisdn, amount }) => mockPaymentService.initiatePayment({ msisdn, amount }),
+    supportsStatusCheck: true,
+    verifyPayment: (externalPaymentId) => mockPaymentService.getPaymentStatus(externalPaymentId),
+    parseCallback: (callbackData) => mockPaymentService.validateCallbackData(callbackData),
+    supportsRefund: true,
+    refundPayment: ({ externalPaymentId, amount }) => mockPaymentService.refund({ transactionId: externalPaymentId, amount }),
+    supportsPayout: true,
+    newPayoutReference: () => mockPaymentService.newPayoutId(),
+    payout: ({ payoutId, msisdn, amount }) => mockPaymentService.payout({ payoutId, msisdn, amount }),
+    getPayoutStatus: (payoutId) => mockPaymentService.getPayoutStatus(payoutId),
+    callbackSecret: () => process.env.MOCK_PAYMENT_CALLBACK_SECRET,
+    confirmsCallbacksWithStatusApi: false
+  }
+};
+
+// Provider used for each payer country (ISO code or name, lowercase)
+const PROVIDER_BY_COUNTRY = {
+  ci: PAYMENT_PROVIDERS.ORANGE_MONEY,
+  "côte d'ivoire": PAYMENT_PROVIDERS.ORANGE_MONEY,
+  'ivory coast': PAYMENT_PROVIDERS.ORANGE_MONEY,
+  sn: PAYMENT_PROVIDERS.ORANGE_MONEY,
+  senegal: PAYMENT_PROVIDERS.ORANGE_MONEY,
+  ml: PAYMENT_PROVIDERS.ORANGE_MONEY,
+  mali: PAYMENT_PROVIDERS.ORANGE_MONEY,
+  bf: PAYMENT_PROVIDERS.ORANGE_MONEY,
+  'burkina faso': PAYMENT_PROVIDERS.ORANGE_MONEY,
+  cm: PAYMENT_PROVIDERS.ORANGE_MONEY,
+  cameroon: PAYMENT_PROVIDERS.ORANGE_MONEY,
+  gh: PAYMENT_PROVIDERS.MTN_MOMO,
+  ghana: PAYMENT_PROVIDERS.MTN_MOMO,
+  bj: PAYMENT_PROVIDERS.MTN_MOMO,
+  benin: PAYMENT_PROVIDERS.MTN_MOMO,
+  ug: PAYMENT_PROVIDERS.MTN_MOMO,
+  uganda: PAYMENT_PROVIDERS.MTN_MOMO,
+  rw: PAYMENT_PROVIDERS.MTN_MOMO,
+  rwanda: PAYMENT_PROVIDERS.MTN_MOMO
+};
+
+// Provider used for each currency when the country is unknown
+const PROVIDER_BY_CURRENCY = {
+  XOF: PAYMENT_PROVIDERS.ORANGE_MONEY,
+  XAF: PAYMENT_PROVIDERS.ORANGE_MONEY,
+  GHS: PAYMENT_PROVIDERS.MTN_MOMO,
+  UGX: PAYMENT_PROVIDERS.MTN_MOMO,
+  RWF: PAYMENT_PROVIDERS.MTN_MOMO
+};
+
+/**
+ * Get a payment provider by name
+ * @param {string} name - Provider name (PAYMENT_PROVIDERS value)
+ * @returns {Object} Payment provider
+ */
+export const getPaymentProvider = (name) => {
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error('Unknown payment provider');
+  }
+  if (name === PAYMENT_PROVIDERS.MOCK && process.env.NODE_ENV === 'production') {
+    throw new Error('Mock payment provider is disabled in production');
+  }
+  return provider;
+};
+
+/**
+ * Choose the payment provider for a payer.
+ * PAYMENT_PROVIDER forces a provider for every payment (e.g. "mock" locally);
+ * otherwise the payer's country, then currency, decides, defaulting to Orange Money.
+ * @param {Object} options - Selection criteria
+ * @param {string} options.country - Payer country (optional)
+ * @param {string} options.currency - Payment currency (optional)
+ * @returns {Object} Payment provider
+ */
+export const resolvePaymentProvider = ({ country, currency } = {}) => {
+  if (process.env.PAYMENT_PROVIDER) {
+    return getPaymentProvider(process.env.PAYMENT_PROVIDER);
+  }
+
+  const byCountry = country ? PROVIDER_BY_COUNTRY[String(country).trim().toLowerCase()] : null;
+  const byCurrency = currency ? PROVIDER_BY_CURRENCY[String(currency).trim().toUpperCase()] : null;
+
+  return getPaymentProvider(byCountry || byCurrency || PAYMENT_PROVIDERS.ORANGE_MONEY);
+};
@@ -1,5 +1,6 @@
 import cron from 'node-cron';
 import { handlePaymentTimeout as processPaymentTimeout } from './paymentCallbackService.js';
+import { releaseExpiredSlotHolds } from './slotReservationService.js';
 
 /**
  * Schedule payment timeout checks
@@ -15,6 +16,14 @@ export const startRefundScheduler = () => {
     } catch (error) {
       console.error('Error in payment timeout check:', error);
     }
+
+    // Slot holds expire with the hybrid payment window
+    try {
+      const holds = await releaseExpiredSlotHolds();
+      console.log('Expired slot holds released:', holds);
+    } catch (error) {
+      console.error('Error releasing expired slot holds:', error);
+    }
   });
 
   console.log('Refund scheduler started - checking every 5 minutes');
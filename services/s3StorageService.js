@@ -0,0 +1,187 @@
+import axios from 'axios';
+import crypto from 'crypto';
+import { buildStorageKey, encodeStorageKey, isStorageKey, isPrivateStorageKey } from '../utils/storageKeys.js';
+
+const S3_REGION = process.env.S3_REGION || 'us-east-1';
+const DEFAULT_SIGNED_URL_SECONDS = 15 * 60;
+// Longest validity S3 accepts for a presigned URL
+const MAX_SIGNED_URL_SECONDS = 7 * 24 * 60 * 60;
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+const encodeQueryValue = (value) => encodeURIComponent(value).replace(/[!'()*]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+
+/**
+ * S3-compatible object storage (AWS S3, Cloudflare R2, MinIO, DigitalOcean Spaces...).
+ * Requests are signed with AWS Signature Version 4. With S3_ENDPOINT set, objects are
+ * addressed path-style ({endpoint}/{bucket}/{key}); otherwise the AWS virtual-hosted URL is used.
+ * Public files are served from S3_PUBLIC_URL (a CDN or a bucket policy allowing reads of
+ * the "baroni/" prefix) and private files, under "private/", only through presigned URLs.
+ */
+class S3StorageService {
+  /**
+   * Whether the bucket and credentials are set
+   * @returns {boolean} True when configured
+   */
+  isConfigured() {
+    return Boolean(process.env.S3_BUCKET && process.env.S3_ACCESS_KEY_ID && process.env.S3_SECRET_ACCESS_KEY);
+  }
+
+  /**
+   * Base URL of the bucket's objects
+   * @returns {string} URL without trailing slash
+   */
+  getObjectBaseUrl() {
+    const bucket = process.env.S3_BUCKET;
+    if (process.env.S3_ENDPOINT) {
+      return `${process.env.S3_ENDPOINT.replace(/\/+$/, '')}/${bucket}`;
+    }
+    return `https://${bucket}.s3.${S3_REGION}.amazonaws.com`;
+  }
+
+  /**
+   * Base URL public files are served from
+   * @returns {string} URL without trailing slash
+   */
+  getPublicBaseUrl() {
+    return (process.env.S3_PUBLIC_URL || this.getObjectBaseUrl()).replace(/\/+$/, '');
+  }
+
+  /**
+   * Signing scope of a request
+   * @param {Date} now - Request time
+   * @returns {Object} { amzDate, scope, signingKey }
+   */
+  getSigningContext(now = new Date()) {
+    const amzDate = now.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    const date = amzDate.slice(0, 8);
+    const signingKey = hmac(hmac(hmac(hmac(`AWS4${process.env.S3_SECRET_ACCESS_KEY}`, date), S3_REGION), 's3'), 'aws4_request');
+    return { amzDate, scope: `${date}/${S3_REGION}/s3/aws4_request`, signingKey };
+  }
+
+  /**
+   * Sign a canonical request
+   * @param {Object} context - From getSigningContext
+   * @param {string} canonicalRequest - Canonical request
+   * @returns {string} Hex signature
+   */
+  sign({ amzDate, scope, signingKey }, canonicalRequest) {
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+    return crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+  }
+
+  /**
+   * Send a signed request for an object
+   * @param {string} method - HTTP method
+   * @param {string} key - Object key
+   * @param {Object} options - Request options
+   * @param {Buffer} options.body - Request body (optional)
+   * @param {Object} options.headers - Extra headers to sign and send, lowercase names (optional)
+   * @returns {Promise<Object>} Axios response
+   */
+  async request(method, key, { body, headers = {} } = {}) {
+    const url = `${this.getObjectBaseUrl()}/${encodeStorageKey(key)}`;
+    const { host, pathname } = new URL(url);
+    const context = this.getSigningContext();
+    const payloadHash = sha256(body || '');
+
+    const signedHeaders = { ...headers, host, 'x-amz-content-sha256': payloadHash, 'x-amz-date': context.amzDate };
+    const names = Object.keys(signedHeaders).sort();
+    const canonicalRequest = [
+      method,
+      pathname,
+      '',
+      names.map((name) => `${name}:${String(signedHeaders[name]).trim()}\n`).join(''),
+      names.join(';'),
+      payloadHash
+    ].join('\n');
+    const signature = this.sign(context, canonicalRequest);
+
+    const { host: _host, ...sentHeaders } = signedHeaders;
+    return axios({
+      method,
+      url,
+      data: body,
+      headers: {
+        ...sentHeaders,
+        Authorization: `AWS4-HMAC-SHA256 Credential=${process.env.S3_ACCESS_KEY_ID}/${context.scope}, SignedHeaders=${names.join(';')}, Signature=${signature}`
+      },
+      maxBodyLength: Infinity
+    });
+  }
+
+  /**
+   * Upload a file
+   * @param {Buffer} buffer - File contents
+   * @param {Object} options - Upload options
+   * @param {string} options.folder - Folder under the root prefix (optional)
+   * @param {string} options.contentType - MIME type (optional)
+   * @param {boolean} options.private - Only reachable through presigned URLs
+   * @returns {Promise<Object>} { key, url }
+   */
+  async put(buffer, { folder, contentType, private: isPrivate = false } = {}) {
+    const key = buildStorageKey({ folder, contentType, private: isPrivate });
+    await this.request('PUT', key, {
+      body: buffer,
+      headers: { 'content-type': contentType || 'application/octet-stream' }
+    });
+    // Private files are stored by their bucket URL and read through signedUrl
+    const base = isPrivate ? this.getObjectBaseUrl() : this.getPublicBaseUrl();
+    return { key, url: `${base}/${encodeStorageKey(key)}` };
+  }
+
+  /**
+   * Delete a file
+   * @param {string} key - Object key
+   * @returns {Promise<void>}
+   */
+  async delete(key) {
+    await this.request('DELETE', key);
+  }
+
+  /**
+   * Presigned GET URL of a file
+   * @param {string} key - Object key
+   * @param {Object} options - URL options
+   * @param {number} options.expiresIn - Validity in seconds (default 15 minutes, at most 7 days)
+   * @returns {string} URL
+   */
+  signedUrl(key, { expiresIn = DEFAULT_SIGNED_URL_SECONDS } = {}) {
+    const url = `${this.getObjectBaseUrl()}/${encodeStorageKey(key)}`;
+    const { host, pathname } = new URL(url);
+    const context = this.getSigningContext();
+    const query = {
+      'X-Amz-Algorithm': 'AWS4-HMAC-SHA256',
+      'X-Amz-Credential': `${process.env.S3_ACCESS_KEY_ID}/${context.scope}`,
+      'X-Amz-Date': context.amzDate,
+      'X-Amz-Expires': String(Math.min(Math.max(Math.floor(expiresIn), 1), MAX_SIGNED_URL_SECONDS)),
+      'X-Amz-SignedHeaders': 'host'
+    };
+    const canonicalQuery = Object.keys(query).sort()
+      .map((name) => `${encodeQueryValue(name)}=${encodeQueryValue(query[name])}`)
+      .join('&');
+    const canonicalRequest = ['GET', pathname, canonicalQuery, `host:${host}\n`, 'host', 'UNSIGNED-PAYLOAD'].join('\n');
+    return `${url}?${canonicalQuery}&X-Amz-Signature=${this.sign(context, canonicalRequest)}`;
+  }
+
+  /**
+   * Find the file behind a URL this driver handed out
+   * @param {string} url - Stored URL
+   * @returns {Object|null} { key, private }, or null when the URL is not one of ours
+   */
+  locate(url) {
+    if (typeof url !== 'string') return null;
+    const base = [this.getPublicBaseUrl(), this.getObjectBaseUrl()].find((candidate) => url.startsWith(`${candidate}/`));
+    if (!base) return null;
+
+    let key;
+    try {
+      key = decodeURIComponent(url.slice(base.length + 1).split('?')[0]);
+    } catch (_e) {
+      return null;
+    }
+    return isStorageKey(key) ? { key, private: isPrivateStorageKey(key) } : null;
+  }
+}
+
+export default new S3StorageService();
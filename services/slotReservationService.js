@@ -0,0 +1,208 @@
+import mongoose from 'mongoose';
+import Availability from '../models/Availability.js';
+import SlotReservation from '../models/SlotReservation.js';
+import Appointment from '../models/Appointment.js';
+import { assertCallFits } from './callSlotService.js';
+import { HYBRID_PAYMENT_WINDOW_MINUTES } from './transactionService.js';
+import { offerNextInLine } from './waitlistService.js';
+
+/**
+ * Atomically claim a star's time before payment.
+ * Every reservation bumps the reservationVersion of the availability it falls in,
+ * so two concurrent reservations on the same date write-conflict and the retried
+ * one sees the other's hold. The hold lasts as long as the hybrid payment window.
+ * @param {Object} params - Reservation parameters
+ * @param {Object} params.star - Star (needs _id, callBufferMinutes, maxCallsPerDay)
+ * @param {string} params.fanId - Fan making the booking
+ * @param {string} params.availabilityId - Availability the slot belongs to
+ * @param {string} params.timeSlotId - Availability slot ID
+ * @param {string} params.date - Date the call counts towards (YYYY-MM-DD)
+ * @param {Date} params.startAt - Call start
+ * @param {Date} params.endAt - Call end
+ * @param {boolean} params.holdsWholeSlot - Mark the whole availability slot unavailable
+ * @param {string} params.excludeAppointmentId - Appointment to ignore (when rescheduling)
+ * @param {Date} params.expiresAt - Hold expiry (default: end of the hybrid payment window)
+ * @returns {Promise<Object>} The held reservation. Throws 'Time slot unavailable',
+ * 'Time slot overlaps another booking' or 'Daily call limit reached'
+ */
+export const holdSlot = async ({ star, fanId, availabilityId, timeSlotId, date, startAt, endAt, holdsWholeSlot, excludeAppointmentId = null, expiresAt = null }) => {
+  const session = await mongoose.startSession();
+
+  try {
+    let reservation = null;
+    await session.withTransaction(async () => {
+      const claimed = await Availability.findOneAndUpdate(
+        {
+          _id: availabilityId,
+          userId: star._id,
+          timeSlots: { $elemMatch: { _id: timeSlotId, status: 'available' } }
+        },
+        {
+          $inc: { reservationVersion: 1 },
+          ...(holdsWholeSlot ? { $set: { 'timeSlots.$.status': 'unavailable' } } : {})
+        },
+        { new: true, session }
+      );
+      if (!claimed) {
+        throw new Error('Time slot unavailable');
+      }
+
+      await assertCallFits(star, date, startAt, endAt, excludeAppointmentId, session);
+
+      const created = await SlotReservation.create([{
+        starId: star._id,
+        fanId,
+        availabilityId,
+        timeSlotId,
+        date,
+        startAt,
+        endAt,
+        holdsWholeSlot: Boolean(holdsWholeSlot),
+        status: 'held',
+        expiresAt: expiresAt || new Date(Date.now() + (HYBRID_PAYMENT_WINDOW_MINUTES * 60 * 1000))
+      }], { session });
+      reservation = created[0];
+    });
+
+    return reservation;
+  } finally {
+    await session.endSession();
+  }
+};
+
+/**
+ * Confirm a hold once its appointment exists; the appointment then blocks the time.
+ * A hybrid booking keeps the payment refundTimer as the reservation expiry.
+ * @param {string} reservationId - Reservation ID
+ * @param {Object} params - Booking references
+ * @param {string} params.appointmentId - Appointment created for the hold
+ * @param {string} params.transactionId - Payment transaction (optional)
+ * @param {Date} params.refundTimer - Hybrid payment refund timer (optional)
+ * @returns {Promise<Object|null>} Updated reservation
+ */
+export const confirmSlotHold = (reservationId, { appointmentId, transactionId = null, refundTimer = null }) => (
+  SlotReservation.findOneAndUpdate(
+    { _id: reservationId, status: 'held' },
+    { $set: { status: 'confirmed', appointmentId, transactionId, expiresAt: refundTimer || null } },
+    { new: true }
+  )
+);
+
+// Release a reservation, restoring the whole slot it marked unavailable
+const release = async (reservation) => {
+  const released = await SlotReservation.findOneAndUpdate(
+    { _id: reservation._id, status: { $ne: 'released' } },
+    { $set: { status: 'released' } },
+    { new: true }
+  );
+  if (released && reservation.status === 'held' && reservation.holdsWholeSlot) {
+    await Availability.updateOne(
+      { _id: reservation.availabilityId, userId: reservation.starId, 'timeSlots._id': reservation.timeSlotId },
+      { $set: { 'timeSlots.$.status': 'available' } }
+    );
+  }
+  return released;
+};
+
+/**
+ * Release the reservation of an appointment that will no longer take place and
+ * restore the availability slot when the appointment held all of it (no call type)
+ * @param {Object} appt - Appointment (or its previous state when it moved)
+ * @param {Object} session - MongoDB session (optional)
+ * @returns {Promise<void>}
+ */
+export const releaseAppointmentSlot = async (appt, session = null) => {
+  await SlotReservation.updateMany(
+    {
+      appointmentId: appt._id,
+      timeSlotId: appt.timeSlotId,
+      ...(appt.startAt ? { startAt: appt.startAt } : {}),
+      status: 'confirmed'
+    },
+    { $set: { status: 'released' } },
+    { session }
+  );
+
+  if (!appt.serviceId) {
+    await Availability.updateOne(
+      { _id: appt.availabilityId, userId: appt.starId, 'timeSlots._id': appt.timeSlotId },
+      { $set: { 'timeSlots.$.status': 'available' } },
+      { session }
+    );
+  }
+};
+
+/**
+ * Waitlist spot an appointment's time becomes once freed (see offerNextInLine)
+ * @param {Object} appt - Appointment
+ * @returns {Object} Spot
+ */
+export const appointmentSpot = (appt) => ({
+  kind: 'appointment',
+  starId: appt.starId,
+  offer: {
+    availabilityId: appt.availabilityId,
+    timeSlotId: appt.timeSlotId,
+    date: appt.date,
+    time: appt.time,
+    startAt: appt.startAt,
+    endAt: appt.endAt
+  }
+});
+
+/**
+ * Free the time of an appointment that will no longer take place: release its
+ * slot (see releaseAppointmentSlot) and offer the time to the star's waitlist
+ * @param {Object} appt - Appointment (or its previous state when it moved)
+ * @returns {Promise<void>}
+ */
+export const freeAppointmentSlot = async (appt) => {
+  await releaseAppointmentSlot(appt);
+
+  try {
+    await offerNextInLine(appointmentSpot(appt));
+  } catch (waitlistError) {
+    console.error('Error offering freed slot to waitlist:', waitlistError);
+  }
+};
+
+/**
+ * Release a hold whose booking failed (payment or appointment creation)
+ * @param {string} reservationId - Reservation ID
+ * @returns {Promise<Object|null>} Released reservation
+ */
+export const releaseSlotHold = async (reservationId) => {
+  const reservation = await SlotReservation.findById(reservationId);
+  if (!reservation || reservation.status === 'released') return null;
+  return release(reservation);
+};
+
+/**
+ * Release expired reservations: holds never turned into an appointment, and
+ * confirmed hybrid bookings whose appointment was cancelled when the payment
+ * timed out
+ * @returns {Promise<Object>} { released }
+ */
+export const releaseExpiredSlotHolds = async () => {
+  const expired = await SlotReservation.find({
+    status: { $in: ['held', 'confirmed'] },
+    expiresAt: { $ne: null, $lte: new Date() }
+  });
+
+  let released = 0;
+  for (const reservation of expired) {
+    if (reservation.status === 'confirmed') {
+      const appointment = await Appointment.findById(reservation.appointmentId).select('status paymentStatus');
+      if (appointment && ['pending', 'approved'].includes(appointment.status)) {
+        // Paid bookings keep their time; unpaid ones are cancelled by the payment timeout first
+        if (appointment.paymentStatus !== 'initiated') {
+          await SlotReservation.updateOne({ _id: reservation._id }, { $set: { expiresAt: null } });
+        }
+        continue;
+      }
+    }
+    if (await release(reservation)) released++;
+  }
+
+  return { released };
+};
@@ -0,0 +1,211 @@
+import Transaction from '../models/Transaction.js';
+import LedgerEntry from '../models/LedgerEntry.js';
+import User from '../models/User.js';
+import { getWalletLedgerBalance } from './ledgerService.js';
+import { renderTextPdf, PDF_CHARS_PER_LINE } from '../utils/pdfDocument.js';
+import { LEDGER_ACCOUNTS, TRANSACTION_STATUSES, createTransactionDescription } from '../utils/transactionConstants.js';
+
+// How each transaction status is reported on a statement
+const SETTLEMENT_BY_STATUS = {
+  [TRANSACTION_STATUSES.INITIATED]: 'awaiting_payment',
+  [TRANSACTION_STATUSES.PENDING]: 'escrow',
+  [TRANSACTION_STATUSES.COMPLETED]: 'settled',
+  [TRANSACTION_STATUSES.CANCELLED]: 'cancelled',
+  [TRANSACTION_STATUSES.REFUNDED]: 'refunded',
+  [TRANSACTION_STATUSES.FAILED]: 'failed'
+};
+
+const formatDate = (date) => new Date(date).toISOString().slice(0, 10);
+
+/**
+ * Build a wallet statement for a period.
+ * Every wallet ledger entry in the period is reported, grouped per transaction, so
+ * the opening balance plus the sum of the rows always equals the closing balance.
+ * Transactions in the period that did not move the wallet (e.g. a star's booking
+ * still held in escrow) are listed with their escrow amount and no wallet change.
+ * @param {string} userId - Statement owner
+ * @param {Object} period - Statement period
+ * @param {Date} period.from - Period start (inclusive)
+ * @param {Date} period.to - Period end (exclusive)
+ * @returns {Promise<Object>} Statement with balances, rows and totals
+ */
+export const buildWalletStatement = async (userId, { from, to }) => {
+  const user = await User.findById(userId).select('name pseudo email baroniId role');
+  if (!user) {
+    throw new Error('User not found');
+  }
+
+  const range = { $gte: from, $lt: to };
+  const [openingBalance, entries, periodTransactionIds] = await Promise.all([
+    getWalletLedgerBalance(userId, { before: from }),
+    LedgerEntry.find({ account: LEDGER_ACCOUNTS.WALLET, userId, createdAt: range }).sort({ createdAt: 1 }).lean(),
+    Transaction.distinct('_id', { $or: [{ payerId: userId }, { receiverId: userId }], createdAt: range })
+  ]);
+
+  const transactionIds = new Set(periodTransactionIds.map((id) => id.toString()));
+  entries.forEach((entry) => {
+    if (entry.transactionId) transactionIds.add(entry.transactionId.toString());
+  });
+
+  const transactions = await Transaction.find({ _id: { $in: [...transactionIds] } })
+    .populate('payerId', 'name role')
+    .populate('receiverId', 'name role')
+    .lean();
+
+  const rows = new Map();
+  transactions.forEach((txn) => {
+    const isPayer = txn.payerId?._id?.toString() === userId.toString();
+    const inEscrow = txn.status === TRANSACTION_STATUSES.PENDING;
+    rows.set(txn._id.toString(), {
+      date: txn.createdAt,
+      reference: txn._id.toString(),
+      type: txn.type,
+      description: createTransactionDescription(
+        txn.type,
+        txn.payerId?.name,
+        txn.receiverId?.name,
+        txn.payerId?.role,
+        txn.receiverId?.role
+      ),
+      status: txn.status,
+      settlement: SETTLEMENT_BY_STATUS[txn.status] || txn.status,
+      // Coins held in escrow on this booking: owed to the user as receiver, paid by the user as payer
+      escrowAmount: inEscrow ? txn.amount : 0,
+      escrowDirection: inEscrow ? (isPayer ? 'out' : 'in') : null,
+      credit: 0,
+      debit: 0
+    });
+  });
+
+  entries.forEach((entry) => {
+    let row = entry.transactionId ? rows.get(entry.transactionId.toString()) : null;
+    if (!row) {
+      // Movements not tied to a transaction (signup bonus, opening balance)
+      row = {
+        date: entry.createdAt,
+        reference: entry.journalId.toString(),
+        type: entry.entryType,
+        description: entry.description || entry.entryType,
+        status: TRANSACTION_STATUSES.COMPLETED,
+        settlement: 'settled',
+        escrowAmount: 0,
+        escrowDirection: null,
+        credit: 0,
+        debit: 0
+      };
+      rows.set(`journal:${entry.journalId}`, row);
+    }
+    row[entry.direction] += entry.amount;
+  });
+
+  const statementRows = [...rows.values()]
+    .map((row) => ({ ...row, net: row.credit - row.debit }))
+    .sort((a, b) => new Date(a.date) - new Date(b.date));
+
+  const totals = statementRows.reduce((acc, row) => {
+    acc.credits += row.credit;
+    acc.debits += row.debit;
+    if (row.escrowDirection === 'in') acc.escrowIncoming += row.escrowAmount;
+    if (row.escrowDirection === 'out') acc.escrowOutgoing += row.escrowAmount;
+    return acc;
+  }, { credits: 0, debits: 0, escrowIncoming: 0, escrowOutgoing: 0 });
+
+  return {
+    user: {
+      id: user._id,
+      name: user.name || user.pseudo || '',
+      baroniId: user.baroniId,
+      role: user.role
+    },
+    period: { from, to },
+    openingBalance,
+    closingBalance: openingBalance + totals.credits - totals.debits,
+    totals,
+    rows: statementRows,
+    generatedAt: new Date()
+  };
+};
+
+// Quote a CSV field when it contains a separator, quote or line break
+const csvField = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Render a statement as CSV
+ * @param {Object} statement - Statement from buildWalletStatement
+ * @returns {string} CSV contents
+ */
+export const renderStatementCsv = (statement) => {
+  const lines = [
+    ['Date', 'Reference', 'Type', 'Description', 'Status', 'Settlement', 'Credit', 'Debit', 'Net', 'Escrow amount', 'Escrow direction'],
+    ['', '', '', 'Opening balance', '', '', '', '', statement.openingBalance, '', ''],
+    ...statement.rows.map((row) => [
+      formatDate(row.date),
+      row.reference,
+      row.type,
+      row.description,
+      row.status,
+      row.settlement,
+      row.credit,
+      row.debit,
+      row.net,
+      row.escrowAmount,
+      row.escrowDirection || ''
+    ]),
+    ['', '', '', 'Closing balance', '', '', statement.totals.credits, statement.totals.debits, statement.closingBalance, '', '']
+  ];
+
+  return lines.map((line) => line.map(csvField).join(',')).join('\r\n') + '\r\n';
+};
+
+const fit = (value, width) => {
+  const text = String(value ?? '');
+  return text.length > width ? `${text.slice(0, width - 1)}~` : text.padEnd(width);
+};
+
+/**
+ * Render a statement as a PDF
+ * @param {Object} statement - Statement from buildWalletStatement
+ * @returns {Buffer} PDF contents
+ */
+export const renderStatementPdf = (statement) => {
+  const { user, period, totals } = statement;
+  const lastDay = new Date(new Date(period.to).getTime() - 1);
+  const rule = '-'.repeat(PDF_CHARS_PER_LINE);
+  const amount = (value) => String(value).padStart(9);
+  const columns = (date, description, settlement, credit, debit, escrow) =>
+    `${fit(date, 11)}${fit(description, 46)}${fit(settlement, 17)}${credit}${debit}${escrow}`;
+
+  const lines = [
+    'BARONI WALLET STATEMENT',
+    '',
+    `Account: ${user.name}${user.baroniId ? ` (${user.baroniId})` : ''}`,
+    `Period:  ${formatDate(period.from)} to ${formatDate(lastDay)}`,
+    `Issued:  ${formatDate(statement.generatedAt)}`,
+    '',
+    `Opening balance: ${statement.openingBalance} coins`,
+    '',
+    columns('Date', 'Description', 'Settlement', amount('Credit'), amount('Debit'), amount('Escrow')),
+    rule,
+    ...statement.rows.map((row) => columns(
+      formatDate(row.date),
+      row.description,
+      row.settlement,
+      amount(row.credit || ''),
+      amount(row.debit || ''),
+      amount(row.escrowAmount ? `${row.escrowDirection === 'out' ? '-' : '+'}${row.escrowAmount}` : '')
+    )),
+    rule,
+    columns('', 'Totals', '', amount(totals.credits), amount(totals.debits), amount('')),
+    '',
+    `Closing balance: ${statement.closingBalance} coins`,
+    `In escrow for you: ${totals.escrowIncoming} coins`,
+    `Paid into escrow by you: ${totals.escrowOutgoing} coins`,
+    '',
+    'Escrow amounts are not part of the wallet balance until the booking is settled or refunded.'
+  ];
+
+  return renderTextPdf(lines, { title: `Baroni statement ${formatDate(period.from)} - ${formatDate(lastDay)}` });
+};
@@ -0,0 +1,99 @@
+import cloudinaryStorageService from './cloudinaryStorageService.js';
+import s3StorageService from './s3StorageService.js';
+import localStorageService from './localStorageService.js';
+
+export const STORAGE_DRIVERS = {
+  CLOUDINARY: 'cloudinary',
+  S3: 's3',
+  LOCAL: 'local'
+};
+
+/**
+ * Storage driver interface. Every driver exposes:
+ * - isConfigured() => whether its credentials are set
+ * - put(buffer, { folder, contentType, private }) => { key, url }
+ * - delete(key, location) => removes the file
+ * - signedUrl(key, { ...location, expiresIn }) => time-limited URL (needed for private files)
+ * - locate(url) => { key, ...location } for a URL the driver handed out, otherwise null
+ * Stored documents keep the url, which is enough to sign the file later. Documents that
+ * uploaded the file themselves also keep its key; only such files are ever deleted.
+ * Uploaded videos do not go through these drivers: the video processing pipeline stores
+ * them on Cloudinary, so the server only starts without Cloudinary credentials when
+ * VIDEO_PROCESSING_ENABLED=false (see videoProcessingService).
+ */
+const drivers = {
+  [STORAGE_DRIVERS.CLOUDINARY]: cloudinaryStorageService,
+  [STORAGE_DRIVERS.S3]: s3StorageService,
+  [STORAGE_DRIVERS.LOCAL]: localStorageService
+};
+
+/**
+ * Get a storage driver by name
+ * @param {string} name - Driver name (STORAGE_DRIVERS value); STORAGE_DRIVER, then Cloudinary, when omitted
+ * @returns {Object} Storage driver
+ */
+export const getStorageDriver = (name = process.env.STORAGE_DRIVER || STORAGE_DRIVERS.CLOUDINARY) => {
+  const driver = drivers[name];
+  if (!driver) {
+    throw new Error('Unknown storage driver');
+  }
+  return driver;
+};
+
+/**
+ * Store a file with the active driver
+ * @param {Buffer} buffer - File contents
+ * @param {Object} options - Upload options
+ * @param {string} options.folder - Folder, e.g. 'videos' (optional)
+ * @param {string} options.contentType - MIME type (optional)
+ * @param {boolean} options.private - Only reachable through signed URLs
+ * @returns {Promise<Object>} { key, url }
+ */
+export const putFile = (buffer, options = {}) => getStorageDriver().put(buffer, options);
+
+// Driver that stored a URL, checking every configured driver so files kept
+// from before a driver switch can still be signed and deleted
+const locateFile = (url) => {
+  for (const driver of Object.values(drivers)) {
+    if (!driver.isConfigured()) continue;
+    const location = driver.locate(url);
+    if (location) return { driver, location };
+  }
+  return null;
+};
+
+/**
+ * Time-limited URL of a stored file
+ * @param {string} url - Stored URL
+ * @param {Object} options - URL options
+ * @param {number} options.expiresIn - Validity in seconds (driver default when omitted)
+ * @returns {string} Signed URL, or the URL unchanged when no driver stored it
+ */
+export const getSignedFileUrl = (url, { expiresIn } = {}) => {
+  const found = locateFile(url);
+  if (!found) return url;
+  const { driver, location } = found;
+  return driver.signedUrl(location.key, { ...location, ...(expiresIn ? { expiresIn } : {}) });
+};
+
+/**
+ * Delete the file a document uploaded and no longer references, logging failures instead of throwing.
+ * Only the file recorded at upload is deleted: URLs a client supplied have no key, and a URL
+ * that does not resolve to the recorded key is left alone.
+ * Call after the document is saved so a failed save never loses the file still in use.
+ * @param {Object} previous - File before the change
+ * @param {string} previous.url - Stored URL
+ * @param {string} previous.key - Key recorded when the document uploaded the file
+ * @param {string} currentUrl - URL after the change (optional; omit when the document was removed)
+ * @returns {Promise<void>}
+ */
+export const deleteReplacedFile = async ({ url, key } = {}, currentUrl = null) => {
+  if (!url || !key || url === currentUrl) return;
+  const found = locateFile(url);
+  if (!found || found.location.key !== key) return;
+  try {
+    await found.driver.delete(key, found.location);
+  } catch (error) {
+    console.error(`[Storage] Failed to delete ${url}:`, error.message);
+  }
+};
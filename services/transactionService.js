@@ -1,8 +1,14 @@
 import Transaction from '../models/Transaction.js';
 import User from '../models/User.js';
+import Config from '../models/Config.js';
+import LedgerEntry from '../models/LedgerEntry.js';
 import mongoose from 'mongoose';
-import orangeMoneyService from './orangeMoneyService.js';
-import { TRANSACTION_STATUSES, PAYMENT_MODES } from '../utils/transactionConstants.js';
+import { resolvePaymentProvider } from './paymentProviderService.js';
+import { recordMovement, walletOf } from './ledgerService.js';
+import { TRANSACTION_TYPES, TRANSACTION_STATUSES, PAYMENT_MODES, LEDGER_ACCOUNTS, LEDGER_ENTRY_TYPES, COMMISSIONABLE_TRANSACTION_TYPES, createTransactionDescription } from '../utils/transactionConstants.js';
+
+// Time the payer has to complete the external part of a hybrid payment (refundTimer)
+export const HYBRID_PAYMENT_WINDOW_MINUTES = 15;
 
 /**
  * Create a hybrid transaction with coin + external payment logic
@@ -15,6 +21,7 @@ import { TRANSACTION_STATUSES, PAYMENT_MODES } from '../utils/transactionConstan
  * @param {Object} transactionData.metadata - Additional metadata
  * @param {string} transactionData.userPhone - User's phone number for external payment
  * @param {string} transactionData.starName - Star's name (optional)
+ * @param {string} transactionData.currency - Payment currency, used to pick the provider (optional)
  * @returns {Promise<Object>} Created transaction
  */
 export const createHybridTransaction = async (transactionData) => {
@@ -32,7 +39,8 @@ export const createHybridTransaction = async (transactionData) => {
         description, 
         metadata, 
         userPhone, 
-        starName 
+        starName,
+        currency
       } = transactionData;
 
       // Validate amount
@@ -46,11 +54,12 @@ export const createHybridTransaction = async (transactionData) => {
         throw new Error('Payer not found');
       }
 
-      const coinBalance = payer.coinBalance || 0;
+      const coinBalance = Math.max(payer.coinBalance || 0, 0);
       let coinAmount = 0;
       let externalAmount = 0;
       let paymentMode = PAYMENT_MODES.COIN;
       let externalPaymentId = null;
+      let paymentProvider = null;
 
       // Determine payment split
       if (coinBalance >= amount) {
@@ -64,36 +73,29 @@ export const createHybridTransaction = async (transactionData) => {
         externalAmount = amount - coinBalance;
         paymentMode = PAYMENT_MODES.HYBRID;
 
-        // Initiate external payment
-        const motif = orangeMoneyService.mapTransactionTypeToMotif(type);
         // Validate phone number for external payment
         if (!userPhone) {
           throw new Error('User contact number is required for external payment');
         }
-        const paymentResult = await orangeMoneyService.initiatePayment({
+
+        // Initiate external payment with the payer's provider
+        const provider = resolvePaymentProvider({ country: payer.country, currency });
+        const paymentResult = await provider.initiatePayment({
           msisdn: userPhone,
-          montant: externalAmount,
-          motif,
-          nameStar: starName
+          amount: externalAmount,
+          transactionType: type,
+          starName
         });
 
         if (!paymentResult.success) {
           throw new Error('Failed to initiate external payment');
         }
 
+        paymentProvider = provider.name;
         externalPaymentId = paymentResult.transactionId;
         externalPaymentMessage = paymentResult.message;
       }
 
-      // Deduct coins from payer (if any)
-      if (coinAmount > 0) {
-        await User.findByIdAndUpdate(
-          payerId,
-          { $inc: { coinBalance: -coinAmount } },
-          { session, new: true }
-        );
-      }
-
       // Create transaction record
       const transaction = await Transaction.create([{
         type,
@@ -106,11 +108,22 @@ export const createHybridTransaction = async (transactionData) => {
         coinAmount,
         externalAmount,
         externalPaymentId,
-        refundTimer: paymentMode === PAYMENT_MODES.HYBRID ? new Date(Date.now() + (15 * 60 * 1000)) : null,
+        paymentProvider,
+        refundTimer: paymentMode === PAYMENT_MODES.HYBRID ? new Date(Date.now() + (HYBRID_PAYMENT_WINDOW_MINUTES * 60 * 1000)) : null,
         metadata
       }], { session });
 
       createdTransaction = transaction[0];
+
+      // Reserve coins from payer into escrow (if any)
+      await recordMovement({
+        entryType: LEDGER_ENTRY_TYPES.RESERVATION,
+        from: walletOf(payerId),
+        to: LEDGER_ACCOUNTS.ESCROW,
+        amount: coinAmount,
+        transactionId: createdTransaction._id,
+        description
+      }, session);
     });
 
     return { 
@@ -123,6 +136,7 @@ export const createHybridTransaction = async (transactionData) => {
       coinAmount: createdTransaction?.coinAmount,
       externalAmount: createdTransaction?.externalAmount,
       externalPaymentId: createdTransaction?.externalPaymentId,
+      paymentProvider: createdTransaction?.paymentProvider,
       externalPaymentMessage
     };
 
@@ -167,17 +181,10 @@ export const createTransaction = async (transactionData) => {
         if (payer.coinBalance < amount) {
           throw new Error('Insufficient coin balance');
         }
-
-        // Deduct coins from payer immediately (they are reserved)
-        await User.findByIdAndUpdate(
-          payerId,
-          { $inc: { coinBalance: -amount } },
-          { session, new: true }
-        );
       }
 
       // Create transaction record with pending status
-      await Transaction.create([{
+      const [transaction] = await Transaction.create([{
         type,
         payerId,
         receiverId,
@@ -187,6 +194,18 @@ export const createTransaction = async (transactionData) => {
         status: 'pending',
         metadata
       }], { session });
+
+      // Deduct coins from payer immediately (they are reserved in escrow)
+      if (paymentMode === 'coin') {
+        await recordMovement({
+          entryType: LEDGER_ENTRY_TYPES.RESERVATION,
+          from: walletOf(payerId),
+          to: LEDGER_ACCOUNTS.ESCROW,
+          amount,
+          transactionId: transaction._id,
+          description
+        }, session);
+      }
     });
 
     // If we reach here, transaction was successful
@@ -231,6 +250,34 @@ export const completeTransaction = async (transactionId, session = null) => {
   }
 };
 
+/**
+ * Resolve the platform commission percentage for a transaction.
+ * A star-specific rate wins over the per-type rate, which wins over the global rate.
+ * @param {Object} transaction - Transaction object
+ * @param {Object} session - MongoDB session
+ * @returns {Promise<number>} Commission percentage (0-100)
+ */
+export const resolveCommissionPercent = async (transaction, session = null) => {
+  if (!COMMISSIONABLE_TRANSACTION_TYPES.includes(transaction.type)) {
+    return 0;
+  }
+
+  const receiver = await User.findById(transaction.receiverId).select('role commissionPercent').session(session);
+  if (!receiver || receiver.role === 'admin') {
+    return 0;
+  }
+  if (typeof receiver.commissionPercent === 'number') {
+    return receiver.commissionPercent;
+  }
+
+  const config = await Config.getSingleton();
+  const typePercent = config.commissionPercentByType?.get(transaction.type);
+  if (typeof typePercent === 'number') {
+    return typePercent;
+  }
+  return config.commissionPercent || 0;
+};
+
 /**
  * Internal method to complete transaction
  * @param {string} transactionId - Transaction ID to complete
@@ -246,14 +293,36 @@ const completeTransactionInternal = async (transactionId, session) => {
     throw new Error('Transaction is not in pending status');
   }
 
-  // Add coins to receiver
-  await User.findByIdAndUpdate(
-    transaction.receiverId,
-    { $inc: { coinBalance: transaction.amount } },
-    { session, new: true }
-  );
+  const commissionPercent = await resolveCommissionPercent(transaction, session);
+  // Coins are whole, so the commission is rounded to the nearest coin
+  const commissionAmount = Math.round(transaction.amount * commissionPercent / 100);
+
+  // Release escrowed coins to receiver, net of the platform commission
+  await recordMovement({
+    entryType: LEDGER_ENTRY_TYPES.ESCROW_RELEASE,
+    from: LEDGER_ACCOUNTS.ESCROW,
+    to: walletOf(transaction.receiverId),
+    amount: transaction.amount - commissionAmount,
+    transactionId: transaction._id,
+    description: transaction.description
+  }, session);
+
+  // Credit the platform share to the platform account
+  if (commissionAmount > 0) {
+    await recordMovement({
+      entryType: LEDGER_ENTRY_TYPES.COMMISSION,
+      from: LEDGER_ACCOUNTS.ESCROW,
+      to: LEDGER_ACCOUNTS.PLATFORM,
+      amount: commissionAmount,
+      transactionId: transaction._id,
+      description: `Platform commission (${commissionPercent}%)`,
+      metadata: { commissionPercent }
+    }, session);
+  }
 
   // Update transaction status to completed
+  transaction.commissionPercent = commissionPercent;
+  transaction.commissionAmount = commissionAmount;
   transaction.status = TRANSACTION_STATUSES.COMPLETED;
   transaction.refundTimer = null; // Clear refund timer
   await transaction.save({ session });
@@ -280,11 +349,14 @@ export const cancelTransaction = async (transactionId) => {
 
       // Refund coins to payer for both payment modes. For 'coin', this returns reserved coins.
       // For 'external', this credits coins to the user wallet instead of gateway refund.
-      await User.findByIdAndUpdate(
-        transaction.payerId,
-        { $inc: { coinBalance: transaction.amount } },
-        { session, new: true }
-      );
+      await recordMovement({
+        entryType: LEDGER_ENTRY_TYPES.CANCELLATION,
+        from: LEDGER_ACCOUNTS.ESCROW,
+        to: walletOf(transaction.payerId),
+        amount: transaction.amount,
+        transactionId: transaction._id,
+        description: transaction.description
+      }, session);
 
       // Update transaction status to cancelled
       transaction.status = 'cancelled';
@@ -301,43 +373,211 @@ export const cancelTransaction = async (transactionId) => {
 };
 
 /**
- * Refund a completed transaction
+ * Refund a completed transaction, fully or partially.
+ * Writes a REFUND transaction from the receiver to the payer. The refund is
+ * split between the receiver and the platform commission in proportion to
+ * the original split. Several partial refunds may be issued up to the
+ * original amount; the original transaction becomes refunded once fully
+ * reversed. A refund is never refused for the receiver's balance: when the
+ * receiver has already spent or withdrawn the coins, their balance goes
+ * negative and is paid off by their next earnings.
  * @param {string} transactionId - Transaction ID to refund
- * @returns {Promise<Object>} Updated transaction
+ * @param {Object} options - Refund options
+ * @param {number} options.amount - Amount to refund (defaults to the remaining refundable amount)
+ * @param {string} options.reason - Refund reason (optional)
+ * @param {Object} options.metadata - Additional metadata for the refund transaction (optional)
+ * @param {Object} session - Optional MongoDB session
+ * @returns {Promise<Object>} Refund transaction
+ */
+export const refundTransaction = async (transactionId, options = {}, session = null) => {
+  const shouldStartSession = !session;
+  if (shouldStartSession) {
+    session = await mongoose.startSession();
+  }
+
+  try {
+    let refund = null;
+    if (shouldStartSession) {
+      await session.withTransaction(async () => {
+        refund = await refundTransactionInternal(transactionId, options, session);
+      });
+    } else {
+      refund = await refundTransactionInternal(transactionId, options, session);
+    }
+
+    return refund;
+
+  } catch (error) {
+    throw error;
+  } finally {
+    if (shouldStartSession) {
+      await session.endSession();
+    }
+  }
+};
+
+/**
+ * Internal method to refund a transaction
+ * @param {string} transactionId - Transaction ID to refund
+ * @param {Object} options - Refund options (see refundTransaction)
+ * @param {Object} session - MongoDB session
+ * @returns {Promise<Object>} Refund transaction
+ */
+const refundTransactionInternal = async (transactionId, options, session) => {
+  const transaction = await Transaction.findById(transactionId).session(session);
+  if (!transaction) {
+    throw new Error('Transaction not found');
+  }
+
+  if (transaction.status !== TRANSACTION_STATUSES.COMPLETED) {
+    throw new Error('Transaction is not in completed status');
+  }
+
+  const refundable = Math.round((transaction.amount - (transaction.refundedAmount || 0)) * 100) / 100;
+  const amount = options.amount === undefined ? refundable : Math.round(options.amount * 100) / 100;
+  if (amount <= 0) {
+    throw new Error('Refund amount must be greater than 0');
+  }
+  if (amount > refundable) {
+    throw new Error('Refund amount exceeds the refundable amount');
+  }
+
+  // Share of the refund that came out of the platform commission
+  const commissionShare = transaction.commissionAmount
+    ? Math.round(amount * transaction.commissionAmount / transaction.amount)
+    : 0;
+  const receiverShare = Math.round((amount - commissionShare) * 100) / 100;
+
+  const receiver = await User.findById(transaction.receiverId).session(session);
+  // Part of the refund the receiver no longer holds, owed from future earnings
+  const receiverDebt = Math.max(receiverShare - Math.max(receiver?.coinBalance || 0, 0), 0);
+
+  const [refundRecord] = await Transaction.create([{
+    type: TRANSACTION_TYPES.REFUND,
+    payerId: transaction.receiverId,
+    receiverId: transaction.payerId,
+    amount,
+    description: createTransactionDescription(TRANSACTION_TYPES.REFUND, receiver?.name || receiver?.pseudo || ''),
+    paymentMode: PAYMENT_MODES.COIN,
+    status: TRANSACTION_STATUSES.COMPLETED,
+    coinAmount: amount,
+    metadata: {
+      ...options.metadata,
+      originalTransactionId: transaction._id,
+      reason: options.reason,
+      commissionShare,
+      receiverDebt
+    }
+  }], { session: session });
+
+  // Reverse completion: deduct from receiver and credit payer, regardless of payment mode
+  await recordMovement({
+    entryType: LEDGER_ENTRY_TYPES.REFUND,
+    from: walletOf(transaction.receiverId),
+    to: walletOf(transaction.payerId),
+    amount: receiverShare,
+    transactionId: refundRecord._id,
+    description: transaction.description,
+    metadata: { originalTransactionId: transaction._id }
+  }, session);
+
+  // Claw back the platform commission share from the account that received it
+  // (commissions credited before the platform account was used went to an admin wallet)
+  if (commissionShare > 0) {
+    const commissionCredit = await LedgerEntry.findOne({
+      transactionId: transaction._id,
+      entryType: LEDGER_ENTRY_TYPES.COMMISSION,
+      direction: 'credit'
+    }).session(session);
+    await recordMovement({
+      entryType: LEDGER_ENTRY_TYPES.REFUND,
+      from: commissionCredit?.userId ? walletOf(commissionCredit.userId) : LEDGER_ACCOUNTS.PLATFORM,
+      to: walletOf(transaction.payerId),
+      amount: commissionShare,
+      transactionId: refundRecord._id,
+      description: 'Platform commission refunded',
+      metadata: { originalTransactionId: transaction._id }
+    }, session);
+  }
+
+  transaction.refundedAmount = Math.round(((transaction.refundedAmount || 0) + amount) * 100) / 100;
+  if (transaction.refundedAmount >= transaction.amount) {
+    transaction.status = TRANSACTION_STATUSES.REFUNDED;
+  }
+  await transaction.save({ session: session });
+
+  return refundRecord;
+};
+
+/**
+ * Credit or debit a user's coins on behalf of an admin
+ * @param {Object} adjustmentData - Adjustment data
+ * @param {string} adjustmentData.adminId - Admin performing the adjustment
+ * @param {string} adjustmentData.userId - User whose wallet is adjusted
+ * @param {string} adjustmentData.direction - 'credit' or 'debit'
+ * @param {number} adjustmentData.amount - Amount of coins
+ * @param {string} adjustmentData.reason - Mandatory reason for the adjustment
+ * @param {string} adjustmentData.referenceType - 'support_ticket' or 'dispute'
+ * @param {string} adjustmentData.referenceId - ID of the support ticket or dispute
+ * @returns {Promise<Object>} Created transaction
  */
-export const refundTransaction = async (transactionId) => {
+export const createAdminAdjustment = async (adjustmentData) => {
   const session = await mongoose.startSession();
 
   try {
+    let createdTransaction = null;
     await session.withTransaction(async () => {
-      const transaction = await Transaction.findById(transactionId).session(session);
-      if (!transaction) {
-        throw new Error('Transaction not found');
+      const { adminId, userId, direction, amount, reason, referenceType, referenceId } = adjustmentData;
+
+      if (amount <= 0) {
+        throw new Error('Amount must be greater than 0');
       }
 
-      if (transaction.status !== 'completed') {
-        throw new Error('Transaction is not in completed status');
+      const user = await User.findById(userId).session(session);
+      if (!user) {
+        throw new Error('User not found');
       }
 
-      // Reverse completion: deduct from receiver and credit payer, regardless of payment mode
-      await User.findByIdAndUpdate(
-        transaction.receiverId,
-        { $inc: { coinBalance: -transaction.amount } },
-        { session, new: true }
-      );
+      const isCredit = direction === 'credit';
+      if (!isCredit && (user.coinBalance || 0) < amount) {
+        throw new Error('Insufficient coin balance');
+      }
 
-      await User.findByIdAndUpdate(
-        transaction.payerId,
-        { $inc: { coinBalance: transaction.amount } },
-        { session, new: true }
-      );
+      const type = isCredit ? TRANSACTION_TYPES.ADMIN_CREDIT : TRANSACTION_TYPES.ADMIN_DEBIT;
+      const description = createTransactionDescription(type, user.name || user.pseudo || '', 'Admin', user.role, 'admin');
 
-      // Update transaction status to refunded
-      transaction.status = 'refunded';
-      await transaction.save({ session });
+      const [transaction] = await Transaction.create([{
+        type,
+        payerId: isCredit ? adminId : userId,
+        receiverId: isCredit ? userId : adminId,
+        amount,
+        description,
+        paymentMode: PAYMENT_MODES.COIN,
+        status: TRANSACTION_STATUSES.COMPLETED,
+        coinAmount: amount,
+        metadata: {
+          adjustedUserId: user._id,
+          adminId,
+          reason,
+          referenceType,
+          referenceId
+        }
+      }], { session });
+
+      await recordMovement({
+        entryType: isCredit ? LEDGER_ENTRY_TYPES.ADMIN_CREDIT : LEDGER_ENTRY_TYPES.ADMIN_DEBIT,
+        from: isCredit ? LEDGER_ACCOUNTS.PLATFORM : walletOf(userId),
+        to: isCredit ? walletOf(userId) : LEDGER_ACCOUNTS.PLATFORM,
+        amount,
+        transactionId: transaction._id,
+        description,
+        metadata: { reason, referenceType, referenceId, adminId }
+      }, session);
+
+      createdTransaction = transaction;
     });
 
-    return { success: true, message: 'Transaction refunded successfully' };
+    return createdTransaction;
 
   } catch (error) {
     throw error;
@@ -346,6 +586,118 @@ export const refundTransaction = async (transactionId) => {
   }
 };
 
+/**
+ * List admin wallet adjustments
+ * @param {Object} options - Query options
+ * @param {string} options.userId - Filter by adjusted user
+ * @returns {Promise<Array>} Adjustment transactions
+ */
+export const getAdminAdjustments = async (options = {}) => {
+  const filter = {
+    type: { $in: [TRANSACTION_TYPES.ADMIN_CREDIT, TRANSACTION_TYPES.ADMIN_DEBIT] }
+  };
+  if (options.userId) filter['metadata.adjustedUserId'] = new mongoose.Types.ObjectId(options.userId);
+
+  return Transaction.find(filter)
+    .populate('payerId', 'name email baroniId')
+    .populate('receiverId', 'name email baroniId')
+    .sort({ createdAt: -1 });
+};
+
+/**
+ * Active coin packs with their bonus coins resolved from the pack and the bonus tiers
+ * @param {Object} config - Config document (optional, loaded when omitted)
+ * @returns {Promise<Array>} Coin pack offers
+ */
+export const getCoinPackOffers = async (config = null) => {
+  const cfg = config || await Config.getSingleton();
+  const tiers = [...(cfg.bonusTiers || [])].sort((a, b) => b.minCoins - a.minCoins);
+
+  return (cfg.coinPacks || [])
+    .filter((pack) => pack.active)
+    .map((pack) => {
+      const tier = tiers.find((t) => pack.coins >= t.minCoins);
+      const tierBonus = tier ? Math.floor(pack.coins * tier.bonusPercent / 100) : 0;
+      const bonusCoins = (pack.bonusCoins || 0) + tierBonus;
+      return {
+        packId: pack._id,
+        label: pack.label,
+        coins: pack.coins,
+        bonusCoins,
+        totalCoins: pack.coins + bonusCoins,
+        price: pack.price
+      };
+    })
+    .sort((a, b) => a.price - b.price);
+};
+
+/**
+ * Start a coin pack purchase through the external payment gateway.
+ * The transaction stays initiated until the payment callback succeeds, which
+ * credits the coins; the refund timer fails it if no callback arrives in time.
+ * @param {Object} topUpData - Top-up data
+ * @param {string} topUpData.userId - Buyer user ID
+ * @param {string} topUpData.packId - Coin pack ID from Config.coinPacks
+ * @param {string} topUpData.userPhone - Buyer's phone number for the external payment
+ * @returns {Promise<Object>} Created top-up transaction details
+ */
+export const createTopUpTransaction = async ({ userId, packId, userPhone }) => {
+  const offers = await getCoinPackOffers();
+  const offer = offers.find((o) => String(o.packId) === String(packId));
+  if (!offer) {
+    throw new Error('Coin pack not found');
+  }
+
+  const user = await User.findById(userId);
+  if (!user) {
+    throw new Error('User not found');
+  }
+
+  const provider = resolvePaymentProvider({ country: user.country });
+  const paymentResult = await provider.initiatePayment({
+    msisdn: userPhone,
+    amount: offer.price,
+    transactionType: TRANSACTION_TYPES.COIN_TOP_UP
+  });
+
+  if (!paymentResult.success) {
+    throw new Error('Failed to initiate external payment');
+  }
+
+  const type = TRANSACTION_TYPES.COIN_TOP_UP;
+  const transaction = await Transaction.create({
+    type,
+    payerId: user._id,
+    receiverId: user._id,
+    amount: offer.totalCoins,
+    description: createTransactionDescription(type, user.name || user.pseudo || '', '', user.role, user.role),
+    paymentMode: PAYMENT_MODES.EXTERNAL,
+    status: TRANSACTION_STATUSES.INITIATED,
+    externalAmount: offer.price,
+    externalPaymentId: paymentResult.transactionId,
+    paymentProvider: provider.name,
+    refundTimer: new Date(Date.now() + (HYBRID_PAYMENT_WINDOW_MINUTES * 60 * 1000)),
+    metadata: {
+      packId: offer.packId,
+      coins: offer.coins,
+      bonusCoins: offer.bonusCoins
+    }
+  });
+
+  return {
+    success: true,
+    message: 'Top-up initiated. Complete the external payment to receive your coins.',
+    transactionId: transaction._id,
+    coins: offer.coins,
+    bonusCoins: offer.bonusCoins,
+    totalCoins: offer.totalCoins,
+    price: offer.price,
+    externalPaymentId: transaction.externalPaymentId,
+    paymentProvider: transaction.paymentProvider,
+    externalPaymentMessage: paymentResult.message
+  };
+};
+
 /**
  * Get user's transaction history
  * @param {string} userId - User ID
@@ -353,10 +705,14 @@ export const refundTransaction = async (transactionId) => {
  * @param {string} options.type - Filter by transaction type
  * @param {string} options.paymentMode - Filter by payment mode
  * @param {string} options.status - Filter by transaction status
+ * @param {string} options.from - Only transactions created on or after this date
+ * @param {string} options.to - Only transactions created on or before this date
+ * @param {number} options.page - Page number when paginating (default 1)
+ * @param {number} options.limit - Page size; omit to return the full history
  * @returns {Promise<Array>} Transaction history array
  */
 export const getUserTransactionHistory = async (userId, options = {}) => {
-  const { type, paymentMode, status } = options;
+  const { type, paymentMode, status, from, to, page, limit } = options;
 
   const filter = {
     $or: [{ payerId: userId }, { receiverId: userId }]
@@ -365,12 +721,25 @@ export const getUserTransactionHistory = async (userId, options = {}) => {
   if (type) filter.type = type;
   if (paymentMode) filter.paymentMode = paymentMode;
   if (status) filter.status = status;
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = new Date(from);
+    if (to) filter.createdAt.$lte = new Date(to);
+  }
 
-  const transactions = await Transaction.find(filter)
+  const query = Transaction.find(filter)
     .populate('payerId', 'name email baroniId')
     .populate('receiverId', 'name email baroniId')
     .sort({ createdAt: -1 });
 
+  // Pagination is opt-in so existing clients keep receiving the full history
+  if (limit) {
+    const pageSize = Number(limit);
+    query.skip((Math.max(Number(page) || 1, 1) - 1) * pageSize).limit(pageSize);
+  }
+
+  const transactions = await query;
+
   return transactions;
 };
 
@@ -410,13 +779,30 @@ export const getUserCoinBalance = async (userId) => {
  * @returns {Promise<Object>} Updated user
  */
 export const initializeUserCoins = async (userId) => {
-  const user = await User.findByIdAndUpdate(
-    userId,
-    { $set: { coinBalance: 20 } },
-    { new: true }
-  );
+  const session = await mongoose.startSession();
 
-  if (!user) {
-    throw new Error('User not found');
+  try {
+    await session.withTransaction(async () => {
+      // Reset the schema default so the bonus is fully explained by the ledger
+      const user = await User.findByIdAndUpdate(
+        userId,
+        { $set: { coinBalance: 0 } },
+        { session, new: true }
+      );
+
+      if (!user) {
+        throw new Error('User not found');
+      }
+
+      await recordMovement({
+        entryType: LEDGER_ENTRY_TYPES.SIGNUP_BONUS,
+        from: LEDGER_ACCOUNTS.PLATFORM,
+        to: walletOf(userId),
+        amount: 20,
+        description: 'Signup bonus'
+      }, session);
+    });
+  } finally {
+    await session.endSession();
   }
 };
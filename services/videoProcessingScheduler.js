@@ -0,0 +1,23 @@
+import cron from 'node-cron';
+import { expireVideoUploads } from './videoUploadService.js';
+import { failStaleVideoProcessing } from './videoProcessingService.js';
+
+/**
+ * Schedule video upload cleanup
+ * Runs every 15 minutes to drop abandoned uploads and fail processing that never finished
+ */
+export const startVideoProcessingScheduler = () => {
+  cron.schedule('*/15 * * * *', async () => {
+    try {
+      const expired = await expireVideoUploads();
+      const failed = await failStaleVideoProcessing();
+      if (expired > 0 || failed > 0) {
+        console.log('Video cleanup completed:', { expired, failed });
+      }
+    } catch (error) {
+      console.error('Error in video cleanup:', error);
+    }
+  });
+
+  console.log('Video processing scheduler started - running every 15 minutes');
+};
@@ -0,0 +1,322 @@
+import fs from 'fs/promises';
+import Config from '../models/Config.js';
+import DedicationRequest from '../models/DedicationRequest.js';
+import DedicationSample from '../models/DedicationSample.js';
+import NotificationHelper from '../utils/notificationHelper.js';
+import { deleteReplacedFile } from './storageService.js';
+import cloudinaryStorageService from './cloudinaryStorageService.js';
+import { uploadVideoFile, deleteVideo, videoUrl, generateVideoDerivatives } from '../utils/uploadFile.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Processing still running after this long was lost (e.g. the server restarted)
+const STALE_PROCESSING_MS = 2 * HOUR_MS;
+
+const VIDEO_PROCESSING_DISABLED = 'Video uploads are disabled on this server';
+
+/**
+ * Whether uploaded videos are accepted and processed. Processing runs on Cloudinary
+ * whatever STORAGE_DRIVER is; VIDEO_PROCESSING_ENABLED=false turns it off for
+ * deployments without Cloudinary, and video uploads are then refused.
+ * @returns {boolean} True unless VIDEO_PROCESSING_ENABLED is "false"
+ */
+export const isVideoProcessingEnabled = () => process.env.VIDEO_PROCESSING_ENABLED !== 'false';
+
+/**
+ * Check at startup that Cloudinary is configured when video processing is enabled
+ * @throws {Error} When it is not, so the server does not start
+ */
+export const assertVideoProcessingConfigured = () => {
+  if (isVideoProcessingEnabled() && !cloudinaryStorageService.isConfigured()) {
+    throw new Error('Video processing needs Cloudinary: set CLOUDINARY_CLOUD_NAME, CLOUDINARY_API_KEY and CLOUDINARY_API_SECRET, or set VIDEO_PROCESSING_ENABLED=false');
+  }
+};
+
+/**
+ * Refuse a video upload when video processing is disabled
+ * @throws {Error} When it is disabled
+ */
+export const ensureVideoProcessingEnabled = () => {
+  if (!isVideoProcessingEnabled()) {
+    throw new Error(VIDEO_PROCESSING_DISABLED);
+  }
+};
+
+// Baroni watermark layered over dedication previews; an uploaded logo can replace the text
+const watermarkLayer = () => ({
+  overlay: process.env.CLOUDINARY_WATERMARK_PUBLIC_ID || { font_family: 'Arial', font_size: 64, font_weight: 'bold', text: 'Baroni' },
+  ...(process.env.CLOUDINARY_WATERMARK_PUBLIC_ID ? { width: 0.3, flags: 'relative' } : { color: '#FFFFFF' }),
+  opacity: 40,
+  gravity: 'south_east',
+  x: 24,
+  y: 24
+});
+
+/**
+ * Duration and codec rules for a kind of video
+ * @param {string} kind - 'dedication_request' or 'dedication_sample'
+ * @param {Object} config - Config document
+ * @returns {Object} { minSeconds, maxSeconds, codecs }
+ */
+export const getVideoRules = (kind, config) => ({
+  minSeconds: config.videoMinSeconds,
+  maxSeconds: kind === 'dedication_sample' ? config.sampleVideoMaxSeconds : config.dedicationVideoMaxSeconds,
+  codecs: (config.allowedVideoCodecs || []).map((codec) => codec.toLowerCase())
+});
+
+/**
+ * Check an uploaded video against the rules
+ * @param {Object} asset - Uploaded asset (durationSeconds, codec)
+ * @param {Object} rules - From getVideoRules
+ * @throws {Error} When the video is rejected
+ */
+export const validateVideoAsset = (asset, rules) => {
+  if (typeof asset.durationSeconds !== 'number') {
+    throw new Error('Could not read the video duration');
+  }
+  if (asset.durationSeconds < rules.minSeconds) {
+    throw new Error(`Video must be at least ${rules.minSeconds} seconds long`);
+  }
+  if (asset.durationSeconds > rules.maxSeconds) {
+    throw new Error(`Video must be at most ${rules.maxSeconds} seconds long`);
+  }
+  const codec = String(asset.codec || '').toLowerCase();
+  if (rules.codecs.length > 0 && !rules.codecs.includes(codec)) {
+    throw new Error(`Unsupported video codec${codec ? ` "${codec}"` : ''}. Allowed: ${rules.codecs.join(', ')}`);
+  }
+};
+
+/**
+ * Thumbnail, preview clip and (optionally) watermarked copy of a video
+ * @param {Object} asset - Uploaded asset
+ * @param {Object} options - Derivative options
+ * @param {boolean} options.watermark - Add the watermarked copy and watermark the preview
+ * @param {number} options.previewSeconds - Length of the preview clip
+ * @returns {Object} { urls: { thumbnailUrl, previewUrl, watermarkedUrl }, eager }
+ */
+const buildDerivatives = (asset, { watermark, previewSeconds }) => {
+  const { publicId, deliveryType } = asset;
+  const thumbnail = [{ start_offset: 'auto' }, { width: 640, crop: 'limit' }];
+  const preview = [
+    { start_offset: 0, end_offset: Math.min(previewSeconds, asset.durationSeconds) },
+    ...(watermark ? [watermarkLayer()] : [])
+  ];
+  const watermarked = [watermarkLayer()];
+
+  return {
+    urls: {
+      thumbnailUrl: videoUrl(publicId, { deliveryType, transformation: thumbnail, format: 'jpg' }),
+      previewUrl: videoUrl(publicId, { deliveryType, transformation: preview }),
+      watermarkedUrl: watermark ? videoUrl(publicId, { deliveryType, transformation: watermarked }) : undefined
+    },
+    eager: [
+      { transformation: preview, format: 'mp4' },
+      ...(watermark ? [{ transformation: watermarked, format: 'mp4' }] : [])
+    ]
+  };
+};
+
+/**
+ * Validate an uploaded video and derive its previews. A rejected video is deleted from the host.
+ * @param {Object} asset - Uploaded asset
+ * @param {string} kind - 'dedication_request' or 'dedication_sample'
+ * @param {Object} config - Config document
+ * @returns {Promise<Object>} Fields of a ready videoProcessing state
+ */
+const processAsset = async (asset, kind, config) => {
+  try {
+    validateVideoAsset(asset, getVideoRules(kind, config));
+  } catch (validationError) {
+    try {
+      await deleteVideo(asset.publicId, asset.deliveryType);
+    } catch (deleteError) {
+      console.error(`[VideoProcessing] Failed to delete rejected video ${asset.publicId}:`, deleteError);
+    }
+    throw validationError;
+  }
+
+  const watermark = kind === 'dedication_request' && config.watermarkDedicationPreviews;
+  const { urls, eager } = buildDerivatives(asset, { watermark, previewSeconds: config.videoPreviewSeconds });
+  try {
+    await generateVideoDerivatives(asset.publicId, asset.deliveryType, eager);
+  } catch (error) {
+    // The host can still generate them on first request
+    console.error(`[VideoProcessing] Failed to request derivatives for ${asset.publicId}:`, error);
+  }
+
+  return {
+    status: 'ready',
+    publicId: asset.publicId,
+    deliveryType: asset.deliveryType,
+    durationSeconds: asset.durationSeconds,
+    codec: asset.codec,
+    width: asset.width,
+    height: asset.height,
+    bytes: asset.bytes,
+    ...urls,
+    processedAt: new Date()
+  };
+};
+
+/**
+ * Whether dedication videos are hosted privately (only the watermarked copy is shown before completion)
+ * @returns {Promise<boolean>} True when watermarking is on
+ */
+export const isDedicationVideoPrivate = async () => (await Config.getSingleton()).watermarkDedicationPreviews;
+
+/**
+ * Mark a document as processing a new video, unless it already is
+ * @param {Object} Model - DedicationRequest or DedicationSample
+ * @param {Object} filter - Document filter
+ * @returns {Promise<Object|null>} Updated document, or null when not found or already processing
+ */
+export const beginVideoProcessing = (Model, filter) => Model.findOneAndUpdate(
+  { ...filter, 'videoProcessing.status': { $ne: 'processing' } },
+  { $set: { videoProcessing: { status: 'processing', startedAt: new Date() } } },
+  { new: true }
+);
+
+// Upload a local file, or use an asset a resumable upload already put on the host
+const resolveAsset = async (source, authenticated) => {
+  if (source.asset) return source.asset;
+  try {
+    ensureVideoProcessingEnabled();
+    return await uploadVideoFile(source.filePath, { authenticated });
+  } finally {
+    await fs.unlink(source.filePath).catch(() => {});
+  }
+};
+
+// Record a failed run, unless a newer run replaced it
+const failProcessing = async (Model, id, startedAt, error) => {
+  await Model.updateOne(
+    { _id: id, 'videoProcessing.status': 'processing', 'videoProcessing.startedAt': startedAt },
+    { $set: { 'videoProcessing.status': 'failed', 'videoProcessing.error': error.message, 'videoProcessing.processedAt': new Date() } }
+  );
+};
+
+const notifyUploader = async (userId, title, body, data) => {
+  try {
+    await NotificationHelper.sendCustomNotification(userId, title, body, data);
+  } catch (notificationError) {
+    console.error('Error sending video processing notification:', notificationError);
+  }
+};
+
+/**
+ * Process a dedication delivery in the background: upload, validate, derive previews,
+ * then deliver it to the fan. The request must have been marked with beginVideoProcessing.
+ * @param {Object} request - DedicationRequest returned by beginVideoProcessing
+ * @param {Object} source - { filePath } of a received file or { asset } of a resumable upload
+ * @returns {Promise<void>}
+ */
+export const processDedicationVideo = async (request, source) => {
+  const { startedAt } = request.videoProcessing;
+  try {
+    const config = await Config.getSingleton();
+    const asset = await resolveAsset(source, config.watermarkDedicationPreviews);
+    const processing = await processAsset(asset, 'dedication_request', config);
+
+    const item = await DedicationRequest.findById(request._id);
+    if (!item || item.videoProcessing?.status !== 'processing' || String(item.videoProcessing.startedAt) !== String(startedAt)) {
+      // Replaced by a newer upload meanwhile
+      await deleteVideo(asset.publicId, asset.deliveryType).catch(() => {});
+      return;
+    }
+    item.videoUrl = asset.url;
+    item.videoUploadedAt = new Date();
+    item.videoProcessing = { ...processing, startedAt };
+    // Close the open revision round, if the fan asked for changes
+    const openRevision = (item.revisions || []).find((revision) => !revision.redeliveredAt);
+    if (openRevision) openRevision.redeliveredAt = item.videoUploadedAt;
+    const updated = await item.save();
+
+    try {
+      await NotificationHelper.sendDedicationNotification('DEDICATION_VIDEO_UPLOADED', updated, { currentUserId: updated.starId });
+    } catch (notificationError) {
+      console.error('Error sending dedication video upload notification:', notificationError);
+    }
+  } catch (error) {
+    console.error(`[VideoProcessing] Dedication ${request._id} failed:`, error);
+    await failProcessing(DedicationRequest, request._id, startedAt, error);
+    await notifyUploader(request.starId, 'Video could not be processed', `Your dedication video was not delivered: ${error.message}`, {
+      type: 'dedication',
+      dedicationId: request._id.toString(),
+      navigateTo: 'dedication',
+      eventType: 'DEDICATION_VIDEO_PROCESSING_FAILED'
+    });
+  }
+};
+
+/**
+ * Process a dedication sample video in the background. The sample must have been marked
+ * with beginVideoProcessing; it keeps its previous video until the new one is ready.
+ * @param {Object} sample - DedicationSample returned by beginVideoProcessing
+ * @param {Object} source - { filePath } of a received file or { asset } of a resumable upload
+ * @returns {Promise<void>}
+ */
+export const processSampleVideo = async (sample, source) => {
+  const { startedAt } = sample.videoProcessing;
+  try {
+    const config = await Config.getSingleton();
+    const asset = await resolveAsset(source, false);
+    const processing = await processAsset(asset, 'dedication_sample', config);
+
+    const previous = await DedicationSample.findOneAndUpdate(
+      { _id: sample._id, 'videoProcessing.status': 'processing', 'videoProcessing.startedAt': startedAt },
+      { $set: { video: asset.url, videoKey: asset.publicId, videoProcessing: { ...processing, startedAt } } }
+    ).select('+videoKey');
+    if (!previous) {
+      // Sample deleted or given another video meanwhile
+      await deleteVideo(asset.publicId, asset.deliveryType).catch(() => {});
+      return;
+    }
+    await deleteReplacedFile({ url: previous.video, key: previous.videoKey }, asset.url);
+  } catch (error) {
+    console.error(`[VideoProcessing] Sample ${sample._id} failed:`, error);
+    await failProcessing(DedicationSample, sample._id, startedAt, error);
+    await notifyUploader(sample.userId, 'Video could not be processed', `Your dedication sample video was not published: ${error.message}`, {
+      type: 'dedication_sample',
+      dedicationSampleId: sample._id.toString(),
+      eventType: 'DEDICATION_SAMPLE_PROCESSING_FAILED'
+    });
+  }
+};
+
+/**
+ * Fail processing runs that never finished
+ * @returns {Promise<number>} Number of documents marked failed
+ */
+export const failStaleVideoProcessing = async () => {
+  const cutoff = new Date(Date.now() - STALE_PROCESSING_MS);
+  const filter = { 'videoProcessing.status': 'processing', 'videoProcessing.startedAt': { $lte: cutoff } };
+  const update = {
+    $set: {
+      'videoProcessing.status': 'failed',
+      'videoProcessing.error': 'Processing did not finish. Please upload the video again.',
+      'videoProcessing.processedAt': new Date()
+    }
+  };
+  const [requests, samples] = await Promise.all([
+    DedicationRequest.updateMany(filter, update),
+    DedicationSample.updateMany(filter, update)
+  ]);
+  return requests.modifiedCount + samples.modifiedCount;
+};
+
+/**
+ * Processing state as exposed by the API
+ * @param {Object} processing - videoProcessing subdocument
+ * @returns {Object|undefined} Public fields
+ */
+export const sanitizeVideoProcessing = (processing) => (processing?.status ? {
+  status: processing.status,
+  durationSeconds: processing.durationSeconds,
+  width: processing.width,
+  height: processing.height,
+  thumbnailUrl: processing.thumbnailUrl,
+  previewUrl: processing.previewUrl,
+  error: processing.status === 'failed' ? processing.error : undefined,
+  startedAt: processing.startedAt,
+  processedAt: processing.processedAt
+} : undefined);
@@ -0,0 +1,190 @@
+import crypto from 'crypto';
+import VideoUpload from '../models/VideoUpload.js';
+import { VIDEO_CHUNK_SIZE, uploadVideoChunk, deleteVideo } from '../utils/uploadFile.js';
+import { isDedicationVideoPrivate, ensureVideoProcessingEnabled } from './videoProcessingService.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Largest video accepted through resumable uploads
+export const MAX_VIDEO_UPLOAD_BYTES = 1024 * 1024 * 1024;
+
+// An upload not finished (or not used) within this window is dropped
+const UPLOAD_TTL_MS = 24 * HOUR_MS;
+
+// A chunk lock outlives a request that died while forwarding its chunk
+const CHUNK_LOCK_MS = 2 * 60 * 1000;
+
+/**
+ * Start a resumable upload
+ * @param {Object} params - Upload parameters
+ * @param {string} params.userId - Uploader
+ * @param {string} params.purpose - 'dedication_request' or 'dedication_sample'
+ * @param {string} params.fileName - Original file name (optional)
+ * @param {string} params.mimeType - Video MIME type
+ * @param {number} params.totalSize - File size in bytes
+ * @returns {Promise<Object>} Upload session
+ */
+export const createVideoUpload = async ({ userId, purpose, fileName, mimeType, totalSize }) => {
+  ensureVideoProcessingEnabled();
+  if (!String(mimeType).startsWith('video/')) {
+    throw new Error('Only video uploads are allowed');
+  }
+  if (totalSize > MAX_VIDEO_UPLOAD_BYTES) {
+    throw new Error('Video size exceeds the maximum allowed limit.');
+  }
+
+  return VideoUpload.create({
+    userId,
+    purpose,
+    fileName,
+    mimeType,
+    totalSize,
+    chunkSize: VIDEO_CHUNK_SIZE,
+    hostUploadId: crypto.randomBytes(16).toString('hex'),
+    privateDelivery: purpose === 'dedication_request' && await isDedicationVideoPrivate(),
+    expiresAt: new Date(Date.now() + UPLOAD_TTL_MS)
+  });
+};
+
+/**
+ * A user's upload session
+ * @param {string} uploadId - Upload ID
+ * @param {string} userId - Uploader
+ * @returns {Promise<Object|null>} Upload session
+ */
+export const getVideoUpload = (uploadId, userId) => VideoUpload.findOne({ _id: uploadId, userId });
+
+/**
+ * Append the next chunk. Chunks must arrive in order and be chunkSize bytes, except the
+ * last one; a chunk that failed can be sent again from the same offset.
+ * @param {Object} params - Chunk parameters
+ * @param {string} params.uploadId - Upload ID
+ * @param {string} params.userId - Uploader
+ * @param {number} params.start - Offset of the chunk
+ * @param {number} params.totalSize - File size the client declared for the chunk
+ * @param {Buffer} params.chunk - Chunk bytes
+ * @returns {Promise<Object>} Updated upload session
+ */
+export const appendVideoChunk = async ({ uploadId, userId, start, totalSize, chunk }) => {
+  const upload = await getVideoUpload(uploadId, userId);
+  if (!upload) {
+    throw new Error('Upload not found');
+  }
+  if (upload.status !== 'uploading' || upload.expiresAt <= new Date()) {
+    throw new Error('Upload is not in progress');
+  }
+  if (totalSize !== upload.totalSize) {
+    throw new Error('Content-Range total does not match the upload size');
+  }
+  if (start !== upload.receivedBytes) {
+    throw new Error('Chunk out of order');
+  }
+  const isLast = start + chunk.length === upload.totalSize;
+  if (chunk.length === 0 || start + chunk.length > upload.totalSize || (!isLast && chunk.length !== upload.chunkSize)) {
+    throw new Error(`Chunks must be ${upload.chunkSize} bytes, except the last one`);
+  }
+
+  const now = new Date();
+  const locked = await VideoUpload.findOneAndUpdate(
+    {
+      _id: upload._id,
+      status: 'uploading',
+      receivedBytes: start,
+      $or: [{ chunkLockExpiresAt: null }, { chunkLockExpiresAt: { $lte: now } }]
+    },
+    { $set: { chunkLockExpiresAt: new Date(now.getTime() + CHUNK_LOCK_MS) } }
+  );
+  if (!locked) {
+    throw new Error('Another chunk is being uploaded');
+  }
+
+  let asset;
+  try {
+    asset = await uploadVideoChunk({
+      chunk,
+      start,
+      totalSize: upload.totalSize,
+      hostUploadId: upload.hostUploadId,
+      authenticated: upload.privateDelivery
+    });
+  } catch (error) {
+    await VideoUpload.updateOne({ _id: upload._id }, { $set: { chunkLockExpiresAt: null } });
+    throw new Error(`Chunk upload failed: ${error.response?.data?.error?.message || error.message}`);
+  }
+
+  return VideoUpload.findOneAndUpdate(
+    { _id: upload._id },
+    {
+      $set: {
+        receivedBytes: start + chunk.length,
+        chunkLockExpiresAt: null,
+        expiresAt: new Date(Date.now() + UPLOAD_TTL_MS),
+        ...(asset ? { status: 'uploaded', asset } : {})
+      }
+    },
+    { new: true }
+  );
+};
+
+/**
+ * Abandon an upload
+ * @param {string} uploadId - Upload ID
+ * @param {string} userId - Uploader
+ * @returns {Promise<Object|null>} Cancelled session, or null when it was not open
+ */
+export const cancelVideoUpload = async (uploadId, userId) => {
+  const upload = await VideoUpload.findOneAndUpdate(
+    { _id: uploadId, userId, status: { $in: ['uploading', 'uploaded'] } },
+    { $set: { status: 'cancelled' } }
+  );
+  if (upload?.asset?.publicId) {
+    await deleteVideo(upload.asset.publicId, upload.asset.deliveryType).catch(() => {});
+  }
+  return upload;
+};
+
+/**
+ * Take the video of a finished upload (each upload can be used once)
+ * @param {Object} params - Parameters
+ * @param {string} params.uploadId - Upload ID
+ * @param {string} params.userId - Uploader
+ * @param {string} params.purpose - Expected purpose
+ * @returns {Promise<Object>} Hosted asset
+ */
+export const consumeVideoUpload = async ({ uploadId, userId, purpose }) => {
+  const upload = await VideoUpload.findOneAndUpdate(
+    { _id: uploadId, userId, purpose, status: 'uploaded' },
+    { $set: { status: 'consumed' } },
+    { new: true }
+  );
+  if (!upload) {
+    throw new Error('Upload not found or not complete');
+  }
+  return upload.toObject().asset;
+};
+
+/**
+ * Expire uploads past their window, deleting videos that were uploaded but never used
+ * @returns {Promise<number>} Number of uploads expired
+ */
+export const expireVideoUploads = async () => {
+  const uploads = await VideoUpload.find({ status: { $in: ['uploading', 'uploaded'] }, expiresAt: { $lte: new Date() } });
+
+  let expired = 0;
+  for (const upload of uploads) {
+    const updated = await VideoUpload.findOneAndUpdate(
+      { _id: upload._id, status: upload.status },
+      { $set: { status: 'expired' } }
+    );
+    if (!updated) continue;
+    expired++;
+    if (updated.asset?.publicId) {
+      try {
+        await deleteVideo(updated.asset.publicId, updated.asset.deliveryType);
+      } catch (error) {
+        console.error(`[VideoUpload] Failed to delete unused video ${updated.asset.publicId}:`, error);
+      }
+    }
+  }
+  return expired;
+};
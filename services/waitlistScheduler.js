@@ -0,0 +1,21 @@
+import cron from 'node-cron';
+import { expireWaitlistOffers } from './waitlistService.js';
+
+/**
+ * Schedule waitlist offer expiry
+ * Runs every minute so an unclaimed spot passes to the next fan promptly
+ */
+export const startWaitlistScheduler = () => {
+  cron.schedule('* * * * *', async () => {
+    try {
+      const result = await expireWaitlistOffers();
+      if (result.expired > 0) {
+        console.log('Waitlist offers expired:', result);
+      }
+    } catch (error) {
+      console.error('Error expiring waitlist offers:', error);
+    }
+  });
+
+  console.log('Waitlist scheduler started - checking every minute');
+};
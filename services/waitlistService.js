@@ -0,0 +1,194 @@
+import Config from '../models/Config.js';
+import WaitlistEntry from '../models/WaitlistEntry.js';
+import NotificationHelper from '../utils/notificationHelper.js';
+
+const MINUTE_MS = 60 * 1000;
+
+// Entries still in line or holding an offer
+const OPEN_STATUSES = ['waiting', 'offered'];
+
+const activeOfferFilter = () => ({ status: 'offered', offerExpiresAt: { $gt: new Date() } });
+
+// Waitlist a given entry belongs to
+const queueFilter = ({ kind, starId, liveShowId }) => (
+  kind === 'live_show' ? { kind, liveShowId } : { kind, starId }
+);
+
+/**
+ * Add a fan to a waitlist (idempotent while the fan is still in line)
+ * @param {Object} params - Waitlist parameters
+ * @param {string} params.kind - 'appointment' or 'live_show'
+ * @param {string} params.starId - Star ID
+ * @param {string} params.liveShowId - Live show ID (live_show only)
+ * @param {string} params.fanId - Fan ID
+ * @returns {Promise<Object>} { entry, position }
+ */
+export const joinWaitlist = async ({ kind, starId, liveShowId = null, fanId }) => {
+  const queue = queueFilter({ kind, starId, liveShowId });
+  let entry = await WaitlistEntry.findOne({ ...queue, fanId, status: { $in: OPEN_STATUSES } });
+  if (!entry) {
+    entry = await WaitlistEntry.create({ kind, starId, liveShowId: liveShowId || undefined, fanId });
+  }
+  return { entry, position: await getWaitlistPosition(entry) };
+};
+
+/**
+ * Remove a fan from a waitlist; a pending offer passes to the next fan
+ * @param {Object} params - Same as joinWaitlist
+ * @returns {Promise<Object|null>} Cancelled entry, or null when the fan was not in line
+ */
+export const leaveWaitlist = async ({ kind, starId, liveShowId = null, fanId }) => {
+  const entry = await WaitlistEntry.findOneAndUpdate(
+    { ...queueFilter({ kind, starId, liveShowId }), fanId, status: { $in: OPEN_STATUSES } },
+    { $set: { status: 'cancelled' } }
+  );
+  if (entry && entry.status === 'offered') {
+    await offerNextInLine({ kind, starId: entry.starId, liveShowId: entry.liveShowId, offer: entry.offer });
+  }
+  return entry;
+};
+
+/**
+ * Position of a waiting entry in its line (1 = next); 0 when it holds an offer
+ * @param {Object} entry - Waitlist entry
+ * @returns {Promise<number|null>} Position, or null when the entry is closed
+ */
+export const getWaitlistPosition = async (entry) => {
+  if (entry.status === 'offered') return 0;
+  if (entry.status !== 'waiting') return null;
+  const ahead = await WaitlistEntry.countDocuments({
+    ...queueFilter(entry),
+    status: 'waiting',
+    createdAt: { $lt: entry.createdAt },
+  });
+  return ahead + 1;
+};
+
+/**
+ * A fan's open entry on a waitlist
+ * @param {Object} params - Same as joinWaitlist
+ * @returns {Promise<Object|null>} The entry
+ */
+export const findWaitlistEntry = ({ kind, starId, liveShowId = null, fanId }) => (
+  WaitlistEntry.findOne({ ...queueFilter({ kind, starId, liveShowId }), fanId, status: { $in: OPEN_STATUSES } })
+);
+
+/**
+ * Offer a freed spot to the first fan in line, who gets the configured claim
+ * window to take it before it passes on
+ * @param {Object} params - Freed spot
+ * @param {string} params.kind - 'appointment' or 'live_show'
+ * @param {string} params.starId - Star ID
+ * @param {string} params.liveShowId - Live show ID (live_show only)
+ * @param {Object} params.offer - Freed appointment slot ({ availabilityId, timeSlotId, date, time, startAt, endAt })
+ * @returns {Promise<Object|null>} The offered entry, or null when nobody is waiting
+ */
+export const offerNextInLine = async ({ kind, starId, liveShowId = null, offer = null }) => {
+  // An appointment slot that already started cannot be offered
+  if (kind === 'appointment' && (!offer?.startAt || new Date(offer.startAt).getTime() <= Date.now())) return null;
+
+  const config = await Config.getSingleton();
+  const expiresAt = new Date(Date.now() + (config.waitlistClaimMinutes * MINUTE_MS));
+  const entry = await WaitlistEntry.findOneAndUpdate(
+    { ...queueFilter({ kind, starId, liveShowId }), status: 'waiting' },
+    {
+      $set: {
+        status: 'offered',
+        offeredAt: new Date(),
+        offerExpiresAt: expiresAt,
+        ...(kind === 'appointment' ? { offer } : {}),
+      },
+    },
+    { sort: { createdAt: 1 }, new: true }
+  );
+  if (!entry) return null;
+
+  try {
+    const body = kind === 'live_show'
+      ? `A seat opened up in a live show you are waiting for. Claim it within ${config.waitlistClaimMinutes} minutes.`
+      : `A slot opened up on ${offer.date} (${offer.time}). Book it within ${config.waitlistClaimMinutes} minutes.`;
+    await NotificationHelper.sendCustomNotification(entry.fanId, 'A spot is available', body, {
+      type: 'waitlist_offer',
+      waitlistEntryId: entry._id.toString(),
+      starId: entry.starId.toString(),
+      ...(entry.liveShowId ? { liveShowId: entry.liveShowId.toString() } : {}),
+      ...(kind === 'appointment' ? { availabilityId: String(offer.availabilityId), timeSlotId: String(offer.timeSlotId) } : {}),
+      offerExpiresAt: expiresAt.toISOString(),
+      navigateTo: kind === 'live_show' ? 'live_show' : 'star_profile',
+      eventType: 'WAITLIST_SPOT_AVAILABLE'
+    });
+  } catch (notificationError) {
+    console.error('Error sending waitlist offer notification:', notificationError);
+  }
+
+  return entry;
+};
+
+/**
+ * Active offer holding an appointment interval for another fan
+ * @param {string} starId - Star ID
+ * @param {Date} startAt - Requested start
+ * @param {Date} endAt - Requested end
+ * @param {string} fanId - Fan booking (their own offer does not block them)
+ * @returns {Promise<Object|null>} Blocking entry
+ */
+export const findBlockingAppointmentOffer = (starId, startAt, endAt, fanId) => WaitlistEntry.findOne({
+  kind: 'appointment',
+  starId,
+  fanId: { $ne: fanId },
+  ...activeOfferFilter(),
+  'offer.startAt': { $lt: endAt },
+  'offer.endAt': { $gt: startAt },
+});
+
+/**
+ * Number of live show seats held by active offers for fans other than the given one
+ * @param {string} liveShowId - Live show ID
+ * @param {string} fanId - Fan joining
+ * @returns {Promise<number>} Held seats
+ */
+export const countHeldLiveShowSeats = (liveShowId, fanId) => WaitlistEntry.countDocuments({
+  kind: 'live_show',
+  liveShowId,
+  fanId: { $ne: fanId },
+  ...activeOfferFilter(),
+});
+
+/**
+ * Close the fan's entry once they booked or joined
+ * @param {Object} params - Same as joinWaitlist
+ * @returns {Promise<Object|null>} Claimed entry
+ */
+export const markWaitlistClaimed = ({ kind, starId, liveShowId = null, fanId }) => WaitlistEntry.findOneAndUpdate(
+  { ...queueFilter({ kind, starId, liveShowId }), fanId, status: { $in: OPEN_STATUSES } },
+  { $set: { status: 'claimed', claimedAt: new Date() } },
+  { new: true }
+);
+
+/**
+ * Expire offers whose claim window passed and hand the spot to the next fan
+ * @returns {Promise<Object>} { expired, reoffered }
+ */
+export const expireWaitlistOffers = async () => {
+  const expiredEntries = await WaitlistEntry.find({ status: 'offered', offerExpiresAt: { $lte: new Date() } });
+
+  let expired = 0;
+  let reoffered = 0;
+  for (const entry of expiredEntries) {
+    const updated = await WaitlistEntry.findOneAndUpdate(
+      { _id: entry._id, status: 'offered' },
+      { $set: { status: 'expired' } }
+    );
+    if (!updated) continue;
+    expired++;
+
+    try {
+      const next = await offerNextInLine({ kind: entry.kind, starId: entry.starId, liveShowId: entry.liveShowId, offer: entry.offer });
+      if (next) reoffered++;
+    } catch (error) {
+      console.error(`[Waitlist] Error passing offer ${entry._id} to the next fan:`, error);
+    }
+  }
+
+  return { expired, reoffered };
+};
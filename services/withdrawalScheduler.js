@@ -0,0 +1,21 @@
+import cron from 'node-cron';
+import { confirmPendingPayouts } from './withdrawalService.js';
+
+/**
+ * Schedule payout confirmation
+ * Runs every 5 minutes to settle withdrawals whose payout the provider accepted
+ */
+export const startWithdrawalScheduler = () => {
+  cron.schedule('*/5 * * * *', async () => {
+    try {
+      const result = await confirmPendingPayouts();
+      if (result.paid > 0 || result.failed > 0) {
+        console.log('Withdrawal payouts confirmed:', result);
+      }
+    } catch (error) {
+      console.error('Error confirming withdrawal payouts:', error);
+    }
+  });
+
+  console.log('Withdrawal scheduler started - checking every 5 minutes');
+};
@@ -0,0 +1,498 @@
+import mongoose from 'mongoose';
+import Transaction from '../models/Transaction.js';
+import User from '../models/User.js';
+import WithdrawalRequest from '../models/WithdrawalRequest.js';
+import { recordMovement, walletOf } from './ledgerService.js';
+import { getPaymentProvider, resolvePaymentProvider } from './paymentProviderService.js';
+import NotificationHelper from '../utils/notificationHelper.js';
+import {
+  TRANSACTION_TYPES,
+  TRANSACTION_STATUSES,
+  PAYMENT_MODES,
+  LEDGER_ACCOUNTS,
+  LEDGER_ENTRY_TYPES,
+  WITHDRAWAL_STATUSES,
+  createTransactionDescription
+} from '../utils/transactionConstants.js';
+
+/**
+ * Get a star's balances split by availability
+ * @param {string} starId - Star user ID
+ * @returns {Promise<Object>} Withdrawable, escrowed and locked balances, and refund debt
+ */
+export const getStarBalances = async (starId) => {
+  const starObjectId = new mongoose.Types.ObjectId(starId);
+
+  const [star, escrow, locked] = await Promise.all([
+    User.findById(starId).select('coinBalance'),
+    Transaction.aggregate([
+      { $match: { receiverId: starObjectId, status: TRANSACTION_STATUSES.PENDING, type: { $ne: TRANSACTION_TYPES.WITHDRAWAL } } },
+      { $group: { _id: null, total: { $sum: '$amount' } } }
+    ]),
+    WithdrawalRequest.aggregate([
+      { $match: { starId: starObjectId, status: { $in: [WITHDRAWAL_STATUSES.PENDING, WITHDRAWAL_STATUSES.PROCESSING] } } },
+      { $group: { _id: null, total: { $sum: '$amount' } } }
+    ])
+  ]);
+
+  if (!star) {
+    throw new Error('User not found');
+  }
+
+  return {
+    withdrawableBalance: Math.max(star.coinBalance || 0, 0),
+    // Owed from refunds that took back more than the star held
+    refundDebt: Math.max(-(star.coinBalance || 0), 0),
+    escrowBalance: escrow[0]?.total || 0,
+    lockedForWithdrawal: locked[0]?.total || 0
+  };
+};
+
+/**
+ * Create a withdrawal request and lock the requested coins
+ * @param {Object} requestData - Withdrawal data
+ * @param {string} requestData.starId - Star requesting the withdrawal
+ * @param {number} requestData.amount - Number of coins to withdraw
+ * @param {string} requestData.msisdn - Mobile money number receiving the payout
+ * @returns {Promise<Object>} Created withdrawal request
+ */
+export const createWithdrawalRequest = async ({ starId, amount, msisdn }) => {
+  const session = await mongoose.startSession();
+
+  try {
+    let createdRequest = null;
+    await session.withTransaction(async () => {
+      if (amount <= 0) {
+        throw new Error('Amount must be greater than 0');
+      }
+
+      const star = await User.findById(starId).session(session);
+      if (!star) {
+        throw new Error('User not found');
+      }
+
+      if ((star.coinBalance || 0) < amount) {
+        throw new Error('Insufficient withdrawable balance');
+      }
+
+      const provider = resolvePaymentProvider({ country: star.country });
+      const type = TRANSACTION_TYPES.WITHDRAWAL;
+      const description = createTransactionDescription(type, star.name || star.pseudo || '', '', star.role, star.role);
+
+      const [transaction] = await Transaction.create([{
+        type,
+        payerId: star._id,
+        receiverId: star._id,
+        amount,
+        description,
+        paymentMode: PAYMENT_MODES.EXTERNAL,
+        status: TRANSACTION_STATUSES.PENDING,
+        externalAmount: amount,
+        paymentProvider: provider.name,
+        metadata: { msisdn }
+      }], { session });
+
+      const [withdrawal] = await WithdrawalRequest.create([{
+        starId: star._id,
+        amount,
+        msisdn,
+        paymentProvider: provider.name,
+        transactionId: transaction._id,
+        statusHistory: [{ status: WITHDRAWAL_STATUSES.PENDING, changedBy: star._id }]
+      }], { session });
+
+      // Lock the coins until an admin reviews the request
+      await recordMovement({
+        entryType: LEDGER_ENTRY_TYPES.WITHDRAWAL_HOLD,
+        from: walletOf(star._id),
+        to: LEDGER_ACCOUNTS.WITHDRAWAL_HOLD,
+        amount,
+        transactionId: transaction._id,
+        description,
+        metadata: { withdrawalId: withdrawal._id }
+      }, session);
+
+      createdRequest = withdrawal;
+    });
+
+    return createdRequest;
+
+  } catch (error) {
+    throw error;
+  } finally {
+    await session.endSession();
+  }
+};
+
+/**
+ * Close a withdrawal request and return the locked coins to the star's wallet
+ * @param {Object} withdrawal - Withdrawal request document
+ * @param {Object} options - Closing details
+ * @param {string} options.status - Final status (rejected, cancelled or failed)
+ * @param {string} options.transactionStatus - Final status of the linked transaction
+ * @param {string} options.changedBy - User closing the request
+ * @param {string} options.note - Reason recorded in the status history
+ * @param {Object} session - MongoDB session
+ */
+const releaseWithdrawal = async (withdrawal, { status, transactionStatus, changedBy, note }, session) => {
+  await recordMovement({
+    entryType: LEDGER_ENTRY_TYPES.WITHDRAWAL_RELEASE,
+    from: LEDGER_ACCOUNTS.WITHDRAWAL_HOLD,
+    to: walletOf(withdrawal.starId),
+    amount: withdrawal.amount,
+    transactionId: withdrawal.transactionId,
+    description: `Withdrawal ${status}`,
+    metadata: { withdrawalId: withdrawal._id }
+  }, session);
+
+  await Transaction.updateOne(
+    { _id: withdrawal.transactionId },
+    { $set: { status: transactionStatus } },
+    { session }
+  );
+
+  withdrawal.status = status;
+  withdrawal.statusHistory.push({ status, changedBy, note });
+  await withdrawal.save({ session });
+};
+
+/**
+ * Load a withdrawal request in the expected status
+ * @param {string} withdrawalId - Withdrawal request ID
+ * @param {string} status - Required current status
+ * @param {Object} session - MongoDB session
+ * @returns {Promise<Object>} Withdrawal request document
+ */
+const findWithdrawalInStatus = async (withdrawalId, status, session) => {
+  const withdrawal = await WithdrawalRequest.findById(withdrawalId).session(session);
+  if (!withdrawal) {
+    throw new Error('Withdrawal request not found');
+  }
+  if (withdrawal.status !== status) {
+    throw new Error(`Withdrawal request is not ${status}`);
+  }
+  return withdrawal;
+};
+
+/**
+ * Record a confirmed payout: the locked coins leave the platform
+ * @param {Object} withdrawal - Withdrawal request document (processing)
+ * @param {Object} options - Payout details
+ * @param {string} options.payoutReference - Provider or manual payout reference
+ * @param {string} options.changedBy - User recording the payout (optional for scheduled checks)
+ * @param {string} options.note - Note recorded in the status history (optional)
+ * @param {Object} session - MongoDB session
+ */
+const markWithdrawalPaid = async (withdrawal, { payoutReference, changedBy, note }, session) => {
+  await recordMovement({
+    entryType: LEDGER_ENTRY_TYPES.WITHDRAWAL_PAYOUT,
+    from: LEDGER_ACCOUNTS.WITHDRAWAL_HOLD,
+    to: LEDGER_ACCOUNTS.EXTERNAL,
+    amount: withdrawal.amount,
+    transactionId: withdrawal.transactionId,
+    description: 'Withdrawal paid out',
+    metadata: { withdrawalId: withdrawal._id, payoutReference }
+  }, session);
+
+  await Transaction.updateOne(
+    { _id: withdrawal.transactionId },
+    { $set: { status: TRANSACTION_STATUSES.COMPLETED, externalPaymentId: payoutReference } },
+    { session }
+  );
+
+  withdrawal.status = WITHDRAWAL_STATUSES.PAID;
+  withdrawal.payoutReference = payoutReference;
+  withdrawal.paidAt = new Date();
+  withdrawal.statusHistory.push({ status: WITHDRAWAL_STATUSES.PAID, changedBy, note });
+  await withdrawal.save({ session });
+};
+
+/**
+ * Settle a processing withdrawal once its payout outcome is known
+ * @param {string} withdrawalId - Withdrawal request ID
+ * @param {Object} outcome - Payout outcome
+ * @param {string} outcome.status - 'completed' or 'failed'
+ * @param {string} outcome.payoutReference - Payout reference
+ * @param {string} outcome.failureReason - Why the payout failed (failed only)
+ * @param {string} outcome.changedBy - User settling the request (optional)
+ * @param {string} outcome.note - Note recorded in the status history (optional)
+ * @returns {Promise<Object>} Updated withdrawal request
+ */
+const settleWithdrawal = async (withdrawalId, { status, payoutReference, failureReason, changedBy, note }) => {
+  const session = await mongoose.startSession();
+
+  try {
+    await session.withTransaction(async () => {
+      const current = await findWithdrawalInStatus(withdrawalId, WITHDRAWAL_STATUSES.PROCESSING, session);
+
+      if (status === 'failed') {
+        current.failureReason = failureReason;
+        if (payoutReference) current.payoutReference = payoutReference;
+        await releaseWithdrawal(current, {
+          status: WITHDRAWAL_STATUSES.FAILED,
+          transactionStatus: TRANSACTION_STATUSES.FAILED,
+          changedBy,
+          note: failureReason
+        }, session);
+        return;
+      }
+
+      await markWithdrawalPaid(current, { payoutReference, changedBy, note }, session);
+    });
+
+    return WithdrawalRequest.findById(withdrawalId);
+
+  } catch (error) {
+    throw error;
+  } finally {
+    await session.endSession();
+  }
+};
+
+// A payout the provider still does not know this long after it was sent never reached it
+const MISSING_PAYOUT_GRACE_MINUTES = 30;
+
+/**
+ * Approve a pending withdrawal and pay it out through the payment provider.
+ * When payoutReference is given the payout is treated as already made
+ * manually and the provider is not called; providers without a payout API
+ * (Orange Money) require it. Otherwise the provider's payout ID is stored on
+ * the request before the payout is sent, so a payout whose answer is lost
+ * (timeout, network error) stays processing until confirmPendingPayouts finds
+ * its outcome. Only a payout the provider refused returns the locked coins.
+ * @param {Object} approvalData - Approval data
+ * @param {string} approvalData.withdrawalId - Withdrawal request ID
+ * @param {string} approvalData.adminId - Approving admin
+ * @param {string} approvalData.payoutReference - Manual payout reference (optional)
+ * @returns {Promise<Object>} Updated withdrawal request (paid, processing or failed)
+ */
+export const approveWithdrawalRequest = async ({ withdrawalId, adminId, payoutReference }) => {
+  const pending = await WithdrawalRequest.findById(withdrawalId).select('paymentProvider');
+  if (!pending) {
+    throw new Error('Withdrawal request not found');
+  }
+  const provider = getPaymentProvider(pending.paymentProvider);
+  if (!payoutReference && !provider.supportsPayout) {
+    throw new Error(`Payouts through ${pending.paymentProvider} are made manually; approve with the payoutReference of the transfer`);
+  }
+
+  // Claim the request so it cannot be paid out twice
+  const payoutId = payoutReference ? null : provider.newPayoutReference();
+  const withdrawal = await WithdrawalRequest.findOneAndUpdate(
+    { _id: withdrawalId, status: WITHDRAWAL_STATUSES.PENDING },
+    {
+      $set: {
+        status: WITHDRAWAL_STATUSES.PROCESSING,
+        reviewedBy: adminId,
+        reviewedAt: new Date(),
+        ...(payoutId ? { payoutReference: payoutId } : {})
+      },
+      $push: {
+        statusHistory: {
+          status: WITHDRAWAL_STATUSES.PROCESSING,
+          changedBy: adminId,
+          ...(payoutId ? { note: 'Payout sent, awaiting provider confirmation' } : {})
+        }
+      }
+    },
+    { new: true }
+  );
+
+  if (!withdrawal) {
+    throw new Error('Withdrawal request is not pending');
+  }
+
+  if (payoutReference) {
+    return settleWithdrawal(withdrawal._id, { status: 'completed', payoutReference, changedBy: adminId, note: 'Paid out manually' });
+  }
+
+  await Transaction.updateOne({ _id: withdrawal.transactionId }, { $set: { externalPaymentId: payoutId } });
+
+  let result;
+  try {
+    result = await provider.payout({
+      payoutId,
+      msisdn: withdrawal.msisdn,
+      amount: withdrawal.amount,
+      reference: String(withdrawal._id)
+    });
+  } catch (payoutError) {
+    if (payoutError.rejected) {
+      return settleWithdrawal(withdrawal._id, { status: 'failed', payoutReference: payoutId, failureReason: payoutError.message || 'Payout failed', changedBy: adminId });
+    }
+    // Outcome unknown: the status check settles it
+    console.error(`Payout of withdrawal ${withdrawal._id} has no answer yet:`, payoutError.message);
+    return WithdrawalRequest.findById(withdrawal._id);
+  }
+
+  if (result.status === 'completed') {
+    return settleWithdrawal(withdrawal._id, { status: 'completed', payoutReference: payoutId, changedBy: adminId });
+  }
+  return WithdrawalRequest.findById(withdrawal._id);
+};
+
+/**
+ * Check payouts sent but not settled, and mark their withdrawals paid or
+ * failed (unlocking the coins) once the provider knows. A payout the provider
+ * still has no trace of after MISSING_PAYOUT_GRACE_MINUTES never reached it and fails.
+ * @returns {Promise<Object>} { checked, paid, failed }
+ */
+export const confirmPendingPayouts = async () => {
+  const processing = await WithdrawalRequest.find({
+    status: WITHDRAWAL_STATUSES.PROCESSING,
+    payoutReference: { $exists: true, $ne: null }
+  });
+
+  const missingBefore = new Date(Date.now() - MISSING_PAYOUT_GRACE_MINUTES * 60 * 1000);
+  const summary = { checked: processing.length, paid: 0, failed: 0 };
+  for (const withdrawal of processing) {
+    try {
+      const provider = getPaymentProvider(withdrawal.paymentProvider);
+      const payout = await provider.getPayoutStatus(withdrawal.payoutReference);
+      if (payout.status === 'pending') continue;
+      if (payout.status === 'missing' && withdrawal.reviewedAt > missingBefore) continue;
+
+      const failed = payout.status !== 'completed';
+      const settled = await settleWithdrawal(withdrawal._id, {
+        status: failed ? 'failed' : 'completed',
+        payoutReference: withdrawal.payoutReference,
+        failureReason: payout.status === 'missing'
+          ? 'Payout never reached the payment provider'
+          : failed ? (payout.reason || 'Payout was declined by the provider') : undefined,
+        note: 'Confirmed by the payment provider'
+      });
+      summary[failed ? 'failed' : 'paid'] += 1;
+
+      try {
+        await NotificationHelper.sendWithdrawalNotification(failed ? 'WITHDRAWAL_FAILED' : 'WITHDRAWAL_PAID', settled);
+      } catch (notificationError) {
+        console.error('Error sending withdrawal notification:', notificationError);
+      }
+    } catch (error) {
+      console.error(`Error confirming payout of withdrawal ${withdrawal._id}:`, error.message);
+    }
+  }
+  return summary;
+};
+
+/**
+ * Settle by hand a processing withdrawal that has no provider payout to check:
+ * a manual approval interrupted before it was recorded, or a request from before
+ * payout IDs were stored ahead of the payout. The admin checks the transfer
+ * outside the platform and records whether it was made.
+ * @param {Object} resolutionData - Resolution data
+ * @param {string} resolutionData.withdrawalId - Withdrawal request ID
+ * @param {string} resolutionData.adminId - Resolving admin
+ * @param {string} resolutionData.status - 'paid' or 'failed'
+ * @param {string} resolutionData.payoutReference - Reference of the transfer (paid)
+ * @param {string} resolutionData.reason - Why no payout was made (failed)
+ * @returns {Promise<Object>} Updated withdrawal request
+ */
+export const resolveStuckWithdrawal = async ({ withdrawalId, adminId, status, payoutReference, reason }) => {
+  const withdrawal = await WithdrawalRequest.findById(withdrawalId).select('status payoutReference');
+  if (!withdrawal) {
+    throw new Error('Withdrawal request not found');
+  }
+  if (withdrawal.status !== WITHDRAWAL_STATUSES.PROCESSING) {
+    throw new Error('Withdrawal request is not processing');
+  }
+  if (withdrawal.payoutReference) {
+    throw new Error('Withdrawal request is not stuck: its payout is settled from the provider status');
+  }
+
+  return settleWithdrawal(withdrawal._id, status === WITHDRAWAL_STATUSES.PAID
+    ? { status: 'completed', payoutReference, changedBy: adminId, note: 'Resolved by admin: paid out manually' }
+    : { status: 'failed', failureReason: reason, changedBy: adminId, note: 'Resolved by admin: no payout made' });
+};
+
+/**
+ * Reject a pending withdrawal and unlock the coins
+ * @param {Object} rejectionData - Rejection data
+ * @param {string} rejectionData.withdrawalId - Withdrawal request ID
+ * @param {string} rejectionData.adminId - Rejecting admin
+ * @param {string} rejectionData.reason - Rejection reason shown to the star
+ * @returns {Promise<Object>} Updated withdrawal request
+ */
+export const rejectWithdrawalRequest = async ({ withdrawalId, adminId, reason }) => {
+  const session = await mongoose.startSession();
+
+  try {
+    let updatedRequest = null;
+    await session.withTransaction(async () => {
+      const withdrawal = await findWithdrawalInStatus(withdrawalId, WITHDRAWAL_STATUSES.PENDING, session);
+
+      withdrawal.reviewedBy = adminId;
+      withdrawal.reviewedAt = new Date();
+      withdrawal.rejectionReason = reason;
+      await releaseWithdrawal(withdrawal, {
+        status: WITHDRAWAL_STATUSES.REJECTED,
+        transactionStatus: TRANSACTION_STATUSES.CANCELLED,
+        changedBy: adminId,
+        note: reason
+      }, session);
+
+      updatedRequest = withdrawal;
+    });
+
+    return updatedRequest;
+
+  } catch (error) {
+    throw error;
+  } finally {
+    await session.endSession();
+  }
+};
+
+/**
+ * Cancel a star's own pending withdrawal and unlock the coins
+ * @param {Object} cancellationData - Cancellation data
+ * @param {string} cancellationData.withdrawalId - Withdrawal request ID
+ * @param {string} cancellationData.starId - Star cancelling the request
+ * @returns {Promise<Object>} Updated withdrawal request
+ */
+export const cancelWithdrawalRequest = async ({ withdrawalId, starId }) => {
+  const session = await mongoose.startSession();
+
+  try {
+    let updatedRequest = null;
+    await session.withTransaction(async () => {
+      const withdrawal = await findWithdrawalInStatus(withdrawalId, WITHDRAWAL_STATUSES.PENDING, session);
+      if (String(withdrawal.starId) !== String(starId)) {
+        throw new Error('Withdrawal request not found');
+      }
+
+      await releaseWithdrawal(withdrawal, {
+        status: WITHDRAWAL_STATUSES.CANCELLED,
+        transactionStatus: TRANSACTION_STATUSES.CANCELLED,
+        changedBy: starId
+      }, session);
+
+      updatedRequest = withdrawal;
+    });
+
+    return updatedRequest;
+
+  } catch (error) {
+    throw error;
+  } finally {
+    await session.endSession();
+  }
+};
+
+/**
+ * List withdrawal requests, most recent first
+ * @param {Object} options - Query options
+ * @param {string} options.starId - Filter by star (optional)
+ * @param {string} options.status - Filter by status (optional)
+ * @returns {Promise<Array>} Withdrawal requests
+ */
+export const listWithdrawalRequests = async ({ starId, status } = {}) => {
+  const filter = {};
+  if (starId) filter.starId = starId;
+  if (status) filter.status = status;
+
+  return WithdrawalRequest.find(filter)
+    .populate('starId', 'name pseudo profilePic baroniId')
+    .populate('reviewedBy', 'name')
+    .sort({ createdAt: -1 });
+};
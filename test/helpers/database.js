@@ -0,0 +1,18 @@
+import mongoose from 'mongoose';
+import { MongoMemoryReplSet } from 'mongodb-memory-server';
+
+/**
+ * Start an in-memory single-node replica set (the services use transactions) and connect mongoose
+ * @returns {Promise<Function>} Disconnects and stops the database
+ */
+export const startDatabase = async () => {
+  const replSet = await MongoMemoryReplSet.create({ replSet: { count: 1, storageEngine: 'wiredTiger' } });
+  await mongoose.connect(replSet.getUri());
+  // Collections must exist before documents are created in a transaction
+  await Promise.all(Object.values(mongoose.models).map((model) => model.createCollection()));
+
+  return async () => {
+    await mongoose.disconnect();
+    await replSet.stop();
+  };
+};
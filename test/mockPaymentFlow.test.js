@@ -0,0 +1,115 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import User from '../models/User.js';
+import Transaction from '../models/Transaction.js';
+import paymentCallbackRoutes from '../routes/api/paymentCallback.js';
+import mockPaymentService from '../services/mockPaymentService.js';
+import { createHybridTransaction } from '../services/transactionService.js';
+import { TRANSACTION_STATUSES, PAYMENT_MODES, PAYMENT_PROVIDERS } from '../utils/transactionConstants.js';
+import { startDatabase } from './helpers/database.js';
+
+const CALLBACK_SECRET = 'mock-callback-secret';
+const COIN_BALANCE = 40;
+const PRICE = 100;
+
+// Hybrid payments through the mock gateway, settled by callbacks posted to the API
+describe('mock payment gateway flow', () => {
+  let stopDatabase;
+  let server;
+  let callbackUrl;
+
+  before(async () => {
+    process.env.PAYMENT_PROVIDER = PAYMENT_PROVIDERS.MOCK;
+    process.env.MOCK_PAYMENT_CALLBACK_SECRET = CALLBACK_SECRET;
+    stopDatabase = await startDatabase();
+
+    // Same body parsing as index.js, so signatures are checked against the raw body
+    const app = express();
+    app.use(express.json({ verify: (req, _res, buf) => { req.rawBody = buf; } }));
+    app.use('/api/payment', paymentCallbackRoutes);
+    server = app.listen(0);
+    callbackUrl = `http://127.0.0.1:${server.address().port}/api/payment/callback/mock`;
+  });
+
+  after(async () => {
+    if (server) server.close();
+    if (stopDatabase) await stopDatabase();
+  });
+
+  // Fan short of coins buying from a star, so the rest goes through the gateway
+  const initiate = async () => {
+    const fan = await User.create({ name: 'Fan', coinBalance: COIN_BALANCE });
+    const star = await User.create({ name: 'Star', role: 'star' });
+    const result = await createHybridTransaction({
+      type: 'appointment_payment',
+      payerId: fan._id,
+      receiverId: star._id,
+      amount: PRICE,
+      description: 'Video call',
+      userPhone: '+2250700000000'
+    });
+    return { fan, result };
+  };
+
+  const postCallback = ({ body, headers }) => fetch(callbackUrl, { method: 'POST', body, headers });
+
+  it('reserves the coins and starts the external payment', async () => {
+    const { fan, result } = await initiate();
+
+    assert.equal(result.paymentMode, PAYMENT_MODES.HYBRID);
+    assert.equal(result.paymentProvider, PAYMENT_PROVIDERS.MOCK);
+    assert.equal(result.coinAmount, COIN_BALANCE);
+    assert.equal(result.externalAmount, PRICE - COIN_BALANCE);
+    assert.match(result.externalPaymentId, /^MOCK-/);
+    assert.equal((await Transaction.findById(result.transactionId)).status, TRANSACTION_STATUSES.INITIATED);
+    assert.equal((await User.findById(fan._id)).coinBalance, 0);
+  });
+
+  it('completes the payment on a signed OK callback, once', async () => {
+    const { result } = await initiate();
+    const callback = mockPaymentService.buildCallback(result.externalPaymentId, true, CALLBACK_SECRET);
+
+    const response = await postCallback(callback);
+    assert.equal(response.status, 200);
+    assert.equal((await response.json()).data.duplicate, false);
+    assert.equal((await Transaction.findById(result.transactionId)).status, TRANSACTION_STATUSES.PENDING);
+
+    // A repeated delivery changes nothing
+    const repeated = await postCallback(callback);
+    assert.equal(repeated.status, 200);
+    assert.equal((await repeated.json()).data.duplicate, true);
+    assert.equal((await Transaction.findById(result.transactionId)).status, TRANSACTION_STATUSES.PENDING);
+  });
+
+  it('treats a KO callback after the payment was captured as already processed', async () => {
+    const { fan, result } = await initiate();
+    await postCallback(mockPaymentService.buildCallback(result.externalPaymentId, true, CALLBACK_SECRET));
+
+    const response = await postCallback(mockPaymentService.buildCallback(result.externalPaymentId, false, CALLBACK_SECRET));
+    assert.equal(response.status, 200);
+    assert.equal((await response.json()).data.duplicate, true);
+    assert.equal((await Transaction.findById(result.transactionId)).status, TRANSACTION_STATUSES.PENDING);
+    assert.equal((await User.findById(fan._id)).coinBalance, 0);
+  });
+
+  it('refunds the reserved coins on a signed KO callback', async () => {
+    const { fan, result } = await initiate();
+
+    const response = await postCallback(mockPaymentService.buildCallback(result.externalPaymentId, false, CALLBACK_SECRET));
+    assert.equal(response.status, 200);
+
+    assert.equal((await Transaction.findById(result.transactionId)).status, TRANSACTION_STATUSES.FAILED);
+    assert.equal((await User.findById(fan._id)).coinBalance, COIN_BALANCE);
+  });
+
+  it('rejects a callback that is not signed with the secret', async () => {
+    const { fan, result } = await initiate();
+
+    const response = await postCallback(mockPaymentService.buildCallback(result.externalPaymentId, false, 'wrong-secret'));
+    assert.equal(response.status, 401);
+
+    assert.equal((await Transaction.findById(result.transactionId)).status, TRANSACTION_STATUSES.INITIATED);
+    assert.equal((await User.findById(fan._id)).coinBalance, 0);
+  });
+});
@@ -0,0 +1,128 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Availability from '../models/Availability.js';
+import SlotReservation from '../models/SlotReservation.js';
+import Appointment from '../models/Appointment.js';
+import { holdSlot } from '../services/slotReservationService.js';
+import { startDatabase } from './helpers/database.js';
+
+const MINUTE_MS = 60 * 1000;
+const CONCURRENT_BOOKINGS = 10;
+
+// Concurrent holds on one star's time: exactly the allowed number must win
+describe('holdSlot under concurrent bookings', () => {
+  let stopDatabase;
+  const date = new Date(Date.now() + 365 * 24 * 60 * MINUTE_MS).toISOString().slice(0, 10);
+  const slotStart = new Date(`${date}T10:00:00.000Z`);
+
+  before(async () => {
+    stopDatabase = await startDatabase();
+  });
+
+  after(async () => {
+    if (stopDatabase) await stopDatabase();
+  });
+
+  // Star with one four-hour slot
+  const createStar = async (settings = {}) => {
+    const star = { _id: new mongoose.Types.ObjectId(), callBufferMinutes: 0, ...settings };
+    const availability = await Availability.create({
+      userId: star._id,
+      date,
+      timezone: 'UTC',
+      timeSlots: [{ slot: '10:00 - 14:00', status: 'available' }]
+    });
+    return { star, availability, timeSlotId: availability.timeSlots[0]._id };
+  };
+
+  // Start every booking at once and sort the outcomes
+  const race = async ({ star, availability, timeSlotId }, bookings) => {
+    const results = await Promise.allSettled(bookings.map(({ offsetMinutes, durationMinutes, holdsWholeSlot }) => holdSlot({
+      star,
+      fanId: new mongoose.Types.ObjectId(),
+      availabilityId: availability._id,
+      timeSlotId,
+      date,
+      startAt: new Date(slotStart.getTime() + offsetMinutes * MINUTE_MS),
+      endAt: new Date(slotStart.getTime() + (offsetMinutes + durationMinutes) * MINUTE_MS),
+      holdsWholeSlot
+    })));
+    return {
+      won: results.filter((r) => r.status === 'fulfilled').length,
+      errors: results.filter((r) => r.status === 'rejected').map((r) => r.reason.message),
+      held: await SlotReservation.countDocuments({ starId: star._id, status: 'held' })
+    };
+  };
+
+  it('gives the same whole slot to one fan', async () => {
+    const booking = await createStar();
+    const outcome = await race(booking, Array.from({ length: CONCURRENT_BOOKINGS }, () => (
+      { offsetMinutes: 0, durationMinutes: 240, holdsWholeSlot: true }
+    )));
+
+    assert.equal(outcome.won, 1);
+    assert.equal(outcome.held, 1);
+    outcome.errors.forEach((message) => assert.equal(message, 'Time slot unavailable'));
+    const availability = await Availability.findById(booking.availability._id);
+    assert.equal(availability.timeSlots[0].status, 'unavailable');
+  });
+
+  it('gives overlapping call-type slices to one fan', async () => {
+    // 30-minute calls starting a minute apart all overlap each other
+    const outcome = await race(await createStar(), Array.from({ length: CONCURRENT_BOOKINGS }, (_, i) => (
+      { offsetMinutes: i, durationMinutes: 30, holdsWholeSlot: false }
+    )));
+
+    assert.equal(outcome.won, 1);
+    assert.equal(outcome.held, 1);
+    outcome.errors.forEach((message) => assert.equal(message, 'Time slot overlaps another booking'));
+  });
+
+  it('keeps the buffer between concurrent calls', async () => {
+    // Back-to-back 20-minute calls collide once a 10-minute buffer is required
+    const outcome = await race(await createStar({ callBufferMinutes: 10 }), [
+      { offsetMinutes: 0, durationMinutes: 20, holdsWholeSlot: false },
+      { offsetMinutes: 20, durationMinutes: 20, holdsWholeSlot: false }
+    ]);
+
+    assert.equal(outcome.won, 1);
+    assert.deepEqual(outcome.errors, ['Time slot overlaps another booking']);
+  });
+
+  it('stops at the daily call limit', async () => {
+    const maxCallsPerDay = 3;
+    // Back-to-back 10-minute calls never overlap, so only the cap limits them
+    const outcome = await race(await createStar({ maxCallsPerDay }), Array.from({ length: CONCURRENT_BOOKINGS }, (_, i) => (
+      { offsetMinutes: i * 10, durationMinutes: 10, holdsWholeSlot: false }
+    )));
+
+    assert.equal(outcome.won, maxCallsPerDay);
+    assert.equal(outcome.held, maxCallsPerDay);
+    outcome.errors.forEach((message) => assert.equal(message, 'Daily call limit reached'));
+  });
+
+  it('counts existing appointments towards the daily call limit', async () => {
+    const booking = await createStar({ maxCallsPerDay: 2 });
+    await Appointment.create({
+      starId: booking.star._id,
+      fanId: new mongoose.Types.ObjectId(),
+      availabilityId: booking.availability._id,
+      timeSlotId: booking.timeSlotId,
+      date,
+      time: '13:00 - 13:30',
+      timezone: 'UTC',
+      startAt: new Date(slotStart.getTime() + 180 * MINUTE_MS),
+      endAt: new Date(slotStart.getTime() + 210 * MINUTE_MS),
+      price: 100,
+      status: 'approved'
+    });
+
+    const outcome = await race(booking, Array.from({ length: CONCURRENT_BOOKINGS }, (_, i) => (
+      { offsetMinutes: i * 10, durationMinutes: 10, holdsWholeSlot: false }
+    )));
+
+    assert.equal(outcome.won, 1);
+    outcome.errors.forEach((message) => assert.equal(message, 'Daily call limit reached'));
+  });
+});
@@ -0,0 +1,115 @@
+/**
+ * iCalendar (RFC 5545) serialization for calendar feeds and event downloads.
+ * Timed events are written as UTC instants so every client places them
+ * correctly; all-day events are plain dates already resolved in the owner's
+ * timezone, which is also advertised as the calendar's default timezone.
+ */
+
+const PRODUCT_ID = '-//Baroni//Baroni Calendar//EN';
+
+// Escape TEXT values (RFC 5545 3.3.11)
+const escapeText = (value) => String(value ?? '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Fold content lines longer than 75 octets (RFC 5545 3.1)
+const foldLine = (line) => {
+  const bytes = Buffer.from(line, 'utf8');
+  if (bytes.length <= 75) return line;
+
+  const parts = [];
+  let current = '';
+  let size = 0;
+  for (const char of line) {
+    const charSize = Buffer.byteLength(char, 'utf8');
+    if (size + charSize > (parts.length === 0 ? 75 : 74)) {
+      parts.push(current);
+      current = '';
+      size = 0;
+    }
+    current += char;
+    size += charSize;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+};
+
+/**
+ * Format an instant as an iCalendar UTC date-time
+ * @param {Date} date - Instant
+ * @returns {string} e.g. "20250101T093000Z"
+ */
+export const formatIcsDateTime = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// "YYYY-MM-DD" to an iCalendar DATE
+const formatIcsDate = (ymd) => String(ymd).replace(/-/g, '');
+
+// Day after a "YYYY-MM-DD" date, as an iCalendar DATE (exclusive end of an all-day event)
+const nextIcsDate = (ymd) => {
+  const [year, month, day] = String(ymd).split('-').map((v) => parseInt(v, 10));
+  return new Date(Date.UTC(year, month - 1, day + 1)).toISOString().slice(0, 10).replace(/-/g, '');
+};
+
+/**
+ * Serialize one event
+ * @param {Object} event - Event
+ * @param {string} event.uid - Globally unique, stable ID
+ * @param {string} event.summary - Title
+ * @param {string} event.description - Description (optional)
+ * @param {string} event.url - Link back to the app (optional)
+ * @param {Date} event.startAt - Start instant (timed events)
+ * @param {Date} event.endAt - End instant (timed events)
+ * @param {string} event.date - Day (YYYY-MM-DD) for all-day events
+ * @param {string} event.status - 'CONFIRMED', 'TENTATIVE' or 'CANCELLED' (optional)
+ * @param {Date} event.updatedAt - Last modification (optional)
+ * @returns {Array<string>} Unfolded content lines
+ */
+const eventLines = (event) => [
+  'BEGIN:VEVENT',
+  `UID:${event.uid}`,
+  `DTSTAMP:${formatIcsDateTime(event.updatedAt || new Date())}`,
+  ...(event.date
+    ? [`DTSTART;VALUE=DATE:${formatIcsDate(event.date)}`, `DTEND;VALUE=DATE:${nextIcsDate(event.date)}`]
+    : [`DTSTART:${formatIcsDateTime(event.startAt)}`, `DTEND:${formatIcsDateTime(event.endAt)}`]),
+  `SUMMARY:${escapeText(event.summary)}`,
+  ...(event.description ? [`DESCRIPTION:${escapeText(event.description)}`] : []),
+  ...(event.url ? [`URL:${event.url}`] : []),
+  ...(event.status ? [`STATUS:${event.status}`] : []),
+  ...(event.updatedAt ? [`LAST-MODIFIED:${formatIcsDateTime(event.updatedAt)}`] : []),
+  'END:VEVENT'
+];
+
+/**
+ * Serialize a calendar
+ * @param {Array<Object>} events - Events (see eventLines)
+ * @param {Object} options - Calendar options
+ * @param {string} options.name - Calendar name shown by clients
+ * @param {string} options.timezone - Owner's IANA timezone (default timezone hint)
+ * @returns {string} iCalendar document
+ */
+export const buildCalendar = (events, { name, timezone } = {}) => [
+  'BEGIN:VCALENDAR',
+  'VERSION:2.0',
+  `PRODID:${PRODUCT_ID}`,
+  'CALSCALE:GREGORIAN',
+  'METHOD:PUBLISH',
+  ...(name ? [`X-WR-CALNAME:${escapeText(name)}`] : []),
+  ...(timezone ? [`X-WR-TIMEZONE:${timezone}`] : []),
+  ...events.flatMap(eventLines),
+  'END:VCALENDAR'
+].map(foldLine).join('\r\n') + '\r\n';
+
+/**
+ * Send an iCalendar document
+ * @param {Object} res - Express response
+ * @param {string} calendar - iCalendar document
+ * @param {string} filename - Download file name (optional; inline when omitted)
+ * @returns {Object} Express response
+ */
+export const sendCalendar = (res, calendar, filename = null) => {
+  res.set('Content-Type', 'text/calendar; charset=utf-8');
+  if (filename) res.set('Content-Disposition', `attachment; filename="${filename}"`);
+  return res.send(calendar);
+};
@@ -1,5 +1,14 @@
 import notificationService from '../services/notificationService.js';
 import  User  from '../models/User.js';
+import LiveShowAttendance from '../models/LiveShowAttendance.js';
+
+// Human lead time of a reminder, e.g. "in 10 minutes", "in 1 hour", "soon"
+const formatLeadTime = (minutes) => {
+  if (!minutes || minutes <= 0) return 'soon';
+  if (minutes % 1440 === 0) return `in ${minutes / 1440 === 1 ? '24 hours' : `${minutes / 1440} days`}`;
+  if (minutes % 60 === 0) return `in ${minutes / 60} hour${minutes === 60 ? '' : 's'}`;
+  return `in ${minutes} minute${minutes === 1 ? '' : 's'}`;
+};
 
 class NotificationHelper {
   /**
@@ -116,13 +125,21 @@ class NotificationHelper {
     const template = templates.VIDEO_CALL_REMINDER;
 
     // Check if appointment is in the past
-    const isPastAppointment = appointment.startTime && new Date(appointment.startTime) < new Date();
+    const isPastAppointment = appointment.startAt && new Date(appointment.startAt) < new Date();
+
+    // starId/fanId may be populated with name/pseudo
+    const fanId = appointment.fanId?._id || appointment.fanId;
+    const starId = appointment.starId?._id || appointment.starId;
+    const starName = appointment.starId?.name || appointment.starId?.pseudo || appointment.starName || 'Star';
+    const fanName = appointment.fanId?.name || appointment.fanId?.pseudo || appointment.fanName || 'Fan';
+    const leadTime = formatLeadTime(additionalData.minutesUntilStart);
 
     const data = {
       type: template.type,
       appointmentId: appointment._id.toString(),
-      starName: appointment.starName || 'Star',
-      fanName: appointment.fanName || 'Fan',
+      starName,
+      fanName,
+      ...(appointment.startAt ? { startAt: new Date(appointment.startAt).toISOString() } : {}),
       isMessage: isPastAppointment ? false : (additionalData.isMessage || true)
     };
 
@@ -132,29 +149,29 @@ class NotificationHelper {
     // Customize message for each user
     const fanTemplate = {
       ...template,
-      body: `Your video call with ${appointment.starName || 'Star'} begins in 10 minutes. Please check your network and be ready to join.`
+      body: `Your video call with ${starName} begins ${leadTime}. Please check your network and be ready to join.`
     };
 
     const starTemplate = {
       ...template,
-      body: `Your video call with ${appointment.fanName || 'Fan'} begins in 10 minutes. Please check your network and be ready to join.`
+      body: `Your video call with ${fanName} begins ${leadTime}. Please check your network and be ready to join.`
     };
 
     // Send to fan if fan is not the current user
-    if (appointment.fanId && String(appointment.fanId) !== String(currentUserId)) {
-      await notificationService.sendToUser(appointment.fanId, fanTemplate, data, {
+    if (fanId && String(fanId) !== String(currentUserId)) {
+      await notificationService.sendToUser(fanId, fanTemplate, data, {
         relatedEntity: { type: 'appointment', id: appointment._id }
       });
     }
 
     // Send to star if star is not the current user
-    if (appointment.starId && String(appointment.starId) !== String(currentUserId)) {
-      const result = await notificationService.sendToUser(appointment.starId, starTemplate, data, {
+    if (starId && String(starId) !== String(currentUserId)) {
+      const result = await notificationService.sendToUser(starId, starTemplate, data, {
         relatedEntity: { type: 'appointment', id: appointment._id }
       });
       console.log('[AppointmentNotification] sent to star', {
         appointmentId: appointment._id?.toString?.() || String(appointment._id || ''),
-        userId: appointment.starId?.toString?.() || String(appointment.starId || ''),
+        userId: String(starId),
         template: { title: starTemplate.title, body: starTemplate.body },
         data,
         result
@@ -218,6 +235,18 @@ class NotificationHelper {
         title: 'Hosting fee paid',
         body: `Your hosting fee for ${showTitle} was paid${amountStr ? ` • ${amountStr} ${currency}` : ''}.`
       };
+    } else if (tType === 'admin_credit') {
+      template = {
+        ...baseTemplate,
+        title: 'Coins credited',
+        body: `${amountStr} coins were added to your wallet by Baroni support.`
+      };
+    } else if (tType === 'admin_debit') {
+      template = {
+        ...baseTemplate,
+        title: 'Coins debited',
+        body: `${amountStr} coins were removed from your wallet by Baroni support.`
+      };
     } else if (type === 'PAYMENT_SUCCESS') {
       template = {
         ...baseTemplate,
@@ -240,6 +269,47 @@ class NotificationHelper {
     }
   }
 
+  /**
+   * Send withdrawal notifications to the requesting star
+   */
+  static async sendWithdrawalNotification(type, withdrawal, additionalData = {}) {
+    const templates = notificationService.constructor.getNotificationTemplates();
+    const baseTemplate = templates[type];
+
+    if (!baseTemplate) {
+      console.error(`Notification template not found for type: ${type}`);
+      return;
+    }
+
+    const data = {
+      type: baseTemplate.type,
+      withdrawalId: withdrawal._id.toString(),
+      amount: withdrawal.amount,
+      status: withdrawal.status,
+      ...additionalData
+    };
+
+    let template = { ...baseTemplate };
+    if (type === 'WITHDRAWAL_PAID') {
+      template = {
+        ...baseTemplate,
+        body: `${withdrawal.amount} coins have been sent to ${withdrawal.msisdn}.`
+      };
+    } else if (type === 'WITHDRAWAL_REJECTED' && withdrawal.rejectionReason) {
+      template = {
+        ...baseTemplate,
+        body: `Your withdrawal request was rejected: ${withdrawal.rejectionReason}. The coins are back in your wallet.`
+      };
+    }
+
+    const currentUserId = additionalData.currentUserId || '';
+    if (withdrawal.starId && String(withdrawal.starId) !== String(currentUserId)) {
+      await notificationService.sendToUser(withdrawal.starId, template, data, {
+        relatedEntity: withdrawal.transactionId ? { type: 'transaction', id: withdrawal.transactionId } : undefined
+      });
+    }
+  }
+
   /**
    * Send rating notifications
    */
@@ -310,6 +380,7 @@ class NotificationHelper {
       }
     } catch (_e) {}
 
+    const { minutesUntilStart, ...extraData } = additionalData;
     const data = {
       type: baseTemplate.type,
       liveShowId: liveShow._id.toString(),
@@ -318,7 +389,7 @@ class NotificationHelper {
       pushType: 'VoIP',
       navigateTo: 'live_show',
       eventType: type,
-      ...additionalData
+      ...extraData
     };
 
     // Get current user ID from additionalData
@@ -342,7 +413,7 @@ class NotificationHelper {
         template = {
           ...baseTemplate,
           title: 'Live Show starting soon',
-          body: `${showTitle} is starting soon. Get ready to join!`
+          body: `${showTitle} is starting ${formatLeadTime(minutesUntilStart)}. Get ready to join!`
         };
         break;
       case 'LIVE_SHOW_CANCELLED':
@@ -368,7 +439,16 @@ class NotificationHelper {
         break;
 
       case 'LIVE_SHOW_STARTING':
-        // Send to all fans who joined this live show
+        // Remind the host and all fans who joined this live show
+        if (liveShow.starId && String(liveShow.starId) !== String(currentUserId)) {
+          await notificationService.sendToUser(liveShow.starId, {
+            ...template,
+            body: `Your live show ${showTitle} starts ${formatLeadTime(minutesUntilStart)}.`
+          }, data, {
+            relatedEntity: { type: 'live_show', id: liveShow._id },
+            apnsVoip: true
+          });
+        }
         await this.sendToLiveShowAttendees(liveShow._id, template, data, { apnsVoip: true, currentUserId });
         break;
 
@@ -498,6 +578,46 @@ class NotificationHelper {
           relatedEntity: { type: 'dedication', id: dedication._id }
         });
       }
+    } else if (type === 'DEDICATION_REVISION_REQUESTED') {
+      // Send the fan's requested changes back to the star
+      const lastRevision = (dedication.revisions || [])[dedication.revisions.length - 1];
+      const customTemplate = {
+        ...template,
+        body: lastRevision?.reason
+          ? `Changes requested for "${dedication.eventName}": ${lastRevision.reason}`
+          : template.body
+      };
+      if (dedication.starId && String(dedication.starId) !== String(currentUserId)) {
+        await notificationService.sendToUser(dedication.starId, customTemplate, data, {
+          relatedEntity: { type: 'dedication', id: dedication._id }
+        });
+      }
+    } else if (type === 'DEDICATION_DEADLINE_APPROACHING') {
+      // Overdue warning for the star
+      const dueStr = dedication.deliveryDeadline ? new Date(dedication.deliveryDeadline).toLocaleString() : undefined;
+      const customTemplate = {
+        ...template,
+        body: `Your dedication for "${dedication.eventName}" is due${dueStr ? ` by ${dueStr}` : ' soon'}. Upload the video before then or the fan will be refunded.`
+      };
+      if (dedication.starId && String(dedication.starId) !== String(currentUserId)) {
+        await notificationService.sendToUser(dedication.starId, customTemplate, data, {
+          relatedEntity: { type: 'dedication', id: dedication._id }
+        });
+      }
+    } else if (type === 'DEDICATION_DEADLINE_MISSED') {
+      // Fan is refunded; star is told the deadline passed
+      if (dedication.fanId && String(dedication.fanId) !== String(currentUserId)) {
+        const custom = { ...template, body: `${starName} could not deliver your dedication in time, so your payment has been refunded.` };
+        await notificationService.sendToUser(dedication.fanId, custom, data, {
+          relatedEntity: { type: 'dedication', id: dedication._id }
+        });
+      }
+      if (dedication.starId && String(dedication.starId) !== String(currentUserId)) {
+        const custom = { ...template, body: `You missed the delivery deadline for "${dedication.eventName}" and the fan has been refunded.` };
+        await notificationService.sendToUser(dedication.starId, custom, data, {
+          relatedEntity: { type: 'dedication', id: dedication._id }
+        });
+      }
     }
   }
 
@@ -587,21 +707,18 @@ class NotificationHelper {
       // Get current user ID from options
       const currentUserId = options.currentUserId || '';
 
-      // Import LiveShowAttendance model
-      const { LiveShowAttendance } = await import('../models/LiveShowAttendance.js');
-
       const attendees = await LiveShowAttendance.find({
         liveShowId: liveShowId,
-        status: 'joined'
-      }).populate('userId', 'fcmToken apnsToken voipToken role');
+        status: { $in: ['pending', 'completed'] }
+      }).populate('fanId', 'fcmToken apnsToken voipToken role');
 
       const attendeeIds = attendees
         .filter(attendance => 
-          attendance.userId?.role === 'fan' && 
-          (attendance.userId?.fcmToken || attendance.userId?.apnsToken || attendance.userId?.voipToken) &&
-          String(attendance.userId._id) !== String(currentUserId)
+          attendance.fanId?.role === 'fan' && 
+          (attendance.fanId?.fcmToken || attendance.fanId?.apnsToken || attendance.fanId?.voipToken) &&
+          String(attendance.fanId._id) !== String(currentUserId)
         )
-        .map(attendance => attendance.userId._id);
+        .map(attendance => attendance.fanId._id);
 
       if (attendeeIds.length > 0) {
         await notificationService.sendToMultipleUsers(attendeeIds, template, data, {
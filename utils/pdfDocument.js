@@ -0,0 +1,70 @@
+// Minimal PDF writer for plain-text documents (statements, receipts).
+// Lines are laid out top to bottom in a monospaced font and split across
+// A4 pages; no external dependency is needed.
+
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+const MARGIN = 40;
+const FONT_SIZE = 8;
+const LEADING = 11;
+const LINES_PER_PAGE = Math.floor((PAGE_HEIGHT - (2 * MARGIN)) / LEADING);
+
+// Courier glyphs are 0.6em wide
+export const PDF_CHARS_PER_LINE = Math.floor((PAGE_WIDTH - (2 * MARGIN)) / (FONT_SIZE * 0.6));
+
+// Escape PDF string delimiters and drop characters outside Latin-1
+const escapeText = (text) => String(text)
+  .replace(/[^\x20-\xff]/g, '?')
+  .replace(/\\/g, '\\\\')
+  .replace(/\(/g, '\\(')
+  .replace(/\)/g, '\\)');
+
+/**
+ * Render lines of text to a PDF document
+ * @param {Array<string>} lines - Text lines, one per row
+ * @param {Object} options - Document options
+ * @param {string} options.title - Document title (optional)
+ * @returns {Buffer} PDF file contents
+ */
+export const renderTextPdf = (lines, options = {}) => {
+  const pages = [];
+  for (let i = 0; i < Math.max(lines.length, 1); i += LINES_PER_PAGE) {
+    pages.push(lines.slice(i, i + LINES_PER_PAGE));
+  }
+
+  // Object numbers: 1 catalog, 2 page tree, 3 font, 4 info, then a page and content object per page
+  const objects = [];
+  const pageRefs = pages.map((_, index) => `${5 + (index * 2)} 0 R`);
+  objects.push('<< /Type /Catalog /Pages 2 0 R >>');
+  objects.push(`<< /Type /Pages /Kids [${pageRefs.join(' ')}] /Count ${pages.length} >>`);
+  objects.push('<< /Type /Font /Subtype /Type1 /BaseFont /Courier /Encoding /WinAnsiEncoding >>');
+  objects.push(`<< /Title (${escapeText(options.title || 'Document')}) /Producer (Baroni) >>`);
+
+  pages.forEach((pageLines, index) => {
+    const content = [
+      'BT',
+      `/F1 ${FONT_SIZE} Tf`,
+      `${LEADING} TL`,
+      `${MARGIN} ${PAGE_HEIGHT - MARGIN} Td`,
+      ...pageLines.map((line) => `(${escapeText(line)}) Tj T*`),
+      'ET'
+    ].join('\n');
+
+    objects.push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] /Resources << /Font << /F1 3 0 R >> >> /Contents ${6 + (index * 2)} 0 R >>`);
+    objects.push(`<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`);
+  });
+
+  let output = '%PDF-1.4\n';
+  const offsets = [];
+  objects.forEach((object, index) => {
+    offsets.push(Buffer.byteLength(output, 'latin1'));
+    output += `${index + 1} 0 obj\n${object}\nendobj\n`;
+  });
+
+  const xrefOffset = Buffer.byteLength(output, 'latin1');
+  output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  output += offsets.map((offset) => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  output += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info 4 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Buffer.from(output, 'latin1');
+};
@@ -0,0 +1,64 @@
+import crypto from 'crypto';
+
+// Every stored file lives under this prefix; private files additionally under "private/"
+const ROOT_PREFIX = 'baroni/';
+const PRIVATE_PREFIX = 'private/';
+
+// File extensions whose MIME subtype differs from the usual extension
+const EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/svg+xml': 'svg',
+  'video/quicktime': 'mov',
+  'video/x-matroska': 'mkv',
+  'text/plain': 'txt'
+};
+
+const extensionOf = (contentType) => {
+  if (!contentType) return '';
+  const extension = EXTENSIONS[contentType] || contentType.split('/')[1] || '';
+  return extension.replace(/[^a-z0-9]/gi, '').toLowerCase();
+};
+
+/**
+ * New object key for an upload, e.g. "baroni/videos/<uuid>.mp4"
+ * @param {Object} options - Key options
+ * @param {string} options.folder - Folder under the root prefix (optional)
+ * @param {string} options.contentType - MIME type, used for the extension (optional)
+ * @param {boolean} options.private - Place the file under the private prefix
+ * @returns {string} Key
+ */
+export const buildStorageKey = ({ folder, contentType, private: isPrivate = false } = {}) => {
+  const extension = extensionOf(contentType);
+  return [
+    isPrivate ? PRIVATE_PREFIX : '',
+    ROOT_PREFIX,
+    folder ? `${folder}/` : '',
+    crypto.randomUUID(),
+    extension ? `.${extension}` : ''
+  ].join('');
+};
+
+/**
+ * Whether a key was produced by buildStorageKey (guards deletes and local paths)
+ * @param {string} key - Object key
+ * @returns {boolean} True for a safe key under the root prefix
+ */
+export const isStorageKey = (key) => typeof key === 'string'
+  && /^(private\/)?baroni\/[\w\-/.]+$/.test(key)
+  && !key.split('/').some((segment) => segment === '' || segment === '.' || segment === '..');
+
+/**
+ * Whether a key is private
+ * @param {string} key - Object key
+ * @returns {boolean} True when under the private prefix
+ */
+export const isPrivateStorageKey = (key) => key.startsWith(PRIVATE_PREFIX);
+
+/**
+ * URL path of a key, each segment percent-encoded (RFC 3986)
+ * @param {string} key - Object key
+ * @returns {string} Encoded path
+ */
+export const encodeStorageKey = (key) => key.split('/')
+  .map((segment) => encodeURIComponent(segment).replace(/[!'()*]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`))
+  .join('/');
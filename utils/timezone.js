@@ -0,0 +1,176 @@
+/**
+ * Timezone helpers for availability and appointment scheduling.
+ * Availability dates ("YYYY-MM-DD") and slots ("HH:MM - HH:MM") are wall-clock
+ * values in the star's timezone; these helpers resolve them to absolute UTC
+ * instants and format instants back into a viewer's timezone using Intl, so no
+ * timezone database dependency is needed.
+ */
+
+export const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'UTC';
+
+const formatterCache = new Map();
+
+const getFormatter = (timeZone) => {
+  if (!formatterCache.has(timeZone)) {
+    formatterCache.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatterCache.get(timeZone);
+};
+
+/**
+ * Check that a value is an IANA timezone name known to the runtime
+ * @param {string} timeZone - Timezone name (e.g. "Africa/Abidjan")
+ * @returns {boolean} True when valid
+ */
+export const isValidTimezone = (timeZone) => {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (_e) {
+    return false;
+  }
+};
+
+/**
+ * Wall-clock parts of an instant in a timezone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - Timezone name
+ * @returns {Object} { year, month, day, hour, minute, second }
+ */
+const getZonedParts = (date, timeZone) => {
+  const parts = {};
+  getFormatter(timeZone).formatToParts(date).forEach(({ type, value }) => {
+    if (type !== 'literal') parts[type] = parseInt(value, 10);
+  });
+  return parts;
+};
+
+// Offset of the timezone from UTC at the given instant, in milliseconds
+const getOffsetMs = (date, timeZone) => {
+  const p = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - (date.getTime() - date.getMilliseconds());
+};
+
+/**
+ * Parse "HH:MM" (24-hour) or "HH:MM AM/PM" into hours and minutes
+ * @param {string} time - Time string
+ * @returns {Object|null} { hours, minutes } or null when invalid
+ */
+export const parseTimeOfDay = (time) => {
+  const raw = String(time || '').trim();
+  const h24 = raw.match(/^([01]?\d|2[0-3]):([0-5]\d)$/);
+  if (h24) return { hours: parseInt(h24[1], 10), minutes: parseInt(h24[2], 10) };
+
+  const ampm = raw.match(/^(\d{1,2}):([0-5]\d)\s*(AM|PM)$/i);
+  if (ampm) {
+    let hours = parseInt(ampm[1], 10);
+    if (hours < 1 || hours > 12) return null;
+    const suffix = ampm[3].toUpperCase();
+    if (suffix === 'PM' && hours !== 12) hours += 12;
+    if (suffix === 'AM' && hours === 12) hours = 0;
+    return { hours, minutes: parseInt(ampm[2], 10) };
+  }
+  return null;
+};
+
+/**
+ * Convert a wall-clock date and time in a timezone to a UTC instant
+ * @param {string} ymd - Date (YYYY-MM-DD)
+ * @param {string} time - Time of day ("HH:MM")
+ * @param {string} timeZone - Timezone the wall-clock values are expressed in
+ * @returns {Date|null} UTC instant, or null when the values cannot be parsed
+ */
+export const zonedTimeToUtc = (ymd, time, timeZone = DEFAULT_TIMEZONE) => {
+  const d = String(ymd || '').trim().match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  const t = parseTimeOfDay(time);
+  if (!d || !t) return null;
+
+  const wallClockAsUtc = Date.UTC(parseInt(d[1], 10), parseInt(d[2], 10) - 1, parseInt(d[3], 10), t.hours, t.minutes);
+  // Two passes settle the offset across DST transitions
+  let instant = wallClockAsUtc - getOffsetMs(new Date(wallClockAsUtc), timeZone);
+  instant = wallClockAsUtc - getOffsetMs(new Date(instant), timeZone);
+  return new Date(instant);
+};
+
+/**
+ * Format an instant as wall-clock date and time in a timezone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - Target timezone
+ * @returns {Object} { date: "YYYY-MM-DD", time: "HH:MM" }
+ */
+export const formatInTimezone = (date, timeZone = DEFAULT_TIMEZONE) => {
+  const p = getZonedParts(new Date(date), timeZone);
+  const pad = (n) => String(n).padStart(2, '0');
+  return {
+    date: `${p.year}-${pad(p.month)}-${pad(p.day)}`,
+    time: `${pad(p.hour)}:${pad(p.minute)}`
+  };
+};
+
+/**
+ * Current calendar date in a timezone
+ * @param {string} timeZone - Timezone name
+ * @returns {string} Date (YYYY-MM-DD)
+ */
+export const todayInTimezone = (timeZone = DEFAULT_TIMEZONE) => formatInTimezone(new Date(), timeZone).date;
+
+/**
+ * Resolve an availability slot to absolute instants.
+ * A slot whose end is not after its start is treated as ending on the next day.
+ * @param {string} ymd - Availability date (YYYY-MM-DD)
+ * @param {string} slot - Slot ("HH:MM - HH:MM")
+ * @param {string} timeZone - Star's timezone
+ * @returns {Object|null} { startAt, endAt } or null when the slot cannot be parsed
+ */
+export const resolveSlotInstants = (ymd, slot, timeZone = DEFAULT_TIMEZONE) => {
+  const parts = String(slot || '').split('-').map((p) => p.trim());
+  if (parts.length !== 2) return null;
+
+  const startAt = zonedTimeToUtc(ymd, parts[0], timeZone);
+  let endAt = zonedTimeToUtc(ymd, parts[1], timeZone);
+  if (!startAt || !endAt) return null;
+  if (endAt <= startAt) endAt = new Date(endAt.getTime() + 24 * 60 * 60 * 1000);
+  return { startAt, endAt };
+};
+
+/**
+ * Express a slot in a viewer's timezone
+ * @param {Date} startAt - Slot start instant
+ * @param {Date} endAt - Slot end instant
+ * @param {string} timeZone - Viewer's timezone
+ * @returns {Object} { date, slot, timezone } in the viewer's wall-clock time
+ */
+export const toLocalSlot = (startAt, endAt, timeZone = DEFAULT_TIMEZONE) => {
+  const start = formatInTimezone(startAt, timeZone);
+  const end = formatInTimezone(endAt, timeZone);
+  return { date: start.date, slot: `${start.time} - ${end.time}`, timezone: timeZone };
+};
+
+/**
+ * Timezone to render a response in: X-Timezone header, then ?tz=, then the
+ * authenticated user's timezone, then the platform default
+ * @param {Object} req - Express request
+ * @returns {string} Timezone name
+ */
+export const resolveViewerTimezone = (req) => {
+  const candidates = [req?.get?.('X-Timezone'), req?.query?.tz];
+  return candidates.find((tz) => isValidTimezone(tz)) || timezoneOf(req?.user);
+};
+
+/**
+ * A user's scheduling timezone, falling back to the platform default
+ * @param {Object} user - User document
+ * @returns {string} Timezone name
+ */
+export const timezoneOf = (user) => (isValidTimezone(user?.timezone) ? user.timezone : DEFAULT_TIMEZONE);
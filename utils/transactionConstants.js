@@ -8,7 +8,9 @@ export const TRANSACTION_TYPES = {
   BECOME_STAR_PAYMENT: 'become_star_payment',
   REFUND: 'refund',
   ADMIN_CREDIT: 'admin_credit',
-  ADMIN_DEBIT: 'admin_debit'
+  ADMIN_DEBIT: 'admin_debit',
+  WITHDRAWAL: 'withdrawal',
+  COIN_TOP_UP: 'coin_top_up'
 };
 
 // Payment Modes
@@ -18,6 +20,13 @@ export const PAYMENT_MODES = {
   HYBRID: 'hybrid'
 };
 
+// External payment providers
+export const PAYMENT_PROVIDERS = {
+  ORANGE_MONEY: 'orange_money',
+  MTN_MOMO: 'mtn_momo',
+  MOCK: 'mock'
+};
+
 // Transaction Statuses
 export const TRANSACTION_STATUSES = {
   INITIATED: 'initiated',
@@ -28,6 +37,75 @@ export const TRANSACTION_STATUSES = {
   FAILED: 'failed'
 };
 
+// Ledger accounts. Wallet entries always carry the owning userId; the other
+// accounts are platform-level and have no userId.
+export const LEDGER_ACCOUNTS = {
+  WALLET: 'wallet',
+  ESCROW: 'escrow',
+  EXTERNAL: 'external',
+  PLATFORM: 'platform',
+  // Coins locked by pending star withdrawal requests
+  WITHDRAWAL_HOLD: 'withdrawal_hold'
+};
+
+// Ledger entry types (one per kind of coin movement)
+export const LEDGER_ENTRY_TYPES = {
+  OPENING_BALANCE: 'opening_balance',
+  SIGNUP_BONUS: 'signup_bonus',
+  RESERVATION: 'reservation',
+  EXTERNAL_CAPTURE: 'external_capture',
+  ESCROW_RELEASE: 'escrow_release',
+  CANCELLATION: 'cancellation',
+  REFUND: 'refund',
+  HYBRID_REFUND: 'hybrid_refund',
+  ADMIN_CREDIT: 'admin_credit',
+  ADMIN_DEBIT: 'admin_debit',
+  WITHDRAWAL_HOLD: 'withdrawal_hold',
+  WITHDRAWAL_RELEASE: 'withdrawal_release',
+  WITHDRAWAL_PAYOUT: 'withdrawal_payout',
+  TOP_UP: 'top_up',
+  COMMISSION: 'commission'
+};
+
+// Transaction types on which the platform takes a commission when escrow is released
+export const COMMISSIONABLE_TRANSACTION_TYPES = [
+  TRANSACTION_TYPES.APPOINTMENT_PAYMENT,
+  TRANSACTION_TYPES.DEDICATION_REQUEST_PAYMENT,
+  TRANSACTION_TYPES.LIVE_SHOW_ATTENDANCE_PAYMENT,
+  TRANSACTION_TYPES.SERVICE_PAYMENT,
+  TRANSACTION_TYPES.DEDICATION_PAYMENT
+];
+
+// Star withdrawal request statuses
+export const WITHDRAWAL_STATUSES = {
+  PENDING: 'pending',
+  PROCESSING: 'processing',
+  PAID: 'paid',
+  REJECTED: 'rejected',
+  CANCELLED: 'cancelled',
+  FAILED: 'failed'
+};
+
+// Dispute lifecycle: open -> responded (star replied) -> resolved by an admin
+export const DISPUTE_STATUSES = {
+  OPEN: 'open',
+  RESPONDED: 'responded',
+  RESOLVED: 'resolved'
+};
+
+export const DISPUTE_OUTCOMES = {
+  FULL_REFUND: 'full_refund',
+  PARTIAL_REFUND: 'partial_refund',
+  NO_REFUND: 'no_refund'
+};
+
+// Bookings a fan can dispute once completed
+export const DISPUTE_ENTITY_TYPES = {
+  APPOINTMENT: 'appointment',
+  DEDICATION_REQUEST: 'dedication_request',
+  LIVE_SHOW_ATTENDANCE: 'live_show_attendance'
+};
+
 // Default transaction descriptions
 export const TRANSACTION_DESCRIPTIONS = {
   [TRANSACTION_TYPES.APPOINTMENT_PAYMENT]: 'Appointment booked',
@@ -39,7 +117,9 @@ export const TRANSACTION_DESCRIPTIONS = {
   [TRANSACTION_TYPES.BECOME_STAR_PAYMENT]: 'Become Star application submitted',
   [TRANSACTION_TYPES.REFUND]: 'Refund processed',
   [TRANSACTION_TYPES.ADMIN_CREDIT]: 'Admin credit adjustment',
-  [TRANSACTION_TYPES.ADMIN_DEBIT]: 'Admin debit adjustment'
+  [TRANSACTION_TYPES.ADMIN_DEBIT]: 'Admin debit adjustment',
+  [TRANSACTION_TYPES.WITHDRAWAL]: 'Withdrawal to mobile money',
+  [TRANSACTION_TYPES.COIN_TOP_UP]: 'Coin pack purchased'
 };
 
 // Helper function to create descriptive transaction messages
@@ -79,6 +159,12 @@ export const createTransactionDescription = (type, payerName = '', receiverName
     case TRANSACTION_TYPES.ADMIN_DEBIT:
       return `Admin debit for ${payerDisplayName}`;
     
+    case TRANSACTION_TYPES.WITHDRAWAL:
+      return `${payerDisplayName} withdrew coins to mobile money`;
+    
+    case TRANSACTION_TYPES.COIN_TOP_UP:
+      return `${payerDisplayName} bought coins`;
+    
     default:
       return `${payerDisplayName} transaction with ${receiverDisplayName}`;
   }
@@ -1,15 +1,16 @@
-import { v2 as cloudinary } from 'cloudinary';
-import dotenv from 'dotenv';
+import axios from 'axios';
+import cloudinary from '../config/cloudinary.js';
+import { putFile } from '../services/storageService.js';
 
-dotenv.config();
-
-cloudinary.config({
-    cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-    api_key: process.env.CLOUDINARY_API_KEY,
-    api_secret: process.env.CLOUDINARY_API_SECRET
-});
-
-export const uploadFile = async (fileBuffer) => {
+/**
+ * Store an image or attachment with the configured storage driver
+ * @param {Buffer} fileBuffer - File contents
+ * @param {Object} options - Upload options
+ * @param {string} options.contentType - MIME type, e.g. req.file.mimetype (optional)
+ * @param {boolean} options.private - Only reachable through signed URLs (see getSignedFileUrl)
+ * @returns {Promise<Object>} { key, url } of the stored file; keep the key to delete the file later
+ */
+export const uploadFileWithKey = async (fileBuffer, { contentType, private: isPrivate = false } = {}) => {
     try {
         const fileSize = fileBuffer.length;
         const maxFileSize = 10 * 1024 * 1024; // 10MB
@@ -18,50 +19,136 @@ export const uploadFile = async (fileBuffer) => {
             throw new Error("File size exceeds the maximum allowed limit.");
         }
 
-        return new Promise((resolve, reject) => {
-            const uploadOptions = {
-                folder: "baroni",
-            };
-
-            cloudinary.uploader.upload_stream(uploadOptions, (error, result) => {
-                if (error) {
-                    reject(error.message);
-                } else {
-                    resolve(result.secure_url);
-                }
-            }).end(fileBuffer);
-        });
+        return await putFile(fileBuffer, { contentType, private: isPrivate });
     } catch (error) {
         console.error(error.message);
         throw new Error("Error uploading file..");
     }
 };
 
-export const uploadVideo = async (fileBuffer) => {
-    try {
-        const fileSize = fileBuffer.length;
-        const maxFileSize = 100 * 1024 * 1024; // 100MB
+/**
+ * Store an image or attachment with the configured storage driver
+ * @param {Buffer} fileBuffer - File contents
+ * @param {Object} options - Upload options (see uploadFileWithKey)
+ * @returns {Promise<string>} URL of the stored file
+ */
+export const uploadFile = async (fileBuffer, options = {}) => (await uploadFileWithKey(fileBuffer, options)).url;
 
-        if (fileSize > maxFileSize) {
-            throw new Error("Video size exceeds the maximum allowed limit.");
+// The video processing pipeline below (chunked uploads, duration and codec probing,
+// previews, watermarks) relies on Cloudinary's media processing, so it always uses
+// Cloudinary whatever STORAGE_DRIVER is set to (see assertVideoProcessingConfigured).
+
+// Cloudinary rejects chunks under 5MB except the last one
+export const VIDEO_CHUNK_SIZE = 6 * 1024 * 1024;
+
+// Fields of a Cloudinary video upload result the processing pipeline relies on
+const describeVideoResult = (result) => ({
+    publicId: result.public_id,
+    deliveryType: result.type,
+    url: result.secure_url,
+    durationSeconds: result.duration,
+    codec: result.video?.codec,
+    width: result.width,
+    height: result.height,
+    bytes: result.bytes,
+});
+
+/**
+ * Upload a video file from disk in chunks, without loading it in memory
+ * @param {string} filePath - Local file
+ * @param {Object} options - Upload options
+ * @param {boolean} options.authenticated - Only reachable through signed URLs
+ * @returns {Promise<Object>} Uploaded asset (publicId, deliveryType, url, durationSeconds, codec, width, height, bytes)
+ */
+export const uploadVideoFile = (filePath, { authenticated = false } = {}) => new Promise((resolve, reject) => {
+    const uploadOptions = {
+        folder: "baroni/videos",
+        resource_type: "video",
+        type: authenticated ? "authenticated" : "upload",
+        chunk_size: VIDEO_CHUNK_SIZE,
+    };
+
+    cloudinary.uploader.upload_large(filePath, uploadOptions, (error, result) => {
+        if (error) {
+            reject(new Error(error.message || "Error uploading video.."));
+        } else {
+            resolve(describeVideoResult(result));
         }
+    });
+});
 
-        return new Promise((resolve, reject) => {
-            const uploadOptions = {
-                folder: "baroni/videos",
-                resource_type: "video",
-            };
-
-            cloudinary.uploader.upload_stream(uploadOptions, (error, result) => {
-                if (error) {
-                    reject(error.message);
-                } else {
-                    resolve(result.secure_url);
-                }
-            }).end(fileBuffer);
-        });
-    } catch (error) {
-        console.error(error.message);
-        throw new Error("Error uploading video..");
-    }
-};
\ No newline at end of file
+/**
+ * Forward one chunk of a resumable upload. Chunks of the same upload share hostUploadId
+ * and must arrive in order; a failed chunk can be sent again.
+ * @param {Object} params - Chunk parameters
+ * @param {Buffer} params.chunk - Chunk bytes
+ * @param {number} params.start - Offset of the chunk in the file
+ * @param {number} params.totalSize - Size of the whole file
+ * @param {string} params.hostUploadId - Upload identifier
+ * @param {boolean} params.authenticated - Only reachable through signed URLs
+ * @returns {Promise<Object|null>} Uploaded asset after the last chunk, otherwise null
+ */
+export const uploadVideoChunk = async ({ chunk, start, totalSize, hostUploadId, authenticated = false }) => {
+    const { cloud_name: cloudName, api_key: apiKey, api_secret: apiSecret } = cloudinary.config();
+    const params = {
+        folder: "baroni/videos",
+        type: authenticated ? "authenticated" : "upload",
+        timestamp: Math.floor(Date.now() / 1000),
+    };
+
+    const form = new FormData();
+    Object.entries(params).forEach(([key, value]) => form.append(key, String(value)));
+    form.append("api_key", apiKey);
+    form.append("signature", cloudinary.utils.api_sign_request(params, apiSecret));
+    form.append("file", new Blob([chunk]), "chunk");
+
+    const end = start + chunk.length - 1;
+    const { data } = await axios.post(`https://api.cloudinary.com/v1_1/${cloudName}/video/upload`, form, {
+        headers: {
+            "X-Unique-Upload-Id": hostUploadId,
+            "Content-Range": `bytes ${start}-${end}/${totalSize}`,
+        },
+        maxBodyLength: Infinity,
+    });
+
+    return end + 1 >= totalSize ? describeVideoResult(data) : null;
+};
+
+/**
+ * Delete a hosted video (e.g. one that failed validation)
+ * @param {string} publicId - Asset public ID
+ * @param {string} deliveryType - 'upload' or 'authenticated'
+ * @returns {Promise<void>}
+ */
+export const deleteVideo = async (publicId, deliveryType = "upload") => {
+    await cloudinary.uploader.destroy(publicId, { resource_type: "video", type: deliveryType, invalidate: true });
+};
+
+/**
+ * URL of a transformed version of a hosted video (signed for authenticated assets)
+ * @param {string} publicId - Asset public ID
+ * @param {Object} options - URL options
+ * @param {string} options.deliveryType - 'upload' or 'authenticated'
+ * @param {Array<Object>} options.transformation - Cloudinary transformation chain
+ * @param {string} options.format - Output format (e.g. 'jpg' for a frame, 'mp4')
+ * @returns {string} Delivery URL
+ */
+export const videoUrl = (publicId, { deliveryType = "upload", transformation = [], format = "mp4" } = {}) => cloudinary.url(publicId, {
+    resource_type: "video",
+    type: deliveryType,
+    secure: true,
+    sign_url: deliveryType === "authenticated",
+    transformation,
+    format,
+});
+
+/**
+ * Ask the host to generate derived versions ahead of the first request
+ * @param {string} publicId - Asset public ID
+ * @param {string} deliveryType - 'upload' or 'authenticated'
+ * @param {Array<Object>} eager - Transformations to generate
+ * @returns {Promise<void>}
+ */
+export const generateVideoDerivatives = async (publicId, deliveryType, eager) => {
+    await cloudinary.uploader.explicit(publicId, { resource_type: "video", type: deliveryType, eager, eager_async: true });
+};
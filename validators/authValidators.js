@@ -1,4 +1,5 @@
 import { body } from 'express-validator';
+import { isValidTimezone } from '../utils/timezone.js';
 
 export const registerValidator = [
   body('contact')
@@ -43,6 +44,7 @@ export const completeProfileValidator = [
   body('pseudo').optional().trim().isLength({ min: 3, max: 30 }).withMessage('Pseudo must be between 3 and 30 characters'),
   body('preferredLanguage').optional().trim().isLength({ max: 10 }).withMessage('Preferred language must be less than 10 characters'),
   body('country').optional().trim().isLength({ max: 50 }).withMessage('Country must be less than 50 characters'),
+  body('timezone').optional().trim().custom((v) => isValidTimezone(v)).withMessage('Timezone must be a valid IANA timezone (e.g. Africa/Abidjan)'),
   body('email').optional().isEmail().withMessage('Invalid email format'),
   body('contact')
     .optional()
@@ -58,7 +60,10 @@ export const completeProfileValidator = [
   body('location').optional().trim().isLength({ max: 100 }).withMessage('Location must be less than 100 characters'),
   body('profession').optional().isMongoId(),
   body('availableForBookings').optional().isIn([true, false, 'true', 'false', '1', '0', 'yes', 'no', 'on', 'off']).withMessage('availableForBookings must be boolean-like'),
-  body('hidden').optional().isBoolean().withMessage('hidden must be a boolean value')
+  body('hidden').optional().isBoolean().withMessage('hidden must be a boolean value'),
+  body('callBufferMinutes').optional().isInt({ min: 0, max: 120 }).withMessage('callBufferMinutes must be between 0 and 120'),
+  body('maxCallsPerDay').optional({ values: 'null' }).isInt({ min: 1 }).withMessage('maxCallsPerDay must be a positive integer'),
+  body('dedicationTurnaroundDays').optional({ values: 'null' }).isInt({ min: 1, max: 90 }).withMessage('dedicationTurnaroundDays must be between 1 and 90 days')
 ];
 
 export const checkUserValidator = [
@@ -9,6 +9,13 @@ export const typePriceBodyValidator = [
   body('price').isFloat({ min: 0 }),
 ];
 
+// Dedication catalog item; add-on prices are null when not offered
+export const dedicationBodyValidator = [
+  ...typePriceBodyValidator,
+  body('rushPrice').optional({ values: 'null' }).isFloat({ min: 0 }),
+  body('extraLengthPrice').optional({ values: 'null' }).isFloat({ min: 0 }),
+];
+
 
 
 
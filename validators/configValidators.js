@@ -1,4 +1,5 @@
 import { body } from 'express-validator';
+import { COMMISSIONABLE_TRANSACTION_TYPES } from '../utils/transactionConstants.js';
 
 export const upsertConfigValidation = [
   body('liveShowPriceHide')
@@ -25,6 +26,137 @@ export const upsertConfigValidation = [
     .optional()
     .isBoolean()
     .withMessage('isTestUser must be a boolean'),
+  body('watermarkDedicationPreviews')
+    .optional()
+    .toBoolean()
+    .optional()
+    .isBoolean()
+    .withMessage('watermarkDedicationPreviews must be a boolean'),
+  body('coinPacks')
+    .optional()
+    .isArray()
+    .withMessage('coinPacks must be an array'),
+  body('coinPacks.*._id')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid coin pack ID'),
+  body('coinPacks.*.label')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Coin pack label must not exceed 50 characters'),
+  body('coinPacks.*.coins')
+    .isInt({ min: 1 })
+    .withMessage('Coin pack coins must be a positive integer'),
+  body('coinPacks.*.price')
+    .isFloat({ min: 0.01 })
+    .withMessage('Coin pack price must be a positive number'),
+  body('coinPacks.*.bonusCoins')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Coin pack bonusCoins must be a non-negative integer'),
+  body('coinPacks.*.active')
+    .optional()
+    .isBoolean()
+    .withMessage('Coin pack active must be a boolean'),
+  body('bonusTiers')
+    .optional()
+    .isArray()
+    .withMessage('bonusTiers must be an array'),
+  body('bonusTiers.*.minCoins')
+    .isInt({ min: 1 })
+    .withMessage('Bonus tier minCoins must be a positive integer'),
+  body('bonusTiers.*.bonusPercent')
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Bonus tier bonusPercent must be between 0 and 100'),
+  body('commissionPercent')
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('commissionPercent must be between 0 and 100'),
+  body('disputeWindowDays')
+    .optional()
+    .isInt({ min: 0, max: 365 })
+    .withMessage('disputeWindowDays must be an integer between 0 and 365'),
+  body('dedicationAutoCompleteDays')
+    .optional()
+    .isInt({ min: 1, max: 90 })
+    .withMessage('dedicationAutoCompleteDays must be an integer between 1 and 90'),
+  body('appointmentNoShowGraceHours')
+    .optional()
+    .isInt({ min: 1, max: 720 })
+    .withMessage('appointmentNoShowGraceHours must be an integer between 1 and 720'),
+  body('approvalDeadlineHours')
+    .optional()
+    .isInt({ min: 1, max: 720 })
+    .withMessage('approvalDeadlineHours must be an integer between 1 and 720'),
+  body('dedicationTurnaroundDays')
+    .optional()
+    .isInt({ min: 1, max: 90 })
+    .withMessage('dedicationTurnaroundDays must be an integer between 1 and 90'),
+  body('rushTurnaroundDays')
+    .optional()
+    .isInt({ min: 1, max: 90 })
+    .withMessage('rushTurnaroundDays must be an integer between 1 and 90'),
+  body('dedicationDeadlineWarningHours')
+    .optional()
+    .isInt({ min: 1, max: 168 })
+    .withMessage('dedicationDeadlineWarningHours must be an integer between 1 and 168'),
+  body('dedicationMaxRevisions')
+    .optional()
+    .isInt({ min: 0, max: 10 })
+    .withMessage('dedicationMaxRevisions must be an integer between 0 and 10'),
+  body('dedicationVideoMaxSeconds')
+    .optional()
+    .isInt({ min: 1, max: 3600 })
+    .withMessage('dedicationVideoMaxSeconds must be an integer between 1 and 3600'),
+  body('sampleVideoMaxSeconds')
+    .optional()
+    .isInt({ min: 1, max: 3600 })
+    .withMessage('sampleVideoMaxSeconds must be an integer between 1 and 3600'),
+  body('videoMinSeconds')
+    .optional()
+    .isInt({ min: 0, max: 60 })
+    .withMessage('videoMinSeconds must be an integer between 0 and 60'),
+  body('allowedVideoCodecs')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('allowedVideoCodecs must be a non-empty array'),
+  body('allowedVideoCodecs.*')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Each video codec must be a non-empty string'),
+  body('videoPreviewSeconds')
+    .optional()
+    .isInt({ min: 1, max: 60 })
+    .withMessage('videoPreviewSeconds must be an integer between 1 and 60'),
+  body('waitlistClaimMinutes')
+    .optional()
+    .isInt({ min: 1, max: 1440 })
+    .withMessage('waitlistClaimMinutes must be an integer between 1 and 1440'),
+  body('reminderOffsetsMinutes')
+    .optional()
+    .isArray({ min: 1, max: 5 })
+    .withMessage('reminderOffsetsMinutes must be an array of 1 to 5 offsets'),
+  body('reminderOffsetsMinutes.*')
+    .isInt({ min: 1, max: 10080 })
+    .withMessage('Each reminder offset must be an integer between 1 and 10080 minutes'),
+  body('blackoutAutoReplyMessage')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('blackoutAutoReplyMessage must be between 1 and 500 characters'),
+  body('commissionPercentByType')
+    .optional()
+    .isObject()
+    .withMessage('commissionPercentByType must be an object')
+    .custom((value) => Object.entries(value).every(([type, percent]) => (
+      COMMISSIONABLE_TRANSACTION_TYPES.includes(type)
+      && (percent === null || (Number(percent) >= 0 && Number(percent) <= 100))
+    )))
+    .withMessage(`commissionPercentByType keys must be one of ${COMMISSIONABLE_TRANSACTION_TYPES.join(', ')} with values between 0 and 100`),
 ];
 
 
@@ -1,12 +1,25 @@
 import { body } from 'express-validator';
 
 export const createDedicationRequestValidator = [
-  body('starId').isMongoId().withMessage('Valid star ID is required'),
+  body('starId').optional().isMongoId().withMessage('Valid star ID is required'),
+  body('dedicationId').isMongoId().withMessage('Valid dedication ID is required'),
+  body('rush').optional().isBoolean().withMessage('rush must be a boolean').toBoolean(),
+  body('extraLength').optional().isBoolean().withMessage('extraLength must be a boolean').toBoolean(),
   body('occasion').isString().trim().notEmpty().withMessage('Occasion is required'),
   body('eventName').isString().trim().notEmpty().withMessage('Event name is required'),
   body('eventDate').isISO8601().toDate().withMessage('Valid event date is required'),
   body('description').isString().trim().notEmpty().withMessage('Description is required'),
-  body('price').isFloat({ min: 0 }).withMessage('Valid price is required')
+  // Total the fan was shown; rejected when the catalog price changed since
+  body('price').optional().isFloat({ min: 0 }).withMessage('Valid price is required')
+];
+
+// Video is a multipart file or a finished resumable upload
+export const uploadDedicationVideoValidator = [
+  body('uploadId').optional().isMongoId().withMessage('Valid upload ID is required')
+];
+
+export const requestDedicationRevisionValidator = [
+  body('reason').isString().trim().isLength({ min: 1, max: 1000 }).withMessage('Reason is required (max 1000 characters)')
 ];
 
 
@@ -0,0 +1,66 @@
+import { body, param, query } from 'express-validator';
+import { DISPUTE_STATUSES, DISPUTE_OUTCOMES, DISPUTE_ENTITY_TYPES } from '../utils/transactionConstants.js';
+
+// Validation for opening a dispute
+export const openDisputeValidator = [
+  body('entityType')
+    .isIn(Object.values(DISPUTE_ENTITY_TYPES))
+    .withMessage(`Entity type must be one of ${Object.values(DISPUTE_ENTITY_TYPES).join(', ')}`),
+  body('entityId')
+    .isMongoId()
+    .withMessage('Invalid booking ID'),
+  body('reason')
+    .isString()
+    .trim()
+    .isLength({ min: 3, max: 200 })
+    .withMessage('Reason is required and must be between 3 and 200 characters'),
+  body('description')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage('Description must not exceed 2000 characters')
+];
+
+// Validation for routes addressing a single dispute
+export const disputeIdValidator = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid dispute ID')
+];
+
+// Validation for listing disputes
+export const listDisputesValidator = [
+  query('status')
+    .optional()
+    .isIn(Object.values(DISPUTE_STATUSES))
+    .withMessage('Invalid dispute status')
+];
+
+// Validation for the star's response
+export const respondDisputeValidator = [
+  ...disputeIdValidator,
+  body('message')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 2000 })
+    .withMessage('Message is required and must not exceed 2000 characters')
+];
+
+// Validation for resolving a dispute
+export const resolveDisputeValidator = [
+  ...disputeIdValidator,
+  body('outcome')
+    .isIn(Object.values(DISPUTE_OUTCOMES))
+    .withMessage(`Outcome must be one of ${Object.values(DISPUTE_OUTCOMES).join(', ')}`),
+  body('refundAmount')
+    .if(body('outcome').equals(DISPUTE_OUTCOMES.PARTIAL_REFUND))
+    .isFloat({ min: 0.01 })
+    .withMessage('Refund amount is required for a partial refund'),
+  body('note')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Note must not exceed 1000 characters')
+];
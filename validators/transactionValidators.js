@@ -43,6 +43,85 @@ export const getUserTransactionsValidator = [
   query('paymentMode')
     .optional()
     .isIn(['coin', 'external'])
-    .withMessage('Payment mode must be either "coin" or "external"')
+    .withMessage('Payment mode must be either "coin" or "external"'),
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('From must be a valid date'),
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('To must be a valid date'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be an integer between 1 and 100')
+];
+
+// Validation for downloading a wallet statement
+export const getStatementValidator = [
+  query('from')
+    .optional()
+    .isISO8601({ strict: true })
+    .withMessage('From must be a valid date (YYYY-MM-DD)'),
+  query('to')
+    .optional()
+    .isISO8601({ strict: true })
+    .withMessage('To must be a valid date (YYYY-MM-DD)'),
+  query('format')
+    .optional()
+    .isIn(['csv', 'pdf', 'json'])
+    .withMessage('Format must be one of csv, pdf or json')
+];
+
+// Validation for getting user ledger entries
+export const getUserLedgerValidator = [
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 500 })
+    .withMessage('Limit must be an integer between 1 and 500')
+];
+
+// Validation for admin wallet credit/debit adjustments
+export const adminAdjustmentValidator = [
+  body('userId')
+    .isMongoId()
+    .withMessage('Invalid user ID'),
+  body('amount')
+    .isFloat({ min: 0.01 })
+    .withMessage('Amount must be a positive number greater than 0'),
+  body('reason')
+    .isString()
+    .trim()
+    .isLength({ min: 3, max: 500 })
+    .withMessage('Reason is required and must be between 3 and 500 characters'),
+  body('referenceType')
+    .isIn(['support_ticket', 'dispute'])
+    .withMessage('Reference type must be either "support_ticket" or "dispute"'),
+  body('referenceId')
+    .isMongoId()
+    .withMessage('A valid support ticket or dispute ID is required')
 ];
 
+// Validation for listing admin adjustments
+export const listAdminAdjustmentsValidator = [
+  query('userId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid user ID')
+];
+
+// Validation for buying a coin pack
+export const createTopUpValidator = [
+  body('packId')
+    .isMongoId()
+    .withMessage('Invalid coin pack ID'),
+  body('contact')
+    .optional()
+    .isMobilePhone('any', { strictMode: false })
+    .withMessage('Invalid contact number format. Use international format, e.g. +22376299719')
+];
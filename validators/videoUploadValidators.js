@@ -0,0 +1,8 @@
+import { body } from 'express-validator';
+
+export const createVideoUploadValidator = [
+  body('purpose').isIn(['dedication_request', 'dedication_sample']).withMessage('purpose must be dedication_request or dedication_sample'),
+  body('mimeType').isString().matches(/^video\//).withMessage('A video mimeType is required'),
+  body('totalSize').isInt({ min: 1 }).toInt().withMessage('totalSize must be a positive integer'),
+  body('fileName').optional().isString().trim().isLength({ max: 255 })
+];
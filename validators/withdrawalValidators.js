@@ -0,0 +1,74 @@
+import { body, param, query } from 'express-validator';
+import { WITHDRAWAL_STATUSES } from '../utils/transactionConstants.js';
+
+// Validation for creating a withdrawal request
+export const createWithdrawalValidator = [
+  body('amount')
+    .isFloat({ min: 1 })
+    .withMessage('Amount must be at least 1 coin'),
+  body('msisdn')
+    .trim()
+    .isMobilePhone('any', { strictMode: false })
+    .withMessage('Invalid mobile money number format. Use international format, e.g. +22376299719')
+];
+
+// Validation for routes addressing a single withdrawal request
+export const withdrawalIdValidator = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid withdrawal request ID')
+];
+
+// Validation for listing withdrawal requests
+export const listWithdrawalsValidator = [
+  query('status')
+    .optional()
+    .isIn(Object.values(WITHDRAWAL_STATUSES))
+    .withMessage('Invalid withdrawal status'),
+  query('starId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid star ID')
+];
+
+// Validation for approving a withdrawal request. payoutReference records a payout
+// made by hand; it is required for providers without a payout API (Orange Money)
+export const approveWithdrawalValidator = [
+  ...withdrawalIdValidator,
+  body('payoutReference')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Payout reference must be between 1 and 100 characters')
+];
+
+// Validation for rejecting a withdrawal request
+export const rejectWithdrawalValidator = [
+  ...withdrawalIdValidator,
+  body('reason')
+    .isString()
+    .trim()
+    .isLength({ min: 3, max: 500 })
+    .withMessage('Reason is required and must be between 3 and 500 characters')
+];
+
+// Validation for settling by hand a processing withdrawal with no provider payout
+// to check: paid needs the transfer's payoutReference, failed a reason
+export const resolveWithdrawalValidator = [
+  ...withdrawalIdValidator,
+  body('status')
+    .isIn([WITHDRAWAL_STATUSES.PAID, WITHDRAWAL_STATUSES.FAILED])
+    .withMessage(`Status must be ${WITHDRAWAL_STATUSES.PAID} or ${WITHDRAWAL_STATUSES.FAILED}`),
+  body('payoutReference')
+    .if(body('status').equals(WITHDRAWAL_STATUSES.PAID))
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Payout reference is required and must be between 1 and 100 characters'),
+  body('reason')
+    .if(body('status').equals(WITHDRAWAL_STATUSES.FAILED))
+    .isString()
+    .trim()
+    .isLength({ min: 3, max: 500 })
+    .withMessage('Reason is required and must be between 3 and 500 characters')
+];